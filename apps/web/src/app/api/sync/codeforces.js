@@ -0,0 +1,85 @@
+// ------------------------------
+// Codeforces provider
+// REST API: user.status for submissions (newest first, paged with from / count),
+// user.rating for contest history. Codeforces allows one call every two seconds.
+// https://codeforces.com/apiHelp
+// ------------------------------
+
+import { SyncError, requestJson } from './sync';
+
+const API = 'https://codeforces.com/api';
+const PAGE = 1000;
+// a first sync reads at most this many pages (the newest PAGE × MAX_PAGES submissions)
+const MAX_PAGES = 10;
+
+const VERDICTS = { OK: 'accepted', TESTING: 'pending' };
+
+// "WRONG_ANSWER", 4 passed tests → "Wrong answer on test 5"
+function statusText(verdict, passed) {
+  if (!verdict || verdict === 'TESTING') return 'Testing';
+  if (verdict === 'OK') return 'Accepted';
+  const text = verdict[0] + verdict.slice(1).toLowerCase().replace(/_/g, ' ');
+  return ['WRONG_ANSWER', 'TIME_LIMIT_EXCEEDED', 'MEMORY_LIMIT_EXCEEDED', 'RUNTIME_ERROR'].includes(verdict) ? `${text} on test ${passed + 1}` : text;
+}
+
+// gym contests have ids from 100000 up
+export function problemUrl({ contestId, index }) {
+  if (!contestId || !index) return '';
+  return contestId >= 100000 ? `https://codeforces.com/gym/${contestId}/problem/${index}` : `https://codeforces.com/problemset/problem/${contestId}/${index}`;
+}
+
+// user.status item → submission
+export function normalizeSubmission(s) {
+  const p = s.problem || {};
+  return {
+    id: `codeforces:${s.id}`,
+    provider: 'codeforces',
+    at: s.creationTimeSeconds * 1000,
+    verdict: VERDICTS[s.verdict || 'TESTING'] || 'rejected',
+    status: statusText(s.verdict, s.passedTestCount || 0),
+    language: s.programmingLanguage || '',
+    title: p.name || `${p.contestId ?? ''}${p.index ?? ''}`,
+    url: problemUrl(p),
+    platform: 'Codeforces',
+    // ratings stay numbers, like an imported Codeforces sheet
+    difficulty: p.rating ? String(p.rating) : '',
+    tags: p.tags || []
+  };
+}
+
+// user.rating list (oldest contest first) → profile
+export function normalizeProfile(handle, changes) {
+  const last = changes[changes.length - 1];
+  const stats = { Contests: changes.length };
+  if (last) Object.assign(stats, { Rating: last.newRating, 'Max rating': Math.max(...changes.map((c) => c.newRating)) });
+  return { handle, url: `https://codeforces.com/profile/${handle}`, stats };
+}
+
+async function call(method, params) {
+  const { body } = await requestJson(codeforces, `${API}/${method}?${new URLSearchParams(params)}`);
+  if (body.status !== 'OK') {
+    const comment = body.comment || 'request failed';
+    throw /not found/i.test(comment) ? new SyncError(`No Codeforces user ${params.handle}`, 404) : new SyncError(`Codeforces: ${comment}`);
+  }
+  return body.result;
+}
+
+const codeforces = {
+  name: 'codeforces',
+  label: 'Codeforces',
+  minInterval: 2000,
+  cooldown: 30 * 1000,
+  async fetch(handle, { since }) {
+    const changes = await call('user.rating', { handle });
+    const submissions = [];
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const list = await call('user.status', { handle, from: page * PAGE + 1, count: PAGE });
+      submissions.push(...list.map(normalizeSubmission));
+      // newest first: once a page reaches the cursor, the rest is older
+      if (list.length < PAGE || (since && list.some((s) => s.creationTimeSeconds * 1000 < since.at))) break;
+    }
+    return { profile: normalizeProfile(handle, changes), submissions };
+  }
+};
+
+export default codeforces;
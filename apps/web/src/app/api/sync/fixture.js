@@ -0,0 +1,47 @@
+// ------------------------------
+// Fixture provider
+// Replays saved API answers from a JSON file, for working offline and for tests.
+// The handle names the file: "demo-codeforces" reads fixtures/demo-codeforces.json
+// (or SYNC_FIXTURES_DIR/demo-codeforces.json). A file holds what the real API
+// returned, and goes through that provider's normalizers:
+//   { "provider": "codeforces", "handle", "rating": [user.rating], "status": [user.status] }
+//   { "provider": "leetcode", "matchedUser", "recentSubmissionList", "questions": { slug: { difficulty, topicTags } } }
+// ------------------------------
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import * as codeforces from './codeforces';
+import * as leetcode from './leetcode';
+import { SyncError } from './sync';
+
+const dir = () => process.env.SYNC_FIXTURES_DIR || path.join(process.cwd(), 'src/app/api/sync/fixtures');
+
+const REPLAY = {
+  codeforces: (f) => ({
+    profile: codeforces.normalizeProfile(f.handle, f.rating || []),
+    submissions: (f.status || []).map(codeforces.normalizeSubmission)
+  }),
+  leetcode: (f) => ({
+    profile: leetcode.normalizeProfile(f.matchedUser),
+    submissions: (f.recentSubmissionList || []).map((s) => leetcode.normalizeSubmission(s, f.questions?.[s.titleSlug]))
+  })
+};
+
+const fixture = {
+  name: 'fixture',
+  label: 'Fixture file',
+  minInterval: 0,
+  cooldown: 0,
+  async fetch(handle) {
+    let file;
+    try {
+      file = JSON.parse(await readFile(path.join(dir(), `${handle}.json`), 'utf8'));
+    } catch {
+      throw new SyncError(`No fixture ${handle}.json`, 404);
+    }
+    if (!REPLAY[file.provider]) throw new SyncError(`Fixture ${handle}.json: unknown provider "${file.provider}"`, 422);
+    return REPLAY[file.provider](file);
+  }
+};
+
+export default fixture;
@@ -0,0 +1,84 @@
+// ------------------------------
+// LeetCode provider
+// Public GraphQL at leetcode.com/graphql. recentSubmissionList only reaches back
+// over a user's latest submissions (LeetCode caps it at 20), so sync often to
+// keep the history whole. Difficulty and topic tags come from one batched
+// `question` query for the problems in the new submissions.
+// ------------------------------
+
+import { SyncError, requestJson } from './sync';
+
+const ENDPOINT = 'https://leetcode.com/graphql';
+const LIMIT = 20;
+
+const USER_QUERY = `query sync($username: String!, $limit: Int!) {
+  matchedUser(username: $username) {
+    username
+    profile { ranking }
+    submitStatsGlobal { acSubmissionNum { difficulty count } }
+  }
+  recentSubmissionList(username: $username, limit: $limit) { title titleSlug timestamp statusDisplay lang }
+}`;
+
+const VERDICTS = { Accepted: 'accepted', Pending: 'pending', Judging: 'pending' };
+
+// recentSubmissionList item (+ question details) → submission
+export function normalizeSubmission(s, question = {}) {
+  return {
+    // the list has no submission id; a problem is submitted at most once per second
+    id: `leetcode:${s.titleSlug}:${s.timestamp}`,
+    provider: 'leetcode',
+    at: Number(s.timestamp) * 1000,
+    verdict: VERDICTS[s.statusDisplay] || 'rejected',
+    status: s.statusDisplay || '',
+    language: s.lang || '',
+    title: s.title,
+    url: `https://leetcode.com/problems/${s.titleSlug}/`,
+    platform: 'LeetCode',
+    difficulty: question.difficulty || '',
+    tags: (question.topicTags || []).map((t) => t.name)
+  };
+}
+
+// matchedUser → profile
+export function normalizeProfile(user) {
+  const solved = Object.fromEntries((user.submitStatsGlobal?.acSubmissionNum || []).map((s) => [s.difficulty, s.count]));
+  const stats = { Solved: solved.All ?? 0, Easy: solved.Easy ?? 0, Medium: solved.Medium ?? 0, Hard: solved.Hard ?? 0 };
+  if (user.profile?.ranking) stats.Ranking = user.profile.ranking;
+  return { handle: user.username, url: `https://leetcode.com/u/${user.username}/`, stats };
+}
+
+async function query(text, variables) {
+  const { body } = await requestJson(leetcode, ENDPOINT, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Referer: 'https://leetcode.com' },
+    body: JSON.stringify({ query: text, variables })
+  });
+  if (body.errors?.length && !body.data) throw new SyncError(`LeetCode: ${body.errors[0].message}`);
+  return body.data || {};
+}
+
+// slugs → { slug: { difficulty, topicTags } }, in one request
+async function questions(slugs) {
+  if (!slugs.length) return {};
+  const fields = slugs.map((_, k) => `q${k}: question(titleSlug: $s${k}) { difficulty topicTags { name } }`).join('\n  ');
+  const params = slugs.map((_, k) => `$s${k}: String!`).join(', ');
+  const data = await query(`query details(${params}) {\n  ${fields}\n}`, Object.fromEntries(slugs.map((s, k) => [`s${k}`, s])));
+  return Object.fromEntries(slugs.map((s, k) => [s, data[`q${k}`] || {}]));
+}
+
+const leetcode = {
+  name: 'leetcode',
+  label: 'LeetCode',
+  minInterval: 1000,
+  cooldown: 30 * 1000,
+  async fetch(handle, { since }) {
+    const data = await query(USER_QUERY, { username: handle, limit: LIMIT });
+    if (!data.matchedUser) throw new SyncError(`No LeetCode user ${handle}`, 404);
+    const list = (data.recentSubmissionList || []).filter((s) => !since || Number(s.timestamp) * 1000 >= since.at);
+    const details = await questions([...new Set(list.map((s) => s.titleSlug))]);
+    return { profile: normalizeProfile(data.matchedUser), submissions: list.map((s) => normalizeSubmission(s, details[s.titleSlug])) };
+  }
+};
+
+export default leetcode;
@@ -0,0 +1,8 @@
+import codeforces from './codeforces';
+import fixture from './fixture';
+import leetcode from './leetcode';
+
+// the fixture provider is there in development, or in production with SYNC_FIXTURES=1
+const fixtures = process.env.NODE_ENV !== 'production' || process.env.SYNC_FIXTURES === '1';
+
+export const PROVIDERS = Object.fromEntries([leetcode, codeforces, ...(fixtures ? [fixture] : [])].map((p) => [p.name, p]));
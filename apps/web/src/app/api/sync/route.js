@@ -0,0 +1,35 @@
+import { NextResponse } from 'next/server';
+import { PROVIDERS } from './providers';
+import { SyncError, syncHandle } from './sync';
+
+// /api/sync – see ./sync.js
+// GET → { providers: [{ name, label }] }
+// POST { provider, handle, cursor? } → { provider, handle, profile, submissions, cursor }
+//   errors → { error, retryAfter? } with a 4xx / 5xx status
+
+// LeetCode and Codeforces handles: letters, digits, _ . -
+const HANDLE = /^[A-Za-z0-9_-][A-Za-z0-9_.-]{0,39}$/;
+
+export function GET() {
+  return NextResponse.json({ providers: Object.values(PROVIDERS).map(({ name, label }) => ({ name, label })) });
+}
+
+export async function POST(request) {
+  try {
+    const body = await request.json().catch(() => null);
+    if (!body || typeof body !== 'object') throw new SyncError('Expected a JSON body { provider, handle, cursor? }', 400);
+    const { provider: name, handle, cursor = null } = body;
+    // own keys only: "constructor" or "__proto__" are not providers
+    if (typeof name !== 'string' || !Object.hasOwn(PROVIDERS, name)) throw new SyncError(`Unknown provider "${name}"`, 400);
+    const provider = PROVIDERS[name];
+    if (typeof handle !== 'string' || !HANDLE.test(handle.trim())) throw new SyncError('Enter a handle: letters, digits, _ . -', 400);
+    return NextResponse.json(await syncHandle(provider, handle.trim(), cursor));
+  } catch (e) {
+    if (!(e instanceof SyncError)) {
+      console.error(e);
+      return NextResponse.json({ error: 'Sync failed' }, { status: 500 });
+    }
+    const headers = e.retryAfter ? { 'Retry-After': String(e.retryAfter) } : undefined;
+    return NextResponse.json({ error: e.message, retryAfter: e.retryAfter ?? undefined }, { status: e.status, headers });
+  }
+}
@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { POST } from './route';
+
+const post = (body) => POST(new Request('http://localhost/api/sync', {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: typeof body === 'string' ? body : JSON.stringify(body)
+}));
+
+describe('POST /api/sync', () => {
+  it('answers 400 for an unknown provider', async () => {
+    const res = await post({ provider: 'hackerrank', handle: 'someone' });
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toMatch(/Unknown provider/);
+  });
+
+  it('answers 400 for names inherited from Object.prototype', async () => {
+    for (const provider of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+      expect((await post({ provider, handle: 'someone' })).status).toBe(400);
+    }
+  });
+
+  it('validates the handle', async () => {
+    for (const handle of ['', '../etc/passwd', 'a b', '.hidden', 'x'.repeat(41), 42]) {
+      const res = await post({ provider: 'fixture', handle });
+      expect(res.status).toBe(400);
+    }
+    expect((await post({ provider: 'fixture', handle: ' demo-leetcode ' })).status).toBe(200);
+  });
+
+  it('answers 400 for a body that is not JSON', async () => {
+    expect((await post('handle=someone')).status).toBe(400);
+  });
+
+  it('syncs from a fixture', async () => {
+    const res = await post({ provider: 'fixture', handle: 'demo-leetcode' });
+    const data = await res.json();
+    expect(data.handle).toBe('demo-leetcode');
+    expect(data.submissions).toHaveLength(6);
+    expect(data.cursor.at).toBe(data.submissions.at(-1).at);
+  });
+});
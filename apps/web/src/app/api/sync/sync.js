@@ -0,0 +1,112 @@
+// ------------------------------
+// Profile sync (server)
+// Pulls a handle's submissions from a judge through a provider and brings them
+// into one shape:
+//   { id, provider, at, verdict: 'accepted' | 'rejected' | 'pending', status,
+//     language, title, url, platform, difficulty, tags }
+// with `at` in epoch ms and `id` unique across providers.
+//
+// A provider is { name, label, minInterval, cooldown, fetch(handle, { since }) }.
+// fetch resolves to { profile, submissions } with submissions already in that
+// shape. It may stop paging once it reaches `since` and does not need to filter.
+// profile is { handle, url, stats: { label: value } }.
+// Requests to a provider's API are spaced `minInterval` ms apart, across all
+// handles. The same handle syncs at most once per `cooldown` ms.
+//
+// Syncs are incremental. The cursor { at, ids } marks the newest submission
+// handed out so far. `ids` lists the submissions at exactly `at`, because
+// judges count in seconds. A submission still being judged holds the cursor
+// back, so it is picked up once it has a verdict.
+// ------------------------------
+
+export class SyncError extends Error {
+  // status: the HTTP status the route answers with; retryAfter in seconds
+  constructor(message, status = 502, retryAfter = null) {
+    super(message);
+    this.name = 'SyncError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// provider name → earliest time its next request may go out
+const nextRequest = new Map();
+
+async function throttle(provider) {
+  const now = Date.now();
+  const at = Math.max(now, nextRequest.get(provider.name) || 0);
+  // reserve the slot before waiting, so concurrent syncs queue up behind each other
+  nextRequest.set(provider.name, at + provider.minInterval);
+  if (at > now) await sleep(at - now);
+}
+
+// throttled fetch → parsed JSON; rate limits and failures become SyncErrors
+export async function requestJson(provider, url, init = {}) {
+  await throttle(provider);
+  let res;
+  try {
+    res = await fetch(url, { ...init, cache: 'no-store', signal: AbortSignal.timeout(15000) });
+  } catch {
+    throw new SyncError(`${provider.label} could not be reached`, 504);
+  }
+  if (res.status === 429 || res.status === 503) {
+    const wait = Number(res.headers.get('retry-after')) || 60;
+    nextRequest.set(provider.name, Date.now() + wait * 1000);
+    throw new SyncError(`${provider.label} is rate limiting requests, try again in ${wait} s`, 429, wait);
+  }
+  const body = await res.json().catch(() => null);
+  if (!body) throw new SyncError(`${provider.label} answered ${res.status} without JSON`);
+  return { status: res.status, body };
+}
+
+// ------------------------------
+// Cursor
+// ------------------------------
+const isNew = (s, cursor) => !cursor || s.at > cursor.at || (s.at === cursor.at && !cursor.ids.includes(s.id));
+
+// anything that is not a cursor counts as none (a first sync)
+export function readCursor(value) {
+  return value && Number.isFinite(value.at) && Array.isArray(value.ids) ? { at: value.at, ids: value.ids.map(String) } : null;
+}
+
+// submissions from the provider → the ones after `cursor` that have a verdict, oldest first,
+// and the cursor to pass next time
+export function afterCursor(submissions, cursor) {
+  const fresh = submissions.filter((s) => isNew(s, cursor));
+  const pending = fresh.filter((s) => s.verdict === 'pending');
+  const holdAt = pending.length ? Math.min(...pending.map((s) => s.at)) : Infinity;
+  const ready = fresh.filter((s) => s.verdict !== 'pending' && s.at < holdAt).sort((a, b) => a.at - b.at);
+  if (!ready.length) return { submissions: [], cursor };
+  const at = ready[ready.length - 1].at;
+  const ids = ready.filter((s) => s.at === at).map((s) => s.id);
+  return { submissions: ready, cursor: { at, ids: cursor?.at === at ? [...cursor.ids, ...ids] : ids } };
+}
+
+// ------------------------------
+// Sync
+// ------------------------------
+
+// provider:handle → when it last synced
+const lastSync = new Map();
+
+// provider, handle, cursor → { provider, handle, profile, submissions, cursor }
+export async function syncHandle(provider, handle, cursor) {
+  const key = `${provider.name}:${handle.toLowerCase()}`;
+  const wait = (lastSync.get(key) || 0) + provider.cooldown - Date.now();
+  if (wait > 0) {
+    const seconds = Math.ceil(wait / 1000);
+    throw new SyncError(`${handle} synced a moment ago, try again in ${seconds} s`, 429, seconds);
+  }
+  lastSync.set(key, Date.now());
+  const since = readCursor(cursor);
+  try {
+    const { profile, submissions } = await provider.fetch(handle, { since });
+    return { provider: provider.name, handle: profile.handle || handle, profile, ...afterCursor(submissions, since) };
+  } catch (e) {
+    // a failed sync does not count against the cooldown
+    lastSync.delete(key);
+    throw e;
+  }
+}
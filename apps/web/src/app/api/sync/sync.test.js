@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import fixture from './fixture';
+import { afterCursor, syncHandle } from './sync';
+
+// the fixtures in ./fixtures, read through the real normalizers
+
+describe('syncHandle with the fixture provider', () => {
+  it('hands out every judged submission on a first sync, oldest first', async () => {
+    const r = await syncHandle(fixture, 'demo-codeforces', null);
+    expect(r.profile.stats).toEqual({ Contests: 3, Rating: 1219, 'Max rating': 1247 });
+    expect(r.submissions.map((s) => s.title)).toEqual(['Watermelon', 'Way Too Long Words', 'Theatre Square', 'Theatre Square', 'Helpful Maths', 'Two Buttons']);
+    expect(r.submissions.every((s) => s.verdict !== 'pending')).toBe(true);
+  });
+
+  it('finds nothing new when it syncs again from the cursor it returned', async () => {
+    for (const handle of ['demo-codeforces', 'demo-leetcode']) {
+      const first = await syncHandle(fixture, handle, null);
+      expect(first.submissions.length).toBeGreaterThan(0);
+      const again = await syncHandle(fixture, handle, first.cursor);
+      expect(again.submissions).toEqual([]);
+      expect(again.cursor).toEqual(first.cursor);
+    }
+  });
+
+  it('rejects a missing fixture with a 404', async () => {
+    await expect(syncHandle(fixture, 'no-such-file', null)).rejects.toMatchObject({ name: 'SyncError', status: 404 });
+  });
+});
+
+describe('afterCursor', () => {
+  const sub = (id, at, verdict = 'accepted') => ({ id, at, verdict });
+
+  it('keeps submissions from the cursor second that it has not handed out', () => {
+    const r = afterCursor([sub('a', 1000), sub('b', 2000), sub('c', 2000)], { at: 2000, ids: ['b'] });
+    expect(r.submissions.map((s) => s.id)).toEqual(['c']);
+    expect(r.cursor).toEqual({ at: 2000, ids: ['b', 'c'] });
+  });
+
+  it('holds the cursor before a submission that is still being judged', () => {
+    const r = afterCursor([sub('a', 1000), sub('b', 2000, 'pending'), sub('c', 3000)], null);
+    expect(r.submissions.map((s) => s.id)).toEqual(['a']);
+    expect(afterCursor([sub('b', 2000), sub('c', 3000)], r.cursor).submissions.map((s) => s.id)).toEqual(['b', 'c']);
+  });
+});
@@ -49,21 +49,24 @@ const slides = [
     subtitle: 'Step-by-step algorithm animations, clean explanations, and curated problems.',
     image:
       'https://images.unsplash.com/photo-1522071820081-009f0129c71c?q=80&w=1600&auto=format&fit=crop',
-    cta: 'Start Learning'
+    cta: 'Start Learning',
+    href: '/visualizer'
   },
   {
     title: 'Code • Discuss • Grow',
     subtitle: 'Monaco editor, forums, and study plans that adapt to you.',
     image:
       'https://images.unsplash.com/photo-1526378722484-bd91ca387e72?q=80&w=1600&auto=format&fit=crop',
-    cta: 'Join the Community'
+    cta: 'Join the Community',
+    href: '/visualizer'
   },
   {
     title: 'Track Progress Across Platforms',
     subtitle: 'LeetCode & Codeforces sync, heatmaps, and contest insights.',
     image:
       'https://thumb.tildacdn.com/tild6532-3231-4234-a330-353236343933/-/resize/652x/-/format/webp/839209.jpg',
-    cta: 'Connect Profiles'
+    cta: 'Connect Profiles',
+    href: '/profile#accounts'
   }
 ];
 
@@ -142,7 +145,7 @@ function HeroCarousel() {
                       {s.subtitle}
                     </p>
                     <div className="mt-6 flex gap-3">
-                      <Link href="/visualizer">
+                      <Link href={s.href}>
                         <button className="btn btn-accent">
                           {s.cta}
                         </button>
@@ -0,0 +1,314 @@
+'use client';
+
+import React from 'react';
+import Link from 'next/link';
+import { CalendarDays, Eye, FileJson, Flame, Link2, ListChecks, RefreshCw, Trophy, X } from 'lucide-react';
+import { Button, Input, Label, Section, Select } from '../visualizer/ui';
+import { download } from '../visualizer/exportRun';
+import { loadStore } from '../questions/store';
+import { calendar, exportActivity, loadActivity, localTimeZone, streaks, topicGrid } from './activity';
+import { fetchProviders, loadAccounts, sameAccount, saveAccounts, syncAccount } from './accounts';
+
+/**
+ * Profile – page component for /profile
+ * Mounted by: apps/web/src/app/profile/page.jsx
+ *
+ * - Practice calendar (last 53 weeks) with current and longest streak
+ * - Topic coverage: the Visualizer's categories × the last 12 weeks
+ * - Days are counted in the chosen time zone (./activity.js)
+ * - Export the activity log as JSON
+ * - Linked LeetCode / Codeforces accounts: a sync marks their solves in /questions and logs them here (./accounts.js)
+ */
+
+// localStorage key: the time zone the page is viewed in ('' = this device's)
+const ZONE_KEY = 'profile:timezone';
+
+const KIND_TEXT = { solved: 'Solved', attempted: 'Attempted', visualized: 'Visualized' };
+const KIND_STYLE = {
+  solved: 'text-emerald-700 dark:text-emerald-400',
+  attempted: 'text-amber-700 dark:text-amber-400',
+  visualized: 'text-sky-700 dark:text-sky-400'
+};
+
+// count → one of five shades; 0 stays empty
+const LEVELS = ['bg-zinc-200/70 dark:bg-zinc-800/70', 'bg-emerald-200 dark:bg-emerald-900', 'bg-emerald-400 dark:bg-emerald-700', 'bg-emerald-500 dark:bg-emerald-500', 'bg-emerald-700 dark:bg-emerald-300'];
+const level = (count, max) => (count ? Math.min(4, Math.ceil((count / Math.max(max, 1)) * 4)) : 0);
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DAY_LABELS = ['', 'Mon', '', 'Wed', '', 'Fri', ''];
+const plural = (n, word, many = `${word}s`) => `${n} ${n === 1 ? word : many}`;
+
+// a supported IANA zone, or null
+function validZone(zone) {
+  try {
+    return zone ? new Intl.DateTimeFormat('en', { timeZone: zone }).resolvedOptions().timeZone : null;
+  } catch {
+    return null;
+  }
+}
+
+const zoneList = (current) => {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  return zones.includes(current) ? zones : [current, ...zones];
+};
+
+// ------------------------------
+// Heatmaps
+// ------------------------------
+const Legend = () => (
+  <div className="flex items-center gap-1 text-xs text-zinc-500">
+    Less{LEVELS.map((c, i) => <span key={i} className={`h-3 w-3 rounded-sm ${c}`} />)}More
+  </div>
+);
+
+function Calendar({ grid }) {
+  // a month label above the first week that starts in it
+  const months = grid.weeks.map((week, w) => {
+    const m = Number(week[0].key.slice(5, 7)) - 1;
+    return w === 0 || m !== Number(grid.weeks[w - 1][0].key.slice(5, 7)) - 1 ? MONTHS[m] : '';
+  });
+  return (
+    <div className="overflow-x-auto">
+      <div className="inline-grid gap-[3px]" style={{ gridTemplateColumns: `2rem repeat(${grid.weeks.length}, 0.75rem)` }}>
+        <span />
+        {months.map((m, w) => <span key={w} className="h-4 overflow-visible whitespace-nowrap text-[10px] text-zinc-500">{m}</span>)}
+        {[0, 1, 2, 3, 4, 5, 6].map((d) => (
+          <React.Fragment key={d}>
+            <span className="pr-1 text-right text-[10px] leading-3 text-zinc-500">{DAY_LABELS[d]}</span>
+            {grid.weeks.map((week, w) => {
+              const cell = week[d];
+              if (!cell) return <span key={w} />;
+              return <span key={w} title={`${plural(cell.count, 'entry', 'entries')} on ${cell.key}`} className={`h-3 w-3 rounded-sm ${LEVELS[level(cell.count, grid.max)]}`} />;
+            })}
+          </React.Fragment>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function TopicCoverage({ grid, weeks }) {
+  const max = Math.max(0, ...grid.rows.flatMap((r) => r.cells));
+  return (
+    <div className="overflow-x-auto">
+      <table className="text-xs">
+        <thead>
+          <tr className="text-zinc-500">
+            <th className="pr-3 text-left font-medium">Topic</th>
+            {Array.from({ length: weeks }, (_, w) => <th key={w} className="px-[2px] font-normal">{w === 0 ? grid.start.slice(5) : w === weeks - 1 ? 'now' : ''}</th>)}
+            <th className="pl-3 text-right font-medium">Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          {grid.rows.map((r) => (
+            <tr key={r.topic}>
+              <td className="pr-3 py-[2px] text-zinc-700 dark:text-zinc-200">{r.topic}</td>
+              {r.cells.map((c, w) => (
+                <td key={w} className="px-[2px] py-[2px]"><div title={`${r.topic}: ${c} in week ${w + 1} of ${weeks}`} className={`h-4 w-4 rounded-sm ${LEVELS[level(c, max)]}`} /></td>
+              ))}
+              <td className="pl-3 text-right tabular-nums text-zinc-600 dark:text-zinc-300">{r.total}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+const Stat = ({ icon: Icon, label, value }) => (
+  <div className="rounded-2xl border border-zinc-200/70 dark:border-zinc-800/70 bg-white/70 dark:bg-zinc-950/60 p-4">
+    <div className="flex items-center gap-2 text-xs text-zinc-500"><Icon className="h-4 w-4"/>{label}</div>
+    <div className="mt-1 text-2xl font-semibold tabular-nums">{value}</div>
+  </div>
+);
+
+// ------------------------------
+// Linked accounts
+// ------------------------------
+
+// until /api/sync answers with its list
+const DEFAULT_PROVIDERS = [{ name: 'leetcode', label: 'LeetCode' }, { name: 'codeforces', label: 'Codeforces' }];
+
+// onSynced() after every sync that changed the question lists or the log
+function LinkedAccounts({ timeFormat, onSynced }) {
+  const [accounts, setAccounts] = React.useState([]);
+  const [providers, setProviders] = React.useState(DEFAULT_PROVIDERS);
+  const [provider, setProvider] = React.useState('leetcode');
+  const [handle, setHandle] = React.useState('');
+  const [busy, setBusy] = React.useState(null); // account being synced
+  const [message, setMessage] = React.useState(null); // { text, error }
+
+  React.useEffect(() => {
+    setAccounts(loadAccounts());
+    fetchProviders().then((list) => list.length && setProviders(list)).catch(() => {});
+  }, []);
+
+  const labelOf = (name) => providers.find((p) => p.name === name)?.label || name;
+
+  const update = (list) => { setAccounts(list); saveAccounts(list); };
+
+  const sync = async (account) => {
+    setBusy(account);
+    setMessage(null);
+    try {
+      const r = await syncAccount(account);
+      update([...loadAccounts().filter((a) => !sameAccount(a, account)), r.account]);
+      setMessage({ text: `${labelOf(account.provider)} ${r.account.handle}: ${plural(r.submissions, 'new submission')}, ${plural(r.added, 'question')} added, ${r.solved} marked solved` });
+      if (r.submissions) onSynced();
+    } catch (e) {
+      setMessage({ text: e.message, error: true });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const link = () => {
+    const account = { provider, handle: handle.trim() };
+    if (!account.handle) return;
+    const known = accounts.find((a) => sameAccount(a, account));
+    if (!known) update([...accounts, account]);
+    setHandle('');
+    sync(known || account);
+  };
+
+  const syncAll = async () => {
+    for (const a of accounts) await sync(a);
+  };
+
+  return (
+    <Section
+      title="Linked accounts"
+      right={accounts.length > 1 && <Button onClick={syncAll} disabled={!!busy} className="disabled:opacity-50"><RefreshCw className="h-4 w-4"/>Sync all</Button>}
+    >
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="w-40">
+          <Select value={provider} onChange={(e) => setProvider(e.target.value)}>
+            {providers.map((p) => <option key={p.name} value={p.name}>{p.label}</option>)}
+          </Select>
+        </div>
+        <div className="w-56">
+          <Input value={handle} onChange={(e) => setHandle(e.target.value)} onKeyDown={(e) => { if (e.key === 'Enter') link(); }} placeholder={provider === 'fixture' ? 'demo-leetcode' : 'Handle'} />
+        </div>
+        <Button onClick={link} disabled={!handle.trim() || !!busy} className="disabled:opacity-50"><Link2 className="h-4 w-4"/>Link and sync</Button>
+      </div>
+      {message && <div className={`mt-2 text-xs ${message.error ? 'text-rose-600 dark:text-rose-400' : 'text-zinc-600 dark:text-zinc-300'}`}>{message.text}</div>}
+      {accounts.length > 0 && (
+        <ul className="mt-3 divide-y divide-zinc-200/70 text-sm dark:divide-zinc-800/70">
+          {accounts.map((a) => (
+            <li key={`${a.provider}:${a.handle}`} className="flex flex-wrap items-center gap-x-3 gap-y-1 py-2">
+              <span className="w-24 text-xs font-medium text-zinc-500">{labelOf(a.provider)}</span>
+              {a.profile?.url ? <a href={a.profile.url} target="_blank" rel="noreferrer" className="font-medium underline">{a.handle}</a> : <span className="font-medium">{a.handle}</span>}
+              <span className="flex flex-1 flex-wrap gap-2">
+                {Object.entries(a.profile?.stats || {}).map(([k, v]) => (
+                  <span key={k} className="rounded-md border border-zinc-300/70 px-1.5 text-xs dark:border-zinc-700/70">{k} <span className="tabular-nums font-medium">{v}</span></span>
+                ))}
+              </span>
+              <span className="text-xs text-zinc-500">{a.syncedAt ? `Synced ${timeFormat.format(a.syncedAt)}` : 'Not synced yet'}</span>
+              <Button onClick={() => sync(a)} disabled={!!busy} aria-label={`Sync ${a.handle}`} className="disabled:opacity-50"><RefreshCw className={`h-4 w-4 ${busy && sameAccount(busy, a) ? 'animate-spin' : ''}`}/></Button>
+              <Button onClick={() => update(accounts.filter((x) => !sameAccount(x, a)))} disabled={!!busy} aria-label={`Unlink ${a.handle}`} className="disabled:opacity-50"><X className="h-4 w-4"/></Button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </Section>
+  );
+}
+
+// ------------------------------
+// Page
+// ------------------------------
+const TOPIC_WEEKS = 12;
+
+export default function ProfilePage() {
+  const [entries, setEntries] = React.useState([]);
+  const [solved, setSolved] = React.useState(0);
+  const [zone, setZone] = React.useState('UTC');
+  const [loaded, setLoaded] = React.useState(false);
+
+  const reload = () => {
+    setEntries(loadActivity());
+    setSolved(loadStore().questions.filter((q) => q.status === 'solved').length);
+  };
+
+  // localStorage is only there in the browser
+  React.useEffect(() => {
+    reload();
+    setZone(validZone(localStorage.getItem(ZONE_KEY)) || localTimeZone());
+    setLoaded(true);
+  }, []);
+
+  const chooseZone = (z) => {
+    setZone(z);
+    localStorage.setItem(ZONE_KEY, z === localTimeZone() ? '' : z);
+  };
+
+  const streak = React.useMemo(() => streaks(entries, zone), [entries, zone]);
+  const cal = React.useMemo(() => calendar(entries, zone), [entries, zone]);
+  const topics = React.useMemo(() => topicGrid(entries, zone, { weeks: TOPIC_WEEKS }), [entries, zone]);
+  const recent = entries.slice(-15).reverse();
+  const runs = entries.filter((e) => e.kind === 'visualized').length;
+  const inYear = cal.weeks.flat().reduce((n, c) => n + (c?.count || 0), 0);
+  const timeFormat = React.useMemo(() => new Intl.DateTimeFormat(undefined, { timeZone: zone, dateStyle: 'medium', timeStyle: 'short' }), [zone]);
+
+  return (
+    <div className="min-h-dvh bg-zinc-50 text-zinc-900 dark:bg-zinc-950 dark:text-zinc-50">
+      <div className="mx-auto w-full max-w-7xl px-4 py-6 sm:px-6 lg:px-8">
+        <header className="mb-4 flex flex-wrap items-center justify-between gap-3">
+          <h1 className="text-2xl font-semibold tracking-tight">Profile</h1>
+          <div className="flex flex-wrap items-center gap-2">
+            <Label>Time zone</Label>
+            <div className="w-56">
+              <Select value={zone} onChange={(e) => chooseZone(e.target.value)}>
+                {zoneList(zone).map((z) => <option key={z} value={z}>{z}</option>)}
+              </Select>
+            </div>
+            <Button onClick={() => download(new Blob([exportActivity(entries, zone)], { type: 'application/json' }), 'codequest-activity.json')} disabled={!entries.length} className="disabled:opacity-50"><FileJson className="h-4 w-4"/>Export JSON</Button>
+          </div>
+        </header>
+
+        <div className="mb-6 grid gap-3 sm:grid-cols-2 lg:grid-cols-5">
+          <Stat icon={Flame} label="Current streak" value={plural(streak.current, 'day')} />
+          <Stat icon={Trophy} label="Longest streak" value={plural(streak.longest, 'day')} />
+          <Stat icon={CalendarDays} label="Active days" value={streak.activeDays} />
+          <Stat icon={ListChecks} label="Questions solved" value={solved} />
+          <Stat icon={Eye} label="Visualizer runs" value={runs} />
+        </div>
+
+        <div className="space-y-4">
+          <Section title="Practice calendar" right={<span className="text-xs text-zinc-500">{plural(inYear, 'entry', 'entries')} in the last year</span>}>
+            <Calendar grid={cal} />
+            <div className="mt-3 flex flex-wrap items-center justify-between gap-2">
+              <span className="text-xs text-zinc-500">Days end at midnight in {zone}</span>
+              <Legend />
+            </div>
+          </Section>
+
+          <Section title="Topic coverage" right={<span className="text-xs text-zinc-500">last {TOPIC_WEEKS} weeks</span>}>
+            <TopicCoverage grid={topics} weeks={TOPIC_WEEKS} />
+          </Section>
+
+          <div id="accounts"><LinkedAccounts timeFormat={timeFormat} onSynced={reload} /></div>
+
+          <Section title="Recent activity">
+            {loaded && !entries.length ? (
+              <div className="text-sm text-zinc-500">
+                Nothing yet. Mark a question solved in <Link href="/questions" className="underline">Question Lists</Link> or run an algorithm in the <Link href="/visualizer" className="underline">Visualizer</Link>.
+              </div>
+            ) : (
+              <ul className="divide-y divide-zinc-200/70 text-sm dark:divide-zinc-800/70">
+                {recent.map((e) => (
+                  <li key={`${e.at}-${e.kind}-${e.ref}`} className="flex flex-wrap items-center gap-x-3 gap-y-1 py-2">
+                    <span className={`w-20 text-xs font-medium ${KIND_STYLE[e.kind]}`}>{KIND_TEXT[e.kind]}</span>
+                    <span className="flex-1 truncate">{e.title || e.ref}</span>
+                    {e.tags?.length > 0 && <span className="text-xs text-zinc-500">{e.tags.join(', ')}</span>}
+                    <span className="text-xs tabular-nums text-zinc-500">{timeFormat.format(e.at)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </Section>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+// ------------------------------
+// Linked accounts
+// LeetCode / Codeforces handles to sync, kept in localStorage with the cursor
+// and profile stats of their last sync:
+//   [{ provider, handle, cursor, profile, syncedAt }]
+// A sync goes through /api/sync (../api/sync/route.js). New submissions are
+// merged into the question lists and the activity log.
+// ------------------------------
+
+import { applySync, loadStore, saveStore } from '../questions/store';
+import { logActivities } from './activity';
+
+export const ACCOUNTS_KEY = 'sync:v1';
+
+export function loadAccounts() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ACCOUNTS_KEY));
+    return Array.isArray(saved) ? saved.filter((a) => a && typeof a.provider === 'string' && typeof a.handle === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+export const saveAccounts = (accounts) => localStorage.setItem(ACCOUNTS_KEY, JSON.stringify(accounts));
+
+export const sameAccount = (a, b) => a.provider === b.provider && a.handle.toLowerCase() === b.handle.toLowerCase();
+
+// → [{ name, label }] the server can sync from
+export async function fetchProviders() {
+  const res = await fetch('/api/sync');
+  return res.ok ? (await res.json()).providers : [];
+}
+
+// account → { account (with the new cursor and profile), submissions, added, solved }
+// throws an Error with the server's message when the sync fails
+export async function syncAccount(account) {
+  const res = await fetch('/api/sync', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ provider: account.provider, handle: account.handle, cursor: account.cursor || null })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Sync failed (${res.status})`);
+  const { state, added, solved, activity } = applySync(loadStore(), data.submissions);
+  saveStore(state);
+  logActivities(activity);
+  return {
+    account: { ...account, handle: data.handle, cursor: data.cursor, profile: data.profile, syncedAt: Date.now() },
+    submissions: data.submissions.length,
+    added,
+    solved
+  };
+}
@@ -0,0 +1,168 @@
+// ------------------------------
+// Activity log
+// Every solved / attempted question (marked by hand or synced from a judge) and
+// every visualizer run, kept in localStorage as { at, kind, ref, title, tags }
+// with `at` in epoch ms.
+// Days are worked out when the log is read, in the time zone being viewed.
+// A day key is the calendar date there ('2025-03-09'), and day arithmetic runs
+// on keys in UTC. A streak therefore never gains or loses a day at a DST change
+// or when the viewer moves time zones.
+// ------------------------------
+
+import { CATEGORY_NAMES, categoryOf } from '../visualizer/catalog';
+
+export const ACTIVITY_KEY = 'activity:v1';
+export const KINDS = ['solved', 'attempted', 'visualized'];
+const MAX_ENTRIES = 20000;
+// a repeat of the same entry within this window is one event (re-running a visualization)
+const REPEAT_MS = 60 * 1000;
+
+export function loadActivity() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ACTIVITY_KEY));
+    return Array.isArray(saved) ? saved.filter((e) => Number.isFinite(e?.at) && KINDS.includes(e.kind)) : [];
+  } catch {
+    return [];
+  }
+}
+
+const save = (log) => localStorage.setItem(ACTIVITY_KEY, JSON.stringify(log.sort((a, b) => a.at - b.at).slice(-MAX_ENTRIES)));
+
+// entry: { kind, ref, title, tags, at? }; returns false when folded into the previous one
+export function logActivity({ kind, ref, title = '', tags = [], at = Date.now() }) {
+  const log = loadActivity();
+  const last = log[log.length - 1];
+  if (last && last.kind === kind && last.ref === ref && Math.abs(at - last.at) < REPEAT_MS) return false;
+  save([...log, { at, kind, ref, title, tags }]);
+  return true;
+}
+
+// past entries in one go (synced submissions); an entry already logged at the same
+// moment is skipped, so syncing twice logs once. Returns how many were added.
+export function logActivities(entries) {
+  const log = loadActivity();
+  const seen = new Set(log.map((e) => `${e.kind}:${e.ref}:${e.at}`));
+  const fresh = entries.filter((e) => KINDS.includes(e.kind) && Number.isFinite(e.at) && !seen.has(`${e.kind}:${e.ref}:${e.at}`))
+    .map(({ at, kind, ref, title = '', tags = [] }) => ({ at, kind, ref, title, tags }));
+  if (fresh.length) save([...log, ...fresh]);
+  return fresh.length;
+}
+
+// a visualizer run, filed under the algorithm's category
+export const logVisualizerRun = (algo, title) => logActivity({ kind: 'visualized', ref: algo, title, tags: [categoryOf(algo)].filter(Boolean) });
+
+export const localTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// ------------------------------
+// Days
+// ------------------------------
+const dayFormats = new Map();
+
+// epoch ms → 'YYYY-MM-DD' in `timeZone`
+export function dayKey(ts, timeZone) {
+  if (!dayFormats.has(timeZone)) dayFormats.set(timeZone, new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }));
+  return dayFormats.get(timeZone).format(ts);
+}
+
+// 'YYYY-MM-DD' ± n days
+export function shiftDay(key, n) {
+  const d = new Date(`${key}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// 0 = Sunday
+export const weekday = (key) => new Date(`${key}T00:00:00Z`).getUTCDay();
+
+// entries → Map(day key → count)
+export function countByDay(entries, timeZone) {
+  const days = new Map();
+  for (const e of entries) {
+    const k = dayKey(e.at, timeZone);
+    days.set(k, (days.get(k) || 0) + 1);
+  }
+  return days;
+}
+
+// current: consecutive active days ending today, or ending yesterday while today is still open
+// longest: the longest run of consecutive active days ever
+export function streaks(entries, timeZone, now = Date.now()) {
+  const days = countByDay(entries, timeZone);
+  const today = dayKey(now, timeZone);
+  let day = days.has(today) ? today : shiftDay(today, -1);
+  let current = 0;
+  while (days.has(day)) { current++; day = shiftDay(day, -1); }
+  let longest = 0, run = 0, prev = null;
+  for (const k of [...days.keys()].sort()) {
+    run = prev && shiftDay(prev, 1) === k ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    prev = k;
+  }
+  return { current, longest, activeDays: days.size, today };
+}
+
+// GitHub-style grid: `weeks` columns of Sunday..Saturday ending with today's week;
+// days after today are null. → { weeks: [[{ key, count } | null] × 7], max }
+export function calendar(entries, timeZone, { weeks = 53, now = Date.now() } = {}) {
+  const days = countByDay(entries, timeZone);
+  const today = dayKey(now, timeZone);
+  const first = shiftDay(today, -weekday(today) - (weeks - 1) * 7);
+  let max = 0;
+  const grid = Array.from({ length: weeks }, (_, w) => Array.from({ length: 7 }, (_, d) => {
+    const key = shiftDay(first, w * 7 + d);
+    if (key > today) return null;
+    const count = days.get(key) || 0;
+    max = Math.max(max, count);
+    return { key, count };
+  }));
+  return { weeks: grid, max };
+}
+
+// ------------------------------
+// Topics
+// ------------------------------
+
+// lower-case words in question tags (LeetCode / Codeforces topics) → catalog category
+const TOPIC_WORDS = {
+  Graphs: ['graph', 'bfs', 'dfs', 'breadth-first', 'depth-first', 'shortest path', 'topological', 'union find', 'disjoint set', 'dsu', 'spanning tree', 'dijkstra'],
+  Grid: ['matrix', 'grid', 'maze'],
+  Trees: ['tree', 'binary search tree', 'bst', 'trie', 'segment tree', 'binary indexed'],
+  Arrays: ['array', 'sort', 'binary search', 'two pointers', 'sliding window', 'hash table', 'prefix sum', 'string'],
+  DP: ['dynamic programming', 'dp', 'memoization', 'knapsack'],
+  Backtracking: ['backtracking', 'recursion', 'brute force', 'bitmask'],
+  LinkedList: ['linked list']
+};
+
+// tag or category name → category name, or null
+export function topicOf(tag) {
+  const t = String(tag).trim().toLowerCase();
+  const exact = CATEGORY_NAMES.find((c) => c.toLowerCase() === t);
+  if (exact) return exact;
+  // longer words first: "binary search tree" is Trees, not Arrays' "binary search"
+  const hits = CATEGORY_NAMES.flatMap((c) => (TOPIC_WORDS[c] || []).filter((w) => t.includes(w)).map((w) => [c, w.length]));
+  return hits.sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+}
+
+// categories × the last `weeks` weeks → { rows: [{ topic, cells: [count, oldest week first], total }], start }
+// an entry counts once per category it touches; `total` covers the whole log
+export function topicGrid(entries, timeZone, { weeks = 12, now = Date.now() } = {}) {
+  const today = dayKey(now, timeZone);
+  const start = shiftDay(today, -weekday(today) - (weeks - 1) * 7);
+  const rows = new Map(CATEGORY_NAMES.map((c) => [c, { topic: c, cells: Array(weeks).fill(0), total: 0 }]));
+  for (const e of entries) {
+    const key = dayKey(e.at, timeZone);
+    const topics = new Set((e.tags || []).map(topicOf).filter(Boolean));
+    for (const t of topics) {
+      const row = rows.get(t);
+      row.total++;
+      if (key < start || key > today) continue;
+      const w = Math.floor((Date.parse(`${key}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / (7 * 86400000));
+      row.cells[w]++;
+    }
+  }
+  return { rows: [...rows.values()], start };
+}
+
+export function exportActivity(entries, timeZone) {
+  return JSON.stringify({ format: 'codequest-activity', version: 1, exportedAt: new Date().toISOString(), timeZone, entries }, null, 2);
+}
@@ -0,0 +1,8 @@
+import ProfilePage from './Profile';
+
+export const metadata = { title: 'Profile · CodeQuest' };
+
+// /profile – the activity log lives in the browser (localStorage)
+export default function ProfileRoute() {
+  return <ProfilePage />;
+}
@@ -0,0 +1,432 @@
+'use client';
+
+import React from 'react';
+import Link from 'next/link';
+import { Download, Eye, FileJson, ListChecks, Pencil, Plus, StickyNote, Trash2, Upload, X } from 'lucide-react';
+import { Button, Input, Label, Section, Select, Textarea } from '../visualizer/ui';
+import { download } from '../visualizer/exportRun';
+import { visualizerHref } from '../visualizer/urlState';
+import { logActivity } from '../profile/activity';
+import {
+  DIFFICULTIES, FIELDS, STATUSES, addSet, addToSet, applyImport, emptyStore, exportCsv, exportJson, guessMapping,
+  loadStore, previewImport, progress, readTable, removeFromSet, removePreset, removeQuestion, removeSet, renameSet,
+  saveStore, topicProgress, updateQuestion, withoutHeader
+} from './store';
+
+/**
+ * Question lists – page component for /questions
+ * Mounted by: apps/web/src/app/questions/page.jsx
+ *
+ * - Import CSV or JSON with a column-mapping step; duplicates of listed questions are skipped (./store.js)
+ * - Named sets ("Blind 75"), each with its own progress
+ * - Status todo / attempted / solved / revisit and notes per question
+ * - Visualizer presets per question (saved from the Visualizer); Visualize opens the algorithm with those inputs
+ * - Saved in localStorage; export the current view as CSV or JSON
+ * - Marking a question solved or attempted goes into the practice log behind /profile (../profile/activity.js)
+ */
+
+const STATUS_STYLE = {
+  todo: 'border-zinc-300/70 dark:border-zinc-700/70',
+  attempted: 'border-amber-500/70 bg-amber-100/40 dark:bg-amber-900/10',
+  solved: 'border-emerald-500/70 bg-emerald-100/40 dark:bg-emerald-900/10',
+  revisit: 'border-violet-500/70 bg-violet-100/40 dark:bg-violet-900/20'
+};
+
+const FIELD_LABELS = { title: 'Title', url: 'URL', difficulty: 'Difficulty', tags: 'Tags', platform: 'Platform', status: 'Status', notes: 'Notes', sets: 'Sets', presets: 'Presets (JSON)' };
+
+const ISSUE_TEXT = { 'no title': 'no title: skipped', duplicate: 'already in your list', repeat: 'repeated in this file' };
+
+// ------------------------------
+// Import: read file → map columns → preview → import
+// ------------------------------
+const ImportPanel = ({ db, sets, defaultSet, onDone, onClose }) => {
+  const [source, setSource] = React.useState(null); // { name, text }
+  const [paste, setPaste] = React.useState('');
+  const [header, setHeader] = React.useState(true);
+  const [mapping, setMapping] = React.useState(null);
+  const [into, setInto] = React.useState(defaultSet);
+
+  let table = null, error = '';
+  if (source) {
+    try {
+      table = readTable(source.text, source.name);
+      if (!header) table = withoutHeader(table);
+    } catch (e) {
+      error = `Could not read ${source.name}: ${e.message}`;
+    }
+  }
+
+  const load = (name, text) => {
+    setSource({ name, text });
+    setHeader(true);
+    try {
+      setMapping(guessMapping(readTable(text, name).headers));
+    } catch {
+      setMapping(null); // the error shows from the render
+    }
+  };
+
+  const pickFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) load(file.name, await file.text());
+  };
+
+  const toggleHeader = (on) => {
+    setHeader(on);
+    const t = readTable(source.text, source.name);
+    setMapping(on ? guessMapping(t.headers) : Object.fromEntries(FIELDS.map((f) => [f, -1])));
+  };
+
+  const preview = table && mapping ? previewImport(db, table.rows, mapping) : [];
+  const counts = { new: 0, duplicate: 0, repeat: 0, 'no title': 0 };
+  for (const p of preview) counts[p.issue || 'new']++;
+
+  return (
+    <Section title="Import questions" right={<Button onClick={onClose} aria-label="Close import"><X className="h-4 w-4"/></Button>}>
+      {!source ? (
+        <div className="space-y-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <label className="inline-flex cursor-pointer items-center gap-2 rounded-xl px-3 py-2 text-sm font-medium border border-zinc-300/60 dark:border-zinc-700/60 bg-white/70 dark:bg-zinc-900/70 hover:bg-zinc-50 dark:hover:bg-zinc-900 shadow-sm">
+              <Upload className="h-4 w-4"/>Choose CSV or JSON
+              <input type="file" accept=".csv,.tsv,.txt,.json,text/csv,application/json" className="hidden" onChange={pickFile} />
+            </label>
+            <span className="text-xs text-zinc-500">Columns such as title, URL, difficulty, tags and platform; an export of this page also loads back.</span>
+          </div>
+          <div>
+            <Label>…or paste CSV / JSON</Label>
+            <Textarea value={paste} onChange={(e)=>setPaste(e.target.value)} placeholder={'title,url,difficulty,tags\nTwo Sum,https://leetcode.com/problems/two-sum/,Easy,Array; Hash Table'} />
+          </div>
+          <Button onClick={() => load('pasted text', paste)} disabled={!paste.trim()} className="disabled:opacity-50">Read pasted text</Button>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div className="flex flex-wrap items-center gap-3 text-sm">
+            <span className="font-medium">{source.name}</span>
+            <span className="text-xs text-zinc-500">{table ? `${table.rows.length} rows · ${table.headers.length} columns` : ''}</span>
+            <label className="flex items-center gap-2 text-xs text-zinc-600 dark:text-zinc-300">
+              <input type="checkbox" checked={header} onChange={(e)=>toggleHeader(e.target.checked)} />First row is a header
+            </label>
+            <Button onClick={() => { setSource(null); setMapping(null); }} className="ml-auto">Choose another file</Button>
+          </div>
+
+          {table && mapping && (
+            <>
+              <div className="grid gap-3 sm:grid-cols-4">
+                {FIELDS.map((f) => (
+                  <div key={f}>
+                    <Label>{FIELD_LABELS[f]}{f === 'title' ? ' (or from URL)' : ''}</Label>
+                    <Select value={mapping[f]} onChange={(e)=>setMapping({ ...mapping, [f]: Number(e.target.value) })}>
+                      <option value={-1}>— none —</option>
+                      {table.headers.map((h, i) => <option key={i} value={i}>{h || `Column ${i + 1}`}</option>)}
+                    </Select>
+                  </div>
+                ))}
+              </div>
+
+              <div className="overflow-x-auto rounded-xl border border-zinc-200/70 dark:border-zinc-800/70">
+                <table className="w-full text-left text-xs">
+                  <thead className="text-zinc-500">
+                    <tr><th className="p-2 font-normal">Row</th><th className="p-2 font-normal">Title</th><th className="p-2 font-normal">Platform</th><th className="p-2 font-normal">Difficulty</th><th className="p-2 font-normal">Tags</th><th className="p-2 font-normal">Status</th><th className="p-2 font-normal"></th></tr>
+                  </thead>
+                  <tbody>
+                    {preview.slice(0, 8).map((p) => (
+                      <tr key={p.line} className={`border-t border-zinc-200/70 dark:border-zinc-800/70 ${p.issue ? 'text-zinc-400' : ''}`}>
+                        <td className="p-2 font-mono">{p.line}</td>
+                        <td className="p-2">{p.question.title || '—'}</td>
+                        <td className="p-2">{p.question.platform}</td>
+                        <td className="p-2">{p.question.difficulty}</td>
+                        <td className="p-2">{p.question.tags.join(', ')}</td>
+                        <td className="p-2">{p.question.status}</td>
+                        <td className="p-2 text-amber-600 dark:text-amber-400">{ISSUE_TEXT[p.issue] || ''}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {preview.length > 8 && <div className="border-t border-zinc-200/70 dark:border-zinc-800/70 p-2 text-xs text-zinc-500">…and {preview.length - 8} more rows</div>}
+              </div>
+
+              <div className="grid gap-3 sm:grid-cols-[1fr_auto] items-end">
+                <div>
+                  <Label>Add every imported question to set (existing name or a new one)</Label>
+                  <Input value={into} onChange={(e)=>setInto(e.target.value)} list="question-sets" placeholder="e.g. Blind 75 (optional)" />
+                  <datalist id="question-sets">{sets.map((s) => <option key={s.id} value={s.name} />)}</datalist>
+                </div>
+                <Button
+                  onClick={() => onDone(applyImport(db, preview, { into }))}
+                  disabled={mapping.title < 0 && mapping.url < 0}
+                  className="bg-emerald-600/90 text-white border-emerald-700 hover:bg-emerald-600 disabled:cursor-not-allowed disabled:opacity-50"
+                >
+                  <Upload className="h-4 w-4"/>Import {counts.new} new
+                </Button>
+              </div>
+              <div className="text-xs text-zinc-500">
+                {counts.new} new · {counts.duplicate} already in your list · {counts.repeat} repeated in this file · {counts['no title']} without a title.
+                {' '}Duplicates are not added again; with a set name they still join that set.
+              </div>
+            </>
+          )}
+        </div>
+      )}
+      {error && <div className="mt-3 text-xs text-rose-600 dark:text-rose-400">{error}</div>}
+    </Section>
+  );
+};
+
+// ------------------------------
+// One question
+// ------------------------------
+// every input of the preset goes in the link, so it opens exactly as saved
+const presetHref = (p) => visualizerHref(p.algo, { inputs: p.inputs, step: null, speed: null }, {});
+
+const QuestionRow = ({ q, sets, activeSet, onChange, onAddToSet, onRemove, onRemovePreset }) => {
+  const [open, setOpen] = React.useState(false);
+  const outside = sets.filter((s) => !s.ids.includes(q.id));
+  return (
+    <li className="rounded-xl border border-zinc-200/70 dark:border-zinc-800/70 bg-white/60 dark:bg-zinc-900/60 p-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <select
+          value={q.status}
+          onChange={(e)=>onChange({ status: e.target.value })}
+          aria-label="Status"
+          className={`rounded-lg border px-2 py-1 text-xs outline-none ${STATUS_STYLE[q.status] || STATUS_STYLE.todo} bg-white/70 dark:bg-zinc-900/70`}
+        >
+          {STATUSES.map((s) => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <div className="min-w-0 flex-1">
+          {q.url
+            ? <a href={q.url} target="_blank" rel="noreferrer" className="font-medium hover:underline">{q.title}</a>
+            : <span className="font-medium">{q.title}</span>}
+          <div className="mt-0.5 flex flex-wrap gap-1 text-[11px] text-zinc-500">
+            {q.platform && <span>{q.platform}</span>}
+            {q.difficulty && <span className={q.difficulty === 'Easy' ? 'text-emerald-600' : q.difficulty === 'Medium' ? 'text-amber-600' : q.difficulty === 'Hard' ? 'text-rose-600' : ''}>· {q.difficulty}</span>}
+            {q.tags.map((t) => <span key={t} className="rounded border border-zinc-300/70 dark:border-zinc-700/70 px-1">{t}</span>)}
+          </div>
+        </div>
+        <Button onClick={() => setOpen(!open)} className={q.notes ? 'border-emerald-600/60' : ''} aria-label="Notes"><StickyNote className="h-4 w-4"/></Button>
+        {outside.length > 0 && (
+          <div className="w-36">
+            <Select value="" onChange={(e)=>onAddToSet(e.target.value)} aria-label="Add to set">
+              <option value="">Add to set…</option>
+              {outside.map((s) => <option key={s.id} value={s.id}>{s.name}</option>)}
+            </Select>
+          </div>
+        )}
+        <Button onClick={onRemove} aria-label={activeSet ? 'Remove from set' : 'Delete question'} title={activeSet ? `Remove from ${activeSet.name}` : 'Delete question'}>
+          {activeSet ? <X className="h-4 w-4"/> : <Trash2 className="h-4 w-4"/>}
+        </Button>
+      </div>
+      {q.presets?.length > 0 && (
+        <div className="mt-2 flex flex-wrap gap-2">
+          {q.presets.map((p) => (
+            <span key={p.id} className="inline-flex items-center overflow-hidden rounded-lg border border-zinc-300/70 dark:border-zinc-700/70 text-xs">
+              <Link href={presetHref(p)} className="inline-flex items-center gap-1 px-2 py-1 hover:bg-emerald-50/60 dark:hover:bg-emerald-900/20">
+                <Eye className="h-3.5 w-3.5"/>Visualize: {p.label || p.algo}
+              </Link>
+              <button onClick={() => onRemovePreset(p.id)} aria-label={`Remove preset ${p.label || p.algo}`} className="border-l border-zinc-300/70 dark:border-zinc-700/70 px-1.5 py-1 text-zinc-500 hover:text-rose-600">
+                <X className="h-3 w-3"/>
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      {open && (
+        <div className="mt-3">
+          <Textarea value={q.notes} onChange={(e)=>onChange({ notes: e.target.value })} placeholder="Approach, pitfalls, complexity…" />
+        </div>
+      )}
+    </li>
+  );
+};
+
+// ------------------------------
+// Page
+// ------------------------------
+export default function QuestionsPage() {
+  const [db, setDb] = React.useState(emptyStore);
+  const [loaded, setLoaded] = React.useState(false);
+  const [setId, setSetId] = React.useState(''); // '' = all questions
+  const [importing, setImporting] = React.useState(false);
+  const [notice, setNotice] = React.useState('');
+  const [newSet, setNewSet] = React.useState('');
+  const [renaming, setRenaming] = React.useState(null); // { id, name }
+  const [query, setQuery] = React.useState('');
+  const [status, setStatus] = React.useState('');
+  const [difficulty, setDifficulty] = React.useState('');
+  const [tag, setTag] = React.useState('');
+
+  // localStorage is read after mount so the server render matches the first client render
+  React.useEffect(() => { setDb(loadStore()); setLoaded(true); }, []);
+  React.useEffect(() => { if (loaded) saveStore(db); }, [db, loaded]);
+
+  const activeSet = db.sets.find((s) => s.id === setId) || null;
+  const inView = activeSet ? activeSet.ids.map((id) => db.questions.find((q) => q.id === id)).filter(Boolean) : db.questions;
+  const q = query.trim().toLowerCase();
+  const shown = inView.filter((x) =>
+    (!status || x.status === status) && (!difficulty || x.difficulty === difficulty) && (!tag || x.tags.includes(tag)) &&
+    (!q || x.title.toLowerCase().includes(q) || x.notes.toLowerCase().includes(q)));
+  const stats = progress(inView);
+  const topics = topicProgress(inView);
+  const difficulties = [...new Set([...DIFFICULTIES.filter((d) => inView.some((x) => x.difficulty === d)), ...inView.map((x) => x.difficulty).filter(Boolean)])];
+  const fileName = (activeSet?.name || 'questions').replace(/[^\w-]+/g, '-').toLowerCase();
+
+  const createSet = () => {
+    const next = addSet(db, newSet);
+    if (next === db) return setNotice(!newSet.trim() ? '' : newSet.includes(';') ? 'Set names cannot contain ";"' : `A set named "${newSet.trim()}" already exists`);
+    setDb(next);
+    setSetId(next.sets[next.sets.length - 1].id);
+    setNewSet('');
+    setNotice('');
+  };
+
+  const saveRename = () => {
+    const next = renameSet(db, renaming.id, renaming.name);
+    if (next === db && renaming.name.trim() !== activeSet?.name) return setNotice(`Cannot rename to "${renaming.name.trim()}"`);
+    setDb(next);
+    setRenaming(null);
+    setNotice('');
+  };
+
+  const deleteSet = (s) => {
+    if (!window.confirm(`Delete the set "${s.name}"? Its questions stay in your list.`)) return;
+    setDb(removeSet(db, s.id));
+    if (setId === s.id) setSetId('');
+  };
+
+  const finishImport = ({ state, added }) => {
+    setDb(state);
+    setImporting(false);
+    setNotice(`Imported ${added} new question${added === 1 ? '' : 's'}`);
+  };
+
+  const ids = activeSet ? activeSet.ids : null;
+  return (
+    <div className="min-h-dvh bg-zinc-50 text-zinc-900 dark:bg-zinc-950 dark:text-zinc-50">
+      <div className="mx-auto w-full max-w-7xl px-4 py-6 sm:px-6 lg:px-8">
+        <header className="mb-4 flex flex-wrap items-center justify-between gap-3">
+          <h1 className="text-2xl font-semibold tracking-tight">Question Lists</h1>
+          <div className="flex flex-wrap items-center gap-2">
+            <Button onClick={() => setImporting(true)}><Upload className="h-4 w-4"/>Import</Button>
+            <Button onClick={() => download(new Blob([exportCsv(db, ids)], { type: 'text/csv' }), `${fileName}.csv`)} disabled={!inView.length} className="disabled:opacity-50"><Download className="h-4 w-4"/>CSV</Button>
+            <Button onClick={() => download(new Blob([exportJson(db, ids)], { type: 'application/json' }), `${fileName}.json`)} disabled={!inView.length} className="disabled:opacity-50"><FileJson className="h-4 w-4"/>JSON</Button>
+          </div>
+        </header>
+
+        <div className="grid gap-6 lg:grid-cols-[260px_1fr]">
+          {/* Sets */}
+          <Section title="Sets">
+            <div className="grid gap-2">
+              <Button className={!activeSet ? 'border-emerald-600/60 bg-emerald-50/60 dark:bg-emerald-900/20' : ''} onClick={() => setSetId('')}>
+                <ListChecks className="h-4 w-4"/><span className="flex-1 text-left">All questions</span><span className="text-xs text-zinc-500">{db.questions.length}</span>
+              </Button>
+              {db.sets.map((s) => {
+                const p = progress(s.ids.map((id) => db.questions.find((x) => x.id === id)).filter(Boolean));
+                return (
+                  <Button key={s.id} className={setId === s.id ? 'border-emerald-600/60 bg-emerald-50/60 dark:bg-emerald-900/20' : ''} onClick={() => setSetId(s.id)}>
+                    <span className="flex-1 truncate text-left">{s.name}</span><span className="text-xs text-zinc-500">{p.solved}/{p.total}</span>
+                  </Button>
+                );
+              })}
+              <div className="mt-2 flex gap-2">
+                <Input value={newSet} onChange={(e)=>setNewSet(e.target.value)} onKeyDown={(e)=>{ if (e.key === 'Enter') createSet(); }} placeholder="New set, e.g. Blind 75" />
+                <Button onClick={createSet} aria-label="Create set"><Plus className="h-4 w-4"/></Button>
+              </div>
+            </div>
+          </Section>
+
+          <div className="space-y-4">
+            {importing && <ImportPanel db={db} sets={db.sets} defaultSet={activeSet?.name || ''} onDone={finishImport} onClose={() => setImporting(false)} />}
+            {notice && <div className="text-xs text-zinc-600 dark:text-zinc-300">{notice}</div>}
+
+            <Section
+              title={activeSet ? activeSet.name : 'All questions'}
+              right={activeSet && (
+                <div className="flex items-center gap-2">
+                  {renaming?.id === activeSet.id ? (
+                    <>
+                      <Input value={renaming.name} onChange={(e)=>setRenaming({ ...renaming, name: e.target.value })} onKeyDown={(e)=>{ if (e.key === 'Enter') saveRename(); }} />
+                      <Button onClick={saveRename}>Save</Button>
+                    </>
+                  ) : (
+                    <Button onClick={() => setRenaming({ id: activeSet.id, name: activeSet.name })}><Pencil className="h-4 w-4"/>Rename</Button>
+                  )}
+                  <Button onClick={() => deleteSet(activeSet)}><Trash2 className="h-4 w-4"/>Delete set</Button>
+                </div>
+              )}
+            >
+              {/* progress */}
+              <div className="mb-3">
+                <div className="flex h-2 overflow-hidden rounded-full bg-zinc-200/70 dark:bg-zinc-800/70">
+                  {stats.total > 0 && ['solved', 'attempted', 'revisit'].map((s) => (
+                    <div key={s} style={{ width: `${(stats[s] / stats.total) * 100}%` }} className={s === 'solved' ? 'bg-emerald-500' : s === 'attempted' ? 'bg-amber-500' : 'bg-violet-500'} />
+                  ))}
+                </div>
+                <div className="mt-1 flex flex-wrap gap-3 text-xs text-zinc-500">
+                  {STATUSES.map((s) => <span key={s}>{s} <span className="font-mono font-semibold text-zinc-700 dark:text-zinc-200">{stats[s]}</span></span>)}
+                  <span>of <span className="font-mono font-semibold text-zinc-700 dark:text-zinc-200">{stats.total}</span></span>
+                </div>
+              </div>
+              {topics.length > 0 && (
+                <div className="mb-4 flex flex-wrap gap-1">
+                  {topics.slice(0, 16).map((t) => (
+                    <button
+                      key={t.tag}
+                      onClick={() => setTag(tag === t.tag ? '' : t.tag)}
+                      className={`rounded-md border px-2 py-1 text-xs ${tag === t.tag ? 'border-emerald-600/60 bg-emerald-50/60 dark:bg-emerald-900/20' : 'border-zinc-300/70 dark:border-zinc-700/70'}`}
+                    >
+                      {t.tag} <span className="font-mono text-zinc-500">{t.solved}/{t.total}</span>
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {/* filters */}
+              <div className="mb-3 grid gap-3 sm:grid-cols-4">
+                <div className="sm:col-span-2">
+                  <Input value={query} onChange={(e)=>setQuery(e.target.value)} placeholder="Search titles and notes" />
+                </div>
+                <Select value={status} onChange={(e)=>setStatus(e.target.value)} aria-label="Filter by status">
+                  <option value="">Any status</option>
+                  {STATUSES.map((s) => <option key={s} value={s}>{s}</option>)}
+                </Select>
+                <Select value={difficulty} onChange={(e)=>setDifficulty(e.target.value)} aria-label="Filter by difficulty">
+                  <option value="">Any difficulty</option>
+                  {difficulties.map((d) => <option key={d} value={d}>{d}</option>)}
+                </Select>
+              </div>
+
+              {!loaded ? null : shown.length ? (
+                <ul className="space-y-2">
+                  {shown.map((x) => (
+                    <QuestionRow
+                      key={x.id}
+                      q={x}
+                      sets={db.sets}
+                      activeSet={activeSet}
+                      onChange={(patch) => {
+                        if (patch.status && patch.status !== x.status && (patch.status === 'solved' || patch.status === 'attempted')) {
+                          logActivity({ kind: patch.status, ref: x.id, title: x.title, tags: x.tags });
+                        }
+                        setDb((d) => updateQuestion(d, x.id, patch));
+                      }}
+                      onAddToSet={(sid) => setDb((d) => addToSet(d, sid, x.id))}
+                      onRemovePreset={(pid) => setDb((d) => removePreset(d, x.id, pid))}
+                      onRemove={() => {
+                        if (activeSet) return setDb((d) => removeFromSet(d, activeSet.id, x.id));
+                        if (window.confirm(`Delete "${x.title}" and its notes?`)) setDb((d) => removeQuestion(d, x.id));
+                      }}
+                    />
+                  ))}
+                </ul>
+              ) : (
+                <div className="text-sm text-zinc-500">
+                  {inView.length ? 'No question matches the filters.' : activeSet ? 'This set is empty: add questions from All questions, or import a file into it.' : 'No questions yet: import a CSV or JSON file to start.'}
+                </div>
+              )}
+            </Section>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+// ------------------------------
+// CSV
+// RFC 4180 reading and writing: fields holding the delimiter, quotes or line
+// breaks are wrapped in double quotes, with "" for a literal quote. Reads CRLF or
+// LF, drops a leading BOM and guesses the delimiter (comma, semicolon or tab)
+// from the first line, so spreadsheet exports in any locale load.
+// ------------------------------
+
+const DELIMITERS = [',', ';', '\t'];
+
+// the delimiter seen most often outside quotes on the first line
+function guessDelimiter(text) {
+  const counts = new Map(DELIMITERS.map((d) => [d, 0]));
+  let quoted = false;
+  for (const ch of text) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && (ch === '\n' || ch === '\r')) break;
+    else if (!quoted && counts.has(ch)) counts.set(ch, counts.get(ch) + 1);
+  }
+  return [...counts].reduce((best, cur) => (cur[1] > best[1] ? cur : best))[0];
+}
+
+// text → rows of string fields; blank lines are skipped
+export function parseCsv(text, delimiter = guessDelimiter(text)) {
+  const s = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  const endField = () => { row.push(field); field = ''; };
+  const endRow = () => {
+    endField();
+    if (row.some((f) => f.trim())) rows.push(row);
+    row = [];
+  };
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch !== '"') field += ch;
+      else if (s[i + 1] === '"') { field += '"'; i++; }
+      else quoted = false;
+    } else if (ch === '"' && !field) quoted = true;
+    else if (ch === delimiter) endField();
+    else if (ch === '\n') endRow();
+    else if (ch !== '\r') field += ch;
+  }
+  if (field || row.length) endRow();
+  return rows;
+}
+
+const quote = (v) => {
+  const s = v == null ? '' : String(v);
+  return /[",;\t\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// rows → CSV text with CRLF line ends (what spreadsheets expect)
+export function toCsv(rows) {
+  return rows.map((r) => r.map(quote).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,8 @@
+import QuestionsPage from './Questions';
+
+export const metadata = { title: 'Question Lists · CodeQuest' };
+
+// /questions – lists, sets and progress live in the browser (localStorage)
+export default function QuestionsRoute() {
+  return <QuestionsPage />;
+}
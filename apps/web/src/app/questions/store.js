@@ -0,0 +1,405 @@
+// ------------------------------
+// Question lists
+// Questions, named sets and per-question progress, kept in localStorage.
+// The state is a plain object that is replaced, never mutated, on every change:
+//   { questions: [{ id, title, url, difficulty, tags, platform, status, notes, presets, updatedAt }],
+//     sets: [{ id, name, ids }] }   (ids: question ids in list order)
+// A preset { id, algo, label, inputs } opens the visualizer on `algo` with
+// `inputs` (visualizer input field → text, the fields of ../visualizer/urlState.js).
+// Imports go through a column mapping. A row that matches a question already in
+// the list (same link, or same title where platform and link don't differ) is not
+// added again; it only joins the sets being imported.
+// Submissions synced from LeetCode / Codeforces (../api/sync) are matched the
+// same way and move their question's status forward.
+// ------------------------------
+
+import { parseCsv, toCsv } from './csv';
+
+export const STORE_KEY = 'questions:v1';
+export const STATUSES = ['todo', 'attempted', 'solved', 'revisit'];
+export const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+// importable fields, in column-mapping order; `sets` holds set names, `presets` JSON
+export const FIELDS = ['title', 'url', 'difficulty', 'tags', 'platform', 'status', 'notes', 'sets', 'presets'];
+
+// lower-case column names recognised for each field
+const ALIASES = {
+  title: ['title', 'name', 'problem', 'question', 'problem name'],
+  url: ['url', 'link', 'href', 'problem link', 'problem url'],
+  difficulty: ['difficulty', 'level', 'diff', 'rating'],
+  tags: ['tags', 'tag', 'topics', 'topic', 'category', 'categories'],
+  platform: ['platform', 'site', 'source', 'judge', 'oj'],
+  status: ['status', 'state', 'progress', 'done', 'solved'],
+  notes: ['notes', 'note', 'comments', 'comment', 'remarks'],
+  sets: ['sets', 'set', 'lists', 'list', 'sheet'],
+  presets: ['presets', 'preset', 'visualizer']
+};
+
+const STATUS_WORDS = {
+  todo: 'todo', 'to do': 'todo', attempted: 'attempted', tried: 'attempted', 'in progress': 'attempted',
+  solved: 'solved', done: 'solved', accepted: 'solved', ac: 'solved', yes: 'solved', revisit: 'revisit', review: 'revisit'
+};
+
+const PLATFORMS = [
+  [/(^|\.)leetcode\.(com|cn)$/, 'LeetCode'], [/(^|\.)codeforces\.com$/, 'Codeforces'], [/(^|\.)hackerrank\.com$/, 'HackerRank'],
+  [/(^|\.)geeksforgeeks\.org$/, 'GeeksforGeeks'], [/(^|\.)atcoder\.jp$/, 'AtCoder'], [/(^|\.)codechef\.com$/, 'CodeChef']
+];
+
+export const emptyStore = () => ({ questions: [], sets: [] });
+
+export function loadStore() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORE_KEY));
+    return saved && Array.isArray(saved.questions) ? { ...emptyStore(), ...saved } : emptyStore();
+  } catch {
+    return emptyStore();
+  }
+}
+
+export function saveStore(state) {
+  localStorage.setItem(STORE_KEY, JSON.stringify(state));
+}
+
+let seq = 0;
+const newId = (prefix) => `${prefix}${Date.now().toString(36)}${(seq++).toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// ------------------------------
+// Normalising imported text
+// ------------------------------
+export function normalizeDifficulty(text) {
+  const s = String(text || '').trim();
+  // Codeforces ratings such as "1600" are kept as they are
+  return DIFFICULTIES.find((d) => d.toLowerCase() === s.toLowerCase()) || s;
+}
+
+export const normalizeStatus = (text) => STATUS_WORDS[String(text || '').trim().toLowerCase()] || 'todo';
+
+// "Array; Hash Table" / "dp|graphs" / "a, b" / ['a', 'b'] → unique trimmed list
+// Our exports separate with "; ", and ";" is kept out of set names, so a cell
+// with a ";" splits on it alone: "Graphs, Trees; DP" → ['Graphs, Trees', 'DP'].
+export function splitList(value) {
+  const parts = Array.isArray(value) ? value.map(String)
+    : String(value || '').split(String(value || '').includes(';') ? ';' : /[|,]/);
+  return [...new Set(parts.map((t) => t.trim()).filter(Boolean))];
+}
+
+// the inverse for a CSV cell; a lone "A, B" gets a trailing ";" so it is not split on the comma
+export const joinList = (list) => list.join('; ') + (list.length === 1 && /[,|]/.test(list[0]) ? ';' : '');
+
+function hostOf(url) {
+  try {
+    return new URL(/^[a-z]+:\/\//i.test(url) ? url : `https://${url}`).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+export function platformOf(url) {
+  const host = hostOf(url);
+  return host ? PLATFORMS.find(([re]) => re.test(host))?.[1] || '' : '';
+}
+
+// ".../problems/two-sum/description" → "Two Sum"
+function titleFromUrl(url) {
+  const m = /\/problems?\/(?:\d+\/)?([a-z0-9-]+[a-z][a-z0-9-]*)/i.exec(String(url));
+  return m ? m[1].split('-').filter(Boolean).map((w) => w[0].toUpperCase() + w.slice(1)).join(' ') : '';
+}
+
+// link → host + path in lower case, without scheme, www, query, hash or trailing slash;
+// LeetCode problem tabs (/description, /solutions, …) collapse onto the problem, and a
+// Codeforces contest link onto its problemset link
+export function urlKey(url) {
+  return String(url || '').trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').replace(/[?#].*$/, '').replace(/\/+$/, '')
+    .replace(/^(leetcode\.(?:com|cn)\/problems\/[^/]+)\/.*$/, '$1')
+    .replace(/^codeforces\.com\/contest\/(\d+)\/problem\/(\w+)$/, 'codeforces.com/problemset/problem/$1/$2');
+}
+
+// JSON text → presets with an algorithm key and text inputs; anything else is dropped
+export function parsePresets(text) {
+  let list;
+  try {
+    list = JSON.parse(text);
+  } catch {
+    return [];
+  }
+  if (!Array.isArray(list)) return [];
+  return list.filter((p) => p && typeof p.algo === 'string' && p.algo && p.inputs && typeof p.inputs === 'object')
+    .map((p) => ({
+      id: newId('p'),
+      algo: p.algo,
+      label: typeof p.label === 'string' ? p.label : '',
+      inputs: Object.fromEntries(Object.entries(p.inputs).filter(([, v]) => typeof v === 'string'))
+    }));
+}
+
+const bare = ({ algo, label, inputs }) => ({ algo, label, inputs });
+const samePreset = (a, b) => a.algo === b.algo && JSON.stringify(a.inputs) === JSON.stringify(b.inputs);
+
+// "1. Two Sum" and "two-sum" read the same
+const titleKey = (title) => title.toLowerCase().replace(/^\d+\s*[.)]\s*/, '').replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Two entries are the same question when their links match, or when their titles
+// match and neither their platforms nor their links tell them apart.
+// index.find(q) → the id added under an entry that is the same question, or null
+function questionIndex() {
+  const byUrl = new Map(), byTitle = new Map();
+  return {
+    add(q, id) {
+      const url = urlKey(q.url), title = titleKey(q.title);
+      if (url && !byUrl.has(url)) byUrl.set(url, id);
+      if (!byTitle.has(title)) byTitle.set(title, []);
+      byTitle.get(title).push({ url, platform: (q.platform || '').toLowerCase(), id });
+    },
+    find(q) {
+      const url = urlKey(q.url), platform = (q.platform || '').toLowerCase();
+      if (url && byUrl.has(url)) return byUrl.get(url);
+      const same = (e) => (!e.platform || !platform || e.platform === platform) && !(e.url && url);
+      return (byTitle.get(titleKey(q.title)) || []).find(same)?.id ?? null;
+    }
+  };
+}
+
+// ------------------------------
+// Import
+// ------------------------------
+
+// file text → { headers, rows } of strings. JSON is an export of this page or any
+// array of objects (keys become the columns); anything else is read as CSV.
+export function readTable(text, name = '') {
+  const s = String(text).trim();
+  if (/\.json$/i.test(name) || /^[[{]/.test(s)) {
+    const data = JSON.parse(s);
+    const list = Array.isArray(data) ? data : data?.questions;
+    if (!Array.isArray(list)) throw new Error('Expected an array of questions, or an export of this page');
+    const headers = [...new Set(list.flatMap((o) => (o && typeof o === 'object' ? Object.keys(o) : [])))];
+    // lists of text (tags, sets) stay arrays for splitList; presets stay JSON
+    const cell = (v) => (Array.isArray(v) && v.every((x) => typeof x !== 'object') ? v
+      : v && typeof v === 'object' ? JSON.stringify(v) : v == null ? '' : String(v));
+    return { headers, rows: list.map((o) => headers.map((h) => cell(o?.[h]))) };
+  }
+  const [headers = [], ...rows] = parseCsv(s);
+  return { headers, rows };
+}
+
+// the first row is data too: columns become "Column 1", "Column 2", …
+export function withoutHeader({ headers, rows }) {
+  const width = Math.max(headers.length, ...rows.map((r) => r.length));
+  return { headers: Array.from({ length: width }, (_, i) => `Column ${i + 1}`), rows: [headers, ...rows] };
+}
+
+// headers → { field: column index, or -1 when no column matches }
+export function guessMapping(headers) {
+  const names = headers.map((h) => String(h).trim().toLowerCase());
+  const used = new Set();
+  return Object.fromEntries(FIELDS.map((f) => {
+    const col = names.findIndex((h, i) => !used.has(i) && ALIASES[f].includes(h));
+    if (col >= 0) used.add(col);
+    return [f, col];
+  }));
+}
+
+// rows + mapping → one entry per row: { line, question, sets, issue, existing, earlier }
+// issue: 'no title' | 'duplicate' (already in the list as `existing`) | 'repeat' (same as row `earlier`) | null
+export function previewImport(state, rows, mapping) {
+  const known = questionIndex(), seen = questionIndex();
+  for (const q of state.questions) known.add(q, q.id);
+  return rows.map((r, k) => {
+    const raw = (f) => (mapping[f] >= 0 ? r[mapping[f]] ?? '' : '');
+    const get = (f) => String(raw(f)).trim();
+    const url = get('url');
+    const question = {
+      title: get('title') || titleFromUrl(url),
+      url,
+      difficulty: normalizeDifficulty(get('difficulty')),
+      tags: splitList(raw('tags')),
+      platform: get('platform') || platformOf(url),
+      status: normalizeStatus(get('status')),
+      notes: get('notes'),
+      presets: get('presets') ? parsePresets(get('presets')) : []
+    };
+    const entry = { line: k + 1, question, sets: splitList(raw('sets')), issue: null, existing: null, earlier: null };
+    if (!question.title) return { ...entry, issue: 'no title' };
+    entry.existing = known.find(question);
+    entry.earlier = seen.find(question);
+    seen.add(question, k);
+    return { ...entry, issue: entry.existing ? 'duplicate' : entry.earlier != null ? 'repeat' : null };
+  });
+}
+
+// preview → { state, added }; every imported row (new or not) joins `into` and its own
+// sets, and brings along presets its question does not have yet
+export function applyImport(state, preview, { into = '' } = {}) {
+  const now = Date.now();
+  const questions = state.questions.slice();
+  const mergePresets = (id, presets) => {
+    const k = questions.findIndex((q) => q.id === id);
+    const fresh = presets.filter((p) => !(questions[k].presets || []).some((o) => samePreset(o, p)));
+    if (fresh.length) questions[k] = { ...questions[k], presets: [...(questions[k].presets || []), ...fresh], updatedAt: now };
+  };
+  const sets = state.sets.map((s) => ({ ...s, ids: s.ids.slice() }));
+  const join = (name, id) => {
+    let set = sets.find((s) => s.name.toLowerCase() === name.toLowerCase());
+    if (!set) sets.push(set = { id: newId('s'), name, ids: [] });
+    if (!set.ids.includes(id)) set.ids.push(id);
+  };
+  const idAt = [];
+  let added = 0;
+  preview.forEach((p, k) => {
+    if (p.issue === 'no title') return;
+    let id = p.existing || (p.issue === 'repeat' ? idAt[p.earlier] : null);
+    if (!id) {
+      id = newId('q');
+      questions.push({ id, ...p.question, updatedAt: now });
+      added++;
+    } else {
+      mergePresets(id, p.question.presets);
+    }
+    idAt[k] = id;
+    for (const name of into.trim() ? [into.trim(), ...p.sets] : p.sets) join(name, id);
+  });
+  return { state: { ...state, questions, sets }, added };
+}
+
+// ------------------------------
+// Sync
+// ------------------------------
+
+// synced submissions, any order → { state, added, solved, activity }
+// A submission's problem is looked up like an import row and added when missing.
+// Accepted moves a todo or attempted question to solved; anything else moves a
+// todo question to attempted. Solved and revisit are left as they are.
+// activity: one practice-log entry per submission (../profile/activity.js)
+export function applySync(state, submissions) {
+  const now = Date.now();
+  const questions = state.questions.slice();
+  const index = questionIndex();
+  for (const q of questions) index.add(q, q.id);
+  const activity = [];
+  let added = 0, solved = 0;
+  for (const s of [...submissions].sort((a, b) => a.at - b.at)) {
+    if (s.verdict === 'pending') continue;
+    const found = { title: s.title, url: s.url, platform: s.platform };
+    let id = index.find(found);
+    if (!id) {
+      id = newId('q');
+      questions.push({ id, ...found, difficulty: normalizeDifficulty(s.difficulty), tags: s.tags || [], status: 'todo', notes: '', presets: [], updatedAt: now });
+      index.add(found, id);
+      added++;
+    }
+    const k = questions.findIndex((q) => q.id === id);
+    const q = questions[k];
+    const status = s.verdict === 'accepted' ? (q.status === 'todo' || q.status === 'attempted' ? 'solved' : q.status)
+      : q.status === 'todo' ? 'attempted' : q.status;
+    // a question typed in by hand picks up the judge's difficulty and tags
+    const fill = { difficulty: q.difficulty || normalizeDifficulty(s.difficulty), tags: q.tags?.length ? q.tags : s.tags || [] };
+    if (status === 'solved' && q.status !== 'solved') solved++;
+    questions[k] = { ...q, ...fill, status, updatedAt: now };
+    activity.push({ kind: s.verdict === 'accepted' ? 'solved' : 'attempted', ref: id, title: q.title, tags: questions[k].tags, at: s.at });
+  }
+  return { state: { ...state, questions }, added, solved, activity };
+}
+
+// ------------------------------
+// Export: same columns as the import fields, so a file loads back as it was
+// ------------------------------
+function exportList(state, ids) {
+  const list = ids ? ids.map((id) => state.questions.find((q) => q.id === id)).filter(Boolean) : state.questions;
+  return list.map((q) => ({ ...q, sets: state.sets.filter((s) => s.ids.includes(q.id)).map((s) => s.name) }));
+}
+
+// ids: the questions to export, in order (default: all)
+export function exportCsv(state, ids = null) {
+  const cell = (f, v) => (f === 'presets' ? (v?.length ? JSON.stringify(v.map(bare)) : '') : Array.isArray(v) ? joinList(v) : v);
+  const rows = exportList(state, ids).map((q) => FIELDS.map((f) => cell(f, q[f])));
+  return toCsv([FIELDS, ...rows]);
+}
+
+export function exportJson(state, ids = null) {
+  const questions = exportList(state, ids).map((q) => Object.fromEntries(FIELDS.map((f) => [f,
+    f === 'presets' ? (q.presets || []).map(bare) : q[f]])));
+  return JSON.stringify({ format: 'codequest-questions', version: 1, exportedAt: new Date().toISOString(), questions }, null, 2);
+}
+
+// ------------------------------
+// Edits
+// ------------------------------
+export const updateQuestion = (state, id, patch) => ({
+  ...state,
+  questions: state.questions.map((q) => (q.id === id ? { ...q, ...patch, updatedAt: Date.now() } : q))
+});
+
+// a question typed in by hand (e.g. while saving a preset) → { state, id }
+export function addQuestion(state, { title, url = '' }) {
+  const id = newId('q');
+  const question = { id, title: title.trim(), url: url.trim(), difficulty: '', tags: [], platform: platformOf(url), status: 'todo', notes: '', presets: [], updatedAt: Date.now() };
+  return { state: { ...state, questions: [...state.questions, question] }, id };
+}
+
+export const removeQuestion = (state, id) => ({
+  ...state,
+  questions: state.questions.filter((q) => q.id !== id),
+  sets: state.sets.map((s) => ({ ...s, ids: s.ids.filter((x) => x !== id) }))
+});
+
+// preset: { algo, label, inputs }; the same algorithm and inputs are saved once
+export function addPreset(state, id, { algo, label = '', inputs }) {
+  const q = state.questions.find((x) => x.id === id);
+  const preset = { id: newId('p'), algo, label: label.trim(), inputs };
+  if (!q || (q.presets || []).some((p) => samePreset(p, preset))) return state;
+  return updateQuestion(state, id, { presets: [...(q.presets || []), preset] });
+}
+
+export const removePreset = (state, id, presetId) => updateQuestion(state, id, {
+  presets: (state.questions.find((q) => q.id === id)?.presets || []).filter((p) => p.id !== presetId)
+});
+
+// names are unique regardless of case and free of ";" (the list separator of an export);
+// returns the state unchanged for a taken, empty or ";" name
+export function addSet(state, name) {
+  const n = name.trim();
+  if (!n || n.includes(';') || state.sets.some((s) => s.name.toLowerCase() === n.toLowerCase())) return state;
+  return { ...state, sets: [...state.sets, { id: newId('s'), name: n, ids: [] }] };
+}
+
+export function renameSet(state, setId, name) {
+  const n = name.trim();
+  if (!n || n.includes(';') || state.sets.some((s) => s.id !== setId && s.name.toLowerCase() === n.toLowerCase())) return state;
+  return { ...state, sets: state.sets.map((s) => (s.id === setId ? { ...s, name: n } : s)) };
+}
+
+export const removeSet = (state, setId) => ({ ...state, sets: state.sets.filter((s) => s.id !== setId) });
+
+export const addToSet = (state, setId, id) => ({
+  ...state,
+  sets: state.sets.map((s) => (s.id === setId && !s.ids.includes(id) ? { ...s, ids: [...s.ids, id] } : s))
+});
+
+export const removeFromSet = (state, setId, id) => ({
+  ...state,
+  sets: state.sets.map((s) => (s.id === setId ? { ...s, ids: s.ids.filter((x) => x !== id) } : s))
+});
+
+// ------------------------------
+// Progress
+// ------------------------------
+
+// questions → { total, todo, attempted, solved, revisit }
+export function progress(questions) {
+  const out = { total: questions.length, ...Object.fromEntries(STATUSES.map((s) => [s, 0])) };
+  for (const q of questions) out[q.status] = (out[q.status] || 0) + 1;
+  return out;
+}
+
+// questions → [{ tag, total, solved }], most common tag first
+export function topicProgress(questions) {
+  const byTag = new Map();
+  for (const q of questions) {
+    for (const tag of q.tags) {
+      const t = byTag.get(tag) || { tag, total: 0, solved: 0 };
+      t.total++;
+      if (q.status === 'solved') t.solved++;
+      byTag.set(tag, t);
+    }
+  }
+  return [...byTag.values()].sort((a, b) => b.total - a.total || a.tag.localeCompare(b.tag));
+}
@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest';
+import {
+  addQuestion, addSet, addToSet, applySync, emptyStore, exportCsv, exportJson, guessMapping, previewImport, readTable, removeQuestion,
+  updateQuestion
+} from './store';
+
+const sub = (over) => ({ provider: 'leetcode', platform: 'LeetCode', verdict: 'accepted', difficulty: 'Easy', tags: ['Array'], language: 'python3', status: 'Accepted', ...over });
+
+describe('applySync', () => {
+  it('adds unknown problems and marks accepted ones solved', () => {
+    const r = applySync(emptyStore(), [
+      sub({ id: 'a', at: 2000, title: 'Two Sum', url: 'https://leetcode.com/problems/two-sum/' }),
+      sub({ id: 'b', at: 1000, title: 'Climbing Stairs', url: 'https://leetcode.com/problems/climbing-stairs/', verdict: 'rejected' })
+    ]);
+    expect(r.added).toBe(2);
+    expect(r.solved).toBe(1);
+    expect(r.state.questions.map((q) => [q.title, q.status, q.platform])).toEqual([
+      ['Climbing Stairs', 'attempted', 'LeetCode'],
+      ['Two Sum', 'solved', 'LeetCode']
+    ]);
+    expect(r.activity.map((e) => [e.kind, e.at])).toEqual([['attempted', 1000], ['solved', 2000]]);
+  });
+
+  it('matches questions already listed and leaves a hand-set status alone', () => {
+    let state = addQuestion(emptyStore(), { title: 'Theatre Square', url: 'https://codeforces.com/contest/1/problem/A' }).state;
+    const added = addQuestion(state, { title: 'Two Sum' });
+    state = updateQuestion(added.state, added.id, { status: 'revisit' });
+    const r = applySync(state, [
+      sub({ id: 'cf', at: 1000, title: 'Theatre Square', url: 'https://codeforces.com/problemset/problem/1/A', platform: 'Codeforces', difficulty: '1000', tags: ['math'] }),
+      sub({ id: 'lc', at: 2000, title: 'Two Sum', url: 'https://leetcode.com/problems/two-sum/' })
+    ]);
+    expect(r.added).toBe(0);
+    expect(r.state.questions.map((q) => [q.title, q.status, q.difficulty])).toEqual([['Theatre Square', 'solved', '1000'], ['Two Sum', 'revisit', 'Easy']]);
+  });
+
+  it('skips submissions that are still being judged', () => {
+    const r = applySync(emptyStore(), [sub({ id: 'p', at: 1000, title: 'Two Sum', url: 'https://leetcode.com/problems/two-sum/', verdict: 'pending' })]);
+    expect(r.added).toBe(0);
+    expect(r.activity).toEqual([]);
+  });
+});
+
+describe('import / export round trip', () => {
+  const withSets = (...names) => {
+    const { state, id } = addQuestion(emptyStore(), { title: 'Two Sum' });
+    return names.reduce((st, name) => {
+      const next = addSet(st, name);
+      return addToSet(next, next.sets[next.sets.length - 1].id, id);
+    }, updateQuestion(state, id, { tags: ['Array', 'Hash Table'] }));
+  };
+  const reimport = (text, name) => {
+    const table = readTable(text, name);
+    return previewImport(emptyStore(), table.rows, guessMapping(table.headers))[0];
+  };
+
+  it.each([['questions.csv', exportCsv], ['questions.json', exportJson]])('keeps names with commas whole through %s', (file, write) => {
+    for (const names of [['Graphs, Trees'], ['Graphs, Trees', 'DP | Greedy']]) {
+      const entry = reimport(write(withSets(...names)), file);
+      expect(entry.sets).toEqual(names);
+      expect(entry.question.tags).toEqual(['Array', 'Hash Table']);
+    }
+  });
+
+  it('still splits third-party cells on commas and bars', () => {
+    const entry = reimport('title,tags\nTwo Sum,"Array, Hash Table|Sorting"', 'sheet.csv');
+    expect(entry.question.tags).toEqual(['Array', 'Hash Table', 'Sorting']);
+  });
+
+  it('refuses set names with the list separator', () => {
+    const state = emptyStore();
+    expect(addSet(state, 'A; B')).toBe(state);
+  });
+});
+
+describe('removeQuestion', () => {
+  it('keeps the rest of the state', () => {
+    const { state, id } = addQuestion({ ...emptyStore(), extra: 1 }, { title: 'Two Sum' });
+    const next = removeQuestion(state, id);
+    expect(next.extra).toBe(1);
+    expect(next.questions).toEqual([]);
+  });
+});
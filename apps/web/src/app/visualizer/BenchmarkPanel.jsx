@@ -0,0 +1,107 @@
+'use client';
+
+import React from 'react';
+import { Activity } from 'lucide-react';
+import { Button, Select } from './ui';
+import { fitTheory, runBenchmark } from './benchmark';
+
+const COLORS = ['rgb(16 185 129)', 'rgb(14 165 233)', 'rgb(245 158 11)', 'rgb(244 63 94)'];
+
+export const OP_LABELS = { cmp: 'Comparisons', swap: 'Swaps', write: 'Writes', relax: 'Relaxations', rotate: 'Rotations' };
+
+// live counters for the current frame
+export const OpsBar = ({ ops }) => {
+  if (!ops) return null;
+  return (
+    <div className="mb-3 flex flex-wrap gap-2 text-xs">
+      {Object.entries(ops).map(([k, v]) => (
+        <span key={k} className="rounded-md border border-zinc-300/70 dark:border-zinc-700/70 px-2 py-1">
+          <span className="text-zinc-500">{OP_LABELS[k] || k}</span> <span className="font-mono font-semibold">{v}</span>
+        </span>
+      ))}
+    </div>
+  );
+};
+
+const Chart = ({ series, theory, label }) => {
+  const W = 420, H = 220, pad = { l: 48, r: 12, t: 12, b: 28 };
+  const all = [...series.flatMap((s) => s.points), ...theory];
+  const maxN = Math.max(1, ...all.map((p) => p.n));
+  const maxY = Math.max(1, ...all.map((p) => p.ops));
+  const x = (n) => pad.l + (n / maxN) * (W - pad.l - pad.r);
+  const y = (v) => H - pad.b - (v / maxY) * (H - pad.t - pad.b);
+  const path = (pts) => pts.map((p, i) => `${i ? 'L' : 'M'}${x(p.n).toFixed(1)},${y(p.ops).toFixed(1)}`).join(' ');
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full">
+      <line x1={pad.l} y1={H - pad.b} x2={W - pad.r} y2={H - pad.b} stroke="rgb(148 163 184)" />
+      <line x1={pad.l} y1={pad.t} x2={pad.l} y2={H - pad.b} stroke="rgb(148 163 184)" />
+      <text x={pad.l - 6} y={pad.t + 8} textAnchor="end" fontSize={10} className="fill-zinc-500">{maxY}</text>
+      <text x={pad.l - 6} y={H - pad.b} textAnchor="end" fontSize={10} className="fill-zinc-500">0</text>
+      <text x={W - pad.r} y={H - 8} textAnchor="end" fontSize={10} className="fill-zinc-500">n = {maxN}</text>
+      <text x={pad.l} y={H - 8} fontSize={10} className="fill-zinc-500">{label}</text>
+      {theory.length > 0 && <path d={path(theory)} fill="none" stroke="rgb(113 113 122)" strokeDasharray="4 4" strokeWidth={1.5} />}
+      {series.map((s, i) => (
+        <g key={s.shape}>
+          <path d={path(s.points)} fill="none" stroke={COLORS[i % COLORS.length]} strokeWidth={2} />
+          {s.points.map((p) => <circle key={p.n} cx={x(p.n)} cy={y(p.ops)} r={2.5} fill={COLORS[i % COLORS.length]} />)}
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+// Runs `run(input)` over generated inputs and plots op count vs n against the
+// theoretical curve `cost(n, m)` (scaled by least squares to the random series).
+export default function BenchmarkPanel({ algo, kind, cost, tc, run }) {
+  const [metric, setMetric] = React.useState('total');
+  const [result, setResult] = React.useState(null);
+  const [running, setRunning] = React.useState(false);
+
+  const start = () => {
+    setRunning(true);
+    // let the "Running…" state paint before the synchronous work
+    setTimeout(() => {
+      try {
+        const series = runBenchmark(run, { kind, metric });
+        setResult({ algo, metric, series, theory: cost ? fitTheory(cost, series[0].points) : [] });
+      } catch (e) {
+        console.error(e);
+        setResult(null);
+      } finally {
+        setRunning(false);
+      }
+    }, 20);
+  };
+
+  if (!kind) return <div className="text-sm text-zinc-500">Benchmark mode covers the Arrays and Graphs categories.</div>;
+
+  const stale = result && result.algo !== algo;
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="w-40">
+          <Select value={metric} onChange={(e) => setMetric(e.target.value)}>
+            <option value="total">Total operations</option>
+            {Object.entries(OP_LABELS).filter(([k]) => k !== 'rotate').map(([k, v]) => <option key={k} value={k}>{v}</option>)}
+          </Select>
+        </div>
+        <Button onClick={start} disabled={running}><Activity className="h-4 w-4" />{running ? 'Running…' : 'Run benchmark'}</Button>
+        <span className="text-xs text-zinc-500">Expected: {tc || '—'}</span>
+      </div>
+      {result && !stale && (
+        <div>
+          <Chart series={result.series} theory={result.theory} label={result.metric === 'total' ? 'total ops' : OP_LABELS[result.metric]} />
+          <div className="mt-2 flex flex-wrap gap-3 text-xs">
+            {result.series.map((s, i) => (
+              <span key={s.shape} className="inline-flex items-center gap-1">
+                <span className="inline-block h-2 w-4 rounded" style={{ background: COLORS[i % COLORS.length] }} />{s.shape}
+              </span>
+            ))}
+            {result.theory.length > 0 && <span className="inline-flex items-center gap-1 text-zinc-500"><span className="inline-block w-4 border-t border-dashed border-zinc-500" />theory {tc}</span>}
+          </div>
+        </div>
+      )}
+      {stale && <div className="text-xs text-zinc-500">Algorithm changed — run the benchmark again.</div>}
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+'use client';
+
+import React from 'react';
+import dynamic from 'next/dynamic';
+import { Play, RotateCcw } from 'lucide-react';
+import { Button } from './ui';
+import { CODE_TEMPLATES } from './userCode';
+
+// Monaco needs window: load it on the client only
+const Editor = dynamic(() => import('@monaco-editor/react'), {
+  ssr: false,
+  loading: () => <div className="flex h-full items-center justify-center text-xs text-zinc-500">Loading editor…</div>
+});
+
+// localStorage key: the last code written per mode
+const storeKey = (mode) => `visualizer:code:${mode}`;
+
+// Monaco editor for the user's own sort / search (see ./userCode.js).
+// onRun(code) resolves to the worker result; an error is shown under the editor
+// and marked on the line that threw.
+export default function CodePanel({ mode, reference, disabled, onRun }) {
+  const [code, setCode] = React.useState(CODE_TEMPLATES[mode]);
+  const [running, setRunning] = React.useState(false);
+  const [error, setError] = React.useState(null); // { error, line }
+  const [dark, setDark] = React.useState(false);
+  const editorRef = React.useRef(null);
+  const monacoRef = React.useRef(null);
+
+  // saved code; the editor theme follows the `dark` class on <html>
+  React.useEffect(() => {
+    setCode(localStorage.getItem(storeKey(mode)) ?? CODE_TEMPLATES[mode]);
+    const root = document.documentElement;
+    const sync = () => setDark(root.classList.contains('dark'));
+    sync();
+    const observer = new MutationObserver(sync);
+    observer.observe(root, { attributes: true, attributeFilter: ['class'] });
+    return () => observer.disconnect();
+  }, [mode]);
+
+  const mark = (err) => {
+    const editor = editorRef.current, monaco = monacoRef.current;
+    const model = editor?.getModel();
+    if (!model) return;
+    const line = err?.line >= 1 && err.line <= model.getLineCount() ? err.line : null;
+    monaco.editor.setModelMarkers(model, 'your-code', line ? [{
+      startLineNumber: line, endLineNumber: line, startColumn: 1, endColumn: model.getLineMaxColumn(line),
+      message: err.error, severity: monaco.MarkerSeverity.Error
+    }] : []);
+  };
+
+  const edit = (text = '') => {
+    setCode(text);
+    localStorage.setItem(storeKey(mode), text);
+    if (error) { setError(null); mark(null); }
+  };
+
+  const run = async () => {
+    setRunning(true);
+    setError(null);
+    mark(null);
+    try {
+      const result = await onRun(code);
+      if (result.error) { setError(result); mark(result); }
+    } catch (e) {
+      console.error(e);
+      setError({ error: e.message || 'The code could not run' });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="h-72 overflow-hidden rounded-xl border border-zinc-300/70 dark:border-zinc-700/70">
+        <Editor
+          height="100%"
+          language="javascript"
+          theme={dark ? 'vs-dark' : 'light'}
+          value={code}
+          onChange={edit}
+          onMount={(editor, monaco) => { editorRef.current = editor; monacoRef.current = monaco; }}
+          options={{ minimap: { enabled: false }, fontSize: 13, tabSize: 2, scrollBeyondLastLine: false, automaticLayout: true }}
+        />
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <Button onClick={run} disabled={disabled || running} className="bg-emerald-600/90 text-white border-emerald-700 hover:bg-emerald-600 disabled:cursor-not-allowed disabled:opacity-50"><Play className="h-4 w-4"/>{running ? 'Running…' : 'Run my code'}</Button>
+        <Button onClick={() => edit(CODE_TEMPLATES[mode])}><RotateCcw className="h-4 w-4"/>Template</Button>
+        <span className={`text-xs ${disabled ? 'text-rose-600 dark:text-rose-400' : 'text-zinc-500'}`}>
+          {disabled ? 'Fix the highlighted input to run' : `Runs on the input above, next to ${reference}`}
+        </span>
+      </div>
+      {error && <div className="text-xs text-rose-600 dark:text-rose-400">{error.line ? `Line ${error.line}: ` : ''}{error.error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,146 @@
+'use client';
+
+import React from 'react';
+import { flushSync } from 'react-dom';
+import { Download, FileJson, Film, Images, Upload } from 'lucide-react';
+import { Button } from './ui';
+import { createGif, download, drawSvg, recordWebm, snapshot, traceJson, webmSupported, zipStore } from './exportRun';
+
+const nextPaint = () => new Promise((resolve) => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+const pad = (k, total) => String(k + 1).padStart(String(total).length, '0');
+
+// Export / import of the current run (see ./exportRun.js). Frames are rendered one by one
+// into an off-screen stage with `renderFrame`, snapshotted to SVG, then packed per format.
+// onImport(text) loads a JSON trace and throws with a message when it cannot.
+export default function ExportPanel({ algo, engine, inputs, renderFrame, onImport }) {
+  const [stage, setStage] = React.useState(null); // frame index on the stage
+  const [busy, setBusy] = React.useState(null); // { label, done, total }
+  const [error, setError] = React.useState('');
+  const stageRef = React.useRef(null);
+  const cancelled = React.useRef(false);
+  const fileRef = React.useRef(null);
+  const frames = engine.list;
+
+  // every frame → { svg, width, height }
+  const captureAll = async (label) => {
+    const snaps = [];
+    for (let k = 0; k < frames.length; k++) {
+      if (cancelled.current) throw new Error('Export cancelled');
+      flushSync(() => setStage(k));
+      await nextPaint();
+      snaps.push(snapshot(stageRef.current));
+      setBusy({ label, done: k + 1, total: frames.length });
+    }
+    setStage(null);
+    return snaps;
+  };
+
+  // one canvas big enough for the largest frame, cleared to the stage background
+  const canvasFor = (snaps) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(...snaps.map((s) => s.width));
+    canvas.height = Math.max(...snaps.map((s) => s.height));
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    const bg = getComputedStyle(document.body).backgroundColor;
+    const paint = async (s) => {
+      ctx.fillStyle = bg && bg !== 'rgba(0, 0, 0, 0)' ? bg : '#fff';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      await drawSvg(ctx, s.svg);
+    };
+    return { canvas, ctx, paint };
+  };
+
+  const run = (label, job) => async () => {
+    cancelled.current = false;
+    setError('');
+    setBusy({ label, done: 0, total: frames.length });
+    try {
+      await job();
+    } catch (e) {
+      console.error(e);
+      setError(e.message || 'Export failed');
+    } finally {
+      setStage(null);
+      setBusy(null);
+    }
+  };
+
+  const exportGif = run('GIF', async () => {
+    const snaps = await captureAll('Rendering frames');
+    const { canvas, ctx, paint } = canvasFor(snaps);
+    const gif = createGif(canvas.width, canvas.height);
+    for (let k = 0; k < snaps.length; k++) {
+      if (cancelled.current) throw new Error('Export cancelled');
+      await paint(snaps[k]);
+      gif.addFrame(ctx.getImageData(0, 0, canvas.width, canvas.height).data, engine.speed);
+      setBusy({ label: 'Encoding GIF', done: k + 1, total: snaps.length });
+      await new Promise((resolve) => setTimeout(resolve)); // keep the page responsive
+    }
+    download(gif.finish(), `${algo}.gif`);
+  });
+
+  const exportWebm = run('WebM', async () => {
+    if (!webmSupported()) throw new Error('This browser cannot record WebM; try GIF instead');
+    const snaps = await captureAll('Rendering frames');
+    const { canvas, paint } = canvasFor(snaps);
+    const blob = await recordWebm(canvas, snaps.length, engine.speed, async (k) => {
+      if (cancelled.current) throw new Error('Export cancelled');
+      await paint(snaps[k]);
+    }, (done) => setBusy({ label: 'Recording WebM (real time)', done, total: snaps.length }));
+    download(blob, `${algo}.webm`);
+  });
+
+  const exportSvgs = run('SVG', async () => {
+    const snaps = await captureAll('Rendering frames');
+    download(zipStore(snaps.map((s, k) => ({ name: `${algo}-${pad(k, snaps.length)}.svg`, data: s.svg }))), `${algo}-frames.zip`);
+  });
+
+  const exportJson = () => {
+    download(new Blob([traceJson({ algo, inputs, frames })], { type: 'application/json' }), `${algo}-trace.json`);
+  };
+
+  const importJson = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setError('');
+    try {
+      onImport(await file.text());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const none = !frames.length || !!busy;
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <Button onClick={exportGif} disabled={none} className="disabled:opacity-50"><Images className="h-4 w-4"/>GIF</Button>
+        <Button onClick={exportWebm} disabled={none} className="disabled:opacity-50"><Film className="h-4 w-4"/>WebM</Button>
+        <Button onClick={exportSvgs} disabled={none} className="disabled:opacity-50"><Download className="h-4 w-4"/>SVG frames (.zip)</Button>
+        <Button onClick={exportJson} disabled={none} className="disabled:opacity-50"><FileJson className="h-4 w-4"/>JSON trace</Button>
+        <Button onClick={() => fileRef.current?.click()} disabled={!!busy} className="disabled:opacity-50"><Upload className="h-4 w-4"/>Load trace</Button>
+        <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={importJson} />
+      </div>
+      {busy && (
+        <div className="flex items-center gap-3 text-xs text-zinc-500">
+          <span>{busy.label}: {busy.done} / {busy.total}</span>
+          <Button onClick={() => { cancelled.current = true; }}>Cancel</Button>
+        </div>
+      )}
+      {error && <div className="text-xs text-rose-600 dark:text-rose-400">{error}</div>}
+      {!frames.length && !busy && <div className="text-xs text-zinc-500">Run an algorithm to export it, or load a JSON trace to replay one.</div>}
+
+      {/* off-screen stage: transitions off so each snapshot shows the settled frame */}
+      {stage != null && frames[stage] && (
+        <div aria-hidden className="pointer-events-none fixed top-0 -left-[10000px]">
+          <style>{'.export-stage, .export-stage * { transition: none !important; animation: none !important; }'}</style>
+          <div ref={stageRef} className="export-stage w-[760px] bg-white p-4 text-zinc-800 dark:bg-zinc-950 dark:text-zinc-100">
+            <div className="mb-3 text-sm text-zinc-600 dark:text-zinc-300">{frames[stage].desc}</div>
+            {renderFrame(frames[stage])}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
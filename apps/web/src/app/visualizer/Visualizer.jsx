@@ -0,0 +1,2941 @@
+'use client';
+
+import React from 'react';
+import { motion } from 'framer-motion';
+import Link from 'next/link';
+import { useRouter, useSearchParams } from 'next/navigation';
+import { Play, Pause, SkipBack, SkipForward, RotateCcw, ChevronDown, Spline, GitBranch, ListTree, Binary, Network, Grid3x3, Activity, Timer, ListChecks, Link2, Crown, Route, Dices, BookmarkPlus, X } from 'lucide-react';
+import { Button, FieldErrors, Input, Label, Section, Select, Textarea } from './ui';
+import { DEFAULT_ALGO, readUrlState, visualizerHref } from './urlState';
+import { CATALOG } from './catalog';
+import { LAYOUTS, canvasSize, computeLayout, graphFromAdj, nodeRadius } from './graphLayout';
+import { GRAPH_FORMATS, compareNodes, nodeKey, parseGraph, sortNodes } from './graphInput';
+import { ARRAY_LIMIT, COUNTING_RANGE, validateInputs } from './validate';
+import { GEN_SIZES, generateInput, generatorKind, generatorShapes, hashSeed, randomSeed } from './generate';
+import { createMinHeap, describeHeapStep } from './heap';
+import { bfsSteps, dijkstraSteps } from './graphSearch';
+import { createUnionFind, describeUnionStep } from './unionFind';
+import { createSearchTree, parseTreeOps } from './searchTree';
+import { layoutNary, layoutTree } from './treeLayout';
+import { framesCoinChange, framesEditDistance, framesKnapsack, framesLCS, framesLIS, framesMatrixChain, parseItems, parseNums } from './dp';
+import { framesCombinationSum, framesFibMemo, framesNQueens, framesPermutations, framesSubsets, framesSudoku, parseSudoku } from './backtracking';
+import { GRID_SIZES, HEURISTICS, emptyGrid, framesGridSearch, mazeBacktracker, mazePrim, paintCell, parseGrid, serializeGrid } from './grid';
+import BenchmarkPanel, { OpsBar } from './BenchmarkPanel';
+import ExportPanel from './ExportPanel';
+import CodePanel from './CodePanel';
+import { parseTrace } from './exportRun';
+import { runUserCode, userFrames } from './userCode';
+import { addPreset, addQuestion, loadStore, saveStore } from '../questions/store';
+import { logVisualizerRun } from '../profile/activity';
+import { mulberry32, totalOps } from './benchmark';
+
+/**
+ * DSA Visualizer – page component for Next.js App Router
+ * Mounted by: apps/web/src/app/visualizer/[algo]/page.jsx
+ * Requires Tailwind (dark mode: class)
+ *
+ * URL: /visualizer/<algo>?arr=..&adj=..&step=..&speed=.. (see ./urlState.js)
+ *
+ * Features (v1):
+ * - Sidebar: select category & algorithm (Graphs/Grid/Trees/Arrays/DP/Backtracking/LinkedList)
+ * - Inputs per category (e.g., adjacency list, array, tree nodes with "null")
+ * - Controls: play/pause, step fwd/back, reset, speed
+ * - Visual canvas: renders frames (arrays, graphs, trees, linked list); trees use a pointer-based layout (./treeLayout.js)
+ * - Graph canvas: circle / force-directed / layered layouts, draggable nodes, arrowheads & weights (./graphLayout.js)
+ * - Graph input: adjacency list, edge list, matrix, DOT or LeetCode edges with labelled nodes (./graphInput.js)
+ * - Input validation: per-field line/column errors under each input; Run stays disabled until they are fixed (./validate.js)
+ * - Generate: seeded random / edge-case arrays, graphs, trees and lists; the seed also drives the grid mazes (./generate.js)
+ * - Info panel: time/space, short description, pseudo-code
+ * - Live comparison/swap/write/relaxation counters; benchmark chart of ops vs n (./benchmark.js)
+ * - Race mode (?vs=<algo>): two algorithms of one category on the same input, shared controls
+ * - Export: GIF / WebM / ZIP of per-frame SVGs rendered in the browser, JSON trace that loads back to replay (./exportRun.js)
+ * - Your code: the user's own sort(a) / search(a, target) in a Monaco editor, run in a sandboxed worker and
+ *   traced through the array renderer next to the reference algorithm (./userCode.js)
+ * - Presets: save the current algorithm and inputs to a question in /questions, which links back here (../questions/store.js)
+ * - Runs started with Run or "Run my code" go into the practice log behind /profile (../profile/activity.js)
+ *
+ * Implemented algorithms (frame-based):
+ * - Graphs: DFS, BFS, Dijkstra, Bellman-Ford (single-source, negative-cycle check), Prim's MST
+ *   (Dijkstra/Prim: array-scan or binary-heap priority queue, see ./heap.js); topological sort (Kahn, DFS),
+ *   Kruskal with a union-find forest (./unionFind.js), Tarjan / Kosaraju SCC, bridges & articulation
+ *   points (low-link), Floyd-Warshall distance matrix
+ * - Grid: paintable board (walls, weights, start/goal) with BFS, Dijkstra, A* (Manhattan / Euclidean /
+ *   Octile) and greedy best-first; open/closed sets and path; maze generators (./grid.js)
+ * - Arrays: Insertion, Bubble, Selection, Merge (shows splitting/merge), Quick (Lomuto/Hoare), Heap,
+ *   Shell, Counting and LSD Radix sort; Binary Search
+ * - Trees: Level-order build from array with "null"; level-order BFS (grouped by level); pre/in/post order
+ *   (recursive and explicit-stack) and Morris inorder with output strip;
+ *   BST / AVL / Red-Black insert, delete & search with rotations and recoloring (./searchTree.js)
+ * - DP: LCS, edit distance, 0/1 knapsack, coin change, LIS, matrix-chain tables with dependency
+ *   highlights and traceback (./dp.js)
+ * - Backtracking: N-Queens, subsets, permutations, combination sum, Sudoku and memoized Fibonacci;
+ *   the recursion tree grows call by call with pruned branches / cache hits marked (./backtracking.js)
+ * - Linked List: node/pointer model with optional tail cycle ("-> @k"); Floyd cycle detection + entry,
+ *   in-place reversal, merge two sorted lists, remove nth from end
+ */
+
+// ------------------------------
+// Data & Catalog
+// ------------------------------
+// sidebar icon per category; the algorithms themselves are in ./catalog.js
+const ICONS = {
+  Graphs: <Network className="h-4 w-4" />,
+  Grid: <Route className="h-4 w-4" />,
+  Trees: <ListTree className="h-4 w-4" />,
+  Arrays: <ListChecks className="h-4 w-4" />,
+  DP: <Grid3x3 className="h-4 w-4" />,
+  Backtracking: <Crown className="h-4 w-4" />,
+  LinkedList: <GitBranch className="h-4 w-4" />
+};
+
+const CATEGORIES = Object.fromEntries(Object.entries(CATALOG).map(([cat, items]) => [cat, { icon: ICONS[cat], items }]));
+
+const DEFAULTS = {
+  array: '8, 5, 2, 9, 5, 6, 3',
+  arraySorted: '2, 3, 5, 5, 6, 8, 9',
+  adjList: '0:1,2\n1:0,3\n2:0,3\n3:1,2',
+  grid: serializeGrid(mazeBacktracker(...GRID_SIZES.medium, mulberry32(7))),
+  tree: '1,2,3,4,5,null,7',
+  treeOps: 'insert 10 20 30 40 50 25\ndelete 40\nsearch 25',
+  linkedlist: '1 -> 2 -> 3 -> 4 -> 5',
+  linkedlist2: '2 -> 3 -> 6',
+  dpA: 'ABCBDAB',
+  dpB: 'BDCABA',
+  dpItems: '1:1, 3:4, 4:5, 5:7',
+  dpCoins: '1, 2, 5',
+  dpNums: '10, 9, 2, 5, 3, 7, 101, 18',
+  dpDims: '10, 30, 5, 60, 10',
+  btNums: '1, 2, 3',
+  btCands: '2, 3, 6, 7',
+  btSudoku: '1 . . .\n. . 3 .\n. 4 . .\n. . . 2'
+};
+
+// graph textarea label per input format
+const GRAPH_FORMAT_HINTS = {
+  auto: 'Graph (adjacency, edge list, matrix, DOT or LeetCode — detected)',
+  adj: 'Adjacency List (unweighted: 0:1,2 | weighted: 0:1(4),2(1))',
+  edges: 'Edge List (one edge per line: u v or u v weight)',
+  matrix: 'Adjacency Matrix (0 = no edge; optional header row of labels)',
+  dot: 'DOT (digraph { A -> B [weight=3] })',
+  leetcode: 'LeetCode Edges ([[0,1],[1,2]] or [[u,v,w], …])'
+};
+
+// input field → default value (also the baseline for URL diffs)
+const INPUT_DEFAULTS = {
+  arrayText: DEFAULTS.array,
+  arraySortedText: DEFAULTS.arraySorted,
+  adjText: DEFAULTS.adjList,
+  graphFormat: 'auto',
+  graphDir: 'directed',
+  gridText: DEFAULTS.grid,
+  gridHeur: 'manhattan',
+  gridMoves: '4',
+  treeText: DEFAULTS.tree,
+  treeOpsText: DEFAULTS.treeOps,
+  llText: DEFAULTS.linkedlist,
+  llText2: DEFAULTS.linkedlist2,
+  nth: '2',
+  dpA: DEFAULTS.dpA,
+  dpB: DEFAULTS.dpB,
+  dpItems: DEFAULTS.dpItems,
+  dpCap: '7',
+  dpCoins: DEFAULTS.dpCoins,
+  dpAmount: '11',
+  dpNums: DEFAULTS.dpNums,
+  dpDims: DEFAULTS.dpDims,
+  btQueens: '4',
+  btNums: DEFAULTS.btNums,
+  btCands: DEFAULTS.btCands,
+  btTarget: '7',
+  btSudoku: DEFAULTS.btSudoku,
+  btFib: '6',
+  target: '5',
+  startNode: '0',
+  genSeed: '1',
+  pqMode: 'scan',
+  raceAlgo: '' // race mode opponent; '' = off
+};
+
+function isAlgoKey(key) {
+  return Object.values(CATEGORIES).some((c) => c.items.some((it) => it.key === key));
+}
+
+function algoName(key) {
+  return Object.values(CATEGORIES).flatMap((c) => c.items).find((it) => it.key === key)?.name || key;
+}
+
+// tree_bst / tree_avl / tree_rb → 'bst' | 'avl' | 'rb'
+const SEARCH_TREES = { tree_bst: 'bst', tree_avl: 'avl', tree_rb: 'rb' };
+
+// which input field an algorithm reads (within a category they can differ)
+function inputKind(key) {
+  if (key === 'arr_binary') return 'sorted';
+  if (SEARCH_TREES[key]) return 'treeOps';
+  if (key === 'dp_lcs' || key === 'dp_edit') return 'dpStrings';
+  if (key.startsWith('dp_')) return key;
+  if (key === 'bt_subsets' || key === 'bt_permutations') return 'btSet';
+  if (key.startsWith('bt_')) return key;
+  return key.split('_')[0];
+}
+
+// input fields an algorithm reads; a saved preset keeps only these
+const READS = {
+  dp_lcs: ['dpA', 'dpB'], dp_edit: ['dpA', 'dpB'], dp_knapsack: ['dpItems', 'dpCap'], dp_coin: ['dpCoins', 'dpAmount'],
+  dp_lis: ['dpNums'], dp_mcm: ['dpDims'], bt_queens: ['btQueens'], bt_subsets: ['btNums'], bt_permutations: ['btNums'],
+  bt_combsum: ['btCands', 'btTarget'], bt_sudoku: ['btSudoku'], bt_fib: ['btFib'],
+  ll_merge: ['llText', 'llText2'], ll_remove_nth: ['llText', 'nth']
+};
+
+function inputFields(key) {
+  if (READS[key]) return READS[key];
+  if (key === 'arr_binary') return ['arraySortedText', 'target'];
+  if (SEARCH_TREES[key]) return ['treeOpsText'];
+  const [cat] = key.split('_');
+  return { arr: ['arrayText'], graph: ['adjText', 'graphFormat', 'graphDir', 'startNode', 'pqMode'], grid: ['gridText', 'gridHeur', 'gridMoves'], tree: ['treeText'], ll: ['llText'] }[cat] || [];
+}
+
+// algorithms that can race `key`: same category and same input
+function racePeers(key) {
+  const cat = Object.values(CATEGORIES).find((c) => c.items.some((it) => it.key === key));
+  return (cat?.items || []).filter((it) => it.key !== key && inputKind(it.key) === inputKind(key));
+}
+
+// ------------------------------
+// Frame Engine (shared state machine)
+// ------------------------------
+function useFrames(initialSpeed = 700) {
+  const [frames, setFrames] = React.useState([]);
+  const [i, setI] = React.useState(0);
+  const [playing, setPlaying] = React.useState(false);
+  const [speed, setSpeed] = React.useState(initialSpeed); // ms per frame
+
+  React.useEffect(() => {
+    if (!playing || frames.length === 0) return;
+    const id = setTimeout(() => setI((prev) => Math.min(prev + 1, frames.length - 1)), speed);
+    return () => clearTimeout(id);
+  }, [playing, i, frames, speed]);
+
+  const controls = {
+    play: () => setPlaying(true),
+    pause: () => setPlaying(false),
+    reset: () => { setPlaying(false); setI(0); },
+    stepNext: () => setI((n) => Math.min(n + 1, frames.length - 1)),
+    stepPrev: () => setI((n) => Math.max(n - 1, 0)),
+    seek: (n) => setI(Math.max(0, Math.min(n, frames.length - 1))),
+    setFrames: (f, start = 0) => { setPlaying(false); setI(Math.max(0, Math.min(start, (f?.length || 1) - 1))); setFrames(f || []); },
+    setSpeed
+  };
+
+  return { frame: frames[i], prevFrame: i > 0 ? frames[i - 1] : undefined, index: i, total: frames.length, list: frames, playing, speed, ...controls };
+}
+
+// One set of controls driving several engines (race mode). Each engine keeps
+// its own step counter and simply stops at its last frame.
+function linkFrames(engines) {
+  const each = (fn) => (...args) => engines.forEach((e) => e[fn](...args));
+  return {
+    playing: engines.some((e) => e.playing),
+    play: each('play'), pause: each('pause'), reset: each('reset'),
+    stepNext: each('stepNext'), stepPrev: each('stepPrev')
+  };
+}
+
+// ------------------------------
+// Parsers
+// ------------------------------
+function parseArray(str) {
+  return str
+    .split(/[\n,\s]+/)
+    .filter(Boolean)
+    .map(Number)
+    .filter((v) => Number.isFinite(v));
+}
+
+function parseAdjList(str) {
+  // lines like: 0:1,2 ; 1:0,3
+  const adj = new Map();
+  str
+    .split(/\n+/)
+    .map((l) => l.trim())
+    .filter(Boolean)
+    .forEach((line) => {
+      const [u, rest] = line.split(':');
+      const v = (rest || '')
+        .split(',')
+        .map((x) => x.trim())
+        .filter(Boolean)
+        .map(Number);
+      adj.set(Number(u), v);
+    });
+  // ensure all nodes appear
+  Array.from(adj.values()).flat().forEach((v) => { if (!adj.has(v)) adj.set(v, []); });
+  return adj;
+}
+
+function parseTreeArray(str) {
+  // "1,2,3,4,5,null,7" → array with nulls
+  return str
+    .split(/[\n,\s]+/)
+    .filter(Boolean)
+    .map((t) => (t.toLowerCase() === 'null' ? null : Number(t)))
+    .map((v) => (v === null || Number.isFinite(v) ? v : null));
+}
+
+// ------------------------------
+// Algorithms → frames
+// each frame is { desc, highlights, data, line, vars, stack }
+// line  = index into INFO[algo].pseudo that the frame corresponds to
+// vars  = { name: value } live variables shown in the Watch panel
+// stack = [{ fn, args }] call stack for recursive algorithms (innermost last)
+// ------------------------------
+
+// Arrays
+function framesInsertionSort(arr) {
+  const a = arr.slice();
+  const ops = { cmp: 0, swap: 0, write: 0 };
+  const frames = opFrames(ops, { desc: 'Start', data: a.slice(), highlights: {}, vars: { n: a.length } });
+  for (let i = 1; i < a.length; i++) {
+    const key = a[i];
+    let j = i - 1;
+    frames.push({ desc: `Pick key a[${i}]=${key}`, data: a.slice(), highlights: { keyIndex: i }, line: 1, vars: { i, key, j } });
+    while (j >= 0 && (ops.cmp++, a[j] > key)) {
+      a[j + 1] = a[j]; ops.write++;
+      frames.push({ desc: `Shift a[${j}] → a[${j + 1}]`, data: a.slice(), highlights: { compare: [j, j + 1] }, line: 4, vars: { i, key, j } });
+      j--;
+    }
+    a[j + 1] = key; ops.write++;
+    frames.push({ desc: `Place key at ${j + 1}`, data: a.slice(), highlights: { placed: j + 1 }, line: 5, vars: { i, key, j } });
+  }
+  frames.push({ desc: 'Done', data: a.slice(), highlights: { done: true } });
+  return frames;
+}
+
+function framesBubbleSort(arr) {
+  const a = arr.slice();
+  const ops = { cmp: 0, swap: 0, write: 0 };
+  const frames = opFrames(ops, { desc: 'Start', data: a.slice(), highlights: {}, vars: { n: a.length } });
+  for (let i = 0; i < a.length; i++) {
+    for (let j = 0; j < a.length - i - 1; j++) {
+      ops.cmp++;
+      frames.push({ desc: `Compare ${a[j]} & ${a[j + 1]}`, data: a.slice(), highlights: { compare: [j, j + 1] }, line: 2, vars: { i, j, 'a[j]': a[j], 'a[j+1]': a[j + 1] } });
+      if (a[j] > a[j + 1]) {
+        [a[j], a[j + 1]] = [a[j + 1], a[j]]; ops.swap++;
+        frames.push({ desc: `Swap ${a[j]} ↔ ${a[j + 1]}`, data: a.slice(), highlights: { swap: [j, j + 1] }, line: 3, vars: { i, j, 'a[j]': a[j], 'a[j+1]': a[j + 1] } });
+      }
+    }
+  }
+  frames.push({ desc: 'Done', data: a.slice(), highlights: { done: true } });
+  return frames;
+}
+
+function framesMergeSort(arr) {
+  const ops = { cmp: 0, swap: 0, write: 0 };
+  const frames = opFrames(ops);
+  const stack = [];
+  function mergeSort(a, l, r, depth = 0) {
+    stack.push({ fn: 'mergeSort', args: { l, r } });
+    frames.push({ desc: `Split [${l},${r}]`, data: a.slice(), highlights: { range: [l, r], depth }, line: l >= r ? 1 : 3, vars: { l, r, depth }, stack: stack.slice() });
+    if (l >= r) { stack.pop(); return; }
+    const m = Math.floor((l + r) / 2);
+    mergeSort(a, l, m, depth + 1);
+    mergeSort(a, m + 1, r, depth + 1);
+    // merge
+    const left = a.slice(l, m + 1), right = a.slice(m + 1, r + 1);
+    let i = 0, j = 0, k = l;
+    const snap = (desc) => frames.push({ desc, data: a.slice(), highlights: { range: [l, r], mergeAt: k - 1 }, line: 4, vars: { l, m, r, i, j, k }, stack: stack.slice() });
+    while (i < left.length && j < right.length) {
+      ops.cmp++; ops.write++;
+      if (left[i] <= right[j]) a[k++] = left[i++];
+      else a[k++] = right[j++];
+      snap(`Merge step into [${l},${r}]`);
+    }
+    while (i < left.length) { a[k++] = left[i++]; ops.write++; snap('Drain left'); }
+    while (j < right.length) { a[k++] = right[j++]; ops.write++; snap('Drain right'); }
+    stack.pop();
+  }
+  const a = arr.slice();
+  mergeSort(a, 0, a.length - 1);
+  frames.push({ desc: 'Done', data: a.slice(), highlights: { done: true }, stack: [] });
+  return frames;
+}
+
+function framesSelectionSort(arr) {
+  const a = arr.slice();
+  const sorted = [];
+  const ops = { cmp: 0, swap: 0, write: 0 };
+  const frames = opFrames(ops, { desc: 'Start', data: a.slice(), highlights: {}, vars: { n: a.length } });
+  for (let i = 0; i < a.length - 1; i++) {
+    let min = i;
+    frames.push({ desc: `Pass ${i}: assume min at ${i}`, data: a.slice(), highlights: { min, sorted: sorted.slice(), pointers: { i } }, line: 1, vars: { i, min, 'a[min]': a[min] } });
+    for (let j = i + 1; j < a.length; j++) {
+      ops.cmp++;
+      frames.push({ desc: `Compare a[${j}]=${a[j]} with min ${a[min]}`, data: a.slice(), highlights: { compare: [min, j], min, sorted: sorted.slice(), pointers: { i, j } }, line: 3, vars: { i, j, min, 'a[min]': a[min] } });
+      if (a[j] < a[min]) {
+        min = j;
+        frames.push({ desc: `New min ${a[min]} at ${min}`, data: a.slice(), highlights: { min, sorted: sorted.slice(), pointers: { i, j } }, line: 3, vars: { i, j, min, 'a[min]': a[min] } });
+      }
+    }
+    if (min !== i) {
+      [a[i], a[min]] = [a[min], a[i]]; ops.swap++;
+      frames.push({ desc: `Swap a[${i}] ↔ a[${min}]`, data: a.slice(), highlights: { swap: [i, min], sorted: sorted.slice() }, line: 4, vars: { i, min } });
+    }
+    sorted.push(i);
+  }
+  frames.push({ desc: 'Done', data: a.slice(), highlights: { done: true } });
+  return frames;
+}
+
+function framesQuickSort(arr, scheme = 'lomuto') {
+  const a = arr.slice();
+  const ops = { cmp: 0, swap: 0, write: 0 };
+  const frames = opFrames(ops, { desc: `Start (${scheme === 'hoare' ? 'Hoare' : 'Lomuto'} partition)`, data: a.slice(), highlights: {}, vars: { n: a.length }, stack: [] });
+  const stack = [];
+  const sorted = new Set();
+  const snap = (desc, highlights, line, vars) => frames.push({ desc, data: a.slice(), highlights: { sorted: [...sorted], ...highlights }, line, vars, stack: stack.slice() });
+
+  // Lomuto: pivot = a[r]; everything left of boundary i is < pivot
+  function lomuto(l, r) {
+    const pivot = a[r];
+    let i = l;
+    snap(`Pivot a[${r}]=${pivot}`, { range: [l, r], pivot: r, boundary: i, pointers: { i } }, 4, { l, r, pivot, i });
+    for (let j = l; j < r; j++) {
+      ops.cmp++;
+      snap(`Compare a[${j}]=${a[j]} < ${pivot}?`, { range: [l, r], pivot: r, boundary: i, compare: [j, r], pointers: { i, j } }, 5, { l, r, pivot, i, j });
+      if (a[j] < pivot) {
+        [a[i], a[j]] = [a[j], a[i]]; ops.swap++;
+        snap(`Swap a[${i}] ↔ a[${j}], boundary → ${i + 1}`, { range: [l, r], pivot: r, boundary: i + 1, swap: [i, j], pointers: { i, j } }, 6, { l, r, pivot, i, j });
+        i++;
+      }
+    }
+    [a[i], a[r]] = [a[r], a[i]]; ops.swap++;
+    sorted.add(i);
+    snap(`Place pivot at ${i}`, { range: [l, r], pivot: i, swap: [i, r], pointers: { i } }, 7, { l, r, pivot, i });
+    return i;
+  }
+
+  // Hoare: pivot = middle value; i and j walk inwards and swap out-of-place pairs
+  function hoare(l, r) {
+    const mid = Math.floor((l + r) / 2);
+    const pivot = a[mid];
+    let i = l - 1, j = r + 1;
+    snap(`Pivot value a[${mid}]=${pivot}`, { range: [l, r], pivot: mid }, 4, { l, r, pivot });
+    for (;;) {
+      do { i++; ops.cmp++; } while (a[i] < pivot);
+      do { j--; ops.cmp++; } while (a[j] > pivot);
+      snap(`i stops at ${i} (${a[i]}), j stops at ${j} (${a[j]})`, { range: [l, r], compare: [i, j], pointers: { i, j } }, 5, { l, r, pivot, i, j });
+      if (i >= j) {
+        snap(`Pointers crossed: split after ${j}`, { range: [l, r], boundary: j + 1, pointers: { i, j } }, 7, { l, r, pivot, i, j });
+        return j;
+      }
+      [a[i], a[j]] = [a[j], a[i]]; ops.swap++;
+      snap(`Swap a[${i}] ↔ a[${j}]`, { range: [l, r], swap: [i, j], pointers: { i, j } }, 6, { l, r, pivot, i, j });
+    }
+  }
+
+  function quickSort(l, r) {
+    stack.push({ fn: 'quickSort', args: { l, r } });
+    snap(`quickSort(${l}, ${r})`, { range: [l, r] }, l >= r ? 1 : 0, { l, r });
+    if (l < r) {
+      if (scheme === 'hoare') {
+        const p = hoare(l, r);
+        quickSort(l, p); quickSort(p + 1, r);
+      } else {
+        const p = lomuto(l, r);
+        quickSort(l, p - 1); quickSort(p + 1, r);
+      }
+    } else if (l === r) sorted.add(l);
+    stack.pop();
+  }
+
+  quickSort(0, a.length - 1);
+  frames.push({ desc: 'Done', data: a.slice(), highlights: { done: true }, stack: [] });
+  return frames;
+}
+
+function framesHeapSort(arr) {
+  const a = arr.slice();
+  const n = a.length;
+  const sorted = [];
+  const ops = { cmp: 0, swap: 0, write: 0 };
+  const frames = opFrames(ops, { desc: 'Start: build max-heap', data: a.slice(), highlights: {}, line: 0, vars: { n } });
+  function siftDown(i, size, line) {
+    for (;;) {
+      const l = 2 * i + 1, r = l + 1;
+      let big = i;
+      if (l < size && (ops.cmp++, a[l] > a[big])) big = l;
+      if (r < size && (ops.cmp++, a[r] > a[big])) big = r;
+      frames.push({ desc: `Sift down ${a[i]} at ${i}`, data: a.slice(), highlights: { compare: [i, l, r].filter((k) => k < size), range: [0, size - 1], sorted: sorted.slice() }, line, vars: { i, l, r, largest: big, heapSize: size } });
+      if (big === i) return;
+      [a[i], a[big]] = [a[big], a[i]]; ops.swap++;
+      frames.push({ desc: `Swap a[${i}] ↔ a[${big}]`, data: a.slice(), highlights: { swap: [i, big], range: [0, size - 1], sorted: sorted.slice() }, line, vars: { i, largest: big, heapSize: size } });
+      i = big;
+    }
+  }
+  for (let i = Math.floor(n / 2) - 1; i >= 0; i--) siftDown(i, n, 1);
+  for (let end = n - 1; end > 0; end--) {
+    [a[0], a[end]] = [a[end], a[0]]; ops.swap++;
+    sorted.push(end);
+    frames.push({ desc: `Move max ${a[end]} to ${end}`, data: a.slice(), highlights: { swap: [0, end], range: [0, end - 1], sorted: sorted.slice() }, line: 3, vars: { end, heapSize: end } });
+    siftDown(0, end, 4);
+  }
+  frames.push({ desc: 'Done', data: a.slice(), highlights: { done: true } });
+  return frames;
+}
+
+function framesShellSort(arr) {
+  const a = arr.slice();
+  const ops = { cmp: 0, swap: 0, write: 0 };
+  const frames = opFrames(ops, { desc: 'Start', data: a.slice(), highlights: {}, vars: { n: a.length } });
+  for (let gap = Math.floor(a.length / 2); gap > 0; gap = Math.floor(gap / 2)) {
+    frames.push({ desc: `Gap = ${gap}`, data: a.slice(), highlights: { gap }, line: 0, vars: { gap } });
+    for (let i = gap; i < a.length; i++) {
+      const tmp = a[i];
+      let j = i;
+      frames.push({ desc: `Take a[${i}]=${tmp}`, data: a.slice(), highlights: { keyIndex: i, gap, pointers: { i } }, line: 2, vars: { gap, i, tmp, j } });
+      while (j >= gap && (ops.cmp++, a[j - gap] > tmp)) {
+        a[j] = a[j - gap]; ops.write++;
+        frames.push({ desc: `Shift a[${j - gap}] → a[${j}]`, data: a.slice(), highlights: { compare: [j - gap, j], gap, pointers: { i, j } }, line: 4, vars: { gap, i, tmp, j } });
+        j -= gap;
+      }
+      a[j] = tmp; ops.write++;
+      frames.push({ desc: `Place ${tmp} at ${j}`, data: a.slice(), highlights: { placed: j, gap, pointers: { i, j } }, line: 5, vars: { gap, i, tmp, j } });
+    }
+  }
+  frames.push({ desc: 'Done', data: a.slice(), highlights: { done: true } });
+  return frames;
+}
+
+function framesCountingSort(arr) {
+  const a = arr.slice();
+  if (a.some((v) => !Number.isInteger(v))) return [{ desc: 'Counting sort needs integer keys', data: a, highlights: {} }];
+  if (!a.length) return [{ desc: 'Done', data: [], highlights: { done: true } }];
+  const min = Math.min(...a), max = Math.max(...a);
+  if (max - min + 1 > COUNTING_RANGE) return [{ desc: `Keys span ${min}..${max}: keep max − min below ${COUNTING_RANGE} (one bucket per key)`, data: a, highlights: {} }];
+  const count = new Array(max - min + 1).fill(0);
+  // buckets are labelled by value; `min` offsets negative keys
+  const aux = (title, hi) => ({ title, cells: count.map((c, k) => ({ label: k + min, value: c })), hi });
+  const ops = { cmp: 0, swap: 0, write: 0 };
+  const frames = opFrames(ops, { desc: `Start: keys in [${min}, ${max}]`, data: a.slice(), highlights: { aux: aux('count') }, line: 0, vars: { min, max } });
+  for (let i = 0; i < a.length; i++) {
+    count[a[i] - min]++; ops.write++;
+    frames.push({ desc: `Count ${a[i]}`, data: a.slice(), highlights: { keyIndex: i, aux: aux('count', a[i] - min) }, line: 1, vars: { i, 'a[i]': a[i], [`count[${a[i]}]`]: count[a[i] - min] } });
+  }
+  for (let k = 1; k < count.length; k++) {
+    count[k] += count[k - 1]; ops.write++;
+    frames.push({ desc: `Prefix sum: ≤${k + min} → ${count[k]}`, data: a.slice(), highlights: { aux: aux('prefix', k) }, line: 2, vars: { k: k + min, [`count[${k + min}]`]: count[k] } });
+  }
+  const out = new Array(a.length).fill(null);
+  for (let i = a.length - 1; i >= 0; i--) {
+    const pos = --count[a[i] - min];
+    out[pos] = a[i]; ops.write++;
+    frames.push({ desc: `Place ${a[i]} at ${pos}`, data: out.slice(), highlights: { placed: pos, aux: aux('next slot', a[i] - min) }, line: 4, vars: { i, 'a[i]': a[i], pos } });
+  }
+  frames.push({ desc: 'Done', data: out.slice(), highlights: { done: true } });
+  return frames;
+}
+
+function framesRadixSort(arr) {
+  let a = arr.slice();
+  if (a.some((v) => !Number.isInteger(v))) return [{ desc: 'Radix sort needs integer keys', data: a, highlights: {} }];
+  if (!a.length) return [{ desc: 'Done', data: [], highlights: { done: true } }];
+  // shift negatives up so every key is ≥ 0, then shift back at the end
+  const shift = Math.min(0, ...a);
+  const max = Math.max(...a) - shift;
+  const ops = { cmp: 0, swap: 0, write: 0 };
+  const frames = opFrames(ops, { desc: shift < 0 ? `Start (keys offset by ${-shift})` : 'Start', data: a.slice(), highlights: {}, vars: { max, shift } });
+  const aux = (buckets, exp, hi) => ({ title: `digit ×${exp}`, cells: buckets.map((b, d) => ({ label: d, value: b.join(' ') })), hi });
+  for (let exp = 1; Math.floor(max / exp) > 0; exp *= 10) {
+    const buckets = Array.from({ length: 10 }, () => []);
+    frames.push({ desc: `Pass for digit ×${exp}`, data: a.slice(), highlights: { aux: aux(buckets, exp) }, line: 0, vars: { exp } });
+    for (let i = 0; i < a.length; i++) {
+      const d = Math.floor((a[i] - shift) / exp) % 10;
+      buckets[d].push(a[i]); ops.write++;
+      frames.push({ desc: `${a[i]} → bucket ${d}`, data: a.slice(), highlights: { keyIndex: i, aux: aux(buckets, exp, d) }, line: 2, vars: { exp, i, 'a[i]': a[i], digit: d } });
+    }
+    a = buckets.flat(); ops.write += a.length;
+    frames.push({ desc: 'Collect buckets in order', data: a.slice(), highlights: { aux: aux(buckets, exp) }, line: 3, vars: { exp } });
+  }
+  frames.push({ desc: 'Done', data: a.slice(), highlights: { done: true } });
+  return frames;
+}
+
+function framesBinarySearch(arr, target) {
+  const a = arr.slice();
+  const ops = { cmp: 0 };
+  const frames = opFrames(ops);
+  let l = 0, r = a.length - 1;
+  while (l <= r) {
+    const m = Math.floor((l + r) / 2);
+    ops.cmp++;
+    frames.push({ desc: `Check mid=${m} (val=${a[m]})`, data: a.slice(), highlights: { l, r, m, target }, line: 2, vars: { l, r, m, 'a[m]': a[m], target } });
+    if (a[m] === target) { frames.push({ desc: `Found at ${m}`, data: a.slice(), highlights: { found: m }, line: 3, vars: { l, r, m, 'a[m]': a[m], target } }); break; }
+    if (a[m] < target) l = m + 1; else r = m - 1;
+  }
+  if (!frames.some((f) => f.highlights.found !== undefined)) frames.push({ desc: 'Not found', data: a.slice(), highlights: {}, line: 1, vars: { l, r, target } });
+  return frames;
+}
+
+// Graphs
+// adjacency list → neighbours(u) for ./graphSearch.js; unweighted edges cost 1
+const edgesOf = (adj) => (u) => (adj.get(u) || []).map((pair) => (Array.isArray(pair) ? pair : [pair, 1]));
+
+// the loop is bfsSteps in ./graphSearch.js, shared with the grid BFS
+function framesBFS(adj, start = 0) {
+  const ops = { cmp: 0, relax: 0 };
+  const frames = opFrames(ops);
+  const g = mapToObj(adj);
+  for (const { kind, u, v, visited, queue } of bfsSteps(edgesOf(adj), start, ops)) {
+    const seen = () => [...visited];
+    if (kind === 'start') frames.push({ desc: `Start at ${u}`, data: { adj: g, active: u, visited: seen(), queue: queue.slice() }, line: 0, vars: { start: u, queue: queue.slice(), visited: seen() } });
+    else if (kind === 'pop') frames.push({ desc: `Pop ${u}`, data: { adj: g, active: u, visited: seen(), queue: queue.slice() }, line: 2, vars: { u, queue: queue.slice(), visited: seen() } });
+    else if (kind === 'visit') frames.push({ desc: `Visit ${v}`, data: { adj: g, edge: [u, v], visited: seen(), queue: queue.slice() }, line: 4, vars: { u, v, queue: queue.slice(), visited: seen() } });
+  }
+  return frames;
+}
+
+function framesDFS(adj, start = 0) {
+  const ops = { cmp: 0, relax: 0 };
+  const frames = opFrames(ops);
+  const visited = new Set();
+  const stack = [];
+  function dfs(u) {
+    visited.add(u);
+    stack.push({ fn: 'dfs', args: { u } });
+    frames.push({ desc: `Enter ${u}`, data: { adj: mapToObj(adj), active: u, visited: [...visited] }, line: 1, vars: { u, visited: [...visited] }, stack: stack.slice() });
+    for (const v of adj.get(u) || []) {
+      ops.cmp++;
+      if (!visited.has(v)) {
+        frames.push({ desc: `Go ${u}→${v}`, data: { adj: mapToObj(adj), edge: [u, v], visited: [...visited] }, line: 3, vars: { u, v, visited: [...visited] }, stack: stack.slice() });
+        dfs(v);
+        frames.push({ desc: `Backtrack to ${u}`, data: { adj: mapToObj(adj), active: u, visited: [...visited] }, line: 2, vars: { u, v, visited: [...visited] }, stack: stack.slice() });
+      }
+    }
+    stack.pop();
+  }
+  dfs(start);
+  return frames;
+}
+
+function framesDijkstra(adj, source = 0, pq = 'scan') {
+  if (pq === 'heap') return framesDijkstraHeap(adj, source);
+  const ops = { cmp: 0, relax: 0 };
+  const frames = opFrames(ops);
+  const g = mapToObj(adj);
+  const nodes = sortNodes([...adj.keys()]);
+  const dist = Object.fromEntries(nodes.map(n => [n, Infinity]));
+  dist[source] = 0;
+  const used = new Set();
+  // unsettled nodes with a finite tentative distance, i.e. what a PQ would hold
+  const frontier = () => nodes.filter((n) => !used.has(n) && dist[n] < Infinity).map((n) => [dist[n], n]);
+  frames.push({ desc: 'Init distances', data: { adj: g, dist: { ...dist }, used: [], source, frontier: frontier() }, line: 0, vars: { source, dist: { ...dist } } });
+  while (used.size < nodes.length) {
+    let u = null, best = Infinity;
+    for (const n of nodes) if (!used.has(n) && (ops.cmp++, dist[n] < best)) { best = dist[n]; u = n; }
+    if (u == null) break; used.add(u);
+    frames.push({ desc: `Pick ${u}`, data: { adj: g, dist: { ...dist }, used: [...used], active: u, frontier: frontier() }, line: 2, vars: { u, dist: { ...dist }, used: [...used] } });
+    for (const pair of adj.get(u) || []) {
+      const [v, w] = Array.isArray(pair) ? pair : [pair, 1];
+      ops.cmp++;
+      if (dist[u] + w < dist[v]) { dist[v] = dist[u] + w; ops.relax++; frames.push({ desc: `Relax ${u}→${v} (w=${w})`, data: { adj: g, dist: { ...dist }, edge: [u, v], used: [...used], active: u, frontier: frontier() }, line: 3, vars: { u, v, w, dist: { ...dist }, used: [...used] } }); }
+    }
+  }
+  frames.push({ desc: 'Done: shortest distances settled', data: { adj: g, dist: { ...dist }, used: [...used], frontier: [] }, vars: { dist: { ...dist } } });
+  return frames;
+}
+
+// Dijkstra with a binary heap and lazy deletion: stale entries are skipped on pop
+// (the loop is dijkstraSteps in ./graphSearch.js, shared with the grid searches)
+function framesDijkstraHeap(adj, source = 0) {
+  const ops = { cmp: 0, swap: 0, relax: 0 };
+  const frames = opFrames(ops);
+  const g = mapToObj(adj);
+  const nodes = sortNodes([...adj.keys()]);
+  // every node, ∞ until reached
+  const all = (dist) => Object.fromEntries(nodes.map((n) => [n, dist[n] ?? Infinity]));
+  const onHeap = (step, { dist, used, active }) => frames.push({
+    desc: describeHeapStep(step),
+    data: { adj: g, dist: all(dist), used: [...used], active, heap: step.heap, heapHi: [step.i, step.j] },
+    line: step.kind === 'push' || step.kind === 'siftUp' ? 3 : 2,
+    vars: { heapSize: step.heap.length, key: step.item?.[0], dist: all(dist) }
+  });
+  let dist, used;
+  for (const s of dijkstraSteps(edgesOf(adj), source, ops, { onHeap })) {
+    const { kind, u, v, w } = s;
+    dist = all(s.dist); used = [...s.used];
+    if (kind === 'init') frames.push({ desc: 'Init distances', data: { adj: g, dist, used: [], source, heap: [] }, line: 0, vars: { source, dist: { ...dist } } });
+    else if (kind === 'stale') frames.push({ desc: `Skip stale entry (${s.key}, ${u})`, data: { adj: g, dist, used, heap: s.heap.toArray() }, line: 2, vars: { u, d: s.key, dist: { ...dist } } });
+    else if (kind === 'pick') frames.push({ desc: `Pick ${u}`, data: { adj: g, dist, used, active: u, heap: s.heap.toArray() }, line: 2, vars: { u, dist: { ...dist }, used: used.slice() } });
+    else if (kind === 'relax') frames.push({ desc: `Relax ${u}→${v} (w=${w})`, data: { adj: g, dist, edge: [u, v], used, active: u, heap: s.heap.toArray() }, line: 3, vars: { u, v, w, dist: { ...dist }, used: used.slice() } });
+  }
+  frames.push({ desc: 'Done: shortest distances settled', data: { adj: g, dist, used, heap: [] }, vars: { dist: { ...dist } } });
+  return frames;
+}
+
+function framesBellmanFord(adj, source = 0) {
+  const ops = { cmp: 0, relax: 0 };
+  const frames = opFrames(ops);
+  const g = mapToObj(adj);
+  const nodes = sortNodes([...adj.keys()]);
+  const dist = Object.fromEntries(nodes.map(n => [n, Infinity]));
+  const pred = {};
+  dist[source] = 0; frames.push({ desc: 'Init distances', data: { adj: g, dist: { ...dist } }, line: 0, vars: { source, dist: { ...dist } } });
+  const edges = [];
+  for (const [u, lst] of adj) for (const e of lst || []) { const [v, w] = Array.isArray(e) ? e : [e, 1]; edges.push([u, v, w]); }
+  for (let i = 0; i < nodes.length - 1; i++) {
+    let changed = false;
+    for (const [u, v, w] of edges) {
+      ops.cmp++;
+      if (dist[u] !== Infinity && dist[u] + w < dist[v]) { dist[v] = dist[u] + w; pred[v] = u; ops.relax++; changed = true; frames.push({ desc: `Relax ${u}→${v} (w=${w})`, data: { adj: g, dist: { ...dist }, edge: [u, v] }, line: 3, vars: { pass: i + 1, u, v, w, dist: { ...dist } } }); }
+    }
+    if (!changed) { frames.push({ desc: `Pass ${i + 1}: no change, stop early`, data: { adj: g, dist: { ...dist } }, line: 1, vars: { pass: i + 1, dist: { ...dist } } }); break; }
+  }
+  // extra pass: any further improvement means a reachable negative cycle
+  for (const [u, v, w] of edges) {
+    ops.cmp++;
+    frames.push({ desc: `Check ${u}→${v} (w=${w})`, data: { adj: g, dist: { ...dist }, edge: [u, v] }, line: 5, vars: { u, v, w, dist: { ...dist } } });
+    if (dist[u] !== Infinity && dist[u] + w < dist[v]) {
+      pred[v] = u;
+      // walk back V times to land inside the cycle, then collect it
+      let x = v;
+      for (let k = 0; k < nodes.length; k++) x = pred[x];
+      const cycle = [x];
+      for (let y = pred[x]; y !== x; y = pred[y]) cycle.push(y);
+      cycle.reverse();
+      const cycleEdges = cycle.map((c, k) => [c, cycle[(k + 1) % cycle.length]]);
+      frames.push({ desc: `Negative cycle: ${[...cycle, cycle[0]].join('→')}`, data: { adj: g, dist: { ...dist }, negCycle: cycle, cycleEdges }, line: 5, vars: { cycle, dist: { ...dist } } });
+      return frames;
+    }
+  }
+  frames.push({ desc: 'No negative cycle: distances final', data: { adj: g, dist: { ...dist } }, line: 4, vars: { dist: { ...dist } } });
+  return frames;
+}
+
+function framesPrim(adj, start = 0, pqMode = 'scan') {
+  const ops = { cmp: 0, swap: 0, relax: 0 };
+  const frames = opFrames(ops);
+  const g = mapToObj(adj);
+  const inMST = new Set();
+  const edges = [];
+  const pq = [];
+  let active = start;
+  // 'heap' mode swaps the linear-scan array for a binary heap that emits its own frames
+  const heap = pqMode === 'heap' ? createMinHeap((step) => frames.push({
+    desc: describeHeapStep(step),
+    data: { adj: g, active, inMST: [...inMST], mst: edges.slice(), heap: step.heap, heapHi: [step.i, step.j] },
+    line: step.kind === 'push' || step.kind === 'siftUp' ? 4 : 3,
+    vars: { heapSize: step.heap.length, key: step.item?.[0] }
+  }), ops) : null;
+  const pqSize = () => (heap ? heap.size : pq.length);
+  const pqView = () => (heap ? { heap: heap.toArray() } : { frontier: pq.slice() });
+  function pushEdges(u){ for (const e of adj.get(u)||[]) { const [v,w] = Array.isArray(e)?e:[e,1]; if (heap) heap.push([w,u,v]); else pq.push([w,u,v]); } }
+  function popMin(){
+    if (heap) return heap.pop();
+    let bi=-1, best=Infinity; for (let i=0;i<pq.length;i++){ ops.cmp++; if(pq[i][0]<best){best=pq[i][0];bi=i;} } return bi>=0?pq.splice(bi,1)[0]:null;
+  }
+  inMST.add(start); pushEdges(start); frames.push({ desc: `Start at ${start}`, data: { adj: g, active: start, inMST: [...inMST], mst: [], ...pqView() }, line: 1, vars: { start, inMST: [...inMST], pq: pqSize() } });
+  while (pqSize()) {
+    const [w,u,v] = popMin();
+    if (inMST.has(v)) continue;
+    inMST.add(v); edges.push([u,v,w]); active = v; ops.relax++;
+    const weight = edges.reduce((s, e) => s + e[2], 0);
+    frames.push({ desc: `Add ${u}→${v} (w=${w})`, data: { adj: g, active: v, edge: [u, v], inMST: [...inMST], mst: edges.slice(), ...pqView() }, line: 3, vars: { u, v, w, weight, inMST: [...inMST], pq: pqSize() } });
+    pushEdges(v);
+    if (!heap) frames.push({ desc: `Push edges of ${v}`, data: { adj: g, active: v, inMST: [...inMST], mst: edges.slice(), ...pqView() }, line: 4, vars: { v, weight, inMST: [...inMST], pq: pqSize() } });
+  }
+  return frames;
+}
+
+// Topological sort (Kahn): repeatedly output a node with in-degree 0
+function framesTopoKahn(adj) {
+  const ops = { cmp: 0 };
+  const frames = opFrames(ops);
+  const g = mapToObj(adj);
+  const nodes = sortNodes([...adj.keys()]);
+  const indeg = Object.fromEntries(nodes.map((n) => [n, 0]));
+  for (const u of nodes) for (const v of adj.get(u) || []) indeg[v]++;
+  const queue = nodes.filter((n) => indeg[n] === 0);
+  const order = [];
+  const snap = (extra) => ({ adj: g, labels: { ...indeg }, used: order.slice(), queue: queue.slice(), order: order.slice(), ...extra });
+  frames.push({ desc: `In-degrees computed; queue the sources ${queue.join(', ') || '(none)'}`, data: snap(), line: 0, vars: { queue: queue.slice(), order: [] } });
+  while (queue.length) {
+    const u = queue.shift();
+    order.push(u);
+    frames.push({ desc: `Output ${u}`, data: snap({ active: u }), line: 2, vars: { u, queue: queue.slice(), order: order.slice() } });
+    for (const v of adj.get(u) || []) {
+      ops.cmp++;
+      indeg[v]--;
+      if (indeg[v] === 0) queue.push(v);
+      frames.push({ desc: `${u}→${v}: in-degree of ${v} drops to ${indeg[v]}${indeg[v] === 0 ? ` → enqueue ${v}` : ''}`, data: snap({ active: u, edge: [u, v] }), line: indeg[v] === 0 ? 4 : 3, vars: { u, v, indeg: indeg[v], queue: queue.slice() } });
+    }
+  }
+  if (order.length < nodes.length) {
+    const left = nodes.filter((n) => !order.includes(n));
+    frames.push({ desc: `Cycle: ${left.join(', ')} never reach in-degree 0 — no topological order`, data: snap({ negCycle: left }), line: 5, vars: { order: order.slice(), stuck: left } });
+  } else frames.push({ desc: `Topological order: ${order.join(' → ')}`, data: snap(), line: 5, vars: { order: order.slice() } });
+  return frames;
+}
+
+// Topological sort (DFS): reverse post-order; a back edge to a node on the stack is a cycle
+function framesTopoDFS(adj) {
+  const ops = { cmp: 0 };
+  const frames = opFrames(ops);
+  const g = mapToObj(adj);
+  const nodes = sortNodes([...adj.keys()]);
+  const state = {}; // 1 = on the stack (gray), 2 = finished (black)
+  const finished = [];
+  const stack = [];
+  const snap = (extra) => ({ adj: g, visited: Object.keys(state).map(nodeKey), used: finished.slice(), order: finished.slice().reverse(), ...extra });
+  let cycle = null;
+  function dfs(u) {
+    state[u] = 1;
+    stack.push({ fn: 'dfs', args: { u } });
+    frames.push({ desc: `Enter ${u}`, data: snap({ active: u }), line: 1, vars: { u }, stack: stack.slice() });
+    for (const v of adj.get(u) || []) {
+      ops.cmp++;
+      if (state[v] === 1) {
+        cycle = [u, v];
+        frames.push({ desc: `Back edge ${u}→${v}: ${v} is still on the stack → cycle, no topological order`, data: snap({ active: u, cycleEdges: [[u, v]] }), line: 3, vars: { u, v }, stack: stack.slice() });
+        return;
+      }
+      if (!state[v]) {
+        frames.push({ desc: `Go ${u}→${v}`, data: snap({ active: u, edge: [u, v] }), line: 4, vars: { u, v }, stack: stack.slice() });
+        dfs(v);
+        if (cycle) return;
+      }
+    }
+    state[u] = 2; finished.push(u);
+    frames.push({ desc: `${u} finished → prepend to the order`, data: snap({ active: u }), line: 5, vars: { u, order: finished.slice().reverse() }, stack: stack.slice() });
+    stack.pop();
+  }
+  for (const s of nodes) {
+    if (!state[s]) dfs(s);
+    if (cycle) return frames;
+  }
+  frames.push({ desc: `Topological order: ${finished.slice().reverse().join(' → ')}`, data: snap(), line: 0, vars: { order: finished.slice().reverse() }, stack: [] });
+  return frames;
+}
+
+// Kruskal: edges by weight; union-find (./unionFind.js) rejects edges that would close a cycle
+function framesKruskal(adj) {
+  const ops = { cmp: 0, write: 0 };
+  const frames = opFrames(ops);
+  const nodes = sortNodes([...adj.keys()]);
+  // treated as undirected: one edge per pair, lightest weight wins
+  const best = new Map();
+  for (const u of nodes) for (const [v, w] of adj.get(u) || []) {
+    if (u === v) continue;
+    const [a, b] = compareNodes(u, v) < 0 ? [u, v] : [v, u];
+    const k = `${a}-${b}`;
+    if (!best.has(k) || w < best.get(k)[2]) best.set(k, [a, b, w]);
+  }
+  const list = [...best.values()].sort((a, b) => { ops.cmp++; return a[2] - b[2] || compareNodes(a[0], b[0]) || compareNodes(a[1], b[1]); });
+  const g = {};
+  for (const n of nodes) g[n] = [];
+  for (const [u, v, w] of list) { g[u].push([v, w]); g[v].push([u, w]); }
+  const mst = [];
+  let edge = null, forest = null;
+  const comp = (f) => Object.fromEntries(nodes.map((n) => { let r = n; while (f.parent[r] !== r) r = f.parent[r]; return [n, r]; }));
+  const snap = (extra) => ({ adj: g, mst: mst.slice(), edge, uf: forest, comp: comp(forest), ...extra });
+  const uf = createUnionFind(nodes, (step) => {
+    forest = step.forest;
+    frames.push({ desc: describeUnionStep(step), data: snap({ ufHi: step.kind === 'union' ? [step.a, step.b] : step.path }), line: step.kind === 'union' ? 4 : 3, vars: { edge, root: step.root } });
+  }, ops);
+  forest = uf.forest();
+  frames.push({ desc: `Sort ${list.length} edges by weight; every node is its own set`, data: snap(), line: 0, vars: { edges: list.length } });
+  for (const [u, v, w] of list) {
+    if (mst.length === nodes.length - 1) break;
+    edge = [u, v];
+    frames.push({ desc: `Consider ${u}–${v} (w=${w})`, data: snap(), line: 2, vars: { u, v, w } });
+    if (uf.union(u, v)) {
+      mst.push([u, v, w]);
+      frames.push({ desc: `Different sets → add ${u}–${v} to the MST`, data: snap(), line: 4, vars: { u, v, w, weight: mst.reduce((s, e) => s + e[2], 0) } });
+    } else {
+      frames.push({ desc: `${u} and ${v} share a root → ${u}–${v} would close a cycle, skip`, data: snap({ cycleEdges: [[u, v]] }), line: 5, vars: { u, v, w } });
+    }
+  }
+  edge = null;
+  const weight = mst.reduce((s, e) => s + e[2], 0);
+  frames.push({ desc: mst.length === nodes.length - 1 ? `MST complete: ${mst.length} edges, weight ${weight}` : `Graph is disconnected: spanning forest of ${mst.length} edges, weight ${weight}`, data: snap(), line: 1, vars: { weight } });
+  return frames;
+}
+
+// Tarjan SCC: one DFS; low[u] = smallest index reachable through the stack; low = index → pop a component
+function framesSCCTarjan(adj) {
+  const ops = { cmp: 0 };
+  const frames = opFrames(ops);
+  const g = mapToObj(adj);
+  const nodes = sortNodes([...adj.keys()]);
+  const disc = {}, low = {}, comp = {};
+  const onStack = new Set(), st = [], calls = [];
+  let time = 0, count = 0;
+  const labels = () => Object.fromEntries(Object.keys(disc).map((n) => [n, `${disc[n]}/${low[n]}`]));
+  const snap = (extra) => ({ adj: g, labels: labels(), comp: { ...comp }, visited: Object.keys(disc).map(nodeKey), stack: st.slice(), ...extra });
+  function dfs(u) {
+    disc[u] = low[u] = time++;
+    st.push(u); onStack.add(u);
+    calls.push({ fn: 'strongconnect', args: { u } });
+    frames.push({ desc: `Visit ${u}: index = low = ${disc[u]}; push on the stack`, data: snap({ active: u }), line: 1, vars: { u, index: disc[u], low: low[u] }, stack: calls.slice() });
+    for (const v of adj.get(u) || []) {
+      ops.cmp++;
+      if (disc[v] == null) {
+        frames.push({ desc: `Tree edge ${u}→${v}`, data: snap({ active: u, edge: [u, v] }), line: 2, vars: { u, v }, stack: calls.slice() });
+        dfs(v);
+        low[u] = Math.min(low[u], low[v]);
+        frames.push({ desc: `Back at ${u}: low[${u}] = min(low[${u}], low[${v}]) = ${low[u]}`, data: snap({ active: u, edge: [u, v] }), line: 3, vars: { u, v, low: low[u] }, stack: calls.slice() });
+      } else if (onStack.has(v)) {
+        low[u] = Math.min(low[u], disc[v]);
+        frames.push({ desc: `${v} is on the stack: low[${u}] = min(low[${u}], index[${v}]) = ${low[u]}`, data: snap({ active: u, edge: [u, v] }), line: 4, vars: { u, v, low: low[u] }, stack: calls.slice() });
+      }
+    }
+    if (low[u] === disc[u]) {
+      const members = [];
+      let w;
+      do { w = st.pop(); onStack.delete(w); comp[w] = count; members.push(w); } while (w !== u);
+      count++;
+      frames.push({ desc: `low[${u}] = index[${u}] → pop component #${count}: {${members.join(', ')}}`, data: snap({ active: u }), line: 5, vars: { u, component: members }, stack: calls.slice() });
+    }
+    calls.pop();
+  }
+  for (const s of nodes) if (disc[s] == null) dfs(s);
+  frames.push({ desc: `${count} strongly connected component${count === 1 ? '' : 's'}`, data: snap(), line: 0, vars: { components: count }, stack: [] });
+  return frames;
+}
+
+// Kosaraju SCC: DFS finish order on G, then DFS on the transpose in reverse finish order
+function framesSCCKosaraju(adj) {
+  const ops = { cmp: 0 };
+  const frames = opFrames(ops);
+  const g = mapToObj(adj);
+  const nodes = sortNodes([...adj.keys()]);
+  const rev = Object.fromEntries(nodes.map((n) => [n, []]));
+  for (const u of nodes) for (const v of adj.get(u) || []) rev[v].push(u);
+  const seen = new Set(), finish = [], comp = {};
+  const calls = [];
+  const snap1 = (extra) => ({ adj: g, visited: [...seen], used: finish.slice(), order: finish.slice(), orderLabel: 'Finish', ...extra });
+  function dfs1(u) {
+    seen.add(u);
+    calls.push({ fn: 'dfs1', args: { u } });
+    frames.push({ desc: `Pass 1: visit ${u}`, data: snap1({ active: u }), line: 1, vars: { u }, stack: calls.slice() });
+    for (const v of adj.get(u) || []) {
+      ops.cmp++;
+      if (!seen.has(v)) { frames.push({ desc: `Pass 1: go ${u}→${v}`, data: snap1({ active: u, edge: [u, v] }), line: 1, vars: { u, v }, stack: calls.slice() }); dfs1(v); }
+    }
+    finish.push(u);
+    frames.push({ desc: `Pass 1: ${u} finished (#${finish.length})`, data: snap1({ active: u }), line: 2, vars: { u, finish: finish.slice() }, stack: calls.slice() });
+    calls.pop();
+  }
+  for (const s of nodes) if (!seen.has(s)) dfs1(s);
+  let count = 0;
+  const snap2 = (extra) => ({ adj: rev, comp: { ...comp }, visited: Object.keys(comp).map(nodeKey), order: finish.slice().reverse(), orderLabel: 'Pass 2', ...extra });
+  frames.push({ desc: 'Pass 2: transpose the graph (every edge flipped) and take nodes by decreasing finish time', data: snap2(), line: 3, vars: { order: finish.slice().reverse() }, stack: [] });
+  function dfs2(u) {
+    comp[u] = count;
+    calls.push({ fn: 'dfs2', args: { u, c: count + 1 } });
+    frames.push({ desc: `Pass 2: ${u} joins component #${count + 1}`, data: snap2({ active: u }), line: 4, vars: { u, component: count + 1 }, stack: calls.slice() });
+    for (const v of rev[u]) {
+      ops.cmp++;
+      if (comp[v] == null) dfs2(v);
+    }
+    calls.pop();
+  }
+  for (const s of finish.slice().reverse()) {
+    if (comp[s] != null) continue;
+    dfs2(s); count++;
+    const members = nodes.filter((n) => comp[n] === count - 1);
+    frames.push({ desc: `Component #${count}: {${members.join(', ')}}`, data: snap2({ active: s }), line: 5, vars: { component: members }, stack: [] });
+  }
+  frames.push({ desc: `${count} strongly connected component${count === 1 ? '' : 's'}`, data: { ...snap2(), adj: g }, line: 5, vars: { components: count }, stack: [] });
+  return frames;
+}
+
+// Bridges & articulation points (undirected view): low[v] > disc[u] → bridge u–v;
+// low[v] ≥ disc[u] → u is a cut vertex (the DFS root needs two children)
+function framesBridges(adj) {
+  const ops = { cmp: 0 };
+  const frames = opFrames(ops);
+  const nodes = sortNodes([...adj.keys()]);
+  const und = Object.fromEntries(nodes.map((n) => [n, []]));
+  for (const u of nodes) for (const v of adj.get(u) || []) {
+    if (u === v) continue;
+    if (!und[u].includes(v)) und[u].push(v);
+    if (!und[v].includes(u)) und[v].push(u);
+  }
+  for (const n of nodes) und[n].sort(compareNodes);
+  const disc = {}, low = {};
+  const bridges = [], cut = new Set(), calls = [];
+  let time = 0;
+  const labels = () => Object.fromEntries(Object.keys(disc).map((n) => [n, `${disc[n]}/${low[n]}`]));
+  const snap = (extra) => ({ adj: und, labels: labels(), visited: Object.keys(disc).map(nodeKey), bridges: bridges.slice(), cut: [...cut], ...extra });
+  function dfs(u, parent) {
+    disc[u] = low[u] = time++;
+    let children = 0;
+    calls.push({ fn: 'dfs', args: { u, parent } });
+    frames.push({ desc: `Visit ${u}: disc = low = ${disc[u]}`, data: snap({ active: u }), line: 1, vars: { u, disc: disc[u], low: low[u] }, stack: calls.slice() });
+    for (const v of und[u]) {
+      ops.cmp++;
+      if (v === parent) continue;
+      if (disc[v] != null) {
+        if (disc[v] < low[u]) {
+          low[u] = disc[v];
+          frames.push({ desc: `Back edge ${u}–${v}: low[${u}] = disc[${v}] = ${low[u]}`, data: snap({ active: u, edge: [u, v] }), line: 2, vars: { u, v, low: low[u] }, stack: calls.slice() });
+        }
+        continue;
+      }
+      children++;
+      frames.push({ desc: `Tree edge ${u}–${v}`, data: snap({ active: u, edge: [u, v] }), line: 3, vars: { u, v }, stack: calls.slice() });
+      dfs(v, u);
+      low[u] = Math.min(low[u], low[v]);
+      const isBridge = low[v] > disc[u];
+      const isCut = parent == null ? children > 1 : low[v] >= disc[u];
+      if (isBridge) bridges.push([u, v]);
+      if (isCut) cut.add(u);
+      const notes = [isBridge && `${u}–${v} is a bridge`, isCut && `${u} is an articulation point`].filter(Boolean);
+      frames.push({ desc: `Back at ${u}: low[${v}] = ${low[v]}, disc[${u}] = ${disc[u]}${notes.length ? ` → ${notes.join('; ')}` : ''}`, data: snap({ active: u, edge: [u, v] }), line: isBridge ? 4 : 5, vars: { u, v, 'low[v]': low[v], 'disc[u]': disc[u] }, stack: calls.slice() });
+    }
+    calls.pop();
+  }
+  for (const s of nodes) if (disc[s] == null) dfs(s, null);
+  frames.push({ desc: `${bridges.length} bridge${bridges.length === 1 ? '' : 's'}, ${cut.size} articulation point${cut.size === 1 ? '' : 's'}${cut.size ? `: ${sortNodes([...cut]).join(', ')}` : ''}`, data: snap(), line: 0, vars: { bridges: bridges.map((e) => e.join('–')), cut: [...cut] }, stack: [] });
+  return frames;
+}
+
+// Floyd-Warshall: dist[i][j] ← min(dist[i][j], dist[i][k] + dist[k][j]) for every intermediate k
+function framesFloydWarshall(adj) {
+  const ops = { cmp: 0, relax: 0 };
+  const frames = opFrames(ops);
+  const g = mapToObj(adj);
+  const nodes = sortNodes([...adj.keys()]);
+  const n = nodes.length;
+  const idx = Object.fromEntries(nodes.map((v, i) => [v, i]));
+  const d = nodes.map((_, i) => nodes.map((_, j) => (i === j ? 0 : Infinity)));
+  for (const u of nodes) for (const [v, w] of adj.get(u) || []) d[idx[u]][idx[v]] = Math.min(d[idx[u]][idx[v]], w);
+  const labelsOf = nodes.map(String);
+  const matrix = (cell, deps = []) => ({ table: d.map((r) => r.slice()), rowLabels: labelsOf, colLabels: labelsOf, cell, deps });
+  frames.push({ desc: 'dist = edge weights (0 on the diagonal, ∞ where no edge)', data: { adj: g, matrix: matrix() }, line: 0, vars: { n } });
+  for (let k = 0; k < n; k++) {
+    frames.push({ desc: `k = ${nodes[k]}: allow paths through ${nodes[k]}`, data: { adj: g, active: nodes[k], matrix: matrix(null, nodes.map((_, j) => [k, j]).concat(nodes.map((_, i) => [i, k]))) }, line: 1, vars: { k: nodes[k] } });
+    for (let i = 0; i < n; i++) {
+      if (d[i][k] === Infinity) continue;
+      for (let j = 0; j < n; j++) {
+        ops.cmp++;
+        if (d[i][k] + d[k][j] < d[i][j]) {
+          const old = d[i][j];
+          d[i][j] = d[i][k] + d[k][j]; ops.relax++;
+          frames.push({ desc: `dist[${nodes[i]}][${nodes[j]}]: ${old === Infinity ? '∞' : old} → ${d[i][k]} + ${d[k][j]} = ${d[i][j]} via ${nodes[k]}`, data: { adj: g, active: nodes[k], visited: [nodes[i], nodes[j]], matrix: matrix([i, j], [[i, k], [k, j]]) }, line: 3, vars: { k: nodes[k], i: nodes[i], j: nodes[j], dist: d[i][j] } });
+        }
+      }
+    }
+  }
+  const neg = nodes.filter((_, i) => d[i][i] < 0);
+  frames.push({ desc: neg.length ? `Negative cycle through ${neg.join(', ')} (dist[v][v] < 0)` : 'All-pairs shortest distances final', data: { adj: g, negCycle: neg, matrix: matrix(null, neg.map((v) => [idx[v], idx[v]])) }, line: neg.length ? 4 : 5, vars: { negative: neg } });
+  return frames;
+}
+
+// Trees
+function buildTreeFromArray(arr) {
+  if (!arr.length) return null;
+  const nodes = arr.map((v) => (v == null ? null : { val: v, left: null, right: null }));
+  for (let i = 0; i < nodes.length; i++) {
+    if (!nodes[i]) continue;
+    nodes[i].id = i;
+    const l = 2 * i + 1, r = 2 * i + 2;
+    if (l < nodes.length) nodes[i].left = nodes[l];
+    if (r < nodes.length) nodes[i].right = nodes[r];
+  }
+  return nodes[0];
+}
+
+// Traversals refer to nodes by id (level-order index) so duplicate values stay distinct.
+// data: active (id), output (ids), stack / queue (ids), levels (ids per level), threads ([from, to])
+
+// level order, processed one level at a time so boundaries are visible
+function framesTreeBFS(root) {
+  const frames = [];
+  if (!root) return frames;
+  const q = [root], levels = [];
+  const vals = (ns) => ns.map((n) => n.val);
+  const data = (extra) => ({ queue: q.map((n) => n.id), levels: levels.map((l) => l.map((n) => n.id)), ...extra });
+  frames.push({ desc: `Start at root ${root.val}`, data: data({ active: root.id }), line: 0, vars: { queue: vals(q) } });
+  for (let d = 0; q.length; d++) {
+    const size = q.length;
+    levels.push([]);
+    frames.push({ desc: `Level ${d}: ${size} node${size === 1 ? '' : 's'} in the queue (${vals(q).join(', ')})`, data: data({ level: d }), line: 1, vars: { level: d, size, queue: vals(q) } });
+    for (let k = 0; k < size; k++) {
+      const u = q.shift();
+      levels[d].push(u);
+      frames.push({ desc: `Visit ${u.val} (level ${d})`, data: data({ active: u.id, level: d }), line: 3, vars: { level: d, u: u.val, queue: vals(q) } });
+      for (const [side, c] of [['left', u.left], ['right', u.right]]) {
+        if (!c) continue;
+        q.push(c);
+        frames.push({ desc: `Queue ${side} child ${c.val} for level ${d + 1}`, data: data({ active: u.id, level: d }), line: 4, vars: { level: d, u: u.val, queue: vals(q) } });
+      }
+    }
+  }
+  frames.push({ desc: `Level order: ${levels.map((l) => `[${vals(l).join(', ')}]`).join(' ')}`, data: data({}), line: 1, vars: { levels: levels.length } });
+  return frames;
+}
+
+// recursive pre/in/post order; the call stack is drawn on the canvas and in Watch
+const VISIT_LINE = { pre: 1, in: 2, post: 3 };
+function framesTreeDFS(root, order = 'pre') {
+  const frames = [], calls = [], output = [];
+  const fn = `${order}order`;
+  const push = (desc, n, line) => frames.push({
+    desc,
+    data: { active: n.id, output: output.map((x) => x.id), stack: calls.map((x) => x.id), stackLabel: 'Call stack' },
+    line,
+    vars: { u: n.val, left: n.left?.val ?? null, right: n.right?.val ?? null, output: output.map((x) => x.val) },
+    stack: calls.map((x) => ({ fn, args: { u: x.val } }))
+  });
+  function dfs(n) {
+    if (!n) return;
+    calls.push(n);
+    push(`Call ${fn}(${n.val})`, n, 0);
+    if (order === 'pre') { output.push(n); push(`Visit ${n.val}`, n, VISIT_LINE.pre); }
+    dfs(n.left);
+    if (order === 'in') { output.push(n); push(`Visit ${n.val}`, n, VISIT_LINE.in); }
+    dfs(n.right);
+    if (order === 'post') { output.push(n); push(`Visit ${n.val}`, n, VISIT_LINE.post); }
+    calls.pop();
+  }
+  dfs(root);
+  if (root) frames.push({ desc: `${fn}: ${output.map((x) => x.val).join(', ')}`, data: { output: output.map((x) => x.id), stack: [], stackLabel: 'Call stack' }, vars: { output: output.map((x) => x.val) }, stack: [] });
+  return frames;
+}
+
+// iterative pre/in/post order with an explicit stack
+function framesTreeIterative(root, order = 'in') {
+  const frames = [], stack = [], output = [];
+  let cur = order === 'pre' ? null : root, last = null;
+  const push = (desc, n, line) => frames.push({
+    desc,
+    data: { active: n?.id, output: output.map((x) => x.id), stack: stack.map((x) => x.id), stackLabel: 'Stack' },
+    line,
+    vars: { cur: cur?.val ?? null, ...(order === 'post' ? { last: last?.val ?? null } : {}), stack: stack.map((x) => x.val), output: output.map((x) => x.val) }
+  });
+  if (!root) return frames;
+  if (order === 'pre') {
+    stack.push(root);
+    push(`Push root ${root.val}`, root, 0);
+    while (stack.length) {
+      const u = stack.pop();
+      output.push(u);
+      push(`Pop ${u.val} and visit it`, u, 2);
+      if (u.right) { stack.push(u.right); push(`Push right child ${u.right.val}`, u.right, 3); }
+      if (u.left) { stack.push(u.left); push(`Push left child ${u.left.val} (popped first)`, u.left, 4); }
+    }
+  } else if (order === 'in') {
+    push(`cur ← root ${root.val}`, root, 0);
+    while (cur || stack.length) {
+      while (cur) {
+        stack.push(cur);
+        push(`Push ${cur.val}, go left`, cur, 2);
+        cur = cur.left;
+      }
+      cur = stack.pop();
+      output.push(cur);
+      push(`Pop ${cur.val} and visit it`, cur, 3);
+      cur = cur.right;
+      if (cur) push(`Go to right child ${cur.val}`, cur, 4);
+    }
+  } else {
+    push(`cur ← root ${root.val}`, root, 0);
+    while (cur || stack.length) {
+      if (cur) {
+        stack.push(cur);
+        push(`Push ${cur.val}, go left`, cur, 2);
+        cur = cur.left;
+        continue;
+      }
+      const top = stack[stack.length - 1];
+      if (top.right && last !== top.right) {
+        cur = top.right;
+        push(`Top ${top.val} has an unvisited right child ${cur.val} → go right`, cur, 3);
+      } else {
+        output.push(top);
+        last = stack.pop();
+        push(`Both subtrees of ${top.val} done → visit and pop`, top, 4);
+      }
+    }
+  }
+  push(`${order}order: ${output.map((x) => x.val).join(', ')}`, null, 1);
+  return frames;
+}
+
+// Morris in-order: O(1) extra space, temporary threads pred.right → cur.
+// Threads live in a map so the parsed tree is never mutated.
+function framesTreeMorris(root) {
+  const frames = [], output = [];
+  const threads = new Map();
+  let cur = root;
+  const push = (desc, line, pred) => frames.push({
+    desc,
+    data: { active: cur?.id, pivot: pred ? [pred.id] : [], output: output.map((x) => x.id), threads: [...threads].map(([from, to]) => [from, to.id]) },
+    line,
+    vars: { cur: cur?.val ?? null, pred: pred?.val ?? null, threads: threads.size, output: output.map((x) => x.val) }
+  });
+  if (!root) return frames;
+  push(`cur ← root ${root.val}`, 0);
+  while (cur) {
+    if (!cur.left) {
+      output.push(cur);
+      push(`${cur.val} has no left child → visit, follow right${threads.has(cur.id) ? ' (thread)' : ''}`, 2);
+      cur = cur.right || threads.get(cur.id) || null;
+      continue;
+    }
+    let pred = cur.left;
+    while (pred.right) pred = pred.right;
+    push(`Predecessor of ${cur.val} is ${pred.val}`, 3, pred);
+    if (threads.get(pred.id) !== cur) {
+      threads.set(pred.id, cur);
+      push(`Thread ${pred.val}.right → ${cur.val}, go left`, 4, pred);
+      cur = cur.left;
+    } else {
+      threads.delete(pred.id);
+      output.push(cur);
+      push(`Thread ${pred.val} → ${cur.val} found: left subtree done → remove it, visit ${cur.val}`, 5, pred);
+      cur = cur.right || threads.get(cur.id) || null;
+    }
+  }
+  push(`Morris inorder: ${output.map((x) => x.val).join(', ')}`, 1);
+  return frames;
+}
+
+// Search trees: replay insert/delete/search ops; each step snapshots the whole tree
+const TREE_LINES = { visit: 1, found: 0, missing: 1, insert: 2, duplicate: 2, splice: 3, successor: 4, height: 6, recolor: 6, rotate: 7, fixup: 8, root: 9 };
+function framesSearchTree(ops, kind) {
+  const counters = { cmp: 0, rotate: 0 };
+  const frames = opFrames(counters);
+  let op = null;
+  const tree = createSearchTree(kind, (s) => frames.push({
+    desc: s.desc,
+    data: { tree: tree.snapshot(), active: s.active, path: s.path || [], pivot: s.pivot || [] },
+    line: TREE_LINES[s.kind],
+    vars: { op, node: s.active ?? null, path: s.path || [] }
+  }), counters);
+  frames.push({ desc: ops.length ? 'Empty tree' : 'No operations. Try: insert 5 3 8; delete 3; search 8', data: { tree: null }, vars: { op } });
+  for (const o of ops) {
+    op = `${o.op} ${o.val}`;
+    if (o.op === 'insert') tree.insert(o.val);
+    else if (o.op === 'delete') tree.remove(o.val);
+    else tree.search(o.val);
+  }
+  if (ops.length) frames.push({ desc: `Done: ${ops.length} operation${ops.length === 1 ? '' : 's'}`, data: { tree: tree.snapshot() }, vars: { op: null } });
+  return frames;
+}
+
+// Linked List
+// "1 -> 2 -> 3 -> @1" → { vals: [1,2,3], pos: 1 }: the tail's next points back to index 1.
+// LeetCode-style "pos=1" works too; pos -1 means no cycle.
+function parseLinkedList(str){
+  let pos = -1;
+  const body = str.replace(/(?:->|→)?\s*@\s*(\d+)\s*$|\bpos\s*[=:]?\s*(-?\d+)/i, (_, a, b) => { pos = Number(a ?? b); return ''; });
+  const vals = body.split(/->|→|,/).map(s=>s.trim()).filter(Boolean).map(Number).filter(n=>Number.isFinite(n));
+  return { vals, pos: pos >= 0 && pos < vals.length ? pos : -1 };
+}
+
+// A list is a pool of nodes with next pointers (node index, null = end) and a
+// fixed canvas cell per node, so rewiring and back edges are drawn as they are.
+function listPool(vals, pos = -1, row = 0, col0 = 0) {
+  const next = vals.map((_, i) => (i + 1 < vals.length ? i + 1 : pos >= 0 ? pos : null));
+  return { vals: vals.slice(), next, cells: vals.map((_, i) => [col0 + i, row]) };
+}
+
+// pointers: { name: node index | null } → frame data + Watch vars
+function listFrame(pool, desc, line, pointers, extra = {}) {
+  const vars = {};
+  for (const [k, i] of Object.entries(pointers)) vars[k] = i == null ? null : pool.vals[i];
+  return { desc, line, data: { nodes: pool.vals.slice(), next: pool.next.slice(), cells: pool.cells, pointers, ...extra }, vars };
+}
+
+// Floyd: phase 1 finds a meeting point inside the cycle, phase 2 walks from
+// head and meeting point in lock-step to the cycle entry
+function framesFloyd({ vals, pos }) {
+  const pool = listPool(vals, pos);
+  const { next } = pool;
+  if (!vals.length) return [listFrame(pool, 'Empty list', 0, {})];
+  const frames = [];
+  let slow = 0, fast = 0;
+  frames.push(listFrame(pool, 'slow and fast start at head', 0, { slow, fast }));
+  let met = false;
+  while (fast != null && next[fast] != null) {
+    slow = next[slow]; fast = next[next[fast]];
+    frames.push(listFrame(pool, `slow → ${vals[slow]}, fast → ${fast == null ? 'null' : vals[fast]}`, 2, { slow, fast }));
+    if (slow === fast) { met = true; break; }
+  }
+  if (!met) {
+    frames.push(listFrame(pool, `fast reached the end → no cycle (slow stops at the middle, ${vals[slow]})`, 4, { slow, fast }));
+    return frames;
+  }
+  frames.push(listFrame(pool, `slow meets fast at ${vals[slow]} → there is a cycle`, 3, { slow, fast }, { meet: slow }));
+  const meet = slow;
+  slow = 0;
+  frames.push(listFrame(pool, 'Phase 2: move slow back to head; fast stays at the meeting point', 5, { slow, fast }, { meet }));
+  while (slow !== fast) {
+    slow = next[slow]; fast = next[fast];
+    frames.push(listFrame(pool, `Both step once: slow → ${vals[slow]}, fast → ${vals[fast]}`, 6, { slow, fast }, { meet }));
+  }
+  let len = 1;
+  for (let k = next[slow]; k !== slow; k = next[k]) len++;
+  frames.push(listFrame(pool, `Cycle entry is node ${vals[slow]} (index ${slow}); cycle length ${len}`, 7, { slow, fast }, { meet, entry: slow }));
+  return frames;
+}
+
+function framesReverseList({ vals, pos }) {
+  const pool = listPool(vals, pos);
+  if (pos >= 0) return [listFrame(pool, 'The list has a cycle; in-place reversal needs a list that ends in null', 0, { head: 0 }, { entry: pos })];
+  const frames = [];
+  const { next } = pool;
+  let prev = null, curr = vals.length ? 0 : null, nxt = null;
+  frames.push(listFrame(pool, 'prev = null, curr = head', 0, { prev, curr }));
+  while (curr != null) {
+    nxt = next[curr];
+    frames.push(listFrame(pool, `Save next = ${nxt == null ? 'null' : vals[nxt]}`, 2, { prev, curr, next: nxt }));
+    next[curr] = prev;
+    frames.push(listFrame(pool, `Point ${vals[curr]}.next back to ${prev == null ? 'null' : vals[prev]}`, 3, { prev, curr, next: nxt }, { changed: curr }));
+    prev = curr; curr = nxt;
+    frames.push(listFrame(pool, `Advance: prev = ${vals[prev]}, curr = ${curr == null ? 'null' : vals[curr]}`, 4, { prev, curr }));
+  }
+  frames.push(listFrame(pool, `Reversed: head is now ${prev == null ? 'null' : vals[prev]}`, 5, { head: prev }));
+  return frames;
+}
+
+// list A on row 0, list B on row 1, dummy head in front of A
+function framesMergeLists(a, b) {
+  if (a.pos >= 0 || b.pos >= 0) return [listFrame(listPool(a.vals, a.pos), 'Merge expects two lists without cycles', 0, {})];
+  const A = listPool(a.vals, -1, 0, 1), B = listPool(b.vals, -1, 1, 1);
+  const off = A.vals.length;
+  const dummy = off + B.vals.length;
+  const pool = {
+    vals: [...A.vals, ...B.vals, 'D'],
+    next: [...A.next, ...B.next.map((j) => (j == null ? null : j + off)), null],
+    cells: [...A.cells, ...B.cells, [0, 0]]
+  };
+  const { vals, next } = pool;
+  const sorted = (xs) => xs.every((x, i) => i === 0 || xs[i - 1] <= x);
+  const warn = sorted(a.vals) && sorted(b.vals) ? '' : ' (an input is not sorted, so the result will not be either)';
+  const frames = [];
+  let p = A.vals.length ? 0 : null, q = B.vals.length ? off : null, tail = dummy;
+  frames.push(listFrame(pool, `dummy head, tail = dummy${warn}`, 0, { tail, a: p, b: q }, { dummy }));
+  while (p != null && q != null) {
+    const takeA = vals[p] <= vals[q];
+    const pick = takeA ? p : q;
+    next[tail] = pick;
+    frames.push(listFrame(pool, `${vals[p]} ${takeA ? '≤' : '>'} ${vals[q]} → link tail to ${vals[pick]}`, takeA ? 2 : 3, { tail, a: p, b: q }, { dummy, changed: tail }));
+    if (takeA) p = next[p]; else q = next[q];
+    tail = pick;
+    frames.push(listFrame(pool, `Advance tail to ${vals[tail]}`, 4, { tail, a: p, b: q }, { dummy }));
+  }
+  next[tail] = p ?? q;
+  frames.push(listFrame(pool, next[tail] == null ? 'Both lists used up' : `Append the rest starting at ${vals[next[tail]]}`, 5, { tail, a: p, b: q }, { dummy, changed: tail }));
+  const out = [];
+  for (let k = next[dummy]; k != null; k = next[k]) out.push(vals[k]);
+  frames.push(listFrame(pool, `Merged: ${out.join(' → ') || '(empty)'}`, 6, { head: next[dummy] }, { dummy }));
+  return frames;
+}
+
+// two pointers n apart from a dummy head; slow ends just before the target
+function framesRemoveNth({ vals, pos }, n) {
+  const list = listPool(vals, pos, 0, 1);
+  const dummy = vals.length;
+  const pool = { vals: [...list.vals, 'D'], next: [...list.next, vals.length ? 0 : null], cells: [...list.cells, [0, 0]] };
+  if (pos >= 0) return [listFrame(pool, 'The list has a cycle, so it has no end to count from', 0, {}, { dummy, entry: pos })];
+  if (!Number.isInteger(n) || n < 1 || n > vals.length) return [listFrame(pool, `n must be between 1 and the list length (${vals.length})`, 0, {}, { dummy })];
+  const { next } = pool;
+  const label = pool.vals;
+  const frames = [];
+  let slow = dummy, fast = dummy;
+  frames.push(listFrame(pool, 'dummy.next = head; slow = fast = dummy', 0, { slow, fast }, { dummy }));
+  for (let k = 1; k <= n; k++) {
+    fast = next[fast];
+    frames.push(listFrame(pool, `Move fast ahead (${k}/${n}) → ${label[fast]}`, 1, { slow, fast }, { dummy }));
+  }
+  while (next[fast] != null) {
+    slow = next[slow]; fast = next[fast];
+    frames.push(listFrame(pool, `Move both: slow → ${label[slow]}, fast → ${label[fast]}`, 3, { slow, fast }, { dummy }));
+  }
+  const target = next[slow];
+  frames.push(listFrame(pool, `fast is at the tail → slow.next (${label[target]}) is ${n} from the end`, 4, { slow, fast, target }, { dummy }));
+  next[slow] = next[target];
+  next[target] = null;
+  frames.push(listFrame(pool, `Unlink ${label[target]}: ${label[slow] === 'D' ? 'dummy' : label[slow]}.next → ${next[slow] == null ? 'null' : label[next[slow]]}`, 4, { slow }, { dummy, changed: slow, removed: [target] }));
+  frames.push(listFrame(pool, `Head is ${next[dummy] == null ? 'null' : label[next[dummy]]}`, 5, { head: next[dummy] }, { dummy, removed: [target] }));
+  return frames;
+}
+
+// helpers
+function mapToObj(m){ const o={}; for (const [k,v] of m) o[k]=v; return o; }
+
+// frames list whose push() stamps each frame with a snapshot of the running op counters
+// ops keys: cmp (comparisons), swap, write (array writes), relax (edge relaxations)
+function opFrames(ops, ...initial) {
+  const frames = [];
+  frames.push = (...fs) => Array.prototype.push.apply(frames, fs.map((f) => ({ ...f, ops: { ...ops } })));
+  frames.push(...initial);
+  return frames;
+}
+
+// algo key + parsed input → frames (input shape per category, see parseInputs in the page)
+function framesFor(algo, { arr, target, graph, start = 0, pqMode, root, treeOps, list, list2, nth, dp = {}, bt = {}, grid, gridOpts } = {}) {
+  switch (algo) {
+    case 'arr_insertion': return framesInsertionSort(arr);
+    case 'arr_bubble': return framesBubbleSort(arr);
+    case 'arr_merge': return framesMergeSort(arr);
+    case 'arr_selection': return framesSelectionSort(arr);
+    case 'arr_quick_lomuto': return framesQuickSort(arr, 'lomuto');
+    case 'arr_quick_hoare': return framesQuickSort(arr, 'hoare');
+    case 'arr_heap': return framesHeapSort(arr);
+    case 'arr_shell': return framesShellSort(arr);
+    case 'arr_counting': return framesCountingSort(arr);
+    case 'arr_radix': return framesRadixSort(arr);
+    case 'arr_binary': return framesBinarySearch(arr, target);
+    case 'graph_bfs': return framesBFS(graph.unweighted, start);
+    case 'graph_dfs': return framesDFS(graph.unweighted, start);
+    case 'graph_dijkstra': return framesDijkstra(graph.weighted, start, pqMode);
+    case 'graph_bellman': return framesBellmanFord(graph.weighted, start);
+    case 'graph_prim': return framesPrim(graph.weighted, start, pqMode);
+    case 'graph_kruskal': return framesKruskal(graph.weighted);
+    case 'graph_topo_kahn': return framesTopoKahn(graph.unweighted);
+    case 'graph_topo_dfs': return framesTopoDFS(graph.unweighted);
+    case 'graph_scc_tarjan': return framesSCCTarjan(graph.unweighted);
+    case 'graph_scc_kosaraju': return framesSCCKosaraju(graph.unweighted);
+    case 'graph_bridges': return framesBridges(graph.unweighted);
+    case 'graph_floyd': return framesFloydWarshall(graph.weighted);
+    case 'grid_bfs': return framesGridSearch(grid, 'bfs', gridOpts);
+    case 'grid_dijkstra': return framesGridSearch(grid, 'dijkstra', gridOpts);
+    case 'grid_astar': return framesGridSearch(grid, 'astar', gridOpts);
+    case 'grid_greedy': return framesGridSearch(grid, 'greedy', gridOpts);
+    case 'tree_bfs': return framesTreeBFS(root);
+    case 'tree_dfs': return framesTreeDFS(root, 'pre');
+    case 'tree_inorder': return framesTreeDFS(root, 'in');
+    case 'tree_postorder': return framesTreeDFS(root, 'post');
+    case 'tree_iter_pre': return framesTreeIterative(root, 'pre');
+    case 'tree_iter_in': return framesTreeIterative(root, 'in');
+    case 'tree_iter_post': return framesTreeIterative(root, 'post');
+    case 'tree_morris': return framesTreeMorris(root);
+    case 'tree_bst':
+    case 'tree_avl':
+    case 'tree_rb': return framesSearchTree(treeOps, SEARCH_TREES[algo]);
+    case 'dp_lcs': return framesLCS(dp.a, dp.b);
+    case 'dp_edit': return framesEditDistance(dp.a, dp.b);
+    case 'dp_knapsack': return framesKnapsack(dp.items, dp.cap);
+    case 'dp_coin': return framesCoinChange(dp.coins, dp.amount);
+    case 'dp_lis': return framesLIS(dp.nums);
+    case 'dp_mcm': return framesMatrixChain(dp.dims);
+    case 'bt_queens': return framesNQueens(bt.n);
+    case 'bt_subsets': return framesSubsets(bt.nums);
+    case 'bt_permutations': return framesPermutations(bt.nums);
+    case 'bt_combsum': return framesCombinationSum(bt.cands, bt.target);
+    case 'bt_sudoku': return framesSudoku(bt.sudoku);
+    case 'bt_fib': return framesFibMemo(bt.fib);
+    case 'll_slowfast': return framesFloyd(list);
+    case 'll_reverse': return framesReverseList(list);
+    case 'll_merge': return framesMergeLists(list, list2);
+    case 'll_remove_nth': return framesRemoveNth(list, nth);
+    default: return [];
+  }
+}
+
+// ------------------------------
+// Renderers
+// ------------------------------
+// highlight vocabulary (frame.highlights):
+//   compare / swap: [i, j]   placed / keyIndex / pivot / min: i   sorted: [i…]   done: true
+//   range: [l, r] dims everything outside   boundary: i draws a partition bar before i
+//   pointers: { name: i } labels under bars   aux: { title, cells: [{ label, value }], hi } buckets/counts row
+const ArrayRenderer = ({ frame }) => {
+  const a = frame?.data || [];
+  const h = frame?.highlights || {};
+  const sorted = new Set(h.sorted || []);
+  const pointerAt = {};
+  for (const [name, idx] of Object.entries(h.pointers || {})) (pointerAt[idx] ||= []).push(name);
+  return (
+    <div>
+      <div className="flex flex-wrap items-end gap-2">
+        {a.map((v, idx) => (
+          <div key={idx} className={`relative flex flex-col items-center ${h.range && (idx < h.range[0] || idx > h.range[1]) ? 'opacity-40' : ''}`}>
+            {h.boundary === idx && <div className="absolute -left-[5px] bottom-0 h-full w-0.5 rounded bg-violet-500" title="partition boundary" />}
+            <div className={`flex h-24 w-12 items-end justify-center rounded-md border text-sm font-medium transition-all ${
+              h.done ? 'border-emerald-500/70 bg-emerald-100/40 dark:bg-emerald-900/10' :
+              h.swap && h.swap.includes(idx) ? 'border-amber-500/70 bg-amber-100/40 dark:bg-amber-900/10' :
+              h.pivot === idx ? 'border-violet-500/70 bg-violet-100/50 dark:bg-violet-900/20' :
+              h.compare && h.compare.includes(idx) ? 'border-sky-500/60 bg-sky-100/40 dark:bg-sky-900/10' :
+              h.min === idx ? 'border-rose-500/60 bg-rose-100/40 dark:bg-rose-900/10' :
+              h.placed === idx || h.keyIndex === idx ? 'border-emerald-500/70 bg-emerald-100/40 dark:bg-emerald-900/10' :
+              sorted.has(idx) ? 'border-emerald-400/50 bg-emerald-50/40 dark:bg-emerald-950/20' :
+              v == null ? 'border-dashed border-zinc-300/70 dark:border-zinc-700/70' :
+              'border-zinc-300/70 dark:border-zinc-700/70 bg-white/60 dark:bg-zinc-900/60'
+            }`}
+              style={{ height: `${24 + Math.max(0, Number(v) || 0) * 3}px` }}
+            >
+              <span className="mb-2 text-zinc-800 dark:text-zinc-100">{v ?? '·'}</span>
+            </div>
+            <span className="mt-1 h-4 text-[10px] text-zinc-500">{pointerAt[idx]?.join(',') ?? ''}</span>
+          </div>
+        ))}
+      </div>
+      {h.aux && (
+        <div className="mt-3">
+          <div className="mb-1 text-xs text-zinc-500">{h.aux.title}</div>
+          <div className="flex flex-wrap gap-1">
+            {h.aux.cells.map((c, k) => (
+              <div key={k} className={`min-w-[2.5rem] rounded-md border px-2 py-1 text-center text-xs ${h.aux.hi === k ? 'border-amber-500/70 bg-amber-100/40 dark:bg-amber-900/10' : 'border-zinc-300/70 dark:border-zinc-700/70'}`}>
+                <div className="text-[10px] text-zinc-500">{c.label}</div>
+                <div className="font-mono text-zinc-800 dark:text-zinc-100">{c.value === '' ? '—' : c.value}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const BinarySearchOverlay = ({ frame }) => {
+  if (!frame?.highlights) return null;
+  const { l, r, m, found, target } = frame.highlights;
+  return (
+    <div className="mt-2 text-xs text-zinc-600 dark:text-zinc-300">
+      {m !== undefined && <div>l = {l} &nbsp; r = {r} &nbsp; m = {m} &nbsp; target = {target}</div>}
+      {found !== undefined && <div className="text-emerald-600 dark:text-emerald-400">Found at index {found}</div>}
+    </div>
+  );
+};
+
+const GraphRenderer = ({ frame, root }) => {
+  const adj = frame?.data?.adj || {};
+  const active = frame?.data?.active;
+  const edge = frame?.data?.edge;
+  const visited = new Set(frame?.data?.visited || []);
+  const settled = new Set(frame?.data?.used || frame?.data?.inMST || []);
+  const dist = frame?.data?.dist;
+  const frontier = frame?.data?.frontier;
+  const heap = frame?.data?.heap;
+  const side = frontier || heap || frame?.data?.uf;
+  const negCycle = new Set(frame?.data?.negCycle || []);
+  const mstEdges = new Set((frame?.data?.mst || []).flatMap(([u, v]) => [`${u}>${v}`, `${v}>${u}`]));
+  const cycleEdges = new Set([...(frame?.data?.cycleEdges || []), ...(frame?.data?.bridges || [])].map(([u, v]) => `${u}>${v}`));
+  const labels = frame?.data?.labels; // in-degree, disc/low, … drawn like dist
+  const comp = frame?.data?.comp || {};
+  const cut = new Set(frame?.data?.cut || []);
+  const { order, orderLabel, queue, stack: nodeStack, uf, ufHi, matrix } = frame?.data || {};
+  const [mode, setMode] = React.useState(null); // null → circle for small graphs, force otherwise
+  const [dragged, setDragged] = React.useState({ sig: '', pos: {} });
+  const svgRef = React.useRef(null);
+  const dragNode = React.useRef(null);
+
+  const sig = JSON.stringify(adj);
+  const graph = React.useMemo(() => graphFromAdj(JSON.parse(sig)), [sig]);
+  const { nodes, edges, directed, weighted } = graph;
+  const layoutMode = mode || (nodes.length <= 12 ? 'circle' : 'force');
+  const size = canvasSize(nodes.length);
+  const r = nodeRadius(nodes.length);
+  const base = React.useMemo(() => computeLayout(layoutMode, graph, { root }), [layoutMode, graph, root]);
+  // manual drags are kept until the graph or layout changes
+  const dragKey = `${layoutMode}|${sig}`;
+  const pos = dragged.sig === dragKey ? { ...base, ...dragged.pos } : base;
+
+  const toSvg = (e) => {
+    const pt = svgRef.current.createSVGPoint();
+    pt.x = e.clientX; pt.y = e.clientY;
+    const p = pt.matrixTransform(svgRef.current.getScreenCTM().inverse());
+    return [Math.min(size.width - r, Math.max(r, p.x)), Math.min(size.height - r, Math.max(r, p.y))];
+  };
+  const onPointerDown = (n) => (e) => { e.currentTarget.setPointerCapture(e.pointerId); dragNode.current = n; };
+  const onPointerMove = (e) => {
+    if (dragNode.current == null) return;
+    const n = dragNode.current, xy = toSvg(e);
+    setDragged((d) => ({ sig: dragKey, pos: { ...(d.sig === dragKey ? d.pos : {}), [n]: xy } }));
+  };
+  const onPointerUp = () => { dragNode.current = null; };
+
+  const hasEdge = new Set(edges.map((e) => `${e.u}>${e.v}`));
+  const isActiveEdge = (u, v) => edge && ((edge[0] === u && edge[1] === v) || (!directed && edge[0] === v && edge[1] === u));
+  const fontSize = Math.max(9, Math.round(r * 0.6));
+
+  return (
+    <div>
+      <div className="mb-2 flex items-center gap-1 text-xs text-zinc-500">
+        <span className="mr-1">Layout</span>
+        {LAYOUTS.map((l) => (
+          <button
+            key={l.key}
+            onClick={() => setMode(l.key)}
+            className={`rounded-md border px-2 py-0.5 ${layoutMode === l.key ? 'border-emerald-600/60 bg-emerald-50/60 text-emerald-700 dark:bg-emerald-900/20 dark:text-emerald-300' : 'border-zinc-300/70 dark:border-zinc-700/70'}`}
+          >
+            {l.name}
+          </button>
+        ))}
+        <span className="ml-auto">{directed ? 'directed' : 'undirected'}{weighted ? ' • weighted' : ''} • drag nodes to move</span>
+      </div>
+      <div className={side ? `grid gap-3 ${heap || uf ? 'md:grid-cols-[1fr_220px]' : 'md:grid-cols-[1fr_150px]'}` : ''}>
+        <svg
+          ref={svgRef}
+          viewBox={`0 0 ${size.width} ${size.height}`}
+          onPointerMove={onPointerMove}
+          onPointerUp={onPointerUp}
+          className="w-full rounded-xl bg-white/60 dark:bg-zinc-900/60 border border-zinc-200/70 dark:border-zinc-800/70 touch-none select-none"
+          style={{ height: Math.min(640, Math.max(300, size.height)) }}
+        >
+          <defs>
+            {['idle', 'active'].map((k) => (
+              <marker key={k} id={`arrow-${k}`} viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                <path d="M 0 0 L 10 5 L 0 10 z" fill={k === 'active' ? 'rgb(16 185 129)' : 'rgb(148 163 184)'} />
+              </marker>
+            ))}
+          </defs>
+          {/* edges */}
+          {edges.map(({ u, v, w }, idx) => {
+            const [x1, y1] = pos[u] || [0, 0];
+            const [x2, y2] = pos[v] || [0, 0];
+            const isActive = isActiveEdge(u, v);
+            const inMst = mstEdges.has(`${u}>${v}`);
+            const inCycle = cycleEdges.has(`${u}>${v}`) || (!directed && cycleEdges.has(`${v}>${u}`));
+            const stroke = inCycle ? 'rgb(239 68 68)' : isActive ? 'rgb(16 185 129)' : inMst ? 'rgb(124 58 237)' : 'rgb(148 163 184)';
+            const len = Math.hypot(x2 - x1, y2 - y1) || 1;
+            const ux = (x2 - x1) / len, uy = (y2 - y1) / len;
+            // opposite directed edges are offset so both stay visible
+            const off = directed && hasEdge.has(`${v}>${u}`) ? 5 : 0;
+            const ox = -uy * off, oy = ux * off;
+            const sx = x1 + ux * r + ox, sy = y1 + uy * r + oy;
+            const ex = x2 - ux * (r + (directed ? 2 : 0)) + ox, ey = y2 - uy * (r + (directed ? 2 : 0)) + oy;
+            return (
+              <g key={`${u}-${v}-${idx}`}>
+                <line x1={sx} y1={sy} x2={ex} y2={ey} stroke={stroke} strokeWidth={isActive || inCycle ? 3 : inMst ? 4 : 1.5} opacity={0.8}
+                  markerEnd={directed ? `url(#arrow-${isActive ? 'active' : 'idle'})` : undefined} />
+                {weighted && (
+                  <text x={(sx + ex) / 2 + ox * 1.6 - uy * 8} y={(sy + ey) / 2 + oy * 1.6 + ux * 8 + 3} textAnchor="middle" fontSize={fontSize} className="fill-zinc-500 dark:fill-zinc-400">{w}</text>
+                )}
+              </g>
+            );
+          })}
+          {/* nodes */}
+          {nodes.map((n) => {
+            const [x,y] = pos[n];
+            const isActive = active===n;
+            const was = visited.has(n);
+            const fill = negCycle.has(n) ? 'rgb(254 202 202)' : isActive ? 'rgb(16 185 129)' : comp[n] != null ? COMPONENT_COLORS[comp[n] % COMPONENT_COLORS.length] : settled.has(n) ? 'rgb(167 243 208)' : was ? 'rgb(226 232 240)' : 'white';
+            const above = dist ? (dist[n] === Infinity ? '∞' : dist[n]) : labels?.[n];
+            return (
+              <g key={n} onPointerDown={onPointerDown(n)} className="cursor-grab">
+                {cut.has(n) && <circle cx={x} cy={y} r={r + 5} fill="none" stroke="rgb(239 68 68)" strokeWidth={2.5} strokeDasharray="4 3" />}
+                <circle cx={x} cy={y} r={r} fill={fill} stroke="rgb(63 63 70)" />
+                <text x={x} y={y+fontSize/3} textAnchor="middle" fontSize={fontSize} className="fill-zinc-800 dark:fill-zinc-100 pointer-events-none">{n}</text>
+                {above != null && (
+                  <text x={x} y={y - r - 4} textAnchor="middle" fontSize={fontSize} className="fill-sky-700 dark:fill-sky-300 font-semibold pointer-events-none">
+                    {above}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+        </svg>
+        {frontier && <FrontierTable frontier={frontier} />}
+        {heap && <HeapView heap={heap} hi={frame?.data?.heapHi} />}
+        {uf && <UnionFindView forest={uf} hi={ufHi} />}
+      </div>
+      {(order || queue || nodeStack) && (
+        <div className="mt-2 space-y-1">
+          {queue && <SeqStrip label="Queue" items={queue} valOf={new Map()} accent="bg-sky-100 text-sky-900 dark:bg-sky-900/30 dark:text-sky-200" />}
+          {nodeStack && <SeqStrip label="Stack →" items={nodeStack} valOf={new Map()} accent="bg-violet-100 text-violet-900 dark:bg-violet-900/30 dark:text-violet-200" />}
+          {order && <SeqStrip label={orderLabel || 'Order'} items={order} valOf={new Map()} accent="bg-emerald-100 text-emerald-900 dark:bg-emerald-900/30 dark:text-emerald-200" />}
+        </div>
+      )}
+      {matrix && <div className="mt-3"><DPRenderer frame={{ data: matrix }} /></div>}
+    </div>
+  );
+};
+
+// fills for SCCs and union-find sets
+const COMPONENT_COLORS = ['rgb(191 219 254)', 'rgb(254 215 170)', 'rgb(221 214 254)', 'rgb(187 247 208)', 'rgb(254 205 211)', 'rgb(254 240 138)', 'rgb(165 243 252)', 'rgb(231 229 228)'];
+
+// union-find forest: arrows point child → parent, rank beside each root; hi = nodes in the current find / union
+const UnionFindView = ({ forest, hi = [] }) => {
+  const list = Object.keys(forest.parent).map(nodeKey).map((n) => ({ id: n, parent: forest.parent[n] === n ? null : forest.parent[n] }));
+  const { nodes, edges, width, height } = layoutNary(list, { gapX: 30, gapY: 44, pad: 16 });
+  return (
+    <div className="rounded-xl border border-zinc-200/70 dark:border-zinc-800/70 p-2 text-xs">
+      <div className="mb-1 font-medium text-zinc-700 dark:text-zinc-200">Union-find forest</div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full max-h-[260px]">
+        {edges.map(({ from, to }) => <line key={to.id} x1={to.x} y1={to.y - 10} x2={from.x} y2={from.y + 10} stroke={hi.includes(to.id) ? 'rgb(16 185 129)' : 'rgb(148 163 184)'} strokeWidth={hi.includes(to.id) ? 2.5 : 1.5} markerEnd="url(#arrow-idle)" />)}
+        {nodes.map(({ id, node, x, y }) => (
+          <g key={id}>
+            <circle cx={x} cy={y} r={10} fill={hi.includes(id) ? 'rgb(167 243 208)' : 'white'} stroke="rgb(63 63 70)" />
+            <text x={x} y={y + 3.5} textAnchor="middle" fontSize={10} className="fill-zinc-800">{id}</text>
+            {node.parent == null && <text x={x + 12} y={y - 8} fontSize={8} className="fill-zinc-500">r{forest.rank[id]}</text>}
+          </g>
+        ))}
+      </svg>
+    </div>
+  );
+};
+
+// grid board: closed (sky), open (emerald), just opened (darker emerald), current, path (violet);
+// with `onPaint` the board is editable: press and drag to paint cells
+const GridRenderer = ({ frame, grid, onPaint }) => {
+  const board = frame?.data?.grid || grid;
+  const [painting, setPainting] = React.useState(false);
+  if (!board) return <div className="py-6 text-center text-sm text-zinc-500">Paint a grid or generate a maze.</div>;
+  const { open = [], closed = [], added = [], path = [], current } = frame?.data || {};
+  const size = 24, W = board.cols * size, H = board.rows * size;
+  const state = new Map();
+  for (const i of closed) state.set(i, 'closed');
+  for (const i of open) state.set(i, 'open');
+  for (const i of added) state.set(i, 'added');
+  for (const i of path) state.set(i, 'path');
+  const FILL = { closed: 'rgb(186 230 253)', open: 'rgb(167 243 208)', added: 'rgb(52 211 153)', path: 'rgb(167 139 250)' };
+  const cellAt = (e) => {
+    const box = e.currentTarget.getBoundingClientRect();
+    const c = Math.floor(((e.clientX - box.left) / box.width) * board.cols), r = Math.floor(((e.clientY - box.top) / box.height) * board.rows);
+    return r >= 0 && c >= 0 && r < board.rows && c < board.cols ? r * board.cols + c : -1;
+  };
+  const paintProps = onPaint ? {
+    onPointerDown: (e) => { setPainting(true); onPaint(cellAt(e)); },
+    onPointerMove: (e) => { if (painting) onPaint(cellAt(e)); },
+    onPointerUp: () => setPainting(false),
+    onPointerLeave: () => setPainting(false),
+    style: { touchAction: 'none', cursor: 'crosshair' }
+  } : {};
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full max-h-[460px] select-none rounded-xl border border-zinc-200/70 dark:border-zinc-800/70" {...paintProps}>
+      {board.cost.map((w, i) => {
+        const x = (i % board.cols) * size, y = Math.floor(i / board.cols) * size;
+        const st = state.get(i);
+        const fill = w === 0 ? 'rgb(63 63 70)' : i === current ? 'rgb(16 185 129)' : st ? FILL[st] : w > 1 ? `rgba(245, 158, 11, ${0.15 + w * 0.06})` : 'white';
+        return (
+          <g key={i}>
+            <rect x={x} y={y} width={size} height={size} fill={fill} stroke="rgb(228 228 231)" strokeWidth={0.5} />
+            {w > 1 && i !== board.start && i !== board.goal && <text x={x + size / 2} y={y + size / 2 + 4} textAnchor="middle" fontSize={10} className="fill-amber-900">{w}</text>}
+          </g>
+        );
+      })}
+      {[['S', board.start, 'rgb(5 150 105)'], ['G', board.goal, 'rgb(220 38 38)']].map(([label, i, color]) => {
+        const x = (i % board.cols) * size + size / 2, y = Math.floor(i / board.cols) * size + size / 2;
+        return (
+          <g key={label}>
+            <circle cx={x} cy={y} r={size / 2 - 3} fill={color} />
+            <text x={x} y={y + 4} textAnchor="middle" fontSize={11} fontWeight={700} fill="white">{label}</text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+// priority-queue contents: [key, node] (Dijkstra) or [w, u, v] (Prim), smallest key first
+const FrontierTable = ({ frontier }) => {
+  const rows = frontier.slice().sort((a, b) => a[0] - b[0]);
+  return (
+    <div className="text-xs">
+      <div className="mb-1 font-medium text-zinc-700 dark:text-zinc-200">Frontier (PQ)</div>
+      <table className="w-full font-mono">
+        <thead>
+          <tr className="text-left text-zinc-500"><th className="pr-2 font-normal">key</th><th className="font-normal">{rows[0]?.length === 3 ? 'edge' : 'node'}</th></tr>
+        </thead>
+        <tbody>
+          {rows.map((row, i) => (
+            <tr key={i} className={i === 0 ? 'text-emerald-700 dark:text-emerald-300 font-semibold' : 'text-zinc-700 dark:text-zinc-300'}>
+              <td className="pr-2">{row[0]}</td>
+              <td>{row.length === 3 ? `${row[1]}→${row[2]}` : row[1]}</td>
+            </tr>
+          ))}
+          {rows.length === 0 && <tr><td colSpan={2} className="text-zinc-500">(empty)</td></tr>}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// binary heap drawn as a tree from array positions (children of i at 2i+1, 2i+2)
+const HeapView = ({ heap, hi = [] }) => {
+  const width = 220, levelHeight = 52, r = 17;
+  const at = (i) => {
+    const level = Math.floor(Math.log2(i + 1));
+    return [(width / 2 ** (level + 1)) * (2 * (i - (2 ** level - 1)) + 1), levelHeight * level + r + 6];
+  };
+  const levels = heap.length ? Math.floor(Math.log2(heap.length)) + 1 : 1;
+  return (
+    <div className="text-xs">
+      <div className="mb-1 font-medium text-zinc-700 dark:text-zinc-200">Binary heap ({heap.length})</div>
+      <svg viewBox={`0 0 ${width} ${levels * levelHeight + 10}`} className="w-full">
+        {heap.slice(1).map((_, k) => {
+          const [x1, y1] = at(k >> 1), [x2, y2] = at(k + 1);
+          return <line key={`e${k}`} x1={x1} y1={y1} x2={x2} y2={y2} stroke="rgb(148 163 184)" />;
+        })}
+        {heap.map((item, i) => {
+          const [x, y] = at(i);
+          const isHi = hi.includes(i);
+          return (
+            <g key={i}>
+              <circle cx={x} cy={y} r={r} fill={isHi ? 'rgb(253 230 138)' : i === 0 ? 'rgb(167 243 208)' : 'white'} stroke="rgb(63 63 70)" />
+              <text x={x} y={y - 1} textAnchor="middle" fontSize={11} className="fill-zinc-800 font-semibold">{item[0]}</text>
+              <text x={x} y={y + 10} textAnchor="middle" fontSize={8} className="fill-zinc-500">{item.length === 3 ? `${item[1]}→${item[2]}` : item[1]}</text>
+            </g>
+          );
+        })}
+      </svg>
+      {heap.length === 0 && <div className="text-zinc-500">(empty)</div>}
+    </div>
+  );
+};
+
+// row of node values under the tree (output, stack, queue); `groups` splits it by level
+const SeqStrip = ({ label, items, groups, valOf, accent }) => (
+  <div className="flex flex-wrap items-center gap-1 text-xs">
+    <span className="w-20 shrink-0 text-zinc-500">{label}</span>
+    {(groups || [items]).map((g, gi) => (
+      <span key={gi} className={`flex gap-1 ${groups && gi > 0 ? 'border-l-2 border-zinc-300 dark:border-zinc-700 pl-2 ml-1' : ''}`}>
+        {g.map((k, i) => <span key={i} className={`rounded px-1.5 py-0.5 font-mono ${accent}`}>{valOf.get(k) ?? k}</span>)}
+      </span>
+    ))}
+    {!(groups || items).length && <span className="text-zinc-400">—</span>}
+  </div>
+);
+
+// pointer-based: draws frame.data.tree when the frame carries one, else `tree`
+// nodes are matched by id (traversals) or value (search trees)
+// highlights: active, path (walked), pivot (rotation/recolor, Morris predecessor), output (visited),
+//   stack / queue / levels (strips below), threads ([from, to] dashed Morris links)
+const TreeRenderer = ({ frame, tree }) => {
+  const root = frame?.data?.tree !== undefined ? frame.data.tree : tree;
+  const { active, path = [], pivot = [], output, stack, stackLabel, queue, levels, threads = [] } = frame?.data || {};
+  const { nodes, edges, width, height } = layoutTree(root);
+  const vw = Math.max(width, 360), vh = Math.max(height, 200), ox = (vw - width) / 2;
+  const key = (n) => n.id ?? n.val;
+  const at = new Map(nodes.map((p) => [key(p.node), p]));
+  const valOf = new Map(nodes.map((p) => [key(p.node), p.node.val]));
+  const visited = new Set(output || (levels || []).flat());
+  return (
+    <div className="space-y-2">
+      <svg viewBox={`0 0 ${vw} ${vh}`} className="w-full h-[320px] rounded-xl bg-white/60 dark:bg-zinc-900/60 border border-zinc-200/70 dark:border-zinc-800/70">
+        <defs>
+          <marker id="tree-thread-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+            <path d="M0,0 L10,5 L0,10 z" fill="rgb(139 92 246)" />
+          </marker>
+        </defs>
+        <g transform={`translate(${ox},0)`}>
+          {edges.map(({ from, to }) => {
+            const onPath = path.includes(key(from.node)) && path.includes(key(to.node));
+            return <line key={`${from.id}-${to.id}`} x1={from.x} y1={from.y} x2={to.x} y2={to.y} stroke={onPath ? 'rgb(245 158 11)' : 'rgb(148 163 184)'} strokeWidth={onPath ? 2.5 : 1.5} />;
+          })}
+          {threads.map(([f, t]) => {
+            const a = at.get(f), b = at.get(t);
+            if (!a || !b) return null;
+            // bow the curve outward so it does not run along tree edges
+            const mx = (a.x + b.x) / 2 + 24, my = Math.min(a.y, b.y) - 10;
+            return <path key={`${f}>${t}`} d={`M${a.x + 12},${a.y - 10} Q${mx},${my} ${b.x + 14},${b.y + 8}`} fill="none" stroke="rgb(139 92 246)" strokeWidth={1.5} strokeDasharray="5 4" markerEnd="url(#tree-thread-arrow)" />;
+          })}
+          {nodes.map(({ id, node, x, y }) => {
+            const k = key(node);
+            const isActive = active === k;
+            const rb = node.color != null;
+            const fill = rb ? (node.color === 'red' ? 'rgb(239 68 68)' : 'rgb(39 39 42)') : isActive ? 'rgb(16 185 129)' : visited.has(k) ? 'rgb(209 250 229)' : 'white';
+            const stroke = rb && isActive ? 'rgb(16 185 129)' : path.includes(k) ? 'rgb(245 158 11)' : 'rgb(63 63 70)';
+            return (
+              <g key={id}>
+                {pivot.includes(k) && <circle cx={x} cy={y} r={22} fill="none" stroke="rgb(139 92 246)" strokeWidth={2} strokeDasharray="4 3" />}
+                <circle cx={x} cy={y} r={16} fill={fill} stroke={stroke} strokeWidth={isActive || path.includes(k) ? 3 : 1.5} />
+                <text x={x} y={y+4} textAnchor="middle" className={`text-[12px] ${rb ? 'fill-white' : 'fill-zinc-800'}`}>{node.val}</text>
+                {node.bf != null && <text x={x+18} y={y-12} fontSize={10} className={Math.abs(node.bf) > 1 ? 'fill-red-500 font-semibold' : 'fill-zinc-500'}>{node.bf > 0 ? `+${node.bf}` : node.bf}</text>}
+              </g>
+            );
+          })}
+        </g>
+        {nodes.length === 0 && <text x={vw/2} y={vh/2} textAnchor="middle" className="text-[12px] fill-zinc-500">(empty tree)</text>}
+      </svg>
+      {stack && <SeqStrip label={`${stackLabel || 'Stack'} →`} items={stack} valOf={valOf} accent="bg-violet-100 text-violet-900 dark:bg-violet-900/30 dark:text-violet-200" />}
+      {queue && <SeqStrip label="Queue" items={queue} valOf={valOf} accent="bg-sky-100 text-sky-900 dark:bg-sky-900/30 dark:text-sky-200" />}
+      {(output || levels) && <SeqStrip label={levels ? 'By level' : 'Output'} items={output || []} groups={levels} valOf={valOf} accent="bg-emerald-100 text-emerald-900 dark:bg-emerald-900/30 dark:text-emerald-200" />}
+    </div>
+  );
+};
+
+const POINTER_COLORS = { slow: 'rgb(16 185 129)', curr: 'rgb(16 185 129)', head: 'rgb(16 185 129)', fast: 'rgb(14 165 233)', a: 'rgb(14 165 233)', prev: 'rgb(139 92 246)', tail: 'rgb(139 92 246)', next: 'rgb(245 158 11)', b: 'rgb(245 158 11)', target: 'rgb(239 68 68)' };
+
+// nodes sit in fixed cells; next arrows are drawn from the pointer array:
+// forward → straight, one step back → arc above, longer back edge / self loop → arc below
+// highlights: pointers { name: index }, changed (node whose next was just rewired),
+//   removed [i], dummy, meet, entry
+const LinkedListRenderer = ({ frame }) => {
+  const { nodes = [], next = [], cells = [], pointers = {}, removed = [], dummy, meet, entry, changed } = frame?.data || {};
+  if (!nodes.length) return <div className="py-6 text-center text-sm text-zinc-500">{frame ? '(empty list)' : 'Provide a list and click Run.'}</div>;
+  const gap = 84, rowGap = 130, pad = 36, r = 18;
+  const xy = (i) => [pad + cells[i][0] * gap, pad + 16 + cells[i][1] * rowGap]; // +16: room for arcs above
+  const cols = Math.max(...cells.map((c) => c[0])) + 1, rows = Math.max(...cells.map((c) => c[1])) + 1;
+  const W = 2 * pad + (cols - 1) * gap + 24, H = 2 * pad + (rows - 1) * rowGap + 86;
+  const labels = {};
+  for (const [name, i] of Object.entries(pointers)) if (i != null) (labels[i] ||= []).push(name);
+  const arrow = (i) => {
+    const j = next[i];
+    if (j == null || removed.includes(i)) return null;
+    const [x1, y1] = xy(i), [x2, y2] = xy(j);
+    const hot = changed === i;
+    const props = { fill: 'none', stroke: hot ? 'rgb(16 185 129)' : 'rgb(113 113 122)', strokeWidth: hot ? 2.5 : 1.5, markerEnd: `url(#${hot ? 'll-arrow-hot' : 'll-arrow'})` };
+    let d;
+    if (i === j) d = `M${x1 - 8},${y1 + r} C${x1 - 34},${y1 + 64} ${x1 + 34},${y1 + 64} ${x1 + 8},${y1 + r + 2}`;
+    else if (y1 === y2 && x2 > x1) d = `M${x1 + r},${y1} L${x2 - r - 2},${y2}`;
+    else if (y1 === y2 && x1 - x2 <= gap) d = `M${x1 - 6},${y1 - r} Q${(x1 + x2) / 2},${y1 - r - 30} ${x2 + 6},${y2 - r - 2}`;
+    else if (y1 === y2) d = `M${x1},${y1 + r} Q${(x1 + x2) / 2},${y1 + r + 40 + (x1 - x2) / 8} ${x2},${y2 + r + 2}`;
+    else {
+      const len = Math.hypot(x2 - x1, y2 - y1), ux = (x2 - x1) / len, uy = (y2 - y1) / len;
+      d = `M${x1 + ux * r},${y1 + uy * r} L${x2 - ux * (r + 2)},${y2 - uy * (r + 2)}`;
+    }
+    return <path key={`e${i}`} d={d} {...props} />;
+  };
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full max-h-[360px]">
+      <defs>
+        <marker id="ll-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse"><path d="M0,0 L10,5 L0,10 z" fill="rgb(113 113 122)" /></marker>
+        <marker id="ll-arrow-hot" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse"><path d="M0,0 L10,5 L0,10 z" fill="rgb(16 185 129)" /></marker>
+      </defs>
+      {nodes.map((_, i) => arrow(i))}
+      {nodes.map((v, i) => {
+        const [x, y] = xy(i);
+        const gone = removed.includes(i);
+        return (
+          <g key={i} opacity={gone ? 0.3 : 1}>
+            {(i === entry || i === meet) && <circle cx={x} cy={y} r={r + 5} fill="none" stroke={i === entry ? 'rgb(245 158 11)' : 'rgb(139 92 246)'} strokeWidth={2} strokeDasharray="4 3" />}
+            <circle cx={x} cy={y} r={r} fill="white" stroke="rgb(63 63 70)" strokeWidth={1.5} strokeDasharray={i === dummy ? '3 3' : undefined} />
+            <text x={x} y={y + 4} textAnchor="middle" className="text-[12px] fill-zinc-800">{v}</text>
+            {next[i] == null && !gone && <text x={x + r + 6} y={y + 4} fontSize={11} className="fill-zinc-400">∅</text>}
+            {(labels[i] || []).map((name, k) => (
+              <text key={name} x={x} y={y + r + 14 + k * 12} textAnchor="middle" fontSize={10} fontWeight={600} fill={POINTER_COLORS[name] || 'rgb(113 113 122)'}>{name}</text>
+            ))}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+// Watch panel: live vars + call stack; values that changed since the previous frame are highlighted
+function formatWatch(v) {
+  if (v === Infinity) return '∞';
+  if (v === -Infinity) return '-∞';
+  if (v == null) return 'null';
+  if (Array.isArray(v)) return `[${v.map(formatWatch).join(', ')}]`;
+  if (typeof v === 'object') return `{${Object.entries(v).map(([k, x]) => `${k}: ${formatWatch(x)}`).join(', ')}}`;
+  return String(v);
+}
+
+const WatchPanel = ({ frame, prevFrame }) => {
+  const vars = frame?.vars || {};
+  const prev = prevFrame?.vars || {};
+  const stack = frame?.stack || [];
+  const names = Object.keys(vars);
+  return (
+    <div className="space-y-3 text-xs">
+      <div>
+        <div className="mb-1 font-medium text-zinc-700 dark:text-zinc-200">Variables</div>
+        {names.length === 0 && <div className="text-zinc-500">—</div>}
+        <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 font-mono">
+          {names.map((name) => {
+            const val = formatWatch(vars[name]);
+            const changed = prevFrame && (!(name in prev) || formatWatch(prev[name]) !== val);
+            return (
+              <React.Fragment key={name}>
+                <dt className="text-zinc-500">{name}</dt>
+                <dd className={`break-all rounded px-1 ${changed ? 'bg-amber-100/70 text-amber-900 dark:bg-amber-900/30 dark:text-amber-200' : 'text-zinc-800 dark:text-zinc-100'}`}>{val}</dd>
+              </React.Fragment>
+            );
+          })}
+        </dl>
+      </div>
+      {frame?.stack && (
+        <div>
+          <div className="mb-1 font-medium text-zinc-700 dark:text-zinc-200">Call stack</div>
+          {stack.length === 0 && <div className="text-zinc-500">(empty)</div>}
+          <ol className="space-y-1 font-mono">
+            {stack.slice().reverse().map((f, idx) => (
+              <li key={stack.length - idx} className={`rounded border px-2 py-1 ${idx === 0 ? 'border-emerald-500/60 bg-emerald-50/60 dark:bg-emerald-900/20' : 'border-zinc-300/70 dark:border-zinc-700/70'}`}>
+                {f.fn}({Object.entries(f.args || {}).map(([k, x]) => `${k}=${formatWatch(x)}`).join(', ')})
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// DP table: cell = being filled (emerald), deps = cells it read (amber), path = traceback (violet)
+const DPRenderer = ({ frame }) => {
+  const { table, rowLabels = [], colLabels = [], cell, deps = [], path = [] } = frame?.data || {};
+  if (!table) return <div className="py-6 text-center text-sm text-zinc-500">Provide inputs and click Run.</div>;
+  const has = (list, i, j) => list.some(([a, b]) => a === i && b === j);
+  const fmt = (v) => (v == null ? '' : v === Infinity ? '∞' : v);
+  return (
+    <div className="overflow-x-auto">
+      <table className="mx-auto border-collapse font-mono text-xs">
+        <thead>
+          <tr><th />{colLabels.map((c, j) => <th key={j} className="px-2 py-1 font-semibold text-zinc-500">{c}</th>)}</tr>
+        </thead>
+        <tbody>
+          {table.map((row, i) => (
+            <tr key={i}>
+              <th className="whitespace-nowrap px-2 py-1 text-right font-semibold text-zinc-500">{rowLabels[i]}</th>
+              {row.map((v, j) => {
+                const cls = cell && cell[0] === i && cell[1] === j ? 'bg-emerald-500 text-white font-semibold'
+                  : has(deps, i, j) ? 'bg-amber-200 text-amber-900 dark:bg-amber-700/60 dark:text-amber-50'
+                  : has(path, i, j) ? 'bg-violet-200 text-violet-900 dark:bg-violet-800/60 dark:text-violet-50'
+                  : v == null ? 'bg-zinc-100/60 dark:bg-zinc-800/40' : 'bg-white dark:bg-zinc-900';
+                return <td key={j} className={`h-8 min-w-8 border border-zinc-200 dark:border-zinc-700 px-1 text-center transition-colors ${cls}`}>{fmt(v)}</td>;
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// recursion tree (grows with the frames) + board / partial solution alongside
+// status: active = on the call stack, pruned = cut off (red ✕), solution (violet), memo = cache hit (dashed, collapsed)
+const BT_STYLE = {
+  active: { fill: 'white', stroke: 'rgb(16 185 129)' },
+  done: { fill: 'rgb(244 244 245)', stroke: 'rgb(113 113 122)' },
+  pruned: { fill: 'rgb(254 226 226)', stroke: 'rgb(239 68 68)' },
+  solution: { fill: 'rgb(237 233 254)', stroke: 'rgb(139 92 246)' },
+  memo: { fill: 'white', stroke: 'rgb(161 161 170)', dash: '4 3' }
+};
+
+const RecursionRenderer = ({ frame }) => {
+  const { rtree, current, board } = frame?.data || {};
+  const scroller = React.useRef(null);
+  const layout = rtree ? layoutNary(rtree) : null;
+  const cur = layout?.nodes.find((p) => p.id === current);
+  const cx = cur?.x, cy = cur?.y;
+  // keep the node in focus visible when the tree outgrows the panel
+  React.useEffect(() => {
+    const el = scroller.current;
+    if (el && cx != null) el.scrollTo({ left: cx - el.clientWidth / 2, top: cy - el.clientHeight / 2, behavior: 'smooth' });
+  }, [cx, cy]);
+  if (!rtree) return <div className="py-6 text-center text-sm text-zinc-500">Provide inputs and click Run.</div>;
+  const { nodes, edges, width, height } = layout;
+  const vw = Math.max(width, 360), vh = Math.max(height, 160), ox = (vw - width) / 2;
+  return (
+    <div className="grid gap-3 lg:grid-cols-[1fr_auto]">
+      <div ref={scroller} className="max-h-[360px] overflow-auto rounded-xl bg-white/60 dark:bg-zinc-900/60 border border-zinc-200/70 dark:border-zinc-800/70">
+        <svg width={vw} height={vh} viewBox={`0 0 ${vw} ${vh}`}>
+          <g transform={`translate(${ox},0)`}>
+            {edges.map(({ from, to }) => (
+              <line key={to.id} x1={from.x} y1={from.y} x2={to.x} y2={to.y} stroke={to.node.status === 'pruned' ? 'rgb(252 165 165)' : 'rgb(148 163 184)'} strokeWidth={to.node.status === 'active' ? 2.5 : 1.5} strokeDasharray={to.node.status === 'pruned' || to.node.status === 'memo' ? '4 3' : undefined} />
+            ))}
+            {nodes.map(({ id, node, x, y }) => {
+              const st = BT_STYLE[node.status] || BT_STYLE.done;
+              const focus = id === current;
+              return (
+                <g key={id} opacity={node.status === 'pruned' && !focus ? 0.6 : 1}>
+                  <title>{[node.label, node.note, node.result != null ? `= ${node.result}` : null].filter(Boolean).join(' ')}</title>
+                  <rect x={x - 17} y={y - 11} width={34} height={22} rx={6} fill={focus ? 'rgb(16 185 129)' : st.fill} stroke={st.stroke} strokeWidth={focus || node.status === 'active' ? 2.5 : 1.5} strokeDasharray={st.dash} />
+                  <text x={x} y={y + 4} textAnchor="middle" fontSize={10} className={focus ? 'fill-white font-semibold' : 'fill-zinc-800'}>{node.status === 'pruned' ? `✕${node.label}` : node.label}</text>
+                  {node.result != null && <text x={x} y={y + 22} textAnchor="middle" fontSize={9} className={node.status === 'memo' ? 'fill-zinc-400' : 'fill-zinc-500'}>{node.status === 'memo' ? `memo ${node.result}` : node.result}</text>}
+                </g>
+              );
+            })}
+          </g>
+        </svg>
+      </div>
+      <BacktrackBoard board={board} />
+    </div>
+  );
+};
+
+// board (N-Queens, Sudoku) or partial solution + results (subsets, permutations, combination sum, memo table)
+const BacktrackBoard = ({ board }) => {
+  if (!board) return null;
+  if (board.kind === 'grid') {
+    const { cells, givens, hot, bad = [] } = board;
+    const n = cells.length, box = Math.sqrt(n);
+    const queens = cells.some((row) => row.includes('Q'));
+    return (
+      <table className="mx-auto self-start border-collapse font-mono text-sm">
+        <tbody>
+          {cells.map((row, i) => (
+            <tr key={i}>
+              {row.map((v, j) => {
+                const isHot = hot && hot[0] === i && hot[1] === j;
+                const isBad = bad.some(([a, b]) => a === i && b === j);
+                const shade = queens ? ((i + j) % 2 ? 'bg-zinc-200 dark:bg-zinc-700' : 'bg-white dark:bg-zinc-900') : 'bg-white dark:bg-zinc-900';
+                const cls = isBad ? 'bg-red-200 text-red-900 dark:bg-red-800/60 dark:text-red-50' : isHot ? 'bg-emerald-200 text-emerald-900 dark:bg-emerald-700/60 dark:text-emerald-50' : shade;
+                // Sudoku boxes get thicker borders
+                const edge = !queens && Number.isInteger(box) ? `${j % box === 0 ? 'border-l-2' : ''} ${i % box === 0 ? 'border-t-2' : ''} ${j === n - 1 ? 'border-r-2' : ''} ${i === n - 1 ? 'border-b-2' : ''}` : '';
+                return <td key={j} className={`h-8 w-8 border border-zinc-300 dark:border-zinc-600 text-center ${edge} ${cls} ${givens?.[i][j] ? 'font-bold' : 'text-sky-700 dark:text-sky-300'}`}>{v === 'Q' ? '♛' : v}</td>;
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  }
+  const { partial = [], solutions = [], memo } = board;
+  return (
+    <div className="min-w-[180px] space-y-2 text-xs">
+      {memo ? (
+        <div>
+          <div className="mb-1 font-medium text-zinc-700 dark:text-zinc-200">Memo</div>
+          {Object.keys(memo).length === 0 && <div className="text-zinc-500">(empty)</div>}
+          <dl className="grid grid-cols-[auto_1fr] gap-x-3 font-mono">
+            {Object.entries(memo).map(([k, v]) => <React.Fragment key={k}><dt className="text-zinc-500">fib({k})</dt><dd>{v}</dd></React.Fragment>)}
+          </dl>
+        </div>
+      ) : (
+        <>
+          <div>
+            <div className="mb-1 font-medium text-zinc-700 dark:text-zinc-200">Current</div>
+            <div className="font-mono rounded bg-emerald-100 px-2 py-1 text-emerald-900 dark:bg-emerald-900/30 dark:text-emerald-200">[{partial.join(', ')}]</div>
+          </div>
+          <div>
+            <div className="mb-1 font-medium text-zinc-700 dark:text-zinc-200">Found ({solutions.length})</div>
+            <ol className="max-h-[260px] space-y-0.5 overflow-auto font-mono">
+              {solutions.map((sol, i) => <li key={i} className="rounded bg-violet-100 px-2 text-violet-900 dark:bg-violet-900/30 dark:text-violet-200">[{sol.join(', ')}]</li>)}
+            </ol>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// renderer for any algorithm key
+const AlgoCanvas = ({ algo, frame, root, tree, grid, onPaint }) => {
+  if (algo.startsWith('arr_')) return (
+    <div>
+      <ArrayRenderer frame={frame} />
+      {algo==='arr_binary' && <BinarySearchOverlay frame={frame} />}
+    </div>
+  );
+  if (algo.startsWith('graph_')) return <GraphRenderer frame={frame} root={root} />;
+  if (algo.startsWith('grid_')) return <GridRenderer frame={frame} grid={grid} onPaint={onPaint} />;
+  if (algo.startsWith('tree_')) return <TreeRenderer frame={frame} tree={tree} />;
+  if (algo.startsWith('dp_')) return <DPRenderer frame={frame} />;
+  if (algo.startsWith('bt_')) return <RecursionRenderer frame={frame} />;
+  if (algo.startsWith('ll_')) return <LinkedListRenderer frame={frame} />;
+  return null;
+};
+
+// ------------------------------
+// Race mode
+// ------------------------------
+const RaceLane = ({ algo, name, engine, root, tree, grid }) => {
+  const done = engine.total > 0 && engine.index === engine.total - 1;
+  return (
+    <div className="min-w-0 rounded-2xl border border-zinc-200/70 dark:border-zinc-800/70 p-3 bg-white/60 dark:bg-zinc-900/60">
+      <div className="mb-2 flex items-center justify-between text-sm">
+        <span className="font-medium">{name || algoName(algo)}</span>
+        <span className={`text-xs ${done ? 'font-semibold text-emerald-600' : 'text-zinc-500'}`}>{done ? 'Finished · ' : ''}Step {engine.index+1} / {engine.total||0}</span>
+      </div>
+      <div className="mb-2 min-h-[40px] text-xs text-zinc-600 dark:text-zinc-300">{engine.frame?.desc || '—'}</div>
+      <OpsBar ops={engine.frame?.ops} />
+      <div className="overflow-hidden">
+        <AlgoCanvas algo={algo} frame={engine.frame} root={root} tree={tree} grid={grid} />
+      </div>
+    </div>
+  );
+};
+
+// shown once every lane has reached its last frame
+const RaceSummary = ({ lanes }) => {
+  if (!lanes.every(({ engine }) => engine.total > 0 && engine.index === engine.total - 1)) return null;
+  const rows = lanes.map(({ algo, name, engine }) => ({ name: name || algoName(algo), steps: engine.total, ops: engine.frame?.ops ? totalOps(engine.frame.ops) : null }));
+  const best = (key) => {
+    const vals = rows.map((r) => r[key]).filter((v) => v != null);
+    if (vals.length < rows.length) return null;
+    const min = Math.min(...vals);
+    const winners = rows.filter((r) => r[key] === min);
+    return winners.length === rows.length ? 'Tie' : winners.map((r) => r.name).join(', ');
+  };
+  const fewerOps = best('ops');
+  return (
+    <div className="mt-4 rounded-2xl border border-emerald-500/40 bg-emerald-50/60 dark:bg-emerald-900/20 p-3 text-sm">
+      <div className="mb-2 font-medium">Finish line</div>
+      <table className="w-full text-left text-xs">
+        <thead className="text-zinc-500"><tr><th className="font-normal">Algorithm</th><th className="font-normal">Steps</th><th className="font-normal">Operations</th></tr></thead>
+        <tbody className="font-mono">
+          {rows.map((r) => <tr key={r.name}><td className="font-sans">{r.name}</td><td>{r.steps}</td><td>{r.ops ?? '—'}</td></tr>)}
+        </tbody>
+      </table>
+      <div className="mt-2 text-xs text-zinc-700 dark:text-zinc-300">
+        Fewer steps: <span className="font-semibold">{best('steps')}</span>
+        {fewerOps && <> · Fewer operations: <span className="font-semibold">{fewerOps}</span></>}
+      </div>
+    </div>
+  );
+};
+
+// ------------------------------
+// Save as preset
+// algorithm + the inputs it reads → a question in /questions (../questions/store.js)
+// ------------------------------
+const NEW_QUESTION = '+new';
+
+const PresetBar = ({ algo, inputs, disabled, onClose }) => {
+  const [questions, setQuestions] = React.useState([]);
+  const [qid, setQid] = React.useState(NEW_QUESTION);
+  const [title, setTitle] = React.useState('');
+  const [label, setLabel] = React.useState(algoName(algo));
+  const [message, setMessage] = React.useState('');
+
+  // the lists live in localStorage: read them once the bar opens
+  React.useEffect(() => {
+    const { questions: list } = loadStore();
+    setQuestions(list);
+    if (list.length) setQid(list[0].id);
+  }, []);
+
+  const save = () => {
+    let state = loadStore(), id = qid;
+    if (qid === NEW_QUESTION) ({ state, id } = addQuestion(state, { title }));
+    const next = addPreset(state, id, { algo, label, inputs: Object.fromEntries(inputFields(algo).map((f) => [f, inputs[f]])) });
+    const name = next.questions.find((q) => q.id === id)?.title;
+    if (next === state) return setMessage(`"${name}" already has this preset`);
+    saveStore(next);
+    setQuestions(next.questions);
+    setQid(id);
+    setTitle('');
+    setMessage(`Saved to "${name}"`);
+  };
+
+  return (
+    <Section title="Save current run as preset" right={<Button onClick={onClose} aria-label="Close"><X className="h-4 w-4"/></Button>}>
+      <div className="grid gap-3 sm:grid-cols-[1fr_1fr_auto] items-end">
+        <div>
+          <Label>Question</Label>
+          <Select value={qid} onChange={(e)=>setQid(e.target.value)}>
+            {questions.map((q) => <option key={q.id} value={q.id}>{q.title}</option>)}
+            <option value={NEW_QUESTION}>New question…</option>
+          </Select>
+          {qid === NEW_QUESTION && <div className="mt-2"><Input value={title} onChange={(e)=>setTitle(e.target.value)} placeholder="Title, e.g. Sort an Array" /></div>}
+        </div>
+        <div>
+          <Label>Preset label</Label>
+          <Input value={label} onChange={(e)=>setLabel(e.target.value)} placeholder={algoName(algo)} />
+        </div>
+        <Button onClick={save} disabled={disabled || (qid === NEW_QUESTION && !title.trim())} className="bg-emerald-600/90 text-white border-emerald-700 hover:bg-emerald-600 disabled:cursor-not-allowed disabled:opacity-50"><BookmarkPlus className="h-4 w-4"/>Save</Button>
+      </div>
+      <div className={`mt-2 text-xs ${disabled ? 'text-rose-600 dark:text-rose-400' : 'text-zinc-500'}`}>
+        {disabled ? 'Fix the highlighted input to save it' : message || <>Keeps {algoName(algo)} and its inputs; the question&apos;s Visualize button in <Link href="/questions" className="underline">Questions</Link> opens them here.</>}
+      </div>
+    </Section>
+  );
+};
+
+// ------------------------------
+// Generate control
+// shape, size N and seed → fills the current category's inputs (./generate.js)
+// ------------------------------
+const GenerateBar = ({ shapes, shape, setShape, size, setSize, sizes: [def, min, max], seed, setSeed, onGenerate }) => (
+  <div className="mb-3 grid gap-3 sm:grid-cols-4 items-end border-b border-zinc-200/70 dark:border-zinc-800/70 pb-3">
+    <div>
+      <Label>Generate</Label>
+      <Select value={shape} onChange={(e)=>setShape(e.target.value)}>
+        {shapes.map((s) => <option key={s} value={s}>{s[0].toUpperCase() + s.slice(1)}</option>)}
+      </Select>
+    </div>
+    <div>
+      <Label>Size N ({min}–{max})</Label>
+      <Input value={size} onChange={(e)=>setSize(e.target.value)} placeholder={String(def)} />
+    </div>
+    <div>
+      <Label>Seed</Label>
+      <Input value={seed} onChange={(e)=>setSeed(e.target.value)} placeholder="1" />
+    </div>
+    <div className="flex gap-2">
+      <Button onClick={() => onGenerate()}>Generate</Button>
+      <Button onClick={() => onGenerate(randomSeed())} title="Generate with a new random seed"><Dices className="h-4 w-4"/></Button>
+    </div>
+  </div>
+);
+
+// ------------------------------
+// Pseudocode & Complexity
+// ------------------------------
+const BST_PSEUDO = ['search(x): node ← root', ' while node: x<node.val → left, else right', 'insert(x): attach a new leaf where search ends', 'delete(x): ≤1 child → splice the node out', ' 2 children → copy successor value, delete successor'];
+
+const INFO = {
+  arr_insertion: { tc: 'O(n^2)', sc: 'O(1)', cost: (n) => n * n, pseudo: ['for i ← 1..n-1', '  key ← a[i]', '  j ← i-1', '  while j>=0 & a[j]>key', '    a[j+1]←a[j]; j--', '  a[j+1]←key'] },
+  arr_bubble: { tc: 'O(n^2)', sc: 'O(1)', cost: (n) => n * n, pseudo: ['repeat n times', '  for j=0..n-i-2', '    if a[j]>a[j+1]', '      swap'] },
+  arr_merge: { tc: 'O(n log n)', sc: 'O(n)', cost: (n) => n * Math.log2(n), pseudo: ['mergeSort(l,r):', ' if l>=r return', ' m=(l+r)/2', ' sort(l,m); sort(m+1,r)', ' merge(l,m,r)'] },
+  arr_selection: { tc: 'O(n^2)', sc: 'O(1)', cost: (n) => n * n, pseudo: ['for i ← 0..n-2', '  min ← i', '  for j ← i+1..n-1', '    if a[j]<a[min]: min ← j', '  swap a[i], a[min]'] },
+  arr_quick_lomuto: { tc: 'O(n log n) avg, O(n^2) worst', sc: 'O(log n)', cost: (n) => n * Math.log2(n), pseudo: ['quickSort(l,r):', ' if l>=r return', ' p ← partition(l,r)', ' quickSort(l,p-1); quickSort(p+1,r)', 'partition: pivot←a[r]; i←l', ' for j←l..r-1:', '  if a[j]<pivot: swap a[i],a[j]; i++', ' swap a[i],a[r]; return i'] },
+  arr_quick_hoare: { tc: 'O(n log n) avg, O(n^2) worst', sc: 'O(log n)', cost: (n) => n * Math.log2(n), pseudo: ['quickSort(l,r):', ' if l>=r return', ' p ← partition(l,r)', ' quickSort(l,p); quickSort(p+1,r)', 'partition: pivot←a[mid]; i←l-1; j←r+1', ' loop: i++ while a[i]<pivot; j-- while a[j]>pivot', '  if i<j: swap a[i],a[j]', '  else return j'] },
+  arr_heap: { tc: 'O(n log n)', sc: 'O(1)', cost: (n) => n * Math.log2(n), pseudo: ['buildMaxHeap(a):', '  for i ← n/2-1..0: siftDown(i, n)', 'for end ← n-1..1:', '  swap a[0], a[end]', '  siftDown(0, end)'] },
+  arr_shell: { tc: 'O(n^2) worst (n/2ᵏ gaps)', sc: 'O(1)', cost: (n) => n ** 1.5, pseudo: ['for gap ← n/2, n/4, …, 1:', '  for i ← gap..n-1:', '    tmp ← a[i]; j ← i', '    while j≥gap & a[j-gap]>tmp:', '      a[j] ← a[j-gap]; j ← j-gap', '    a[j] ← tmp'] },
+  arr_counting: { tc: 'O(n + k)', sc: 'O(n + k)', cost: (n, k) => n + k, pseudo: ['count[] ← 0 over [min..max]', 'for x in a: count[x]++', 'for k: count[k] += count[k-1]', 'for i ← n-1..0:', '  out[--count[a[i]]] ← a[i]'] },
+  arr_radix: { tc: 'O(d·(n + 10))', sc: 'O(n + 10)', cost: (n) => n, pseudo: ['for exp ← 1, 10, 100, … while max/exp>0:', '  buckets[0..9] ← []', '  for x in a: buckets[digit(x,exp)].push(x)', '  a ← concat(buckets)'] },
+  arr_binary: { tc: 'O(log n)', sc: 'O(1)', cost: (n) => Math.log2(n), pseudo: ['l←0,r←n-1', 'while l≤r:', ' m←(l+r)/2', ' if a[m]==x return m', ' if a[m]<x l←m+1 else r←m-1'] },
+  graph_bfs: { tc: 'O(V+E)', sc: 'O(V)', cost: (n, m) => n + m, pseudo: ['push start to queue', 'while queue:', '  u←pop', '  for v in adj[u]:', '    if not visited: mark & push'] },
+  graph_dfs: { tc: 'O(V+E)', sc: 'O(V)', cost: (n, m) => n + m, pseudo: ['dfs(u):', ' mark u', ' for v in adj[u]:', '  if not visited: dfs(v)'] },
+  graph_dijkstra: { tc: 'O(V^2) with array scan', tcHeap: 'O((V+E) log V) with binary heap', sc: 'O(V)', cost: (n, m) => n * n + m, costHeap: (n, m) => (n + m) * Math.log2(n), pseudo: ['dist[]=∞; dist[s]=0', 'repeat:', ' pick u with min dist', ' relax edges u→v'] },
+  graph_bellman: { tc: 'O(V·E)', sc: 'O(V)', cost: (n, m) => n * m, pseudo: ['dist[]=∞; dist[s]=0', 'repeat V-1 times:', ' for each edge u→v:', '  relax(u,v)', 'for each edge u→v:', ' if dist[u]+w<dist[v]: negative cycle'] },
+  graph_prim: { tc: 'O(E^2) with array scan', tcHeap: 'O(E log E) with binary heap', sc: 'O(E)', cost: (n, m) => m * m, costHeap: (n, m) => m * Math.log2(m), pseudo: ['pick start', 'push edges to PQ', 'while PQ:', ' add min edge to MST', ' push new edges'] },
+  graph_kruskal: { tc: 'O(E log E)', sc: 'O(V + E)', cost: (n, m) => m * Math.log2(m), pseudo: ['sort edges by weight; make-set(v) for every v', 'for edge (u, v, w) in order, until V-1 edges:', '  consider (u, v)', '  ru ← find(u); rv ← find(v)  (path compression)', '  if ru ≠ rv: union by rank; add edge to MST', '  else: skip (would close a cycle)'] },
+  graph_topo_kahn: { tc: 'O(V+E)', sc: 'O(V)', cost: (n, m) => n + m, pseudo: ['indeg[v] ← #incoming edges; queue ← all v with indeg 0', 'while queue:', '  u ← dequeue; output u', '  for v in adj[u]: indeg[v]--', '    if indeg[v] = 0: enqueue v', 'if output < V: graph has a cycle'] },
+  graph_topo_dfs: { tc: 'O(V+E)', sc: 'O(V)', cost: (n, m) => n + m, pseudo: ['for each unvisited v: dfs(v); order = reverse finish order', 'dfs(u): mark u gray (on the stack)', ' for v in adj[u]:', '  if v is gray: back edge → cycle', '  if v unvisited: dfs(v)', ' mark u black; prepend u to the order'] },
+  graph_scc_tarjan: { tc: 'O(V+E)', sc: 'O(V)', cost: (n, m) => n + m, pseudo: ['for each unvisited v: strongconnect(v)', 'strongconnect(u): index[u] = low[u] = t++; push u', ' for v in adj[u]: if unvisited: strongconnect(v)', '   low[u] ← min(low[u], low[v])', '  elif v on stack: low[u] ← min(low[u], index[v])', ' if low[u] = index[u]: pop stack down to u → one SCC'] },
+  graph_scc_kosaraju: { tc: 'O(V+E)', sc: 'O(V+E)', cost: (n, m) => n + m, pseudo: ['pass 1: for each unvisited v: dfs(v)', '  dfs(u): visit neighbours, then', '  push u to the finish list', 'pass 2: transpose G (flip every edge)', '  for u by decreasing finish: if unassigned: dfs on Gᵀ', '  everything reached is one SCC'] },
+  graph_bridges: { tc: 'O(V+E)', sc: 'O(V)', cost: (n, m) => n + m, pseudo: ['for each unvisited v: dfs(v, none)', 'dfs(u, p): disc[u] = low[u] = t++', ' for v ≠ p visited: low[u] ← min(low[u], disc[v])', ' for v unvisited: dfs(v, u); low[u] ← min(low[u], low[v])', '  low[v] > disc[u] → u–v is a bridge', '  low[v] ≥ disc[u] → u is a cut vertex (root: ≥ 2 children)'] },
+  graph_floyd: { tc: 'O(V^3)', sc: 'O(V^2)', cost: (n) => n * n * n, pseudo: ['dist ← edge weights; dist[v][v] ← 0', 'for k ← 1..V:', ' for i, j:', '  dist[i][j] ← min(dist[i][j], dist[i][k] + dist[k][j])', 'dist[v][v] < 0 → negative cycle', 'done'] },
+  tree_bfs: { tc: 'O(n)', sc: 'O(w) (widest level)', pseudo: ['queue ← [root]', 'while queue: size ← |queue|  (one level)', ' repeat size times:', '  u ← pop; visit u', '  push u.left, u.right'] },
+  tree_dfs: { tc: 'O(n)', sc: 'O(h)', pseudo: ['preorder(u):', ' visit u', ' preorder(u.left)', ' preorder(u.right)'] },
+  tree_inorder: { tc: 'O(n)', sc: 'O(h)', pseudo: ['inorder(u):', ' inorder(u.left)', ' visit u', ' inorder(u.right)'] },
+  tree_postorder: { tc: 'O(n)', sc: 'O(h)', pseudo: ['postorder(u):', ' postorder(u.left)', ' postorder(u.right)', ' visit u'] },
+  tree_iter_pre: { tc: 'O(n)', sc: 'O(h)', pseudo: ['stack ← [root]', 'while stack:', ' u ← pop; visit u', ' push u.right', ' push u.left'] },
+  tree_iter_in: { tc: 'O(n)', sc: 'O(h)', pseudo: ['cur ← root; stack ← []', 'while cur or stack:', ' while cur: push cur; cur ← cur.left', ' cur ← pop; visit cur', ' cur ← cur.right'] },
+  tree_iter_post: { tc: 'O(n)', sc: 'O(h)', pseudo: ['cur ← root; last ← null', 'while cur or stack:', ' if cur: push cur; cur ← cur.left', ' elif top.right and top.right ≠ last: cur ← top.right', ' else: visit top; last ← pop'] },
+  tree_morris: { tc: 'O(n)', sc: 'O(1)', pseudo: ['cur ← root', 'while cur:', ' if no cur.left: visit cur; cur ← cur.right', ' pred ← rightmost node of cur.left', ' if pred.right = null: pred.right ← cur; cur ← cur.left', ' else: pred.right ← null; visit cur; cur ← cur.right'] },
+  tree_bst: { tc: 'O(h) per op, O(n) worst (skewed)', sc: 'O(n)', pseudo: BST_PSEUDO },
+  tree_avl: { tc: 'O(log n) per op', sc: 'O(n)', pseudo: [...BST_PSEUDO, 'walk up from the changed node:', ' h ← 1+max(h(L),h(R)); bf ← h(L)−h(R)', ' |bf|>1 → rotate (LL, RR, LR, RL)'] },
+  tree_rb: { tc: 'O(log n) per op', sc: 'O(n)', pseudo: [...BST_PSEUDO, 'insert fix: new node is red', ' red uncle → recolor parent, uncle, grandparent; move up', ' black uncle → rotate (inner child first), recolor', 'delete fix: removed black → recolor / rotate around sibling', 'root is always black'] },
+  dp_lcs: { tc: 'O(m·n)', sc: 'O(m·n)', pseudo: ['dp[i][0] = dp[0][j] = 0', 'for i ← 1..m, j ← 1..n:', '  if a[i] = b[j]: dp[i][j] ← dp[i-1][j-1] + 1', '  else: dp[i][j] ← max(dp[i-1][j], dp[i][j-1])', 'trace back from dp[m][n]'] },
+  dp_edit: { tc: 'O(m·n)', sc: 'O(m·n)', pseudo: ['dp[i][0] = i; dp[0][j] = j', 'for i ← 1..m, j ← 1..n:', '  if a[i] = b[j]: dp[i][j] ← dp[i-1][j-1]', '  else: 1 + min(delete dp[i-1][j], insert dp[i][j-1], replace dp[i-1][j-1])', 'trace back from dp[m][n]'] },
+  dp_knapsack: { tc: 'O(n·W)', sc: 'O(n·W)', pseudo: ['dp[0][w] = 0', 'for item i, capacity w:', '  skip ← dp[i-1][w]', '  take ← dp[i-1][w-wᵢ] + vᵢ (if wᵢ ≤ w)', '  dp[i][w] ← max(skip, take)', 'trace back: dp[i][w] ≠ dp[i-1][w] → item i taken'] },
+  dp_coin: { tc: 'O(amount·k)', sc: 'O(amount)', pseudo: ['dp[0] = 0; dp[x] = ∞', 'for x ← 1..amount:', '  for coin c ≤ x: dp[x] ← min(dp[x], dp[x-c] + 1)', 'trace back: follow the coin chosen at each x'] },
+  dp_lis: { tc: 'O(n^2)', sc: 'O(n)', pseudo: ['dp[i] = 1', 'for i, for j < i:', '  if a[j] < a[i]: dp[i] ← max(dp[i], dp[j] + 1)', 'answer = max dp[i]; trace back via prev'] },
+  dp_mcm: { tc: 'O(n^3)', sc: 'O(n^2)', pseudo: ['m[i][i] = 0', 'for len ← 2..n, i: j ← i+len-1', '  m[i][j] ← min over k of m[i][k] + m[k+1][j] + p[i-1]·p[k]·p[j]', 'rebuild parenthesization from split s[i][j]'] },
+  grid_bfs: { tc: 'O(V)', sc: 'O(V)', pseudo: ['queue ← [start]; seen ← {start}', 'while queue:', '  u ← dequeue; close u', '  for free neighbour v not seen: parent[v] ← u; enqueue v', '  if u = goal: follow parent back to start', 'goal unreachable'] },
+  grid_dijkstra: { tc: 'O(V log V)', sc: 'O(V)', pseudo: ['open ← {start}; g[start] ← 0', 'while open:', '  u ← pop min g; close u', '  for neighbour v: if g[u] + cost(v) < g[v]: update g, parent; push v', '  if u = goal: follow parent back to start', 'goal unreachable'] },
+  grid_astar: { tc: 'O(V log V)', sc: 'O(V)', pseudo: ['open ← {start}; g[start] ← 0', 'while open:', '  u ← pop min f = g + h; close u', '  for neighbour v: if g[u] + cost(v) < g[v]: update g, parent; push v', '  if u = goal: follow parent back to start', 'goal unreachable'] },
+  grid_greedy: { tc: 'O(V log V)', sc: 'O(V)', pseudo: ['open ← {start}', 'while open:', '  u ← pop min h (distance estimate only); close u', '  for neighbour v not yet reached: parent[v] ← u; push v', '  if u = goal: follow parent back to start', 'goal unreachable'] },
+  bt_queens: { tc: 'O(n!)', sc: 'O(n)', pseudo: ['solve(row):', '  if row = n: solution', '  for col ← 0..n-1:', '    if attacked(row, col): prune', '    place queen; solve(row+1)', '    remove queen (backtrack)'] },
+  bt_subsets: { tc: 'O(n·2^n)', sc: 'O(n)', pseudo: ['subsets(i):', '  if i = n: record chosen', '  include nums[i]; subsets(i+1); pop', '  exclude nums[i]; subsets(i+1)'] },
+  bt_permutations: { tc: 'O(n·n!)', sc: 'O(n)', pseudo: ['permute():', '  if |path| = n: record path', '  for i not used:', '    if a[i] = a[i-1] and a[i-1] unused: prune', '    use a[i]; permute(); unuse a[i]'] },
+  bt_combsum: { tc: 'O(k^(T/min))', sc: 'O(T/min)', pseudo: ['combine(start, remain):', '  if remain = 0: record path', '  for i ← start..k-1 (sorted):', '    if c[i] > remain: prune, break', '    take c[i]; combine(i, remain-c[i]); pop'] },
+  bt_sudoku: { tc: 'O(9^m)', sc: 'O(m)', pseudo: ['solve():', '  if no empty cell: solved', '  (r, c) ← first empty cell', '  for d ← 1..n: if d clashes in row/col/box: prune', '    write d; if solve(): return true', '    clear (r, c) (backtrack)'] },
+  bt_fib: { tc: 'O(n)', sc: 'O(n)', pseudo: ['fib(k):', '  if k < 2: return k', '  if k in memo: return memo[k]', '  memo[k] ← fib(k-1) + fib(k-2)', 'return memo[k]'] },
+  ll_slowfast: { tc: 'O(n)', sc: 'O(1)', pseudo: ['slow ← head; fast ← head', 'while fast and fast.next:', '  slow ← slow.next; fast ← fast.next.next', '  if slow = fast: cycle → phase 2', 'no cycle (slow is at the middle)', 'slow ← head', 'while slow ≠ fast: step both once', 'cycle entry = slow'] },
+  ll_reverse: { tc: 'O(n)', sc: 'O(1)', pseudo: ['prev ← null; curr ← head', 'while curr:', '  next ← curr.next', '  curr.next ← prev', '  prev ← curr; curr ← next', 'head ← prev'] },
+  ll_merge: { tc: 'O(n + m)', sc: 'O(1)', pseudo: ['dummy ← new node; tail ← dummy', 'while a and b:', '  if a.val ≤ b.val: tail.next ← a; a ← a.next', '  else: tail.next ← b; b ← b.next', '  tail ← tail.next', 'tail.next ← a or b', 'return dummy.next'] },
+  ll_remove_nth: { tc: 'O(n)', sc: 'O(1)', pseudo: ['dummy.next ← head; slow ← fast ← dummy', 'repeat n times: fast ← fast.next', 'while fast.next:', '  slow ← slow.next; fast ← fast.next', 'slow.next ← slow.next.next', 'return dummy.next'] }
+};
+
+// ------------------------------
+// Page
+// ------------------------------
+// sessionStorage key: a loaded trace waiting for its algorithm's route to mount
+const PENDING_TRACE = 'visualizer:pending-trace';
+
+export default function VisualizerPage({ initialAlgo = DEFAULT_ALGO }){
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  // URL is read once on mount; afterwards local state is the source of truth
+  const [initial] = React.useState(() => readUrlState(searchParams, INPUT_DEFAULTS));
+  const algo = isAlgoKey(initialAlgo) ? initialAlgo : DEFAULT_ALGO;
+
+  // inputs
+  const [arrayText, setArrayText] = React.useState(initial.inputs.arrayText);
+  const [arraySortedText, setArraySortedText] = React.useState(initial.inputs.arraySortedText);
+  const [adjText, setAdjText] = React.useState(initial.inputs.adjText);
+  const [graphFormat, setGraphFormat] = React.useState(initial.inputs.graphFormat);
+  const [graphDir, setGraphDir] = React.useState(initial.inputs.graphDir);
+  const [gridText, setGridText] = React.useState(initial.inputs.gridText);
+  const [gridHeur, setGridHeur] = React.useState(initial.inputs.gridHeur);
+  const [gridMoves, setGridMoves] = React.useState(initial.inputs.gridMoves);
+  const [gridTool, setGridTool] = React.useState('wall');
+  const [genShape, setGenShape] = React.useState('');
+  const [genSize, setGenSize] = React.useState('');
+  const [genSeed, setGenSeed] = React.useState(initial.inputs.genSeed);
+  const [mazeKind, setMazeKind] = React.useState('backtracker');
+  const [gridSize, setGridSize] = React.useState('medium');
+  const [treeText, setTreeText] = React.useState(initial.inputs.treeText);
+  const [treeOpsText, setTreeOpsText] = React.useState(initial.inputs.treeOpsText);
+  const [llText, setLlText] = React.useState(initial.inputs.llText);
+  const [llText2, setLlText2] = React.useState(initial.inputs.llText2);
+  const [nth, setNth] = React.useState(initial.inputs.nth);
+  const [dpA, setDpA] = React.useState(initial.inputs.dpA);
+  const [dpB, setDpB] = React.useState(initial.inputs.dpB);
+  const [dpItems, setDpItems] = React.useState(initial.inputs.dpItems);
+  const [dpCap, setDpCap] = React.useState(initial.inputs.dpCap);
+  const [dpCoins, setDpCoins] = React.useState(initial.inputs.dpCoins);
+  const [dpAmount, setDpAmount] = React.useState(initial.inputs.dpAmount);
+  const [dpNums, setDpNums] = React.useState(initial.inputs.dpNums);
+  const [dpDims, setDpDims] = React.useState(initial.inputs.dpDims);
+  const [btQueens, setBtQueens] = React.useState(initial.inputs.btQueens);
+  const [btNums, setBtNums] = React.useState(initial.inputs.btNums);
+  const [btCands, setBtCands] = React.useState(initial.inputs.btCands);
+  const [btTarget, setBtTarget] = React.useState(initial.inputs.btTarget);
+  const [btSudoku, setBtSudoku] = React.useState(initial.inputs.btSudoku);
+  const [btFib, setBtFib] = React.useState(initial.inputs.btFib);
+  const [target, setTarget] = React.useState(initial.inputs.target);
+  const [startNode, setStartNode] = React.useState(initial.inputs.startNode);
+  const [pqMode, setPqMode] = React.useState(initial.inputs.pqMode);
+  const [raceAlgo, setRaceAlgo] = React.useState(initial.inputs.raceAlgo);
+  const [copied, setCopied] = React.useState(false);
+  const [presetOpen, setPresetOpen] = React.useState(false);
+
+  const peers = racePeers(algo);
+  const vs = peers.some((p) => p.key === raceAlgo) ? raceAlgo : '';
+  // input field → setter (generated cases, loaded traces)
+  const setters = { arrayText: setArrayText, arraySortedText: setArraySortedText, adjText: setAdjText, graphFormat: setGraphFormat, graphDir: setGraphDir, gridText: setGridText, gridHeur: setGridHeur, gridMoves: setGridMoves, treeText: setTreeText, treeOpsText: setTreeOpsText, llText: setLlText, llText2: setLlText2, nth: setNth, dpA: setDpA, dpB: setDpB, dpItems: setDpItems, dpCap: setDpCap, dpCoins: setDpCoins, dpAmount: setDpAmount, dpNums: setDpNums, dpDims: setDpDims, btQueens: setBtQueens, btNums: setBtNums, btCands: setBtCands, btTarget: setBtTarget, btSudoku: setBtSudoku, btFib: setBtFib, target: setTarget, startNode: setStartNode, genSeed: setGenSeed, pqMode: setPqMode, raceAlgo: setRaceAlgo };
+  const inputs = { arrayText, arraySortedText, adjText, graphFormat, graphDir, gridText, gridHeur, gridMoves, treeText, treeOpsText, llText, llText2, nth, dpA, dpB, dpItems, dpCap, dpCoins, dpAmount, dpNums, dpDims, btQueens, btNums, btCands, btTarget, btSudoku, btFib, target, startNode, genSeed, pqMode, raceAlgo: vs };
+  const usesPq = algo === 'graph_dijkstra' || algo === 'graph_prim';
+  const usesStart = ['graph_bfs', 'graph_dfs', 'graph_dijkstra', 'graph_bellman', 'graph_prim'].includes(algo);
+  const graphRoot = nodeKey(startNode.trim());
+  // field → [{ line, col, message }]; any error keeps Run disabled
+  const issues = validateInputs(algo, inputs, { usesStart, searchTree: !!SEARCH_TREES[algo] });
+  const blocked = Object.keys(issues).length > 0;
+
+  const frames = useFrames(initial.speed);
+  const rival = useFrames(initial.speed);
+  const mine = useFrames(initial.speed); // the user's own code (./userCode.js)
+  // race mode / your code: shared play/pause over both lanes; speed always moves all engines
+  const lanes = vs ? [{ algo, engine: frames }, { algo: vs, engine: rival }]
+    : mine.total ? [{ algo, engine: frames }, { algo, name: 'Your code', engine: mine }] : null;
+  const ctl = lanes ? linkFrames(lanes.map((l) => l.engine)) : frames;
+  const setSpeed = (ms) => { frames.setSpeed(ms); rival.setSpeed(ms); mine.setSpeed(ms); };
+
+  // text inputs → parsed input object for framesFor()
+  const parseInputs = () => {
+    if (algo.startsWith('arr_')) return { arr: parseArray(algo==='arr_binary'? arraySortedText : arrayText), target: Number(target) };
+    // adjacency / edge list / matrix / DOT / LeetCode, see ./graphInput.js
+    if (algo.startsWith('graph_')) return { graph: parseGraph(adjText, { format: graphFormat, directed: graphDir === 'directed' }), start: graphRoot, pqMode };
+    if (algo.startsWith('grid_')) return { grid: parseGrid(gridText), gridOpts: { heuristic: gridHeur, moves: Number(gridMoves) } };
+    if (SEARCH_TREES[algo]) return { treeOps: parseTreeOps(treeOpsText) };
+    if (algo.startsWith('tree_')) return { root: buildTreeFromArray(parseTreeArray(treeText)) };
+    if (algo.startsWith('dp_')) return { dp: { a: dpA.trim(), b: dpB.trim(), items: parseItems(dpItems), cap: Number(dpCap), coins: parseNums(dpCoins), amount: Number(dpAmount), nums: parseNums(dpNums), dims: parseNums(dpDims) } };
+    if (algo.startsWith('bt_')) return { bt: { n: Number(btQueens), nums: parseNums(btNums), cands: parseNums(btCands), target: Number(btTarget), sudoku: parseSudoku(btSudoku), fib: Number(btFib) } };
+    if (algo.startsWith('ll_')) return { list: parseLinkedList(llText), list2: parseLinkedList(llText2), nth: Number(nth) };
+    return {};
+  };
+
+  // → true when the run was generated
+  const onRun = (startAt = 0, against = vs) => {
+    if (blocked) return false;
+    try {
+      const input = parseInputs();
+      frames.setFrames(framesFor(algo, input), startAt);
+      rival.setFrames(against ? framesFor(against, input) : [], startAt);
+      mine.setFrames([]);
+      return true;
+    } catch (e) {
+      console.error(e);
+      frames.setFrames([{ desc: 'Parse error. Check input.', data: [] }]);
+      rival.setFrames([]);
+      mine.setFrames([]);
+      return false;
+    }
+  };
+
+  // the Run button: only runs started here go into the practice log, not ?step= replays
+  const runClicked = () => {
+    if (onRun()) logVisualizerRun(algo, algoName(algo));
+  };
+
+  // the user's sort / search beside this algorithm on the same input; ends race mode
+  const runCode = async (code) => {
+    const input = parseInputs();
+    const result = await runUserCode(code, algo === 'arr_binary' ? 'search' : 'sort', input);
+    setRaceAlgo('');
+    frames.setFrames(framesFor(algo, input));
+    rival.setFrames([]);
+    mine.setFrames(userFrames(input.arr, result, input.target));
+    logVisualizerRun(algo, `${algoName(algo)} (your code)`);
+    return result;
+  };
+
+  const selectRace = (key) => {
+    setRaceAlgo(key);
+    if (frames.total) onRun(0, key);
+  };
+
+  // JSON trace → inputs + recorded frames (not regenerated, so old traces replay as recorded)
+  const loadTrace = (trace) => {
+    for (const [field, v] of Object.entries(trace.inputs)) if (field !== 'raceAlgo' && typeof v === 'string') setters[field]?.(v);
+    setRaceAlgo('');
+    frames.setFrames(trace.frames);
+    rival.setFrames([]);
+    mine.setFrames([]);
+  };
+  // another algorithm's trace: park it for the page that route mounts
+  const importTrace = (text) => {
+    const trace = parseTrace(text, isAlgoKey);
+    if (trace.algo === algo) return loadTrace(trace);
+    sessionStorage.setItem(PENDING_TRACE, text);
+    router.push(visualizerHref(trace.algo, { inputs: { ...INPUT_DEFAULTS, ...trace.inputs, raceAlgo: '' }, step: null, speed: frames.speed }, INPUT_DEFAULTS));
+  };
+
+  // what the mount effect below needs, as of the latest render; it runs once
+  const onMount = React.useRef(null);
+  onMount.current = { algo, step: initial.step, onRun, loadTrace };
+
+  // shared link with ?step= → regenerate the run and jump to that frame
+  React.useEffect(() => {
+    const m = onMount.current;
+    const pending = sessionStorage.getItem(PENDING_TRACE);
+    sessionStorage.removeItem(PENDING_TRACE);
+    const trace = pending ? parseTrace(pending, isAlgoKey) : null;
+    if (trace?.algo === m.algo) m.loadTrace(trace);
+    else if (m.step != null) m.onRun(m.step);
+  }, []);
+
+  // keep the address bar in sync without adding history entries
+  const href = visualizerHref(algo, { inputs, step: frames.total ? frames.index : null, speed: frames.speed }, INPUT_DEFAULTS);
+  React.useEffect(() => {
+    window.history.replaceState(window.history.state, '', href);
+  }, [href]);
+
+  const selectAlgo = (key) => {
+    if (key === algo) return;
+    const keepRace = vs && vs !== key && racePeers(key).some((p) => p.key === vs);
+    router.push(visualizerHref(key, { inputs: { ...inputs, raceAlgo: keepRace ? vs : '' }, step: null, speed: frames.speed }, INPUT_DEFAULTS));
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.origin + href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  // grid editing: any change invalidates the frames of the previous board
+  const board = algo.startsWith('grid_') ? parseGrid(gridText) : null;
+  const setBoard = (g) => {
+    setGridText(serializeGrid(g));
+    if (frames.total) { frames.setFrames([]); rival.setFrames([]); mine.setFrames([]); }
+  };
+  const paint = (i) => { if (board) setBoard(paintCell(board, i, gridTool)); };
+  const generateMaze = (seed = genSeed) => {
+    const [rows, cols] = GRID_SIZES[gridSize];
+    const rng = mulberry32(hashSeed(seed));
+    setGenSeed(seed);
+    setBoard(mazeKind === 'prim' ? mazePrim(rows, cols, rng) : mazeBacktracker(rows, cols, rng));
+  };
+
+  // Generate control: the result is plain input text, so links carry it like typed input
+  const genShapes = generatorShapes(algo);
+  const shape = genShapes.includes(genShape) ? genShape : genShapes[0];
+  const generate = (seed = genSeed) => {
+    setGenSeed(seed);
+    for (const [field, text] of Object.entries(generateInput(algo, shape, Number(genSize), seed, { searchTree: !!SEARCH_TREES[algo] }))) setters[field](text);
+    if (frames.total) { frames.setFrames([]); rival.setFrames([]); mine.setFrames([]); }
+  };
+
+  const info = INFO[algo];
+  const levelTree = algo.startsWith('tree_') && !SEARCH_TREES[algo] ? buildTreeFromArray(parseTreeArray(treeText)) : null;
+  // Floyd-Warshall snapshots a V×V matrix per frame: too heavy for the benchmark sizes
+  const benchKind = algo.startsWith('arr_') ? 'array' : algo.startsWith('graph_') && algo !== 'graph_floyd' ? 'graph' : null;
+  // binary search needs sorted input; everything else takes the generated shape as-is
+  const benchRun = (input) => framesFor(algo, algo === 'arr_binary' ? { ...input, arr: [...input.arr].sort((a, b) => a - b) } : { ...input, pqMode });
+
+  return (
+    <div className="min-h-dvh bg-zinc-50 text-zinc-900 dark:bg-zinc-950 dark:text-zinc-50">
+      <div className="mx-auto w-full max-w-7xl px-4 py-6 sm:px-6 lg:px-8">
+        <header className="mb-4 flex items-center justify-between">
+          <h1 className="text-2xl font-semibold tracking-tight">Algorithm Visualizer</h1>
+          <div className="flex items-center gap-3">
+            <Button onClick={() => setPresetOpen(!presetOpen)}><BookmarkPlus className="h-4 w-4"/>Save as preset</Button>
+            <Button onClick={copyLink} aria-label="Copy shareable link"><Link2 className="h-4 w-4"/>{copied ? 'Copied!' : 'Copy link'}</Button>
+            <span className="text-xs text-zinc-500">v1 • client-side demo</span>
+          </div>
+        </header>
+        {presetOpen && <div className="mb-4"><PresetBar algo={algo} inputs={inputs} disabled={blocked} onClose={() => setPresetOpen(false)} /></div>}
+
+        <div className="grid gap-6 lg:grid-cols-[260px_1fr_320px]">
+          {/* Sidebar */}
+          <Section title="Algorithms">
+            <div className="space-y-4">
+              {Object.entries(CATEGORIES).map(([cat, cfg]) => (
+                <div key={cat}>
+                  <div className="mb-2 flex items-center gap-2 text-sm font-medium text-zinc-700 dark:text-zinc-200">
+                    {cfg.icon}
+                    <span>{cat}</span>
+                  </div>
+                  <div className="grid gap-2">
+                    {cfg.items.map((it) => (
+                      <Button
+                        key={it.key}
+                        className={`${algo===it.key ? 'border-emerald-600/60 bg-emerald-50/60 dark:bg-emerald-900/20' : ''}`}
+                        onClick={() => selectAlgo(it.key)}
+                      >
+                        {it.name}
+                      </Button>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </Section>
+
+          {/* Canvas & Controls */}
+          <div className="space-y-4">
+            <Section title="Inputs" right={<small className="text-zinc-500">Provide data and click Run</small>}>
+              {genShapes.length > 0 && (
+                <GenerateBar shapes={genShapes} shape={shape} setShape={setGenShape} size={genSize} setSize={setGenSize} sizes={GEN_SIZES[generatorKind(algo)]} seed={genSeed} setSeed={setGenSeed} onGenerate={generate} />
+              )}
+              {algo.startsWith('arr_') && (
+                <div className="grid gap-3 sm:grid-cols-2">
+                  <div>
+                    <Label>{algo==='arr_binary' ? 'Sorted Array' : 'Array'} (comma/space separated)</Label>
+                    <Input value={algo==='arr_binary'? arraySortedText : arrayText} onChange={(e)=> (algo==='arr_binary'? setArraySortedText(e.target.value): setArrayText(e.target.value))} placeholder="8, 5, 2, 9, 5, 6, 3" errors={issues[algo==='arr_binary' ? 'arraySortedText' : 'arrayText']} />
+                  </div>
+                  {algo==='arr_binary' && (
+                    <div>
+                      <Label>Target</Label>
+                      <Input value={target} onChange={(e)=>setTarget(e.target.value)} errors={issues.target} placeholder="5" />
+                    </div>
+                  )}
+                </div>
+              )}
+              {algo.startsWith('graph_') && (
+                <div className="grid gap-3 sm:grid-cols-2">
+                  <div className="sm:col-span-2">
+                    <Label>{GRAPH_FORMAT_HINTS[graphFormat] || GRAPH_FORMAT_HINTS.auto}</Label>
+                    <Textarea value={adjText} onChange={(e)=>setAdjText(e.target.value)} errors={issues.adjText} placeholder={DEFAULTS.adjList} />
+                  </div>
+                  <div>
+                    <Label>Format</Label>
+                    <Select value={graphFormat} onChange={(e)=>setGraphFormat(e.target.value)}>
+                      {GRAPH_FORMATS.map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                    </Select>
+                  </div>
+                  <div>
+                    <Label>Edges</Label>
+                    <Select value={graphDir} onChange={(e)=>setGraphDir(e.target.value)}>
+                      <option value="directed">Directed (as written)</option>
+                      <option value="undirected">Undirected (mirror each edge)</option>
+                    </Select>
+                  </div>
+                  {usesStart && (
+                    <div>
+                      <Label>Start Node</Label>
+                      <Input value={startNode} onChange={(e)=>setStartNode(e.target.value)} errors={issues.startNode} placeholder="0" />
+                    </div>
+                  )}
+                  {usesPq && (
+                    <div>
+                      <Label>Priority Queue</Label>
+                      <Select value={pqMode} onChange={(e)=>setPqMode(e.target.value)}>
+                        <option value="scan">Array scan</option>
+                        <option value="heap">Binary heap</option>
+                      </Select>
+                    </div>
+                  )}
+                </div>
+              )}
+              {algo.startsWith('grid_') && (
+                <div className="grid gap-3 sm:grid-cols-2">
+                  <div className="sm:col-span-2">
+                    <Label>Paint on the board below</Label>
+                    <div className="mt-1 flex flex-wrap gap-2">
+                      {[['wall', 'Wall'], ['weight', 'Weight (5)'], ['erase', 'Erase'], ['start', 'Start'], ['goal', 'Goal']].map(([tool, label]) => (
+                        <Button key={tool} onClick={() => setGridTool(tool)} className={gridTool === tool ? 'border-emerald-500 ring-2 ring-emerald-500/40' : ''}>{label}</Button>
+                      ))}
+                    </div>
+                    <FieldErrors errors={issues.gridText} />
+                  </div>
+                  <div>
+                    <Label>Maze</Label>
+                    <div className="flex gap-2">
+                      <Select value={mazeKind} onChange={(e)=>setMazeKind(e.target.value)}>
+                        <option value="backtracker">Recursive backtracker</option>
+                        <option value="prim">Prim&apos;s</option>
+                      </Select>
+                      <Select value={gridSize} onChange={(e)=>setGridSize(e.target.value)}>
+                        {Object.entries(GRID_SIZES).map(([k, [r, c]]) => <option key={k} value={k}>{r}×{c}</option>)}
+                      </Select>
+                    </div>
+                    <div className="mt-2 flex gap-2">
+                      <div className="w-24"><Input value={genSeed} onChange={(e)=>setGenSeed(e.target.value)} placeholder="seed" aria-label="Seed" /></div>
+                      <Button onClick={() => generateMaze()}>Generate</Button>
+                      <Button onClick={() => generateMaze(randomSeed())} title="Generate with a new random seed"><Dices className="h-4 w-4"/></Button>
+                      <Button onClick={() => setBoard(emptyGrid(...GRID_SIZES[gridSize]))}>Clear</Button>
+                    </div>
+                  </div>
+                  <div className="grid gap-3 grid-cols-2">
+                    <div>
+                      <Label>Moves</Label>
+                      <Select value={gridMoves} onChange={(e)=>setGridMoves(e.target.value)}>
+                        <option value="4">4 (orthogonal)</option>
+                        <option value="8">8 (with diagonals)</option>
+                      </Select>
+                    </div>
+                    {(algo==='grid_astar' || algo==='grid_greedy') && (
+                      <div>
+                        <Label>Heuristic</Label>
+                        <Select value={gridHeur} onChange={(e)=>setGridHeur(e.target.value)}>
+                          {HEURISTICS.map((h) => <option key={h} value={h}>{h[0].toUpperCase() + h.slice(1)}</option>)}
+                        </Select>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
+              {SEARCH_TREES[algo] && (
+                <div>
+                  <Label>Operations (insert / delete / search, one per line; bare numbers insert)</Label>
+                  <Textarea value={treeOpsText} onChange={(e)=>setTreeOpsText(e.target.value)} errors={issues.treeOpsText} placeholder={DEFAULTS.treeOps} />
+                </div>
+              )}
+              {algo.startsWith('tree_') && !SEARCH_TREES[algo] && (
+                <div className="grid gap-3 sm:grid-cols-2">
+                  <div className="sm:col-span-2">
+                    <Label>Tree Level-Order Array (use "null" for missing)</Label>
+                    <Input value={treeText} onChange={(e)=>setTreeText(e.target.value)} errors={issues.treeText} placeholder="1,2,3,4,5,null,7" />
+                  </div>
+                </div>
+              )}
+              {(algo==='dp_lcs' || algo==='dp_edit') && (
+                <div className="grid gap-3 sm:grid-cols-2">
+                  <div>
+                    <Label>String A</Label>
+                    <Input value={dpA} onChange={(e)=>setDpA(e.target.value)} placeholder={DEFAULTS.dpA} />
+                  </div>
+                  <div>
+                    <Label>String B</Label>
+                    <Input value={dpB} onChange={(e)=>setDpB(e.target.value)} placeholder={DEFAULTS.dpB} />
+                  </div>
+                </div>
+              )}
+              {algo==='dp_knapsack' && (
+                <div className="grid gap-3 sm:grid-cols-2">
+                  <div>
+                    <Label>Items (weight:value, comma separated)</Label>
+                    <Textarea value={dpItems} onChange={(e)=>setDpItems(e.target.value)} errors={issues.dpItems} placeholder={DEFAULTS.dpItems} />
+                  </div>
+                  <div>
+                    <Label>Capacity</Label>
+                    <Input value={dpCap} onChange={(e)=>setDpCap(e.target.value)} errors={issues.dpCap} placeholder="7" />
+                  </div>
+                </div>
+              )}
+              {algo==='dp_coin' && (
+                <div className="grid gap-3 sm:grid-cols-2">
+                  <div>
+                    <Label>Coins (comma/space separated)</Label>
+                    <Input value={dpCoins} onChange={(e)=>setDpCoins(e.target.value)} errors={issues.dpCoins} placeholder={DEFAULTS.dpCoins} />
+                  </div>
+                  <div>
+                    <Label>Amount</Label>
+                    <Input value={dpAmount} onChange={(e)=>setDpAmount(e.target.value)} errors={issues.dpAmount} placeholder="11" />
+                  </div>
+                </div>
+              )}
+              {algo==='dp_lis' && (
+                <div>
+                  <Label>Sequence (comma/space separated)</Label>
+                  <Input value={dpNums} onChange={(e)=>setDpNums(e.target.value)} errors={issues.dpNums} placeholder={DEFAULTS.dpNums} />
+                </div>
+              )}
+              {algo==='dp_mcm' && (
+                <div>
+                  <Label>Dimensions p0, p1, …, pn (matrix Ai is p(i-1) × p(i))</Label>
+                  <Input value={dpDims} onChange={(e)=>setDpDims(e.target.value)} errors={issues.dpDims} placeholder={DEFAULTS.dpDims} />
+                </div>
+              )}
+              {algo==='bt_queens' && (
+                <div>
+                  <Label>Board size n (1–8)</Label>
+                  <Input value={btQueens} onChange={(e)=>setBtQueens(e.target.value)} errors={issues.btQueens} placeholder="4" />
+                </div>
+              )}
+              {(algo==='bt_subsets' || algo==='bt_permutations') && (
+                <div>
+                  <Label>Numbers (comma/space separated, up to 5)</Label>
+                  <Input value={btNums} onChange={(e)=>setBtNums(e.target.value)} errors={issues.btNums} placeholder={DEFAULTS.btNums} />
+                </div>
+              )}
+              {algo==='bt_combsum' && (
+                <div className="grid gap-3 sm:grid-cols-2">
+                  <div>
+                    <Label>Candidates (reusable)</Label>
+                    <Input value={btCands} onChange={(e)=>setBtCands(e.target.value)} errors={issues.btCands} placeholder={DEFAULTS.btCands} />
+                  </div>
+                  <div>
+                    <Label>Target (up to 20)</Label>
+                    <Input value={btTarget} onChange={(e)=>setBtTarget(e.target.value)} errors={issues.btTarget} placeholder="7" />
+                  </div>
+                </div>
+              )}
+              {algo==='bt_sudoku' && (
+                <div>
+                  <Label>Puzzle (4×4 or 9×9, one row per line, . for blanks)</Label>
+                  <Textarea value={btSudoku} onChange={(e)=>setBtSudoku(e.target.value)} errors={issues.btSudoku} placeholder={DEFAULTS.btSudoku} />
+                </div>
+              )}
+              {algo==='bt_fib' && (
+                <div>
+                  <Label>n (0–25)</Label>
+                  <Input value={btFib} onChange={(e)=>setBtFib(e.target.value)} errors={issues.btFib} placeholder="6" />
+                </div>
+              )}
+              {algo.startsWith('ll_') && (
+                <div className="grid gap-3 sm:grid-cols-2">
+                  <div className={algo==='ll_slowfast' || algo==='ll_reverse' ? 'sm:col-span-2' : ''}>
+                    <Label>{algo==='ll_merge' ? <>List A (sorted; use → or {'->'}; may be empty)</> : <>Linked List (use → or {'->'}; end with {'-> @k'} for a cycle back to index k)</>}</Label>
+                    <Input value={llText} onChange={(e)=>setLlText(e.target.value)} errors={issues.llText} placeholder="1 -> 2 -> 3 -> 4 -> 5 -> @2" />
+                  </div>
+                  {algo==='ll_merge' && (
+                    <div>
+                      <Label>List B (sorted; may be empty)</Label>
+                      <Input value={llText2} onChange={(e)=>setLlText2(e.target.value)} errors={issues.llText2} placeholder={DEFAULTS.linkedlist2} />
+                    </div>
+                  )}
+                  {algo==='ll_remove_nth' && (
+                    <div>
+                      <Label>n (from the end)</Label>
+                      <Input value={nth} onChange={(e)=>setNth(e.target.value)} errors={issues.nth} placeholder="2" />
+                    </div>
+                  )}
+                </div>
+              )}
+
+              <div className="mt-3 flex flex-wrap items-center gap-2">
+                <Button onClick={runClicked} disabled={blocked} className="bg-emerald-600/90 text-white border-emerald-700 hover:bg-emerald-600 disabled:cursor-not-allowed disabled:opacity-50"><Play className="h-4 w-4"/>Run</Button>
+                <span className={`text-xs ${blocked ? 'text-rose-600 dark:text-rose-400' : 'text-zinc-500'}`}>{blocked ? 'Fix the highlighted input to run' : 'Generate frames for visualization'}</span>
+                {peers.length > 0 && (
+                  <div className="ml-auto flex items-center gap-2">
+                    <Label>Race against</Label>
+                    <div className="w-44">
+                      <Select value={vs} onChange={(e)=>selectRace(e.target.value)}>
+                        <option value="">— off —</option>
+                        {peers.map((p) => <option key={p.key} value={p.key}>{p.name}</option>)}
+                      </Select>
+                    </div>
+                  </div>
+                )}
+              </div>
+            </Section>
+
+            <Section title="Visualization" right={<span className="text-xs text-zinc-500">{lanes ? lanes.map((l) => l.name || algoName(l.algo)).join(' vs ') : `Step ${frames.index+1} / ${frames.total||0}`}</span>}>
+              {lanes ? (
+                <>
+                  <div className="grid gap-4 md:grid-cols-2">
+                    {lanes.map((l, k) => <RaceLane key={k} algo={l.algo} name={l.name} engine={l.engine} root={graphRoot} tree={levelTree} grid={board} />)}
+                  </div>
+                  <RaceSummary lanes={lanes} />
+                </>
+              ) : (
+                <>
+                  <div className="mb-3 min-h-[60px] text-sm text-zinc-600 dark:text-zinc-300">{frames.frame?.desc || 'Provide inputs and click Run.'}</div>
+                  <OpsBar ops={frames.frame?.ops} />
+                  <div className="grid gap-4 xl:grid-cols-[1fr_200px]">
+                    <div className="overflow-hidden rounded-2xl border border-zinc-200/70 dark:border-zinc-800/70 p-4 bg-white/60 dark:bg-zinc-900/60">
+                      <AlgoCanvas algo={algo} frame={frames.frame} root={graphRoot} tree={levelTree} grid={board} onPaint={paint} />
+                    </div>
+                    <div className="rounded-2xl border border-zinc-200/70 dark:border-zinc-800/70 p-3 bg-white/60 dark:bg-zinc-900/60">
+                      <div className="mb-2 text-sm font-medium">Watch</div>
+                      <WatchPanel frame={frames.frame} prevFrame={frames.prevFrame} />
+                    </div>
+                  </div>
+                </>
+              )}
+
+              <div className="mt-4 flex flex-wrap items-center gap-2">
+                <Button onClick={ctl.stepPrev}><SkipBack className="h-4 w-4"/>Prev</Button>
+                {ctl.playing ? (
+                  <Button onClick={ctl.pause}><Pause className="h-4 w-4"/>Pause</Button>
+                ) : (
+                  <Button onClick={ctl.play}><Play className="h-4 w-4"/>Play</Button>
+                )}
+                <Button onClick={ctl.stepNext}><SkipForward className="h-4 w-4"/>Next</Button>
+                <Button onClick={ctl.reset}><RotateCcw className="h-4 w-4"/>Reset</Button>
+
+                <div className="ml-auto flex items-center gap-2">
+                  <Timer className="h-4 w-4 text-zinc-500"/>
+                  <input type="range" min={200} max={1500} step={50} value={frames.speed} onChange={(e)=>setSpeed(Number(e.target.value))} />
+                  <span className="text-xs text-zinc-500 w-14">{frames.speed}ms</span>
+                </div>
+              </div>
+            </Section>
+
+            {algo.startsWith('arr_') && (
+              <Section title="Your code" right={<small className="text-zinc-500">{algo==='arr_binary' ? 'function search(a, target)' : 'function sort(a)'} in a sandboxed worker</small>}>
+                <CodePanel mode={algo==='arr_binary' ? 'search' : 'sort'} reference={algoName(algo)} disabled={blocked} onRun={runCode} />
+              </Section>
+            )}
+
+            <Section title="Export" right={<small className="text-zinc-500">GIF, WebM, SVG frames or a replayable JSON trace</small>}>
+              <ExportPanel
+                algo={algo}
+                engine={frames}
+                inputs={inputs}
+                renderFrame={(f) => <AlgoCanvas algo={algo} frame={f} root={graphRoot} tree={levelTree} grid={board} />}
+                onImport={importTrace}
+              />
+            </Section>
+
+            <Section title="Benchmark" right={<small className="text-zinc-500">Operations vs input size</small>}>
+              <BenchmarkPanel
+                algo={`${algo}:${pqMode}`}
+                kind={benchKind}
+                cost={usesPq && pqMode === 'heap' ? info?.costHeap : info?.cost}
+                tc={(usesPq && pqMode === 'heap' ? info?.tcHeap : info?.tc)}
+                run={benchRun}
+              />
+            </Section>
+          </div>
+
+          {/* Info panel */}
+          <Section title="Analysis">
+            <div className="space-y-4">
+              <div>
+                <div className="text-sm font-medium">Time & Space</div>
+                <div className="mt-1 text-sm text-zinc-700 dark:text-zinc-300">
+                  <div>Time: <span className="font-semibold">{(usesPq && pqMode === 'heap' ? info?.tcHeap : info?.tc) || '-'}</span></div>
+                  <div>Space: <span className="font-semibold">{info?.sc || '-'}</span></div>
+                </div>
+              </div>
+              <div>
+                <div className="text-sm font-medium">Pseudo-code</div>
+                <ol className="mt-2 list-decimal pl-5 text-sm text-zinc-700 dark:text-zinc-300">
+                  {info?.pseudo?.map((line, i) => (
+                    <li
+                      key={i}
+                      className={`leading-6 whitespace-pre rounded-md px-1 transition-colors ${
+                        frames.frame?.line === i ? 'bg-emerald-100/70 text-emerald-900 dark:bg-emerald-900/30 dark:text-emerald-200 font-semibold' : ''
+                      }`}
+                    >
+                      {line}
+                    </li>
+                  )) || <li>—</li>}
+                </ol>
+              </div>
+              <div>
+                <div className="text-sm font-medium">Tips</div>
+                <ul className="mt-2 list-disc pl-5 text-sm text-zinc-600 dark:text-zinc-400">
+                  {algo==='arr_merge' && <li>Observe the split phases (frames labeled Split) and merge points.</li>}
+                  {algo.startsWith('arr_quick') && <li>Violet marks the pivot; the violet bar is the partition boundary.</li>}
+                  {(algo==='arr_counting' || algo==='arr_radix') && <li>Integer keys only; the row under the array shows the counts/buckets.</li>}
+                  {algo.startsWith('arr_') && <li>Up to {ARRAY_LIMIT} values.</li>}
+                  {algo==='arr_counting' && <li>Keys span at most {COUNTING_RANGE} values (one bucket each).</li>}
+                  {algo.startsWith('graph_') && <li>Weighted input format: <code>0:1(4),2(1)</code> means edges 0→1 (w=4), 0→2 (w=1).</li>}
+                  {algo.startsWith('graph_') && <li>Nodes can be labels (<code>SFO JFK 6</code> as an edge list). Paste a LeetCode <code>edges = [[0,1],[1,2]]</code> or a Graphviz <code>digraph {'{ A -> B }'}</code> as is; a DOT header decides direction itself.</li>}
+                  {algo==='graph_dijkstra' && <li>Numbers above nodes are tentative distances; green nodes are settled.</li>}
+                  {algo==='graph_bellman' && <li>Numbers above nodes are tentative distances; a negative cycle is drawn in red.</li>}
+                  {algo.startsWith('graph_topo') && <li>Try a DAG such as <code>5:2,0 · 4:0,1 · 2:3 · 3:1</code> (one entry per line); the default undirected graph is all cycles.</li>}
+                  {algo==='graph_kruskal' && <li>Node colors are union-find sets; the panel shows the forest with ranks. Watch a long find get flattened by path compression.</li>}
+                  {algo.startsWith('graph_scc') && <li>Nodes are colored by component. {algo==='graph_scc_tarjan' ? 'Labels show index/low-link.' : 'Pass 2 runs on the transposed graph (every edge flipped).'}</li>}
+                  {algo==='graph_bridges' && <li>Labels show disc/low. Red edges are bridges; dashed red rings mark articulation points. Directed edges are treated as undirected.</li>}
+                  {algo==='graph_floyd' && <li>Green is the cell being improved, amber the two cells it adds (via the highlighted node k).</li>}
+                  {algo==='graph_prim' && <li>Purple edges form the MST so far; the table lists candidate edges in the PQ.</li>}
+                  {algo.startsWith('graph_') && <li>Edges are directed as written; pick Undirected to mirror each one (<code>0:1</code> then also adds <code>1:0</code>). Drag nodes to rearrange.</li>}
+                  {algo.startsWith('grid_') && <li>Pick a tool and drag on the board; painting clears the current run. Sky cells are closed, green cells are in the open set, violet is the path.</li>}
+                  {algo==='grid_bfs' && <li>BFS counts steps and ignores weights: race it against Dijkstra on a board with weighted cells.</li>}
+                  {algo==='grid_astar' && <li>With 8 moves use the Octile heuristic; Manhattan overestimates diagonal paths and may miss the shortest one.</li>}
+                  {algo==='grid_greedy' && <li>Greedy best-first follows the heuristic alone: fast, but the path is not guaranteed to be shortest.</li>}
+                  {algo.startsWith('tree_') && !SEARCH_TREES[algo] && <li>Use <code>null</code> to skip missing children in level-order input.</li>}
+                  {algo==='tree_bfs' && <li>The strip below the tree groups visited nodes by level.</li>}
+                  {algo.startsWith('tree_iter') && <li>Race the iterative version against the recursive one: the explicit stack mirrors the call stack.</li>}
+                  {algo.startsWith('dp_') && <li>Green is the cell being filled, amber the cells it reads, violet the traceback path.</li>}
+                  {algo==='dp_mcm' && <li>Only the upper triangle is used: cell (Ai, Aj) is the cheapest way to multiply Ai..Aj.</li>}
+                  {algo.startsWith('bt_') && <li>The tree grows one call at a time: green is the call in focus, red ✕ nodes were pruned, violet nodes lead to a solution.</li>}
+                  {algo==='bt_fib' && <li>Dashed nodes are cache hits: the whole subtree below them is skipped. Hover a node to see its value.</li>}
+                  {algo==='bt_sudoku' && <li>Bold digits are givens; a 9×9 puzzle may need more steps than the visualizer records.</li>}
+                  {algo==='ll_slowfast' && <li>Add <code>-&gt; @2</code> at the end of the list to make the tail point back to index 2.</li>}
+                  {algo.startsWith('ll_') && <li>Pointer names sit under their node; the green arrow is the <code>next</code> pointer just rewired.</li>}
+                  {algo==='tree_morris' && <li>Dashed violet arrows are temporary threads from the in-order predecessor of a node back to that node.</li>}
+                  {SEARCH_TREES[algo] && <li>Amber marks the search path; dashed violet rings mark nodes in a rotation or recolor.</li>}
+                  {algo==='tree_bst' && <li>Insert sorted keys to see the tree degrade into a list, then race it against AVL.</li>}
+                  {algo==='tree_avl' && <li>Numbers beside nodes are balance factors h(L) − h(R).</li>}
+                </ul>
+              </div>
+            </div>
+          </Section>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,12 @@
+import { Suspense } from 'react';
+import VisualizerPage from '../Visualizer';
+
+// /visualizer/<algo>?<inputs> – inputs, step and speed are read from the query string
+export default async function VisualizerRoute({ params }) {
+  const { algo } = await params;
+  return (
+    <Suspense>
+      <VisualizerPage key={algo} initialAlgo={algo} />
+    </Suspense>
+  );
+}
@@ -0,0 +1,275 @@
+// ------------------------------
+// Recursion trees & backtracking
+// A recorder grows the recursion tree call by call; every frame carries a copy:
+// data: { rtree: [{ id, parent, label, status, note?, result? }], current, board }
+//   status → active (on the call stack) | done | pruned | solution | memo (cache hit, collapsed)
+//   board  → { kind: 'grid', cells, givens?, hot?, bad? } | { kind: 'list', partial, solutions, memo? }
+// ------------------------------
+
+const MAX_FRAMES = 1500;
+const STOP = Symbol('stop');
+
+function createRecorder(frames, fn) {
+  const nodes = [];
+  const calls = [];
+  const rec = {
+    // push a call onto the stack and grow the tree
+    enter(label, args) {
+      const id = nodes.length;
+      nodes.push({ id, parent: calls.length ? calls[calls.length - 1].id : null, label, status: 'active' });
+      calls.push({ id, args });
+      return id;
+    },
+    // a child that is never expanded (pruned branch, base case, cache hit)
+    leaf(label, status, extra = {}) {
+      const id = nodes.length;
+      nodes.push({ id, parent: calls.length ? calls[calls.length - 1].id : null, label, status, ...extra });
+      return id;
+    },
+    exit(status = 'done', extra = {}) {
+      const { id } = calls.pop();
+      if (nodes[id].status === 'active') nodes[id].status = status;
+      Object.assign(nodes[id], extra);
+    },
+    mark(id, status) { nodes[id].status = status; },
+    frame(desc, line, current, board, vars = {}) {
+      if (frames.length >= MAX_FRAMES) {
+        frames.push({ desc: `Stopped after ${MAX_FRAMES} steps — try a smaller input.`, data: { rtree: nodes.map((n) => ({ ...n })), board } });
+        throw STOP;
+      }
+      frames.push({
+        desc, line, vars,
+        data: { rtree: nodes.map((n) => ({ ...n })), current, board },
+        stack: calls.map((c) => ({ fn, args: c.args }))
+      });
+    }
+  };
+  return rec;
+}
+
+// runs `body(rec)` and swallows the frame-limit stop
+function record(fn, body) {
+  const frames = [];
+  const rec = createRecorder(frames, fn);
+  try { body(rec); } catch (e) { if (e !== STOP) throw e; }
+  return frames;
+}
+
+const grid = (cells, extra = {}) => ({ kind: 'grid', cells: cells.map((r) => r.slice()), ...extra });
+const list = (partial, solutions, extra = {}) => ({ kind: 'list', partial: partial.slice(), solutions: solutions.map((s) => s.slice()), ...extra });
+
+// first solution only; a clash is drawn as a pruned child
+export function framesNQueens(n) {
+  if (!Number.isInteger(n) || n < 1 || n > 8) return [{ desc: 'Choose n between 1 and 8.', data: {} }];
+  const board = Array.from({ length: n }, () => Array(n).fill(''));
+  const cols = [];
+  const attackers = (r, c) => cols.map((cc, rr) => [rr, cc]).filter(([rr, cc]) => cc === c || Math.abs(cc - c) === r - rr);
+  return record('solve', (rec) => {
+    const root = rec.enter('start', { row: 0 });
+    rec.frame(`Place ${n} queens, one per row`, 0, root, grid(board), { row: 0 });
+    const solve = (r) => {
+      if (r === n) return true;
+      for (let c = 0; c < n; c++) {
+        const hit = attackers(r, c);
+        if (hit.length) {
+          const id = rec.leaf(`c${c}`, 'pruned', { note: `attacked by row ${hit[0][0]}` });
+          rec.frame(`Row ${r}, col ${c}: attacked by the queen in row ${hit[0][0]} → prune`, 3, id, grid(board, { hot: [r, c], bad: hit }), { row: r, col: c });
+          continue;
+        }
+        const id = rec.enter(`c${c}`, { row: r + 1 });
+        board[r][c] = 'Q'; cols.push(c);
+        rec.frame(`Place a queen at row ${r}, col ${c}`, 4, id, grid(board, { hot: [r, c] }), { row: r, col: c, queens: cols.slice() });
+        if (r + 1 === n) { rec.exit('solution'); return true; }
+        if (solve(r + 1)) { rec.exit('solution'); return true; }
+        board[r][c] = ''; cols.pop();
+        rec.exit('done');
+        rec.frame(`No column works below (${r}, ${c}) → remove the queen and backtrack`, 5, id, grid(board), { row: r, col: c, queens: cols.slice() });
+      }
+      return false;
+    };
+    const ok = solve(0);
+    rec.exit(ok ? 'solution' : 'done');
+    rec.frame(ok ? `All ${n} queens placed: columns ${cols.join(', ')}` : `No way to place ${n} queens`, 1, root, grid(board), { queens: cols.slice() });
+  });
+}
+
+// include / exclude binary recursion; every leaf is one subset
+export function framesSubsets(nums) {
+  if (nums.length > 5) return [{ desc: 'Use at most 5 numbers (2⁵ leaves).', data: {} }];
+  const chosen = [], out = [];
+  return record('subsets', (rec) => {
+    const go = (i, label) => {
+      const id = rec.enter(label, { i, chosen: `[${chosen.join(',')}]` });
+      if (i === nums.length) {
+        out.push(chosen.slice());
+        rec.exit('solution', { note: `{${chosen.join(',')}}` });
+        rec.frame(`Leaf: record {${chosen.join(', ')}} (${out.length} of ${2 ** nums.length})`, 1, id, list(chosen, out), { i, chosen: chosen.slice() });
+        return;
+      }
+      rec.frame(i === 0 ? 'Start with nothing chosen' : `Decide nums[${i}] = ${nums[i]}`, 0, id, list(chosen, out), { i, chosen: chosen.slice() });
+      chosen.push(nums[i]);
+      go(i + 1, `+${nums[i]}`);
+      chosen.pop();
+      go(i + 1, `−${nums[i]}`);
+      rec.exit('done');
+    };
+    go(0, '{}');
+    rec.frame(`Done: ${out.length} subsets`, 1, 0, list([], out));
+  });
+}
+
+// duplicates are skipped (sorted input, equal neighbour not used yet) and shown as pruned
+export function framesPermutations(nums) {
+  if (nums.length > 5) return [{ desc: 'Use at most 5 numbers (5! = 120 leaves).', data: {} }];
+  const a = nums.slice().sort((x, y) => x - y);
+  const used = Array(a.length).fill(false), path = [], out = [];
+  return record('permute', (rec) => {
+    const go = (id) => {
+      if (path.length === a.length) {
+        out.push(path.slice());
+        rec.exit('solution');
+        rec.frame(`Permutation ${out.length}: ${path.join(', ')}`, 1, id, list(path, out), { path: path.slice() });
+        return;
+      }
+      for (let i = 0; i < a.length; i++) {
+        if (used[i]) continue;
+        if (i > 0 && a[i] === a[i - 1] && !used[i - 1]) {
+          const p = rec.leaf(`${a[i]}`, 'pruned', { note: 'duplicate' });
+          rec.frame(`${a[i]} again at the same depth would repeat a permutation → prune`, 3, p, list(path, out), { i, path: path.slice() });
+          continue;
+        }
+        used[i] = true; path.push(a[i]);
+        const child = rec.enter(`${a[i]}`, { path: `[${path.join(',')}]` });
+        rec.frame(`Choose ${a[i]} → [${path.join(', ')}]`, 4, child, list(path, out), { i, path: path.slice() });
+        go(child);
+        path.pop(); used[i] = false;
+      }
+      rec.exit('done');
+    };
+    const root = rec.enter('[]', { path: '[]' });
+    rec.frame(`Permute ${a.join(', ')}`, 0, root, list(path, out));
+    go(root);
+    rec.frame(`Done: ${out.length} distinct permutations`, 1, root, list([], out));
+  });
+}
+
+// candidates may be reused; sorted so the first too-large candidate ends the loop
+export function framesCombinationSum(candidates, target) {
+  const cs = [...new Set(candidates.filter((c) => Number.isInteger(c) && c > 0))].sort((x, y) => x - y);
+  if (!Number.isInteger(target) || target < 0 || target > 20) return [{ desc: 'Choose a whole-number target between 0 and 20.', data: {} }];
+  const path = [], out = [];
+  return record('combine', (rec) => {
+    const go = (start, remain, id) => {
+      if (remain === 0) {
+        out.push(path.slice());
+        rec.exit('solution');
+        rec.frame(`Sum reached: [${path.join(', ')}]`, 1, id, list(path, out), { remain, path: path.slice() });
+        return;
+      }
+      for (let i = start; i < cs.length; i++) {
+        if (cs[i] > remain) {
+          const p = rec.leaf(`+${cs[i]}`, 'pruned', { note: `> ${remain}` });
+          rec.frame(`${cs[i]} > remaining ${remain}; larger candidates fail too → prune`, 3, p, list(path, out), { remain, path: path.slice() });
+          break;
+        }
+        path.push(cs[i]);
+        const child = rec.enter(`+${cs[i]}`, { start: i, remain: remain - cs[i] });
+        rec.frame(`Take ${cs[i]} → remaining ${remain - cs[i]}`, 4, child, list(path, out), { remain: remain - cs[i], path: path.slice() });
+        go(i, remain - cs[i], child);
+        path.pop();
+      }
+      rec.exit('done');
+    };
+    const root = rec.enter(`${target}`, { start: 0, remain: target });
+    rec.frame(`Find combinations of ${cs.join(', ')} that sum to ${target}`, 0, root, list(path, out));
+    go(0, target, root);
+    rec.frame(`Done: ${out.length} combination${out.length === 1 ? '' : 's'}`, 1, root, list([], out));
+  });
+}
+
+// rows separated by newlines or "/", empty cells as "." or 0; 4×4 (2×2 boxes) or 9×9
+export function parseSudoku(text) {
+  const cells = String(text).replace(/[/|]/g, '\n').split(/[\s,]+/).join('').split('').map((ch) => (/[1-9]/.test(ch) ? Number(ch) : 0));
+  const n = Math.round(Math.sqrt(cells.length));
+  if (n * n !== cells.length || (n !== 4 && n !== 9)) return null;
+  return Array.from({ length: n }, (_, r) => cells.slice(r * n, r * n + n));
+}
+
+export function framesSudoku(board) {
+  if (!board) return [{ desc: 'Enter a 4×4 (16 cells) or 9×9 (81 cells) puzzle; use . for blanks.', data: {} }];
+  const n = board.length, box = Math.sqrt(n);
+  const cells = board.map((r) => r.map((v) => (v ? String(v) : '')));
+  const givens = board.map((r) => r.map((v) => !!v));
+  const clash = (r, c, d) => {
+    const hit = [];
+    for (let k = 0; k < n; k++) {
+      if (cells[r][k] === d) hit.push([r, k]);
+      if (cells[k][c] === d) hit.push([k, c]);
+    }
+    const br = r - (r % box), bc = c - (c % box);
+    for (let i = br; i < br + box; i++) for (let j = bc; j < bc + box; j++) if (cells[i][j] === d) hit.push([i, j]);
+    return hit;
+  };
+  const nextEmpty = () => {
+    for (let r = 0; r < n; r++) for (let c = 0; c < n; c++) if (!cells[r][c]) return [r, c];
+    return null;
+  };
+  return record('solve', (rec) => {
+    const root = rec.enter('start', {});
+    rec.frame(`Solve the ${n}×${n} puzzle cell by cell`, 0, root, grid(cells, { givens }));
+    const solve = () => {
+      const pos = nextEmpty();
+      if (!pos) return true;
+      const [r, c] = pos;
+      for (let d = 1; d <= n; d++) {
+        const hit = clash(r, c, String(d));
+        if (hit.length) {
+          const p = rec.leaf(`${d}`, 'pruned', { note: `(${r},${c})` });
+          rec.frame(`(${r}, ${c}) = ${d} clashes → prune`, 3, p, grid(cells, { givens, hot: [r, c], bad: hit }), { r, c, d });
+          continue;
+        }
+        cells[r][c] = String(d);
+        const child = rec.enter(`${d}`, { r, c, d });
+        rec.frame(`Try ${d} at (${r}, ${c})`, 4, child, grid(cells, { givens, hot: [r, c] }), { r, c, d });
+        if (solve()) { rec.exit('solution'); return true; }
+        cells[r][c] = '';
+        rec.exit('done');
+        rec.frame(`Dead end under ${d} at (${r}, ${c}) → clear and backtrack`, 5, child, grid(cells, { givens, hot: [r, c] }), { r, c, d });
+      }
+      return false;
+    };
+    const ok = solve();
+    rec.exit(ok ? 'solution' : 'done');
+    rec.frame(ok ? 'Solved!' : 'No solution exists', 1, root, grid(cells, { givens }));
+  });
+}
+
+// memoized Fibonacci: a cache hit is a collapsed leaf instead of a whole subtree
+export function framesFibMemo(n) {
+  if (!Number.isInteger(n) || n < 0 || n > 25) return [{ desc: 'Choose n between 0 and 25.', data: {} }];
+  const memo = {};
+  const board = () => ({ kind: 'list', partial: [], solutions: [], memo: { ...memo } });
+  return record('fib', (rec) => {
+    const fib = (k) => {
+      if (k < 2) {
+        const id = rec.leaf(`f(${k})`, 'done', { result: k });
+        rec.frame(`fib(${k}) = ${k} (base case)`, 1, id, board(), { k, result: k });
+        return k;
+      }
+      if (k in memo) {
+        const id = rec.leaf(`f(${k})`, 'memo', { result: memo[k] });
+        rec.frame(`fib(${k}) is cached = ${memo[k]} → subtree skipped`, 2, id, board(), { k, result: memo[k] });
+        return memo[k];
+      }
+      const id = rec.enter(`f(${k})`, { k });
+      rec.frame(`Call fib(${k})`, 0, id, board(), { k });
+      const v = fib(k - 1) + fib(k - 2);
+      memo[k] = v;
+      rec.exit('done', { result: v });
+      rec.frame(`fib(${k}) = fib(${k - 1}) + fib(${k - 2}) = ${v}; store in memo`, 3, id, board(), { k, result: v });
+      return v;
+    };
+    const v = fib(n);
+    rec.frame(`fib(${n}) = ${v}`, 4, null, board(), { result: v });
+  });
+}
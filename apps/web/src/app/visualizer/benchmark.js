@@ -0,0 +1,97 @@
+// ------------------------------
+// Benchmark mode
+// Runs a frame generator over generated inputs of growing size and reads the
+// op counters stamped on its last frame (see opFrames in Visualizer.jsx).
+// ------------------------------
+
+export const ARRAY_SHAPES = ['random', 'sorted', 'reversed', 'nearly sorted'];
+export const GRAPH_SHAPES = ['sparse', 'dense'];
+export const ARRAY_SIZES = [8, 16, 32, 48, 64, 96, 128];
+export const GRAPH_SIZES = [8, 16, 24, 32, 48, 64];
+
+// small deterministic PRNG so benchmark runs are repeatable
+export function mulberry32(seed) {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function makeArray(shape, n, rng) {
+  const a = Array.from({ length: n }, () => Math.floor(rng() * 100));
+  if (shape === 'random') return a;
+  a.sort((x, y) => x - y);
+  if (shape === 'reversed') return a.reverse();
+  if (shape === 'nearly sorted') {
+    // ~5% adjacent swaps
+    for (let k = 0; k < Math.max(1, Math.floor(n / 20)); k++) {
+      const i = Math.floor(rng() * (n - 1));
+      [a[i], a[i + 1]] = [a[i + 1], a[i]];
+    }
+  }
+  return a;
+}
+
+// connected undirected graph: random spanning tree plus extra edges
+// sparse ≈ 2n edges, dense ≈ n²/4 edges; same shape as parseGraph() in ./graphInput.js
+export function makeGraph(shape, n, rng) {
+  const target = shape === 'dense' ? Math.floor((n * n) / 4) : 2 * n;
+  const key = (u, v) => (u < v ? `${u}-${v}` : `${v}-${u}`);
+  const seen = new Set();
+  const list = [];
+  const add = (u, v) => {
+    if (u === v || seen.has(key(u, v))) return;
+    seen.add(key(u, v));
+    list.push([u, v, 1 + Math.floor(rng() * 9)]);
+  };
+  for (let v = 1; v < n; v++) add(v, Math.floor(rng() * v));
+  for (let tries = 0; list.length < target && tries < target * 4; tries++) add(Math.floor(rng() * n), Math.floor(rng() * n));
+  const weighted = new Map(), unweighted = new Map();
+  for (let v = 0; v < n; v++) { weighted.set(v, []); unweighted.set(v, []); }
+  for (const [u, v, w] of list) {
+    weighted.get(u).push([v, w]); weighted.get(v).push([u, w]);
+    unweighted.get(u).push(v); unweighted.get(v).push(u);
+  }
+  return { weighted, unweighted, edges: list.length * 2 };
+}
+
+export const totalOps = (ops = {}) => Object.values(ops).reduce((s, x) => s + x, 0);
+
+// run(input) → frames; returns one series per shape: [{ shape, points: [{ n, m, ops }] }]
+// m: edge count for graphs, key range (max − min + 1) for arrays
+export function runBenchmark(run, { kind, metric = 'total', seed = 1 }) {
+  const shapes = kind === 'graph' ? GRAPH_SHAPES : ARRAY_SHAPES;
+  const sizes = kind === 'graph' ? GRAPH_SIZES : ARRAY_SIZES;
+  return shapes.map((shape) => {
+    const rng = mulberry32(seed);
+    const points = sizes.map((n) => {
+      let input, m = 0;
+      if (kind === 'graph') {
+        const graph = makeGraph(shape, n, rng);
+        input = { graph, start: 0 };
+        m = graph.edges;
+      } else {
+        const arr = makeArray(shape, n, rng);
+        input = { arr, target: arr[Math.floor(rng() * n)] };
+        m = Math.max(...arr) - Math.min(...arr) + 1;
+      }
+      const ops = run(input).at(-1)?.ops || {};
+      return { n, m, ops: metric === 'total' ? totalOps(ops) : ops[metric] || 0 };
+    });
+    return { shape, points };
+  });
+}
+
+// least-squares scale c for y ≈ c·cost(n, m)
+export function fitTheory(cost, points) {
+  let num = 0, den = 0;
+  for (const { n, m, ops } of points) {
+    const f = cost(n, m);
+    num += ops * f; den += f * f;
+  }
+  const c = den ? num / den : 0;
+  return points.map(({ n, m }) => ({ n, ops: c * cost(n, m) }));
+}
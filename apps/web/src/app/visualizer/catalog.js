@@ -0,0 +1,81 @@
+// ------------------------------
+// Algorithm catalog
+// Category → algorithms ({ key, name }). Shared by the visualizer, which adds the
+// sidebar icons, and by pages that group practice by topic (/profile).
+// ------------------------------
+
+export const CATALOG = {
+  Graphs: [
+    { key: 'graph_bfs', name: 'BFS' },
+    { key: 'graph_dfs', name: 'DFS' },
+    { key: 'graph_dijkstra', name: "Dijkstra's" },
+    { key: 'graph_bellman', name: 'Bellman-Ford' },
+    { key: 'graph_prim', name: "MST (Prim's)" },
+    { key: 'graph_kruskal', name: "MST (Kruskal's)" },
+    { key: 'graph_topo_kahn', name: 'Topological Sort (Kahn)' },
+    { key: 'graph_topo_dfs', name: 'Topological Sort (DFS)' },
+    { key: 'graph_scc_tarjan', name: 'SCC (Tarjan)' },
+    { key: 'graph_scc_kosaraju', name: 'SCC (Kosaraju)' },
+    { key: 'graph_bridges', name: 'Bridges & Articulation Points' },
+    { key: 'graph_floyd', name: 'Floyd-Warshall' }
+  ],
+  Grid: [
+    { key: 'grid_bfs', name: 'BFS' },
+    { key: 'grid_dijkstra', name: "Dijkstra's" },
+    { key: 'grid_astar', name: 'A*' },
+    { key: 'grid_greedy', name: 'Greedy Best-First' }
+  ],
+  Trees: [
+    { key: 'tree_bfs', name: 'BFS (Level Order)' },
+    { key: 'tree_dfs', name: 'Preorder (recursive)' },
+    { key: 'tree_inorder', name: 'Inorder (recursive)' },
+    { key: 'tree_postorder', name: 'Postorder (recursive)' },
+    { key: 'tree_iter_pre', name: 'Preorder (iterative)' },
+    { key: 'tree_iter_in', name: 'Inorder (iterative)' },
+    { key: 'tree_iter_post', name: 'Postorder (iterative)' },
+    { key: 'tree_morris', name: 'Morris Inorder' },
+    { key: 'tree_bst', name: 'Binary Search Tree' },
+    { key: 'tree_avl', name: 'AVL Tree' },
+    { key: 'tree_rb', name: 'Red-Black Tree' }
+  ],
+  Arrays: [
+    { key: 'arr_insertion', name: 'Insertion Sort' },
+    { key: 'arr_bubble', name: 'Bubble Sort' },
+    { key: 'arr_selection', name: 'Selection Sort' },
+    { key: 'arr_merge', name: 'Merge Sort' },
+    { key: 'arr_quick_lomuto', name: 'Quick Sort (Lomuto)' },
+    { key: 'arr_quick_hoare', name: 'Quick Sort (Hoare)' },
+    { key: 'arr_heap', name: 'Heap Sort' },
+    { key: 'arr_shell', name: 'Shell Sort' },
+    { key: 'arr_counting', name: 'Counting Sort' },
+    { key: 'arr_radix', name: 'Radix Sort (LSD)' },
+    { key: 'arr_binary', name: 'Binary Search' }
+  ],
+  DP: [
+    { key: 'dp_lcs', name: 'Longest Common Subsequence' },
+    { key: 'dp_edit', name: 'Edit Distance' },
+    { key: 'dp_knapsack', name: '0/1 Knapsack' },
+    { key: 'dp_coin', name: 'Coin Change (min coins)' },
+    { key: 'dp_lis', name: 'Longest Increasing Subsequence' },
+    { key: 'dp_mcm', name: 'Matrix-Chain Order' }
+  ],
+  Backtracking: [
+    { key: 'bt_queens', name: 'N-Queens' },
+    { key: 'bt_subsets', name: 'Subsets' },
+    { key: 'bt_permutations', name: 'Permutations' },
+    { key: 'bt_combsum', name: 'Combination Sum' },
+    { key: 'bt_sudoku', name: 'Sudoku' },
+    { key: 'bt_fib', name: 'Fibonacci (memoized)' }
+  ],
+  LinkedList: [
+    { key: 'll_slowfast', name: 'Floyd Cycle Detection' },
+    { key: 'll_reverse', name: 'Reverse (in place)' },
+    { key: 'll_merge', name: 'Merge Two Sorted' },
+    { key: 'll_remove_nth', name: 'Remove Nth From End' }
+  ]
+};
+
+export const CATEGORY_NAMES = Object.keys(CATALOG);
+
+// 'arr_merge' → 'Arrays'; null for an unknown key
+export const categoryOf = (key) => CATEGORY_NAMES.find((cat) => CATALOG[cat].some((it) => it.key === key)) || null;
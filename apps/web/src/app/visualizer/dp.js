@@ -0,0 +1,222 @@
+// ------------------------------
+// Dynamic programming tables
+// Frame generators for the DP category. Every cell fill is one frame:
+// data: { table, rowLabels, colLabels, cell: [i, j], deps: [[i, j]…], path: [[i, j]…] }
+// 1D problems use a single-row table. The last frames trace back the optimum.
+// ------------------------------
+
+const LIMITS = { text: 12, cap: 30, items: 10, amount: 40, nums: 16, dims: 10 };
+
+function makeTable(rows, cols, fill = null) {
+  return { rows, cols, cells: rows.map(() => cols.map(() => fill)) };
+}
+
+function frame(t, desc, line, extra = {}, vars = {}) {
+  return { desc, line, data: { table: t.cells.map((r) => r.slice()), rowLabels: t.rows, colLabels: t.cols, ...extra }, vars };
+}
+
+const tooBig = (what, max) => [{ desc: `Keep ${what} at most ${max} so the table stays readable.`, data: {} }];
+
+export function parseNums(text) {
+  return String(text).split(/[\s,]+/).filter(Boolean).map(Number).filter((v) => Number.isFinite(v));
+}
+
+// "2:3, 3:4" → [{ w: 2, v: 3 }, { w: 3, v: 4 }]
+export function parseItems(text) {
+  return [...String(text).matchAll(/(-?\d+)\s*:\s*(-?\d+)/g)].map((m) => ({ w: Number(m[1]), v: Number(m[2]) }));
+}
+
+export function framesLCS(a, b) {
+  if (a.length > LIMITS.text || b.length > LIMITS.text) return tooBig('each string', LIMITS.text);
+  const m = a.length, n = b.length;
+  const t = makeTable(['∅', ...a], ['∅', ...b], 0);
+  const dp = t.cells;
+  const frames = [frame(t, 'Row 0 and column 0 are 0: an empty prefix has no common subsequence', 0)];
+  for (let i = 1; i <= m; i++) {
+    for (let j = 1; j <= n; j++) {
+      if (a[i - 1] === b[j - 1]) {
+        dp[i][j] = dp[i - 1][j - 1] + 1;
+        frames.push(frame(t, `a[${i}] = b[${j}] = '${a[i - 1]}' → diagonal + 1 = ${dp[i][j]}`, 2, { cell: [i, j], deps: [[i - 1, j - 1]] }, { i, j, match: true, 'dp[i][j]': dp[i][j] }));
+      } else {
+        dp[i][j] = Math.max(dp[i - 1][j], dp[i][j - 1]);
+        frames.push(frame(t, `'${a[i - 1]}' ≠ '${b[j - 1]}' → max(up ${dp[i - 1][j]}, left ${dp[i][j - 1]}) = ${dp[i][j]}`, 3, { cell: [i, j], deps: [[i - 1, j], [i, j - 1]] }, { i, j, match: false, 'dp[i][j]': dp[i][j] }));
+      }
+    }
+  }
+  const path = [];
+  let lcs = '';
+  for (let i = m, j = n; i > 0 && j > 0;) {
+    path.push([i, j]);
+    if (a[i - 1] === b[j - 1]) { lcs = a[i - 1] + lcs; i--; j--; }
+    else if (dp[i - 1][j] >= dp[i][j - 1]) i--;
+    else j--;
+    frames.push(frame(t, `Trace back: LCS so far "${lcs}"`, 4, { cell: path[path.length - 1], path: path.slice() }, { lcs }));
+  }
+  frames.push(frame(t, `LCS length ${dp[m][n]}: "${lcs}"`, 4, { path }, { length: dp[m][n], lcs }));
+  return frames;
+}
+
+export function framesEditDistance(a, b) {
+  if (a.length > LIMITS.text || b.length > LIMITS.text) return tooBig('each string', LIMITS.text);
+  const m = a.length, n = b.length;
+  const t = makeTable(['∅', ...a], ['∅', ...b]);
+  const dp = t.cells;
+  for (let i = 0; i <= m; i++) dp[i][0] = i;
+  for (let j = 0; j <= n; j++) dp[0][j] = j;
+  const frames = [frame(t, 'Base cases: turning a prefix into "" (or back) costs its length', 0)];
+  for (let i = 1; i <= m; i++) {
+    for (let j = 1; j <= n; j++) {
+      if (a[i - 1] === b[j - 1]) {
+        dp[i][j] = dp[i - 1][j - 1];
+        frames.push(frame(t, `'${a[i - 1]}' = '${b[j - 1]}' → copy diagonal ${dp[i][j]}`, 2, { cell: [i, j], deps: [[i - 1, j - 1]] }, { i, j, 'dp[i][j]': dp[i][j] }));
+      } else {
+        dp[i][j] = 1 + Math.min(dp[i - 1][j], dp[i][j - 1], dp[i - 1][j - 1]);
+        frames.push(frame(t, `'${a[i - 1]}' ≠ '${b[j - 1]}' → 1 + min(delete ${dp[i - 1][j]}, insert ${dp[i][j - 1]}, replace ${dp[i - 1][j - 1]}) = ${dp[i][j]}`, 3, { cell: [i, j], deps: [[i - 1, j], [i, j - 1], [i - 1, j - 1]] }, { i, j, 'dp[i][j]': dp[i][j] }));
+      }
+    }
+  }
+  const path = [[m, n]], steps = [];
+  for (let i = m, j = n; i > 0 || j > 0;) {
+    let step;
+    if (i > 0 && j > 0 && a[i - 1] === b[j - 1]) { step = `keep '${a[i - 1]}'`; i--; j--; }
+    else if (i > 0 && j > 0 && dp[i][j] === dp[i - 1][j - 1] + 1) { step = `replace '${a[i - 1]}'→'${b[j - 1]}'`; i--; j--; }
+    else if (i > 0 && dp[i][j] === dp[i - 1][j] + 1) { step = `delete '${a[i - 1]}'`; i--; }
+    else { step = `insert '${b[j - 1]}'`; j--; }
+    if (!step.startsWith('keep')) steps.unshift(step);
+    path.push([i, j]);
+    frames.push(frame(t, `Trace back: ${step}`, 4, { cell: [i, j], path: path.slice() }, { i, j, edits: steps.length }));
+  }
+  frames.push(frame(t, `Edit distance ${dp[m][n]}${steps.length ? `: ${steps.join(', ')}` : ''}`, 4, { path }, { distance: dp[m][n] }));
+  return frames;
+}
+
+export function framesKnapsack(items, cap) {
+  if (!Number.isInteger(cap) || cap < 0 || cap > LIMITS.cap) return tooBig('the capacity (a whole number)', LIMITS.cap);
+  if (items.length > LIMITS.items) return tooBig('the number of items', LIMITS.items);
+  // a weight below 1 would index outside the table row
+  const bad = items.findIndex((it) => !Number.isInteger(it.w) || it.w < 1 || !Number.isFinite(it.v) || it.v < 0);
+  if (bad >= 0) return [{ desc: `Item #${bad + 1} (${items[bad].w}:${items[bad].v}): weights must be whole numbers ≥ 1 and values ≥ 0.`, data: {} }];
+  const n = items.length;
+  const t = makeTable(['∅', ...items.map((it, i) => `#${i + 1} (${it.w}:${it.v})`)], Array.from({ length: cap + 1 }, (_, w) => w), 0);
+  const dp = t.cells;
+  const frames = [frame(t, 'Row 0: with no items the best value is 0 for every capacity', 0)];
+  for (let i = 1; i <= n; i++) {
+    const { w: wi, v: vi } = items[i - 1];
+    for (let w = 0; w <= cap; w++) {
+      const skip = dp[i - 1][w];
+      if (wi > w) {
+        dp[i][w] = skip;
+        frames.push(frame(t, `Item ${i} (w=${wi}) does not fit in ${w} → skip: ${skip}`, 2, { cell: [i, w], deps: [[i - 1, w]] }, { i, w, skip }));
+        continue;
+      }
+      const take = dp[i - 1][w - wi] + vi;
+      dp[i][w] = Math.max(skip, take);
+      frames.push(frame(t, `max(skip ${skip}, take ${dp[i - 1][w - wi]} + ${vi} = ${take}) = ${dp[i][w]}`, 4, { cell: [i, w], deps: [[i - 1, w], [i - 1, w - wi]] }, { i, w, skip, take }));
+    }
+  }
+  const path = [], taken = [];
+  for (let i = n, w = cap; i > 0; i--) {
+    path.push([i, w]);
+    if (dp[i][w] !== dp[i - 1][w]) { taken.unshift(i); w -= items[i - 1].w; }
+    frames.push(frame(t, `Trace back: ${taken[0] === i ? `item ${i} taken` : `item ${i} skipped`}`, 5, { cell: path[path.length - 1], path: path.slice() }, { i, w, taken: taken.slice() }));
+  }
+  frames.push(frame(t, `Best value ${dp[n][cap]} with items ${taken.length ? taken.map((i) => `#${i}`).join(', ') : '(none)'}`, 5, { path }, { value: dp[n][cap], taken }));
+  return frames;
+}
+
+export function framesCoinChange(coins, amount) {
+  if (!Number.isInteger(amount) || amount < 0 || amount > LIMITS.amount) return tooBig('the amount (a whole number)', LIMITS.amount);
+  const cs = [...new Set(coins.filter((c) => Number.isInteger(c) && c > 0))].sort((x, y) => x - y);
+  const t = makeTable(['min coins'], Array.from({ length: amount + 1 }, (_, x) => x), Infinity);
+  const dp = t.cells[0];
+  const choice = Array(amount + 1).fill(null);
+  dp[0] = 0;
+  const frames = [frame(t, 'dp[0] = 0; every other amount starts unreachable (∞)', 0)];
+  for (let x = 1; x <= amount; x++) {
+    const deps = [];
+    for (const c of cs) {
+      if (c > x) break;
+      deps.push([0, x - c]);
+      if (dp[x - c] + 1 < dp[x]) { dp[x] = dp[x - c] + 1; choice[x] = c; }
+    }
+    frames.push(frame(t, deps.length ? `dp[${x}] = 1 + min(${deps.map(([, y]) => `dp[${y}]`).join(', ')}) = ${dp[x] === Infinity ? '∞' : dp[x]}${choice[x] ? ` (coin ${choice[x]})` : ''}` : `No coin fits ${x}`, 2, { cell: [0, x], deps }, { x, 'dp[x]': dp[x], coin: choice[x] }));
+  }
+  if (dp[amount] === Infinity) {
+    frames.push(frame(t, `Amount ${amount} cannot be made from ${cs.join(', ') || 'no coins'}`, 3, { cell: [0, amount] }));
+    return frames;
+  }
+  const path = [], used = [];
+  for (let x = amount; x > 0; x -= choice[x]) {
+    path.push([0, x]); used.push(choice[x]);
+    frames.push(frame(t, `Trace back: use coin ${choice[x]} at ${x}`, 3, { cell: [0, x], path: path.slice() }, { x, used: used.slice() }));
+  }
+  path.push([0, 0]);
+  frames.push(frame(t, `${dp[amount]} coin${dp[amount] === 1 ? '' : 's'}: ${used.join(' + ') || '0'} = ${amount}`, 3, { path }, { coins: dp[amount], used }));
+  return frames;
+}
+
+export function framesLIS(nums) {
+  if (nums.length > LIMITS.nums) return tooBig('the sequence length', LIMITS.nums);
+  const n = nums.length;
+  const t = makeTable(['dp'], nums, 1);
+  const dp = t.cells[0];
+  const prev = Array(n).fill(-1);
+  const frames = [frame(t, 'Every element alone is an increasing subsequence of length 1', 0)];
+  for (let i = 1; i < n; i++) {
+    const deps = [];
+    for (let j = 0; j < i; j++) {
+      if (nums[j] >= nums[i]) continue;
+      deps.push([0, j]);
+      if (dp[j] + 1 > dp[i]) { dp[i] = dp[j] + 1; prev[i] = j; }
+    }
+    frames.push(frame(t, deps.length ? `${nums[i]}: extend the best of ${deps.map(([, j]) => nums[j]).join(', ')} → dp = ${dp[i]}` : `${nums[i]}: nothing smaller before it → dp = 1`, 2, { cell: [0, i], deps }, { i, 'a[i]': nums[i], 'dp[i]': dp[i] }));
+  }
+  if (!n) return [frame(t, 'Empty sequence', 0)];
+  let end = 0;
+  for (let i = 1; i < n; i++) if (dp[i] > dp[end]) end = i;
+  const path = [], seq = [];
+  for (let i = end; i >= 0; i = prev[i]) {
+    path.push([0, i]); seq.unshift(nums[i]);
+    frames.push(frame(t, `Trace back via prev: ${seq.join(', ')}`, 3, { cell: [0, i], path: path.slice() }, { i, seq: seq.slice() }));
+  }
+  frames.push(frame(t, `LIS length ${dp[end]}: ${seq.join(', ')}`, 3, { path }, { length: dp[end], seq }));
+  return frames;
+}
+
+// dims p0..pn describe matrices A1 (p0×p1) … An (pn-1×pn); tables are 1-indexed
+export function framesMatrixChain(dims) {
+  const n = dims.length - 1;
+  if (n < 1) return [{ desc: 'Give at least two dimensions (one matrix).', data: {} }];
+  if (dims.length > LIMITS.dims) return tooBig('the number of dimensions', LIMITS.dims);
+  const labels = Array.from({ length: n }, (_, i) => `A${i + 1}`);
+  const t = makeTable(labels, labels);
+  const m = t.cells; // m[i-1][j-1]
+  const s = labels.map(() => labels.map(() => 0));
+  for (let i = 0; i < n; i++) m[i][i] = 0;
+  const frames = [frame(t, 'A single matrix needs no multiplications: m[i][i] = 0', 0)];
+  for (let len = 2; len <= n; len++) {
+    for (let i = 1; i + len - 1 <= n; i++) {
+      const j = i + len - 1;
+      const deps = [];
+      let best = Infinity;
+      for (let k = i; k < j; k++) {
+        deps.push([i - 1, k - 1], [k, j - 1]);
+        const cost = m[i - 1][k - 1] + m[k][j - 1] + dims[i - 1] * dims[k] * dims[j];
+        if (cost < best) { best = cost; s[i - 1][j - 1] = k; }
+      }
+      m[i - 1][j - 1] = best;
+      const k = s[i - 1][j - 1];
+      frames.push(frame(t, `A${i}..A${j}: best split after A${k} → ${m[i - 1][k - 1]} + ${m[k][j - 1]} + ${dims[i - 1]}·${dims[k]}·${dims[j]} = ${best}`, 2, { cell: [i - 1, j - 1], deps }, { i, j, k, cost: best }));
+    }
+  }
+  const path = [];
+  const paren = (i, j) => {
+    path.push([i - 1, j - 1]);
+    if (i === j) return `A${i}`;
+    const k = s[i - 1][j - 1];
+    return `(${paren(i, k)}${paren(k + 1, j)})`;
+  };
+  const order = paren(1, n);
+  frames.push(frame(t, `${m[0][n - 1]} scalar multiplications: ${order}`, 3, { path }, { cost: m[0][n - 1], order }));
+  return frames;
+}
@@ -0,0 +1,333 @@
+// ------------------------------
+// Run export
+// Everything happens in the browser, with no extra packages:
+//   snapshot   → one frame of the rendered canvas as a standalone SVG (DOM wrapped in a
+//                <foreignObject>, computed styles inlined so Tailwind classes survive)
+//   createGif  → animated GIF: popularity palette per frame + GIF LZW
+//   recordWebm → WebM through MediaRecorder on a <canvas>
+//   zipStore   → ZIP without compression (SVG frames, one file each)
+//   traceJson / parseTrace → { algo, inputs, frames } as JSON, loaded back to replay
+// ------------------------------
+
+// ---------- SVG snapshots ----------
+
+// inherited properties are written only where they differ from the parent
+const INHERITED = [
+  'color', 'font-family', 'font-size', 'font-weight', 'font-style', 'line-height', 'text-align', 'white-space',
+  'letter-spacing', 'text-transform', 'font-variant-numeric', 'visibility', 'border-collapse', 'border-spacing',
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-opacity', 'text-anchor', 'dominant-baseline'
+];
+
+// the rest only where they differ from their initial value
+const INITIAL = {
+  display: '', position: 'static', top: 'auto', right: 'auto', bottom: 'auto', left: 'auto', 'z-index': 'auto',
+  'box-sizing': 'content-box', width: 'auto', height: 'auto', 'min-width': 'auto', 'min-height': 'auto',
+  'margin-top': '0px', 'margin-right': '0px', 'margin-bottom': '0px', 'margin-left': '0px',
+  'padding-top': '0px', 'padding-right': '0px', 'padding-bottom': '0px', 'padding-left': '0px',
+  'border-top-left-radius': '0px', 'border-top-right-radius': '0px', 'border-bottom-right-radius': '0px', 'border-bottom-left-radius': '0px',
+  'background-color': 'rgba(0, 0, 0, 0)', 'box-shadow': 'none', opacity: '1', transform: 'none',
+  'overflow-x': 'visible', 'overflow-y': 'visible', 'vertical-align': 'baseline', 'text-decoration-line': 'none',
+  'flex-direction': 'row', 'flex-wrap': 'nowrap', 'flex-grow': '0', 'flex-shrink': '1', 'flex-basis': 'auto',
+  'align-items': 'normal', 'align-self': 'auto', 'justify-content': 'normal', 'row-gap': 'normal', 'column-gap': 'normal',
+  'grid-template-columns': 'none', 'grid-template-rows': 'none', 'grid-column-start': 'auto', 'grid-column-end': 'auto',
+  'grid-row-start': 'auto', 'grid-row-end': 'auto', 'list-style-type': 'disc'
+};
+const SIDES = ['top', 'right', 'bottom', 'left'];
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function inlineStyles(src, dst, parent) {
+  const cs = getComputedStyle(src);
+  const out = [];
+  for (const p of INHERITED) {
+    const v = cs.getPropertyValue(p);
+    if (v && (!parent || parent.getPropertyValue(p) !== v)) out.push(`${p}:${v}`);
+  }
+  for (const [p, initial] of Object.entries(INITIAL)) {
+    const v = cs.getPropertyValue(p);
+    if (v && v !== initial) out.push(`${p}:${v}`);
+  }
+  for (const s of SIDES) {
+    const w = cs.getPropertyValue(`border-${s}-width`);
+    if (w !== '0px' && cs.getPropertyValue(`border-${s}-style`) !== 'none') {
+      out.push(`border-${s}:${w} ${cs.getPropertyValue(`border-${s}-style`)} ${cs.getPropertyValue(`border-${s}-color`)}`);
+    }
+  }
+  dst.removeAttribute('class');
+  dst.setAttribute('style', out.join(';'));
+  for (let i = 0; i < src.children.length; i++) inlineStyles(src.children[i], dst.children[i], cs);
+}
+
+// element → { svg, width, height }
+export function snapshot(node) {
+  const rect = node.getBoundingClientRect();
+  const width = Math.ceil(rect.width), height = Math.ceil(rect.height);
+  const clone = node.cloneNode(true);
+  inlineStyles(node, clone, null);
+  // built as DOM so the serializer declares the XHTML namespace on the clone itself
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  for (const [k, v] of [['width', width], ['height', height], ['viewBox', `0 0 ${width} ${height}`]]) svg.setAttribute(k, v);
+  const fo = document.createElementNS(SVG_NS, 'foreignObject');
+  for (const k of ['width', 'height']) fo.setAttribute(k, '100%');
+  fo.appendChild(clone);
+  svg.appendChild(fo);
+  return { svg: new XMLSerializer().serializeToString(svg), width, height };
+}
+
+// draw a snapshot onto a 2d context (top-left aligned)
+export async function drawSvg(ctx, svg) {
+  const img = new Image();
+  img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  await img.decode();
+  ctx.drawImage(img, 0, 0);
+}
+
+// ---------- GIF ----------
+
+// popularity quantizer over 15-bit colours: the 256 most used become the palette
+// (averaged), everything else maps to its nearest entry
+function quantize(rgba) {
+  const n = rgba.length / 4;
+  const keys = new Uint16Array(n);
+  const count = new Uint32Array(32768), sum = new Float64Array(32768 * 3);
+  for (let i = 0; i < n; i++) {
+    const r = rgba[4 * i], g = rgba[4 * i + 1], b = rgba[4 * i + 2];
+    const k = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    keys[i] = k; count[k]++;
+    sum[3 * k] += r; sum[3 * k + 1] += g; sum[3 * k + 2] += b;
+  }
+  const used = [];
+  for (let k = 0; k < 32768; k++) if (count[k]) used.push(k);
+  used.sort((a, b) => count[b] - count[a]);
+  const palette = new Uint8Array(768);
+  const map = new Int16Array(32768).fill(-1);
+  const top = used.slice(0, 256);
+  top.forEach((k, j) => {
+    for (let c = 0; c < 3; c++) palette[3 * j + c] = Math.round(sum[3 * k + c] / count[k]);
+    map[k] = j;
+  });
+  for (const k of used.slice(256)) {
+    const r = sum[3 * k] / count[k], g = sum[3 * k + 1] / count[k], b = sum[3 * k + 2] / count[k];
+    let best = 0, bestD = Infinity;
+    for (let j = 0; j < top.length; j++) {
+      const d = (palette[3 * j] - r) ** 2 + (palette[3 * j + 1] - g) ** 2 + (palette[3 * j + 2] - b) ** 2;
+      if (d < bestD) { bestD = d; best = j; }
+    }
+    map[k] = best;
+  }
+  const indices = new Uint8Array(n);
+  for (let i = 0; i < n; i++) indices[i] = map[keys[i]];
+  return { palette, indices };
+}
+
+// GIF variable-width LZW, packed into 255-byte sub-blocks
+function lzw(indices, minCodeSize = 8) {
+  const clear = 1 << minCodeSize, eoi = clear + 1;
+  let size = minCodeSize + 1, next = eoi + 1;
+  let table = new Map();
+  const bytes = [];
+  let cur = 0, shift = 0;
+  const emit = (code) => {
+    cur |= code << shift; shift += size;
+    while (shift >= 8) { bytes.push(cur & 255); cur >>>= 8; shift -= 8; }
+  };
+  emit(clear);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const hit = table.get(key);
+    if (hit !== undefined) { prefix = hit; continue; }
+    emit(prefix);
+    if (next === 4096) {
+      emit(clear);
+      table = new Map(); next = eoi + 1; size = minCodeSize + 1;
+    } else {
+      if (next >= 1 << size) size++;
+      table.set(key, next++);
+    }
+    prefix = k;
+  }
+  emit(prefix); emit(eoi);
+  if (shift > 0) bytes.push(cur & 255);
+  const out = [minCodeSize];
+  for (let i = 0; i < bytes.length; i += 255) {
+    const chunk = bytes.slice(i, i + 255);
+    out.push(chunk.length, ...chunk);
+  }
+  out.push(0);
+  return Uint8Array.from(out);
+}
+
+const ascii = (s) => Uint8Array.from(s, (ch) => ch.charCodeAt(0));
+const le16 = (n) => [n & 255, (n >> 8) & 255];
+
+// frames are added one at a time (each with its own colour table), so memory stays flat
+export function createGif(width, height) {
+  const parts = [ascii('GIF89a'), Uint8Array.from([...le16(width), ...le16(height), 0, 0, 0])];
+  // NETSCAPE2.0: loop forever
+  parts.push(Uint8Array.from([0x21, 0xff, 0x0b, ...ascii('NETSCAPE2.0'), 0x03, 0x01, 0, 0, 0]));
+  return {
+    addFrame(rgba, delayMs) {
+      const { palette, indices } = quantize(rgba);
+      parts.push(Uint8Array.from([0x21, 0xf9, 0x04, 0x00, ...le16(Math.round(delayMs / 10)), 0, 0]));
+      parts.push(Uint8Array.from([0x2c, 0, 0, 0, 0, ...le16(width), ...le16(height), 0x87]), palette, lzw(indices));
+    },
+    finish() {
+      parts.push(Uint8Array.from([0x3b]));
+      return new Blob(parts, { type: 'image/gif' });
+    }
+  };
+}
+
+// ---------- WebM ----------
+
+export const webmSupported = () => typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported('video/webm');
+
+// draw(k) paints frame k onto `canvas`; each frame is held for delayMs of real time
+export async function recordWebm(canvas, count, delayMs, draw, onProgress = () => {}) {
+  const stream = canvas.captureStream(30);
+  const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find((t) => MediaRecorder.isTypeSupported(t));
+  const rec = new MediaRecorder(stream, { mimeType });
+  const chunks = [];
+  rec.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+  const stopped = new Promise((resolve) => { rec.onstop = resolve; });
+  rec.start();
+  try {
+    for (let k = 0; k < count; k++) {
+      await draw(k);
+      onProgress(k + 1);
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+  } finally {
+    rec.stop();
+    stream.getTracks().forEach((t) => t.stop());
+  }
+  await stopped;
+  return new Blob(chunks, { type: 'video/webm' });
+}
+
+// ---------- ZIP (stored) ----------
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(data) {
+  let c = ~0;
+  for (let i = 0; i < data.length; i++) c = CRC_TABLE[(c ^ data[i]) & 255] ^ (c >>> 8);
+  return ~c >>> 0;
+}
+
+// files: [{ name, data: string | Uint8Array }] → Blob
+export function zipStore(files, date = new Date()) {
+  const enc = new TextEncoder();
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  const parts = [], central = [];
+  let offset = 0;
+  for (const f of files) {
+    const name = enc.encode(f.name);
+    const data = typeof f.data === 'string' ? enc.encode(f.data) : f.data;
+    const crc = crc32(data);
+    // shared fields of the local and central headers: version, flags (UTF-8 names), method 0, time, date, crc, sizes, name length
+    const common = (v) => {
+      v.setUint16(0, 20, true); v.setUint16(2, 0x0800, true); v.setUint16(4, 0, true);
+      v.setUint16(6, time, true); v.setUint16(8, day, true); v.setUint32(10, crc, true);
+      v.setUint32(14, data.length, true); v.setUint32(18, data.length, true); v.setUint16(22, name.length, true);
+    };
+    const local = new Uint8Array(30);
+    const lv = new DataView(local.buffer);
+    lv.setUint32(0, 0x04034b50, true);
+    common(new DataView(local.buffer, 4));
+    parts.push(local, name, data);
+    const cen = new Uint8Array(46);
+    const cv = new DataView(cen.buffer);
+    cv.setUint32(0, 0x02014b50, true); cv.setUint16(4, 20, true);
+    common(new DataView(cen.buffer, 6));
+    cv.setUint32(42, offset, true);
+    central.push(cen, name);
+    offset += local.length + name.length + data.length;
+  }
+  const size = central.reduce((s, p) => s + p.length, 0);
+  const end = new Uint8Array(22);
+  const ev = new DataView(end.buffer);
+  ev.setUint32(0, 0x06054b50, true);
+  ev.setUint16(8, files.length, true); ev.setUint16(10, files.length, true);
+  ev.setUint32(12, size, true); ev.setUint32(16, offset, true);
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+// ---------- JSON trace ----------
+
+export const TRACE_FORMAT = 'codequest-trace';
+
+// JSON has no Infinity (unreached distances, coin change); keep it tagged
+const replacer = (_, v) => (v === Infinity || v === -Infinity ? { $inf: Math.sign(v) } : v);
+const reviver = (_, v) => (v && typeof v === 'object' && Object.keys(v).length === 1 && '$inf' in v ? v.$inf * Infinity : v);
+
+export function traceJson({ algo, inputs, frames }) {
+  return JSON.stringify({ format: TRACE_FORMAT, version: 1, algo, inputs, frames }, replacer);
+}
+
+// frame.data per renderer (algorithm key prefix in Visualizer.jsx's AlgoCanvas): the array
+// itself for arrays, otherwise an object whose list fields, when present, are lists
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const lists = (d, keys) => keys.every((k) => d[k] === undefined || Array.isArray(d[k]));
+// [i, j] cells, [u, v] or [u, v, w] edges
+const pairs = (v) => v === undefined || (Array.isArray(v) && v.every((p) => Array.isArray(p) && p.length >= 2));
+const DATA_SHAPES = {
+  arr: (d) => Array.isArray(d) && d.every((v) => v === null || ['number', 'string'].includes(typeof v)),
+  graph: (d) => isObject(d) && (d.adj === undefined || isObject(d.adj))
+    && lists(d, ['visited', 'used', 'inMST', 'negCycle', 'cut', 'order', 'queue', 'stack']) && pairs(d.mst) && pairs(d.cycleEdges) && pairs(d.bridges),
+  grid: (d) => isObject(d) && lists(d, ['open', 'closed', 'added', 'path'])
+    && (d.grid === undefined || (isObject(d.grid) && Number.isInteger(d.grid.rows) && Number.isInteger(d.grid.cols)
+      && Array.isArray(d.grid.cost) && d.grid.cost.length === d.grid.rows * d.grid.cols)),
+  tree: (d) => isObject(d) && (d.tree === undefined || d.tree === null || isObject(d.tree)) && lists(d, ['path', 'pivot', 'output', 'stack', 'queue', 'levels', 'threads']),
+  dp: (d) => isObject(d) && (d.table === undefined || (Array.isArray(d.table) && d.table.every(Array.isArray)))
+    && lists(d, ['rowLabels', 'colLabels']) && pairs(d.deps) && pairs(d.path),
+  bt: (d) => isObject(d) && (d.rtree === undefined || Array.isArray(d.rtree)),
+  ll: (d) => isObject(d) && lists(d, ['nodes', 'next', 'removed']) && pairs(d.cells) && (d.cells?.length ?? 0) >= (d.nodes?.length ?? 0)
+};
+
+// the first frame the renderer for `algo` could not draw → "Frame 3: …", or null
+function badFrame(algo, frames) {
+  const shape = DATA_SHAPES[String(algo).split('_')[0]];
+  for (let k = 0; k < frames.length; k++) {
+    const f = frames[k];
+    if (!isObject(f)) return `Frame ${k + 1} is not an object`;
+    if (typeof f.desc !== 'string') return `Frame ${k + 1} has no "desc" text`;
+    if (f.highlights !== undefined && !isObject(f.highlights)) return `Frame ${k + 1}: "highlights" is not an object`;
+    if (!('data' in f) || (shape && !shape(f.data))) return `Frame ${k + 1}: "data" does not fit ${algo}`;
+  }
+  return null;
+}
+
+// text → { algo, inputs, frames }; throws with a message meant for the user
+export function parseTrace(text, knownAlgo = () => true) {
+  let t;
+  try {
+    t = JSON.parse(text, reviver);
+  } catch (e) {
+    throw new Error(`Not a JSON file: ${e.message}`);
+  }
+  if (t?.format !== TRACE_FORMAT) throw new Error('Not a visualizer trace (missing "format": "codequest-trace")');
+  if (!knownAlgo(t.algo)) throw new Error(`Unknown algorithm "${t.algo}"`);
+  if (!Array.isArray(t.frames) || !t.frames.length) throw new Error('The trace has no frames');
+  const bad = badFrame(t.algo, t.frames);
+  if (bad) throw new Error(bad);
+  return { algo: t.algo, inputs: t.inputs && typeof t.inputs === 'object' ? t.inputs : {}, frames: t.frames };
+}
+
+// ---------- download ----------
+
+export function download(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url; a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,176 @@
+// ------------------------------
+// Input generators
+// Seeded random and edge-case inputs per category. Output is the text the input
+// fields already accept, keyed by field name, so a generated case lands in the
+// fields (and the URL) exactly like a typed one; the same seed, shape and size
+// always give the same case.
+// ------------------------------
+
+import { makeArray, mulberry32 } from './benchmark';
+
+// category → shapes offered by the Generate control
+const SHAPES = {
+  array: ['random', 'sorted', 'reversed', 'nearly sorted', 'all equal', 'many duplicates'],
+  graph: ['random connected', 'DAG', 'tree', 'complete', 'bipartite', 'negative weights'],
+  tree: ['balanced', 'skewed', 'complete'],
+  list: ['no cycle', 'cycle']
+};
+
+// category → [default N, min N, max N]; graphs and trees stay small enough to draw
+export const GEN_SIZES = { array: [10, 1, 40], graph: [7, 2, 16], tree: [7, 1, 31], list: [6, 1, 12] };
+
+export const generatorKind = (algo) =>
+  algo.startsWith('arr_') ? 'array' : algo.startsWith('graph_') ? 'graph' : algo.startsWith('tree_') ? 'tree' : algo.startsWith('ll_') ? 'list' : null;
+
+// binary search only takes sorted data; only cycle detection takes a cycle
+export function generatorShapes(algo) {
+  const kind = generatorKind(algo);
+  if (algo === 'arr_binary') return ['sorted', 'all equal', 'many duplicates'];
+  if (kind === 'list' && algo !== 'll_slowfast') return ['no cycle'];
+  return SHAPES[kind] || [];
+}
+
+// any text → 32-bit seed ("42" and "demo" both work)
+export function hashSeed(text) {
+  const s = String(text).trim();
+  if (/^\d+$/.test(s)) return Number(s) >>> 0;
+  let h = 2166136261;
+  for (const ch of s) h = Math.imul(h ^ ch.codePointAt(0), 16777619);
+  return h >>> 0;
+}
+
+export const randomSeed = () => String(Math.floor(Math.random() * 1e6));
+
+const int = (rng, lo, hi) => lo + Math.floor(rng() * (hi - lo + 1));
+
+function shuffle(a, rng) {
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+// n distinct values from 1..99, ascending
+function distinct(n, rng) {
+  return shuffle(Array.from({ length: Math.max(99, n) }, (_, i) => i + 1), rng).slice(0, n).sort((x, y) => x - y);
+}
+
+function genArray(shape, n, rng) {
+  if (shape === 'all equal') return Array(n).fill(int(rng, 1, 99));
+  if (shape === 'many duplicates') {
+    const pool = Array.from({ length: Math.max(2, Math.round(n / 4)) }, () => int(rng, 1, 99));
+    return Array.from({ length: n }, () => pool[Math.floor(rng() * pool.length)]);
+  }
+  return makeArray(shape, n, rng);
+}
+
+// edges [u, v, w] over nodes 0..n-1; directed shapes keep u before v in a shuffled order
+function genGraph(shape, n, rng) {
+  const seen = new Set(), edges = [];
+  const add = (u, v, w = int(rng, 1, 9)) => {
+    const k = u < v ? `${u}-${v}` : `${v}-${u}`;
+    if (u === v || seen.has(k)) return;
+    seen.add(k); edges.push([u, v, w]);
+  };
+  const extra = (count, pick) => { for (let t = 0; edges.length < count && t < count * 8; t++) pick(); };
+  if (shape === 'complete') {
+    for (let u = 0; u < n; u++) for (let v = u + 1; v < n; v++) add(u, v);
+    return { edges, directed: false };
+  }
+  if (shape === 'bipartite') {
+    // even positions on one side, odd on the other; a spanning tree across the sides first
+    const order = shuffle([...Array(n).keys()], rng);
+    const side = (k) => k % 2;
+    for (let k = 1; k < n; k++) {
+      const other = order.slice(0, k).filter((_, j) => side(j) !== side(k));
+      add(order[k], other[Math.floor(rng() * other.length)]);
+    }
+    extra(n + Math.floor(n / 2), () => { const a = int(rng, 0, n - 1), b = int(rng, 0, n - 1); if (side(a) !== side(b)) add(order[a], order[b]); });
+    return { edges, directed: false };
+  }
+  if (shape === 'DAG' || shape === 'negative weights') {
+    // every node gets an edge from something earlier in the order → no cycles, all reachable from order[0]
+    const order = [0, ...shuffle([...Array(n).keys()].slice(1), rng)];
+    const w = () => (shape === 'negative weights' && rng() < 0.3 ? -int(rng, 1, 4) : int(rng, 1, 9));
+    for (let k = 1; k < n; k++) add(order[int(rng, 0, k - 1)], order[k], w());
+    extra(n + Math.floor(n / 2), () => { const a = int(rng, 0, n - 1), b = int(rng, 0, n - 1); if (a < b) add(order[a], order[b], w()); });
+    return { edges, directed: true };
+  }
+  for (let v = 1; v < n; v++) add(int(rng, 0, v - 1), v);
+  if (shape === 'random connected') extra(n + Math.floor(n / 2), () => add(int(rng, 0, n - 1), int(rng, 0, n - 1)));
+  return { edges, directed: false };
+}
+
+// tree node { val, left, right } → LeetCode level order with trailing nulls trimmed
+function levelOrder(root) {
+  const out = [], queue = [root];
+  while (queue.length) {
+    const node = queue.shift();
+    out.push(node ? node.val : null);
+    if (node) queue.push(node.left, node.right);
+  }
+  while (out.length && out[out.length - 1] == null) out.pop();
+  return out;
+}
+
+// shapes built over sorted values, so every tree is also a valid BST
+function genTree(shape, n, rng) {
+  const vals = distinct(n, rng);
+  if (shape === 'skewed') {
+    const right = rng() < 0.5;
+    let root = null;
+    for (const val of right ? vals.slice().reverse() : vals) root = right ? { val, left: null, right: root } : { val, left: root, right: null };
+    return root;
+  }
+  if (shape === 'complete') {
+    // heap positions 0..n-1, values handed out in in-order
+    const nodes = vals.map(() => ({ val: 0, left: null, right: null }));
+    nodes.forEach((node, i) => { node.left = nodes[2 * i + 1] || null; node.right = nodes[2 * i + 2] || null; });
+    let k = 0;
+    const fill = (node) => { if (!node) return; fill(node.left); node.val = vals[k++]; fill(node.right); };
+    fill(nodes[0]);
+    return nodes[0];
+  }
+  // balanced: middle element as root, breaking even splits either way at random
+  const build = (lo, hi) => {
+    if (lo > hi) return null;
+    const mid = (hi - lo) % 2 ? lo + Math.floor((hi - lo) / 2) + (rng() < 0.5 ? 1 : 0) : (lo + hi) / 2;
+    return { val: vals[mid], left: build(lo, mid - 1), right: build(mid + 1, hi) };
+  };
+  return build(0, n - 1);
+}
+
+// algo, shape, N, seed text → { field: text } to merge into the inputs
+export function generateInput(algo, shape, n, seedText, { searchTree = false } = {}) {
+  const kind = generatorKind(algo);
+  const [, min, max] = GEN_SIZES[kind];
+  n = Math.min(max, Math.max(min, Math.floor(n) || GEN_SIZES[kind][0]));
+  const rng = mulberry32(hashSeed(seedText));
+  if (kind === 'array') {
+    const a = genArray(shape, n, rng);
+    if (algo !== 'arr_binary') return { arrayText: a.join(', ') };
+    a.sort((x, y) => x - y);
+    // a present target most of the time, sometimes a miss
+    return { arraySortedText: a.join(', '), target: String(rng() < 0.75 ? a[Math.floor(rng() * n)] : int(rng, 0, 100)) };
+  }
+  if (kind === 'graph') {
+    const { edges, directed } = genGraph(shape, n, rng);
+    return { adjText: edges.map((e) => e.join(' ')).join('\n'), graphFormat: 'edges', graphDir: directed ? 'directed' : 'undirected', startNode: '0' };
+  }
+  if (kind === 'tree') {
+    const order = levelOrder(genTree(shape, n, rng));
+    if (!searchTree) return { treeText: order.map((v) => (v == null ? 'null' : v)).join(',') };
+    // inserting in level order rebuilds the same shape in a plain BST
+    const keys = order.filter((v) => v != null);
+    return { treeOpsText: `insert ${keys.join(' ')}\nsearch ${keys[Math.floor(rng() * keys.length)]}` };
+  }
+  const vals = Array.from({ length: n }, () => int(rng, 1, 99));
+  if (algo === 'll_merge') {
+    const b = Array.from({ length: int(rng, 1, n) }, () => int(rng, 1, 99));
+    return { llText: vals.sort((x, y) => x - y).join(' -> '), llText2: b.sort((x, y) => x - y).join(' -> ') };
+  }
+  const out = { llText: vals.join(' -> ') + (shape === 'cycle' ? ` -> @${int(rng, 0, n - 1)}` : '') };
+  if (algo === 'll_remove_nth') out.nth = String(int(rng, 1, n));
+  return out;
+}
@@ -0,0 +1,234 @@
+// ------------------------------
+// Graph input formats
+// Text → { weighted: Map(u → [[v, w]]), unweighted: Map(u → [v]), directed, format, errors }
+// Node ids are numbers when the token is numeric, otherwise the label itself ('A', 'SFO').
+// Nothing is skipped silently: every token that cannot be read, and every edge given
+// twice, becomes an error { line, col, message } (1-based); see ./validate.js.
+//   adj       0: 1, 2(4)            one line per node, optional (weight)
+//   edges     A B 3                 one edge per line, weight optional
+//   matrix    0 4 0 / 4 0 1 / …     0, ., -, ∞, inf = no edge; optional header row of labels
+//   dot       digraph { A -> B [weight=3] }
+//   leetcode  [[0,1],[1,2,5]]       edge arrays; "graph = [[1,2],[0]]" is read as adjacency lists
+// ------------------------------
+
+export const GRAPH_FORMATS = [
+  ['auto', 'Auto-detect'],
+  ['adj', 'Adjacency list'],
+  ['edges', 'Edge list (u v w)'],
+  ['matrix', 'Adjacency matrix'],
+  ['dot', 'DOT (Graphviz)'],
+  ['leetcode', 'LeetCode edges [[u,v]]']
+];
+
+const LABEL = /^[A-Za-z0-9_]+$/;
+const NO_EDGE = new Set(['0', '.', '-', 'x', 'inf', '∞', 'null']);
+
+// '3' → 3, 'SFO' → 'SFO' (object keys come back as strings, so renderers use this too)
+export const nodeKey = (tok) => (/^-?\d+$/.test(String(tok)) ? Number(tok) : String(tok));
+
+// numbers numerically, labels alphabetically (A2 < A10)
+export const compareNodes = (a, b) => (typeof a === 'number' && typeof b === 'number' ? a - b : String(a).localeCompare(String(b), undefined, { numeric: true }));
+export const sortNodes = (list) => list.slice().sort(compareNodes);
+
+export function detectFormat(text) {
+  const t = String(text).trim();
+  if (/^(strict\s+)?(di)?graph\b/i.test(t)) return 'dot';
+  if (/^(\w+\s*=\s*)?\[/.test(t) || t.includes('[[')) return 'leetcode';
+  const lines = t.split('\n').map((l) => l.trim()).filter(Boolean);
+  if (lines.some((l) => l.includes(':'))) return 'adj';
+  const rows = lines.map((l) => l.split(/[\s,]+/));
+  const square = (rs) => rs.length > 1 && rs.every((r) => r.length === rs.length && r.every((x) => NO_EDGE.has(x.toLowerCase()) || Number.isFinite(Number(x))));
+  if (square(rows) || (rows.length > 2 && rows[0].length === rows.length - 1 && square(rows.slice(1)))) return 'matrix';
+  return 'edges';
+}
+
+function builder(directed) {
+  const weighted = new Map(), unweighted = new Map();
+  const node = (u) => {
+    if (!weighted.has(u)) { weighted.set(u, []); unweighted.set(u, []); }
+  };
+  const given = new Set();
+  // → null, or why the edge was refused (duplicate / clashing mirror weight)
+  const edge = (u, v, w = 1) => {
+    node(u); node(v);
+    if (given.has(`${u}>${v}`)) return `duplicate edge ${u} → ${v}`;
+    given.add(`${u}>${v}`);
+    if (!directed && unweighted.get(u).includes(v)) {
+      // already added as a mirror; both directions must agree on the weight
+      const had = weighted.get(u).find(([x]) => x === v)[1];
+      return had === w ? null : `edge ${u} – ${v} has weight ${w} here but ${had} the other way`;
+    }
+    weighted.get(u).push([v, w]); unweighted.get(u).push(v);
+    // undirected: mirror once (input that already lists both directions is left alone)
+    if (!directed && u !== v && !unweighted.get(v).includes(u)) { weighted.get(v).push([u, w]); unweighted.get(v).push(u); }
+    return null;
+  };
+  return { weighted, unweighted, node, edge };
+}
+
+// "B(4)" → { v: 'B', w: 4 } | { error }
+function readTarget(tok) {
+  const m = tok.match(/^([^()\s]+)(?:\((.*)\))?$/);
+  if (!m || !LABEL.test(m[1])) return { error: `"${tok}" is not a node label (letters, digits, _)` };
+  if (m[2] === undefined) return { v: nodeKey(m[1]), w: 1 };
+  const w = Number(m[2]);
+  if (m[2].trim() === '' || !Number.isFinite(w)) return { error: `bad weight "${m[2]}" on edge to ${m[1]}` };
+  return { v: nodeKey(m[1]), w };
+}
+
+// split a line on spaces / commas, keeping each token's 1-based column
+function tokens(line) {
+  return [...line.matchAll(/[^\s,]+/g)].map((m) => ({ text: m[0], col: m.index + 1 }));
+}
+
+function parseAdj(lines, b, err) {
+  lines.forEach((raw, i) => {
+    const line = raw.replace(/#.*$/, '');
+    if (!line.trim()) return;
+    const colon = line.indexOf(':');
+    if (colon < 0) return err(i, 1, `expected "node: neighbours", got "${line.trim()}"`);
+    const head = line.slice(0, colon).trim();
+    if (!LABEL.test(head)) return err(i, 1, `"${head}" is not a node label (letters, digits, _)`);
+    const u = nodeKey(head);
+    b.node(u);
+    for (const { text, col } of tokens(line.slice(colon + 1))) {
+      const t = readTarget(text);
+      const why = t.error || b.edge(u, t.v, t.w);
+      if (why) err(i, colon + 1 + col, why);
+    }
+  });
+}
+
+function parseEdges(lines, b, err) {
+  lines.forEach((raw, i) => {
+    const line = raw.replace(/#.*$/, '').replace(/-+>|--/g, ' ');
+    const toks = tokens(line);
+    if (!toks.length) return;
+    if (toks.length === 1) {
+      // a lone label is an isolated node
+      if (LABEL.test(toks[0].text)) b.node(nodeKey(toks[0].text));
+      else err(i, toks[0].col, `"${toks[0].text}" is not a node label`);
+      return;
+    }
+    if (toks.length > 3) return err(i, toks[3].col, `expected "u v [weight]", found ${toks.length} values`);
+    const [a, c, w] = toks;
+    for (const t of [a, c]) if (!LABEL.test(t.text)) return err(i, t.col, `"${t.text}" is not a node label (letters, digits, _)`);
+    if (w && !Number.isFinite(Number(w.text))) return err(i, w.col, `bad weight "${w.text}"`);
+    const why = b.edge(nodeKey(a.text), nodeKey(c.text), w ? Number(w.text) : 1);
+    if (why) err(i, a.col, why);
+  });
+}
+
+function parseMatrix(lines, b, err) {
+  const rows = lines.map((l, i) => ({ i, toks: tokens(l) })).filter((r) => r.toks.length);
+  if (!rows.length) return;
+  // header row of labels when the first row is not numeric
+  let labels = null;
+  if (rows[0].toks.some((t) => !NO_EDGE.has(t.text.toLowerCase()) && !Number.isFinite(Number(t.text)))) {
+    const head = rows.shift();
+    for (const t of head.toks) if (!LABEL.test(t.text)) return err(head.i, t.col, `"${t.text}" is not a node label`);
+    labels = head.toks.map((t) => nodeKey(t.text));
+  }
+  const n = rows.length;
+  if (labels && labels.length !== n) return err(rows[0].i - 1, 1, `${labels.length} labels for a ${n}-row matrix`);
+  const ids = labels || rows.map((_, k) => k);
+  ids.forEach((id) => b.node(id));
+  rows.forEach(({ i, toks }, r) => {
+    if (toks.length !== n) return err(i, toks[Math.min(toks.length, n) - 1].col, `row ${r + 1} has ${toks.length} entries, expected ${n}`);
+    toks.forEach((t, c) => {
+      if (NO_EDGE.has(t.text.toLowerCase())) return;
+      const w = Number(t.text);
+      if (!Number.isFinite(w)) return err(i, t.col, `bad weight "${t.text}"`);
+      const why = b.edge(ids[r], ids[c], w);
+      if (why) err(i, t.col, why);
+    });
+  });
+}
+
+function parseDot(text, err, directedDefault) {
+  const src = text.replace(/\/\*[\s\S]*?\*\//g, (m) => m.replace(/[^\n]/g, ' '));
+  const header = src.match(/^\s*(strict\s+)?(di)?graph\b[^{]*\{/i);
+  if (!header) { err(0, 1, 'DOT input must start with "graph {" or "digraph {"'); return builder(directedDefault); }
+  const directed = !!header[2];
+  const b = builder(directed);
+  const body = src.slice(header[0].length);
+  const close = body.lastIndexOf('}');
+  if (close < 0) err(src.split('\n').length - 1, 1, 'missing closing "}"');
+  const lineOf = (offset) => src.slice(0, header[0].length + offset).split('\n').length - 1;
+  const id = '("[^"]*"|[A-Za-z0-9_]+)';
+  const unq = (s) => s.replace(/^"|"$/g, '');
+  const stmtRe = /[^;\n]+/g;
+  for (const m of (close < 0 ? body : body.slice(0, close)).matchAll(stmtRe)) {
+    const stmt = m[0].replace(/\/\/.*$|#.*$/, '').trim();
+    if (!stmt || /^(node|edge|graph)\s*\[/.test(stmt) || /^\w+\s*=/.test(stmt) || stmt === '}' || stmt === '{') continue;
+    const line = lineOf(m.index);
+    const attrs = stmt.match(/\[(.*)\]\s*$/);
+    const w = attrs && attrs[1].match(/\b(?:weight|label)\s*=\s*"?(-?[\d.]+)"?/);
+    const chain = (attrs ? stmt.slice(0, attrs.index) : stmt).trim();
+    const parts = chain.split(/\s*(->|--)\s*/);
+    const names = parts.filter((_, k) => k % 2 === 0);
+    const ops = parts.filter((_, k) => k % 2 === 1);
+    if (names.some((s) => !new RegExp(`^${id}$`).test(s))) { err(line, 1, `cannot read "${stmt}"`); continue; }
+    if (ops.some((o) => o !== (directed ? '->' : '--'))) { err(line, 1, `use "${directed ? '->' : '--'}" in a ${directed ? 'digraph' : 'graph'}`); continue; }
+    const keys = names.map((s) => nodeKey(unq(s)));
+    if (keys.length === 1) { b.node(keys[0]); continue; }
+    for (let k = 0; k + 1 < keys.length; k++) {
+      const why = b.edge(keys[k], keys[k + 1], w ? Number(w[1]) : 1);
+      if (why) err(line, 1, why);
+    }
+  }
+  return b;
+}
+
+function parseLeetCode(text, b, err) {
+  const start = text.indexOf('['), end = text.lastIndexOf(']');
+  if (start < 0 || end < start) return err(0, 1, 'expected an array like [[0,1],[1,2]]');
+  let data;
+  try {
+    data = JSON.parse(text.slice(start, end + 1).replace(/'/g, '"'));
+  } catch (e) {
+    return err(0, start + 1, `not valid JSON: ${e.message}`);
+  }
+  if (!Array.isArray(data) || data.some((e) => !Array.isArray(e))) return err(0, start + 1, 'expected an array of arrays');
+  // "n = 5" declares isolated nodes 0..n-1
+  const n = text.match(/\bn\s*=\s*(\d+)/);
+  if (n) for (let k = 0; k < Number(n[1]); k++) b.node(k);
+  const ok = (x) => (typeof x === 'number' && Number.isInteger(x)) || (typeof x === 'string' && LABEL.test(x));
+  const asAdjacency = /\bgraph\s*=/.test(text) || data.some((e) => e.length !== 2 && e.length !== 3);
+  data.forEach((e, k) => {
+    if (asAdjacency) {
+      b.node(k);
+      for (const v of e) {
+        if (!ok(v)) return err(0, start + 1, `graph[${k}]: "${v}" is not a node`);
+        const why = b.edge(k, nodeKey(v));
+        if (why) err(0, start + 1, `graph[${k}]: ${why}`);
+      }
+      return;
+    }
+    const [u, v, w] = e;
+    if (!ok(u) || !ok(v)) return err(0, start + 1, `edge #${k + 1} [${e.join(', ')}]: endpoints must be integers or labels`);
+    if (w !== undefined && typeof w !== 'number') return err(0, start + 1, `edge #${k + 1}: bad weight "${w}"`);
+    const why = b.edge(nodeKey(u), nodeKey(v), w ?? 1);
+    if (why) err(0, start + 1, `edge #${k + 1}: ${why}`);
+  });
+}
+
+export function parseGraph(text, { format = 'auto', directed = true } = {}) {
+  const errors = [];
+  const err = (line, col, message) => { errors.push({ line: line + 1, col, message }); };
+  const fmt = format === 'auto' ? detectFormat(text) : format;
+  const lines = String(text).split('\n');
+  let b;
+  if (fmt === 'dot') {
+    b = parseDot(String(text), err, directed);
+  } else {
+    b = builder(directed);
+    if (fmt === 'adj') parseAdj(lines, b, err);
+    else if (fmt === 'edges') parseEdges(lines, b, err);
+    else if (fmt === 'matrix') parseMatrix(lines, b, err);
+    else parseLeetCode(String(text), b, err);
+  }
+  if (!errors.length && b.weighted.size === 0) err(0, 1, 'the graph has no nodes');
+  const isDirected = fmt === 'dot' ? /^\s*(strict\s+)?digraph/i.test(text) : directed;
+  return { weighted: b.weighted, unweighted: b.unweighted, directed: isDirected, format: fmt, errors };
+}
@@ -0,0 +1,181 @@
+// ------------------------------
+// Graph layout engine
+// Pure functions: adjacency object → { nodes, edges } → positions { [node]: [x, y] }
+// Used by GraphRenderer; modes: circle | force | layered
+// ------------------------------
+
+import { compareNodes, nodeKey } from './graphInput';
+
+export const LAYOUTS = [
+  { key: 'circle', name: 'Circle' },
+  { key: 'force', name: 'Force' },
+  { key: 'layered', name: 'Layered' }
+];
+
+// adj values are either plain neighbours (`v`) or weighted pairs (`[v, w]`).
+// An input where every u→v has a matching v→u is treated as undirected and each
+// edge is kept once; otherwise edges stay directed.
+export function graphFromAdj(adj = {}) {
+  const nodes = Object.keys(adj).map(nodeKey).sort(compareNodes);
+  const raw = [];
+  let weighted = false;
+  for (const u of nodes) {
+    for (const e of adj[u] || []) {
+      const [v, w] = Array.isArray(e) ? e : [e, 1];
+      if (Array.isArray(e)) weighted = true;
+      raw.push({ u, v, w });
+    }
+  }
+  const seen = new Set(raw.map((e) => `${e.u}>${e.v}`));
+  const directed = raw.some((e) => !seen.has(`${e.v}>${e.u}`));
+  const edges = directed ? raw : raw.filter((e) => compareNodes(e.u, e.v) <= 0);
+  return { nodes, edges, directed, weighted };
+}
+
+// canvas grows with node count so large graphs stay readable (scaled via viewBox)
+export function canvasSize(n) {
+  const side = Math.max(360, Math.ceil(Math.sqrt(Math.max(n, 1)) * 110));
+  return { width: side, height: Math.max(280, Math.round(side * 0.78)) };
+}
+
+export function nodeRadius(n) {
+  return n <= 16 ? 20 : Math.max(8, Math.round(20 - Math.sqrt(n - 16)));
+}
+
+export function layoutCircle(nodes, { width, height }) {
+  const cx = width / 2, cy = height / 2;
+  const R = Math.min(width, height) / 2 - nodeRadius(nodes.length) - 12;
+  return Object.fromEntries(nodes.map((n, i) => [n, [
+    cx + R * Math.cos((2 * Math.PI * i) / nodes.length),
+    cy + R * Math.sin((2 * Math.PI * i) / nodes.length)
+  ]]));
+}
+
+// Fruchterman–Reingold, seeded from the circle layout (deterministic across renders)
+export function layoutForce(nodes, edges, size, iterations = nodes.length > 200 ? 120 : 300) {
+  const { width, height } = size;
+  const n = nodes.length;
+  if (n === 0) return {};
+  const pad = nodeRadius(n) + 6;
+  const start = layoutCircle(nodes, size);
+  const idx = new Map(nodes.map((v, i) => [v, i]));
+  const xs = new Float64Array(n), ys = new Float64Array(n);
+  nodes.forEach((v, i) => {
+    // tiny fixed jitter breaks the symmetry of the ring
+    const j = ((i * 9301 + 49297) % 233280) / 233280 - 0.5;
+    xs[i] = start[v][0] + j * 10; ys[i] = start[v][1] - j * 10;
+  });
+  const k = Math.sqrt((width * height) / n) * 0.75;
+  const dx = new Float64Array(n), dy = new Float64Array(n);
+  let t = width / 10;
+  const cool = t / (iterations + 1);
+  for (let it = 0; it < iterations; it++) {
+    dx.fill(0); dy.fill(0);
+    for (let a = 0; a < n; a++) {
+      for (let b = a + 1; b < n; b++) {
+        let ddx = xs[a] - xs[b], ddy = ys[a] - ys[b];
+        const d2 = ddx * ddx + ddy * ddy || 0.01;
+        const f = (k * k) / d2; // (k²/d) / d
+        ddx *= f; ddy *= f;
+        dx[a] += ddx; dy[a] += ddy; dx[b] -= ddx; dy[b] -= ddy;
+      }
+    }
+    for (const { u, v } of edges) {
+      const a = idx.get(u), b = idx.get(v);
+      if (a == null || b == null || a === b) continue;
+      const ddx = xs[a] - xs[b], ddy = ys[a] - ys[b];
+      const d = Math.sqrt(ddx * ddx + ddy * ddy) || 0.01;
+      const f = d / k; // (d²/k) / d
+      dx[a] -= ddx * f; dy[a] -= ddy * f; dx[b] += ddx * f; dy[b] += ddy * f;
+    }
+    for (let a = 0; a < n; a++) {
+      // weak gravity keeps disconnected components from drifting apart
+      dx[a] += (width / 2 - xs[a]) * 0.02; dy[a] += (height / 2 - ys[a]) * 0.02;
+      const d = Math.sqrt(dx[a] * dx[a] + dy[a] * dy[a]) || 0.01;
+      const step = Math.min(d, t);
+      xs[a] += (dx[a] / d) * step;
+      ys[a] += (dy[a] / d) * step;
+    }
+    t -= cool;
+  }
+  const pos = fitToCanvas(nodes, xs, ys, size, pad);
+  separate(nodes, pos, 2 * nodeRadius(n) + 4, size, pad);
+  return pos;
+}
+
+// nudge apart any pair still closer than `gap` after scaling
+function separate(nodes, pos, gap, { width, height }, pad, rounds = 20) {
+  for (let round = 0; round < rounds; round++) {
+    let moved = false;
+    for (let a = 0; a < nodes.length; a++) {
+      for (let b = a + 1; b < nodes.length; b++) {
+        const pa = pos[nodes[a]], pb = pos[nodes[b]];
+        const ddx = pb[0] - pa[0], ddy = pb[1] - pa[1];
+        const d = Math.hypot(ddx, ddy);
+        if (d >= gap) continue;
+        const push = (gap - d) / 2, ux = d ? ddx / d : 1, uy = d ? ddy / d : 0;
+        pa[0] -= ux * push; pa[1] -= uy * push; pb[0] += ux * push; pb[1] += uy * push;
+        moved = true;
+      }
+    }
+    for (const v of nodes) {
+      pos[v][0] = Math.min(width - pad, Math.max(pad, pos[v][0]));
+      pos[v][1] = Math.min(height - pad, Math.max(pad, pos[v][1]));
+    }
+    if (!moved) break;
+  }
+}
+
+// scale the free-form result into the canvas, preserving aspect ratio
+function fitToCanvas(nodes, xs, ys, { width, height }, pad) {
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  for (let i = 0; i < nodes.length; i++) {
+    minX = Math.min(minX, xs[i]); maxX = Math.max(maxX, xs[i]);
+    minY = Math.min(minY, ys[i]); maxY = Math.max(maxY, ys[i]);
+  }
+  const s = Math.min((width - 2 * pad) / (maxX - minX || 1), (height - 2 * pad) / (maxY - minY || 1));
+  const ox = (width - (maxX - minX) * s) / 2, oy = (height - (maxY - minY) * s) / 2;
+  return Object.fromEntries(nodes.map((v, i) => [v, [ox + (xs[i] - minX) * s, oy + (ys[i] - minY) * s]]));
+}
+
+// BFS tree from `root` (edges followed both ways); unreachable nodes go on a final layer.
+// Within a layer, nodes are ordered by their parent's position to limit crossings.
+export function layoutLayered(nodes, edges, root, { width, height }) {
+  if (nodes.length === 0) return {};
+  const nbrs = new Map(nodes.map((v) => [v, []]));
+  for (const { u, v } of edges) { nbrs.get(u)?.push(v); nbrs.get(v)?.push(u); }
+  const src = nbrs.has(root) ? root : nodes[0];
+  const depth = new Map([[src, 0]]);
+  const order = new Map([[src, 0]]);
+  const q = [src];
+  while (q.length) {
+    const u = q.shift();
+    for (const v of nbrs.get(u)) {
+      if (depth.has(v)) continue;
+      depth.set(v, depth.get(u) + 1); order.set(v, order.size); q.push(v);
+    }
+  }
+  const maxDepth = Math.max(...depth.values());
+  const layers = [];
+  for (const v of nodes) {
+    const d = depth.has(v) ? depth.get(v) : maxDepth + 1;
+    (layers[d] ||= []).push(v);
+  }
+  const pad = nodeRadius(nodes.length) + 10;
+  const rowH = layers.length > 1 ? (height - 2 * pad) / (layers.length - 1) : 0;
+  const pos = {};
+  layers.forEach((layer, d) => {
+    layer.sort((a, b) => (order.get(a) ?? Infinity) - (order.get(b) ?? Infinity));
+    layer.forEach((v, i) => {
+      pos[v] = [pad + ((i + 0.5) * (width - 2 * pad)) / layer.length, layers.length > 1 ? pad + d * rowH : height / 2];
+    });
+  });
+  return pos;
+}
+
+export function computeLayout(mode, graph, { root, size } = {}) {
+  const sz = size || canvasSize(graph.nodes.length);
+  if (mode === 'force') return layoutForce(graph.nodes, graph.edges, sz);
+  if (mode === 'layered') return layoutLayered(graph.nodes, graph.edges, root, sz);
+  return layoutCircle(graph.nodes, sz);
+}
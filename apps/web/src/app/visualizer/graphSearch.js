@@ -0,0 +1,60 @@
+// ------------------------------
+// Search loops shared by the graph and grid visualizations
+// BFS and Dijkstra (binary heap, lazy deletion) as step generators over
+// neighbours(u) → [[v, w]]. framesBFS / framesDijkstraHeap in Visualizer.jsx
+// draw the steps on a graph, framesGridSearch in ./grid.js on a board, so a
+// fix to either loop reaches both. Consumers may stop early (the grid stops at
+// its goal).
+// ------------------------------
+
+import { createMinHeap } from './heap';
+
+// steps: { kind: 'start' | 'pop' | 'visit' | 'expanded', u, v?, visited, queue }
+// ops.cmp counts neighbour checks
+export function* bfsSteps(neighbours, start, ops) {
+  const visited = new Set([start]);
+  const queue = [start];
+  yield { kind: 'start', u: start, visited, queue };
+  while (queue.length) {
+    const u = queue.shift();
+    yield { kind: 'pop', u, visited, queue };
+    for (const [v] of neighbours(u)) {
+      ops.cmp++;
+      if (visited.has(v)) continue;
+      visited.add(v); queue.push(v);
+      yield { kind: 'visit', u, v, visited, queue };
+    }
+    yield { kind: 'expanded', u, visited, queue };
+  }
+}
+
+// steps: { kind: 'init' | 'pick' | 'stale' | 'relax' | 'expanded', u, v?, w?, key?, dist, used, heap }
+//   dist → { node: distance } for the nodes reached so far
+// key(v, dist) orders the queue (default: the distance; A* adds a heuristic).
+// onHeap(step, { dist, used, active }) sees every heap step (see ./heap.js).
+export function* dijkstraSteps(neighbours, source, ops, { key = (v, d) => d, onHeap = () => {} } = {}) {
+  const dist = { [source]: 0 };
+  const used = new Set();
+  const state = { dist, used, active: undefined };
+  const heap = createMinHeap((step) => onHeap(step, state), ops);
+  const at = (v) => dist[v] ?? Infinity;
+  yield { kind: 'init', u: source, dist, used, heap };
+  heap.push([key(source, 0), source]);
+  while (heap.size) {
+    const [k, u] = heap.pop();
+    if (used.has(u)) {
+      yield { kind: 'stale', u, key: k, dist, used, heap };
+      continue;
+    }
+    used.add(u); state.active = u;
+    yield { kind: 'pick', u, key: k, dist, used, heap };
+    for (const [v, w] of neighbours(u)) {
+      ops.cmp++;
+      if (at(u) + w >= at(v)) continue;
+      dist[v] = at(u) + w; ops.relax++;
+      yield { kind: 'relax', u, v, w, dist, used, heap };
+      heap.push([key(v, dist[v]), v]);
+    }
+    yield { kind: 'expanded', u, dist, used, heap };
+  }
+}
@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest';
+import { bfsSteps, dijkstraSteps } from './graphSearch';
+import { framesGridSearch, parseGrid } from './grid';
+
+const adj = { a: [['b', 4], ['c', 1]], b: [['d', 1]], c: [['b', 2], ['d', 5]], d: [] };
+const neighbours = (u) => adj[u];
+const ops = () => ({ cmp: 0, swap: 0, relax: 0 });
+
+describe('bfsSteps', () => {
+  it('visits in queue order and stops where the caller stops', () => {
+    const steps = [...bfsSteps(neighbours, 'a', ops())];
+    expect(steps.filter((s) => s.kind === 'pop').map((s) => s.u)).toEqual(['a', 'b', 'c', 'd']);
+    const seen = [];
+    for (const s of bfsSteps(neighbours, 'a', ops())) {
+      if (s.kind === 'pop') seen.push(s.u);
+      if (s.u === 'b') break;
+    }
+    expect(seen).toEqual(['a', 'b']);
+  });
+});
+
+describe('dijkstraSteps', () => {
+  it('settles shortest distances and skips stale heap entries', () => {
+    const steps = [...dijkstraSteps(neighbours, 'a', ops())];
+    expect(steps.at(-1).dist).toEqual({ a: 0, b: 3, c: 1, d: 4 });
+    expect(steps.filter((s) => s.kind === 'pick').map((s) => s.u)).toEqual(['a', 'c', 'b', 'd']);
+    expect(steps.filter((s) => s.kind === 'stale').map((s) => s.u)).toEqual(['b', 'd']);
+  });
+});
+
+describe('framesGridSearch', () => {
+  const grid = parseGrid('S.5.\n.#..\n...G');
+  it('runs BFS by steps and Dijkstra / A* by cost over the shared loops', () => {
+    const last = (mode) => framesGridSearch(grid, mode).at(-1).vars;
+    expect(last('bfs')).toMatchObject({ steps: 5, cost: 9 });
+    expect(last('dijkstra')).toMatchObject({ steps: 5, cost: 5 });
+    expect(last('astar')).toMatchObject({ steps: 5, cost: 5 });
+  });
+});
@@ -0,0 +1,209 @@
+// ------------------------------
+// Grid pathfinding
+// A grid is { rows, cols, cost, start, goal } with cells indexed r * cols + c;
+// cost[i] is 0 for a wall, 1 for open ground and 2–9 for weighted cells.
+// Text form (one row per line, used for the URL):  # wall  . open  2–9 weight  S start  G goal
+// The searches run the graph loops from ./graphSearch.js over the board's
+// implicit adjacency: BFS is bfsSteps (framesBFS), Dijkstra, A* and greedy are
+// dijkstraSteps (framesDijkstraHeap) with their own queue key.
+// ------------------------------
+
+import { bfsSteps, dijkstraSteps } from './graphSearch';
+
+export const GRID_LIMITS = { rows: 41, cols: 61 };
+export const HEURISTICS = ['manhattan', 'euclidean', 'octile'];
+export const GRID_SIZES = { small: [11, 17], medium: [15, 25], large: [21, 35] };
+
+export const cellOf = (grid, i) => [Math.floor(i / grid.cols), i % grid.cols];
+
+// text → grid, or null for no text; a board with no room for the start or goal keeps
+// them at -1 and carries `error`
+export function parseGrid(text) {
+  const lines = String(text).split(/\n|\//).map((l) => l.trim()).filter(Boolean).slice(0, GRID_LIMITS.rows);
+  if (!lines.length) return null;
+  const rows = lines.length, cols = Math.min(GRID_LIMITS.cols, Math.max(...lines.map((l) => l.length)));
+  const cost = Array(rows * cols).fill(1);
+  let start = -1, goal = -1;
+  lines.forEach((line, r) => {
+    for (let c = 0; c < cols; c++) {
+      const ch = line[c] || '.', i = r * cols + c;
+      if (ch === '#') cost[i] = 0;
+      else if (/[2-9]/.test(ch)) cost[i] = Number(ch);
+      else if (ch === 'S') start = i;
+      else if (ch === 'G') goal = i;
+    }
+  });
+  // missing markers go to the first / last open cell
+  if (start < 0) start = cost.findIndex((w, i) => w && i !== goal);
+  if (goal < 0) goal = cost.findLastIndex((w, i) => w && i !== start);
+  const missing = [start < 0 && 'start (S)', goal < 0 && 'goal (G)'].filter(Boolean);
+  const error = missing.length ? `no open cell for the ${missing.join(' or the ')}: paint one` : null;
+  return { rows, cols, cost, start, goal, ...(error ? { error } : {}) };
+}
+
+export function serializeGrid(grid) {
+  const lines = [];
+  for (let r = 0; r < grid.rows; r++) {
+    let line = '';
+    for (let c = 0; c < grid.cols; c++) {
+      const i = r * grid.cols + c, w = grid.cost[i];
+      line += i === grid.start ? 'S' : i === grid.goal ? 'G' : w === 0 ? '#' : w === 1 ? '.' : String(w);
+    }
+    lines.push(line);
+  }
+  return lines.join('\n');
+}
+
+// tool → new grid (start / goal move; walls never land on a marker)
+export function paintCell(grid, i, tool, weight = 5) {
+  if (i < 0 || i >= grid.cost.length) return grid;
+  const g = { ...grid, cost: grid.cost.slice() };
+  const marker = i === g.start || i === g.goal;
+  if (tool === 'start' && i !== g.goal) { g.start = i; g.cost[i] ||= 1; }
+  else if (tool === 'goal' && i !== g.start) { g.goal = i; g.cost[i] ||= 1; }
+  else if (tool === 'wall' && !marker) g.cost[i] = 0;
+  else if (tool === 'weight' && !marker) g.cost[i] = weight;
+  else if (tool === 'erase') g.cost[i] = 1;
+  return g;
+}
+
+export function emptyGrid(rows, cols) {
+  return { rows, cols, cost: Array(rows * cols).fill(1), start: 0, goal: rows * cols - 1 };
+}
+
+// Mazes carve passages between odd cells of an all-wall board, then knock out a few
+// extra walls (`loops`) so there is more than one route and the searches differ.
+function mazeBoard(rows, cols) {
+  rows = Math.max(5, rows | 1); cols = Math.max(5, cols | 1);
+  return { rows, cols, cost: Array(rows * cols).fill(0), start: cols + 1, goal: (rows - 2) * cols + cols - 2 };
+}
+
+function addLoops(g, rng, loops) {
+  for (let r = 1; r < g.rows - 1; r++) {
+    for (let c = 1; c < g.cols - 1; c++) {
+      const i = r * g.cols + c;
+      const between = (r % 2 === 1) !== (c % 2 === 1); // wall between two cells
+      if (!g.cost[i] && between && rng() < loops) g.cost[i] = 1;
+    }
+  }
+  return g;
+}
+
+const CELL_DIRS = [[-2, 0], [2, 0], [0, -2], [0, 2]];
+
+// recursive backtracker (randomized DFS): long winding corridors
+export function mazeBacktracker(rows, cols, rng, { loops = 0.08 } = {}) {
+  const g = mazeBoard(rows, cols);
+  const open = (r, c) => { g.cost[r * g.cols + c] = 1; };
+  const stack = [[1, 1]];
+  open(1, 1);
+  while (stack.length) {
+    const [r, c] = stack[stack.length - 1];
+    const next = CELL_DIRS.map(([dr, dc]) => [r + dr, c + dc])
+      .filter(([nr, nc]) => nr > 0 && nc > 0 && nr < g.rows - 1 && nc < g.cols - 1 && !g.cost[nr * g.cols + nc]);
+    if (!next.length) { stack.pop(); continue; }
+    const [nr, nc] = next[Math.floor(rng() * next.length)];
+    open((r + nr) / 2, (c + nc) / 2); open(nr, nc);
+    stack.push([nr, nc]);
+  }
+  return addLoops(g, rng, loops);
+}
+
+// randomized Prim's: grows from a frontier of walls, many short dead ends
+export function mazePrim(rows, cols, rng, { loops = 0.08 } = {}) {
+  const g = mazeBoard(rows, cols);
+  const inside = (r, c) => r > 0 && c > 0 && r < g.rows - 1 && c < g.cols - 1;
+  const frontier = [];
+  const add = (r, c) => {
+    g.cost[r * g.cols + c] = 1;
+    for (const [dr, dc] of CELL_DIRS) if (inside(r + dr, c + dc) && !g.cost[(r + dr) * g.cols + c + dc]) frontier.push([r + dr, c + dc, r, c]);
+  };
+  add(1, 1);
+  while (frontier.length) {
+    const [r, c, fr, fc] = frontier.splice(Math.floor(rng() * frontier.length), 1)[0];
+    if (g.cost[r * g.cols + c]) continue;
+    g.cost[((r + fr) / 2) * g.cols + (c + fc) / 2] = 1;
+    add(r, c);
+  }
+  return addLoops(g, rng, loops);
+}
+
+const SQRT2 = Math.SQRT2;
+
+function heuristic(kind, grid, i, j) {
+  const [r1, c1] = cellOf(grid, i), [r2, c2] = cellOf(grid, j);
+  const dr = Math.abs(r1 - r2), dc = Math.abs(c1 - c2);
+  if (kind === 'euclidean') return Math.hypot(dr, dc);
+  if (kind === 'octile') return Math.max(dr, dc) + (SQRT2 - 1) * Math.min(dr, dc);
+  return dr + dc;
+}
+
+// open neighbours with step cost; diagonals may not cut a wall corner
+function neighbours(grid, i, moves) {
+  const [r, c] = cellOf(grid, i);
+  const ok = (rr, cc) => rr >= 0 && cc >= 0 && rr < grid.rows && cc < grid.cols && grid.cost[rr * grid.cols + cc] > 0;
+  const out = [];
+  for (const [dr, dc] of [[-1, 0], [0, 1], [1, 0], [0, -1]]) if (ok(r + dr, c + dc)) out.push([(r + dr) * grid.cols + c + dc, 1]);
+  if (moves === 8) {
+    for (const [dr, dc] of [[-1, -1], [-1, 1], [1, 1], [1, -1]]) {
+      if (ok(r + dr, c + dc) && ok(r + dr, c) && ok(r, c + dc)) out.push([(r + dr) * grid.cols + c + dc, SQRT2]);
+    }
+  }
+  return out.map(([j, step]) => [j, step * grid.cost[j]]);
+}
+
+const round = (x) => Math.round(x * 100) / 100;
+const at = (grid, i) => { const [r, c] = cellOf(grid, i); return `(${r}, ${c})`; };
+
+// mode: 'bfs' | 'dijkstra' | 'astar' | 'greedy'
+// frame data: { grid, open: [i], closed: [i], current, added: [i], path: [i] }
+export function framesGridSearch(grid, mode, { heuristic: hk = 'manhattan', moves = 4 } = {}) {
+  if (!grid) return [{ desc: 'Paint a grid or generate a maze first.', data: {} }];
+  if (grid.start < 0 || grid.goal < 0) return [{ desc: `Nothing to search: ${grid.error || 'the board needs a start and a goal'}.`, data: { grid, open: [], closed: [], current: null, added: [], path: [] } }];
+  const ops = { cmp: 0, swap: 0, relax: 0 };
+  const frames = [];
+  const push = (f) => frames.push({ ...f, ops: { ...ops } });
+  const { start, goal } = grid;
+  const h = (i) => heuristic(hk, grid, i, goal);
+  const g = new Map([[start, 0]]);
+  const parent = new Map();
+  const closed = new Set();
+  const open = new Set([start]);
+  // queue key per mode from the cost so far d; A* breaks f-ties toward the goal (smaller h)
+  const key = (i, d) => (mode === 'dijkstra' ? d : mode === 'greedy' ? h(i) : d + h(i) + h(i) * 1e-6);
+  const next = (i) => neighbours(grid, i, moves);
+  const steps = mode === 'bfs' ? bfsSteps(next, start, ops) : dijkstraSteps(next, start, ops, { key });
+  const snap = (current, added = [], path = []) => ({ grid, open: [...open], closed: [...closed], current, added, path });
+  push({ desc: `Start at ${at(grid, start)}, goal ${at(grid, goal)}`, line: 0, data: snap(start), vars: { open: open.size, closed: 0 } });
+
+  let added = [];
+  for (const { kind, u, v, dist } of steps) {
+    if (kind === 'pop' || kind === 'pick') {
+      open.delete(u); closed.add(u); added = [];
+      if (u === goal) break;
+    } else if ((kind === 'visit' || kind === 'relax') && !closed.has(v)) {
+      // a closed cell is never reopened, so it keeps its parent
+      g.set(v, kind === 'visit' ? g.get(u) + 1 : dist[v]);
+      parent.set(v, u); open.add(v); added.push(v);
+    } else if (kind === 'expanded') {
+      const vars = { u: at(grid, u), g: round(g.get(u)), open: open.size, closed: closed.size };
+      if (mode === 'astar' || mode === 'greedy') vars.h = round(h(u));
+      push({ desc: `Expand ${at(grid, u)}${mode === 'bfs' ? '' : ` (${mode === 'greedy' ? 'h' : mode === 'astar' ? 'f' : 'g'} = ${round(key(u, g.get(u)))})`}: ${added.length ? `open ${added.length} neighbour${added.length === 1 ? '' : 's'}` : 'no new neighbours'}`, line: 3, data: snap(u, added), vars });
+    }
+  }
+
+  if (!closed.has(goal)) {
+    push({ desc: `Goal unreachable — explored ${closed.size} cells`, line: 5, data: snap(null), vars: { open: 0, closed: closed.size } });
+    return frames;
+  }
+  const path = [goal];
+  while (path[path.length - 1] !== start) path.push(parent.get(path[path.length - 1]));
+  path.reverse();
+  // BFS counts steps, so price the path itself (weights, diagonals)
+  const cost = path.slice(1).reduce((s, v, k) => {
+    const [r1, c1] = cellOf(grid, path[k]), [r2, c2] = cellOf(grid, v);
+    return s + (r1 !== r2 && c1 !== c2 ? SQRT2 : 1) * grid.cost[v];
+  }, 0);
+  push({ desc: `Reached the goal: ${path.length - 1} steps, cost ${round(cost)}, ${closed.size} cells expanded`, line: 4, data: snap(goal, [], path), vars: { steps: path.length - 1, cost: round(cost), closed: closed.size } });
+  return frames;
+}
@@ -0,0 +1,69 @@
+// ------------------------------
+// Binary min-heap for the "binary heap" priority-queue mode
+// Items are tuples whose first element is the key: [key, ...payload].
+// Every structural change is reported to `onStep` so frame generators can
+// animate sift-up / sift-down next to the graph.
+// ------------------------------
+
+// onStep({ kind: 'push' | 'siftUp' | 'pop' | 'siftDown', i, j, item, heap })
+//   i, j → heap indices involved (swapped pair, or the slot just written)
+//   heap → snapshot of the array after the step
+// ops (optional) → { cmp, swap } counters incremented on key comparisons and swaps
+export function createMinHeap(onStep = () => {}, ops = null) {
+  const a = [];
+  const snap = () => a.map((x) => x.slice());
+  const swap = (i, j) => { [a[i], a[j]] = [a[j], a[i]]; if (ops) ops.swap++; };
+  const less = (i, j) => { if (ops) ops.cmp++; return a[i][0] < a[j][0]; };
+
+  function siftUp(i) {
+    while (i > 0) {
+      const p = (i - 1) >> 1;
+      if (!less(i, p)) break;
+      swap(i, p);
+      onStep({ kind: 'siftUp', i: p, j: i, item: a[p], heap: snap() });
+      i = p;
+    }
+  }
+
+  function siftDown(i) {
+    for (;;) {
+      const l = 2 * i + 1, r = l + 1;
+      let m = i;
+      if (l < a.length && less(l, m)) m = l;
+      if (r < a.length && less(r, m)) m = r;
+      if (m === i) break;
+      swap(i, m);
+      onStep({ kind: 'siftDown', i, j: m, item: a[m], heap: snap() });
+      i = m;
+    }
+  }
+
+  return {
+    get size() { return a.length; },
+    peek: () => a[0],
+    toArray: snap,
+    push(item) {
+      a.push(item);
+      onStep({ kind: 'push', i: a.length - 1, item, heap: snap() });
+      siftUp(a.length - 1);
+    },
+    pop() {
+      if (!a.length) return undefined;
+      const top = a[0];
+      const last = a.pop();
+      if (a.length) a[0] = last;
+      onStep({ kind: 'pop', i: 0, item: top, heap: snap() });
+      if (a.length) siftDown(0);
+      return top;
+    }
+  };
+}
+
+// short human-readable description of a heap step
+export function describeHeapStep({ kind, i, j, item }) {
+  const key = item?.[0];
+  if (kind === 'push') return `PQ push key ${key} at heap[${i}]`;
+  if (kind === 'siftUp') return `Sift up: heap[${j}] ↔ heap[${i}] (key ${key})`;
+  if (kind === 'pop') return `PQ pop min key ${key}; last item moved to root`;
+  return `Sift down: heap[${i}] ↔ heap[${j}]`;
+}
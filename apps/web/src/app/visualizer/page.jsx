@@ -0,0 +1,7 @@
+import { redirect } from 'next/navigation';
+import { DEFAULT_ALGO } from './urlState';
+
+// /visualizer → default algorithm route
+export default function VisualizerIndex() {
+  redirect(`/visualizer/${DEFAULT_ALGO}`);
+}
@@ -0,0 +1,235 @@
+// ------------------------------
+// Binary search trees: plain BST, AVL and red-black
+// Pointer-based nodes with parent links so rotations can re-link in place.
+// Every step is reported to `onStep` (after the tree has been updated) so
+// frame generators can snapshot the whole tree, like heap.js does for the PQ.
+// ------------------------------
+
+// onStep({ kind, desc, active, path, pivot })
+//   kind   → visit | found | missing | insert | duplicate | splice | successor
+//            | height | rotate | recolor | fixup | root
+//   active → value of the node in focus; path → values walked so far
+//   pivot  → values involved in a rotation / recolor
+// ops (optional) → { cmp, rotate } counters
+export function createSearchTree(kind = 'bst', onStep = () => {}, ops = null) {
+  let root = null;
+  const isRed = (n) => !!n && n.red;
+  const h = (n) => (n ? n.h : 0);
+  const update = (n) => { n.h = 1 + Math.max(h(n.left), h(n.right)); };
+  const bf = (n) => h(n.left) - h(n.right);
+  const emit = (step) => onStep(step);
+  const cmp = () => { if (ops) ops.cmp++; };
+
+  // put `v` where `u` was under u's parent
+  function replace(u, v) {
+    if (!u.parent) root = v;
+    else if (u === u.parent.left) u.parent.left = v;
+    else u.parent.right = v;
+    if (v) v.parent = u.parent;
+  }
+
+  function rotateLeft(x) {
+    const y = x.right;
+    x.right = y.left; if (y.left) y.left.parent = x;
+    replace(x, y);
+    y.left = x; x.parent = y;
+    update(x); update(y);
+    if (ops) ops.rotate++;
+    return y;
+  }
+
+  function rotateRight(x) {
+    const y = x.left;
+    x.left = y.right; if (y.right) y.right.parent = x;
+    replace(x, y);
+    y.right = x; x.parent = y;
+    update(x); update(y);
+    if (ops) ops.rotate++;
+    return y;
+  }
+
+  // walk from the root; returns { node, parent, path } where node is the match (or null)
+  function find(val, verb) {
+    const path = [];
+    let node = root, parent = null;
+    while (node) {
+      path.push(node.val);
+      cmp();
+      if (val === node.val) return { node, parent, path };
+      const dir = val < node.val ? 'left' : 'right';
+      emit({ kind: 'visit', desc: `${verb} ${val}: ${val} ${val < node.val ? '<' : '>'} ${node.val} → go ${dir}`, active: node.val, path: path.slice() });
+      parent = node; node = node[dir];
+    }
+    return { node: null, parent, path };
+  }
+
+  function search(val) {
+    const { node, path } = find(val, 'Search');
+    if (node) emit({ kind: 'found', desc: `Found ${val}`, active: val, path });
+    else emit({ kind: 'missing', desc: `${val} is not in the tree`, path });
+    return !!node;
+  }
+
+  function insert(val) {
+    const { node, parent, path } = find(val, 'Insert');
+    if (node) {
+      emit({ kind: 'duplicate', desc: `${val} already present — skipped`, active: val, path });
+      return false;
+    }
+    const z = { val, left: null, right: null, parent, h: 1, red: kind === 'rb' };
+    if (!parent) root = z;
+    else if (val < parent.val) parent.left = z;
+    else parent.right = z;
+    emit({ kind: 'insert', desc: parent ? `Attach ${val} as ${val < parent.val ? 'left' : 'right'} child of ${parent.val}` : `Tree was empty: ${val} becomes the root`, active: val, path: [...path, val] });
+    if (kind === 'avl') rebalance(parent);
+    if (kind === 'rb') insertFixup(z);
+    return true;
+  }
+
+  function remove(val) {
+    const { node: z, path } = find(val, 'Delete');
+    if (!z) {
+      emit({ kind: 'missing', desc: `${val} is not in the tree — nothing to delete`, path });
+      return false;
+    }
+    let y = z;
+    if (z.left && z.right) {
+      // two children: copy the in-order successor up, then delete the successor node
+      y = z.right;
+      while (y.left) { cmp(); y = y.left; }
+      emit({ kind: 'successor', desc: `${val} has two children: successor is ${y.val} (min of right subtree)`, active: val, pivot: [y.val] });
+      z.val = y.val;
+      emit({ kind: 'successor', desc: `Copy ${y.val} into the node, then remove the old ${y.val}`, active: z.val });
+    }
+    const child = y.left || y.right;
+    const parent = y.parent;
+    replace(y, child);
+    emit({ kind: 'splice', desc: child ? `Splice out node: ${child.val} takes its place` : 'Remove leaf', active: child?.val, pivot: parent ? [parent.val] : [] });
+    if (kind === 'avl') rebalance(parent);
+    if (kind === 'rb' && !y.red) {
+      if (isRed(child)) {
+        child.red = false;
+        emit({ kind: 'fixup', desc: `Removed black node replaced by red ${child.val} → color it black`, active: child.val });
+      } else deleteFixup(child, parent);
+    }
+    return true;
+  }
+
+  // AVL: walk up from `n`, updating heights and rotating where |bf| > 1
+  function rebalance(n) {
+    while (n) {
+      update(n);
+      const b = bf(n);
+      emit({ kind: 'height', desc: `Node ${n.val}: height ${n.h}, balance ${b}`, active: n.val });
+      if (b > 1) {
+        const lr = bf(n.left) < 0;
+        if (lr) { const c = n.left.val; rotateLeft(n.left); emit({ kind: 'rotate', desc: `LR case at ${n.val}: rotate left at ${c}`, active: n.val, pivot: [c] }); }
+        const top = rotateRight(n);
+        emit({ kind: 'rotate', desc: `${lr ? 'LR' : 'LL'} case: rotate right at ${n.val} → ${top.val} moves up`, active: top.val, pivot: [n.val, top.val] });
+        n = top;
+      } else if (b < -1) {
+        const rl = bf(n.right) > 0;
+        if (rl) { const c = n.right.val; rotateRight(n.right); emit({ kind: 'rotate', desc: `RL case at ${n.val}: rotate right at ${c}`, active: n.val, pivot: [c] }); }
+        const top = rotateLeft(n);
+        emit({ kind: 'rotate', desc: `${rl ? 'RL' : 'RR'} case: rotate left at ${n.val} → ${top.val} moves up`, active: top.val, pivot: [n.val, top.val] });
+        n = top;
+      }
+      n = n.parent;
+    }
+  }
+
+  function blackRoot() {
+    if (!isRed(root)) return;
+    root.red = false;
+    emit({ kind: 'root', desc: `Root ${root.val} colored black`, active: root.val });
+  }
+
+  // red-black insert (CLRS): fix red-red violations going up
+  function insertFixup(z) {
+    while (isRed(z.parent)) {
+      const p = z.parent, g = p.parent;
+      const left = p === g.left;
+      const uncle = left ? g.right : g.left;
+      if (isRed(uncle)) {
+        p.red = false; uncle.red = false; g.red = true;
+        emit({ kind: 'recolor', desc: `Red uncle ${uncle.val}: recolor ${p.val}, ${uncle.val} black and ${g.val} red`, active: z.val, pivot: [p.val, uncle.val, g.val] });
+        z = g;
+        continue;
+      }
+      if (z === (left ? p.right : p.left)) {
+        // inner child: rotate it to the outside first
+        if (left) rotateLeft(p); else rotateRight(p);
+        emit({ kind: 'rotate', desc: `Black uncle, ${z.val} is an inner child → rotate ${left ? 'left' : 'right'} at ${p.val}`, active: z.val, pivot: [p.val, z.val] });
+        z = p;
+      }
+      z.parent.red = false; g.red = true;
+      if (left) rotateRight(g); else rotateLeft(g);
+      emit({ kind: 'rotate', desc: `Black uncle → rotate ${left ? 'right' : 'left'} at ${g.val}; ${z.parent.val} black, ${g.val} red`, active: z.parent.val, pivot: [g.val, z.parent.val] });
+    }
+    blackRoot();
+  }
+
+  // red-black delete (CLRS): `x` carries an extra black; x may be null, hence `parent`
+  function deleteFixup(x, parent) {
+    while (x !== root && !isRed(x)) {
+      const left = x === parent.left;
+      let w = left ? parent.right : parent.left;
+      if (isRed(w)) {
+        w.red = false; parent.red = true;
+        if (left) rotateLeft(parent); else rotateRight(parent);
+        emit({ kind: 'fixup', desc: `Case 1: red sibling ${w.val} → recolor and rotate at ${parent.val}`, active: parent.val, pivot: [w.val, parent.val] });
+        w = left ? parent.right : parent.left;
+      }
+      const near = left ? w.left : w.right, far = left ? w.right : w.left;
+      if (!isRed(near) && !isRed(far)) {
+        w.red = true;
+        emit({ kind: 'fixup', desc: `Case 2: sibling ${w.val} has black children → color it red, move the extra black up to ${parent.val}`, active: parent.val, pivot: [w.val] });
+        x = parent; parent = x.parent;
+        continue;
+      }
+      if (!isRed(far)) {
+        near.red = false; w.red = true;
+        if (left) rotateRight(w); else rotateLeft(w);
+        emit({ kind: 'fixup', desc: `Case 3: sibling's near child ${near.val} is red → rotate at ${w.val}`, active: near.val, pivot: [w.val, near.val] });
+        w = left ? parent.right : parent.left;
+      }
+      w.red = parent.red; parent.red = false;
+      (left ? w.right : w.left).red = false;
+      if (left) rotateLeft(parent); else rotateRight(parent);
+      emit({ kind: 'fixup', desc: `Case 4: rotate at ${parent.val}; sibling ${w.val} takes its color`, active: w.val, pivot: [parent.val, w.val] });
+      x = root;
+    }
+    if (isRed(x)) {
+      x.red = false;
+      emit({ kind: 'fixup', desc: `Color ${x.val} black`, active: x.val });
+    }
+  }
+
+  // plain nested copy for frames: { val, left, right, bf?, color? }
+  function snapshot(n = root) {
+    if (!n) return null;
+    const s = { val: n.val, left: snapshot(n.left), right: snapshot(n.right) };
+    if (kind === 'avl') s.bf = bf(n);
+    if (kind === 'rb') s.color = n.red ? 'red' : 'black';
+    return s;
+  }
+
+  return { search, insert, remove, snapshot, get root() { return root; } };
+}
+
+// "insert 5 3 8\ndelete 3; search 8" → [{ op, val }]; bare numbers mean insert
+export const OP_WORDS = { insert: 'insert', add: 'insert', i: 'insert', '+': 'insert', delete: 'delete', remove: 'delete', del: 'delete', d: 'delete', '-': 'delete', search: 'search', find: 'search', s: 'search', '?': 'search' };
+
+export function parseTreeOps(text) {
+  const out = [];
+  for (const line of text.split(/[\n;]+/)) {
+    let op = 'insert';
+    for (const tok of line.split(/[\s,]+/).filter(Boolean)) {
+      const word = OP_WORDS[tok.toLowerCase()];
+      if (word) { op = word; continue; }
+      const val = Number(tok);
+      if (Number.isFinite(val)) out.push({ op, val });
+    }
+  }
+  return out;
+}
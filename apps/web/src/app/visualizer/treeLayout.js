@@ -0,0 +1,60 @@
+// ------------------------------
+// Tree layouts
+// layoutTree works on any pointer-shaped tree ({ val, left, right }): x comes
+// from the in-order position, y from the depth, so arbitrary (skewed, sparse)
+// shapes never overlap. Used by TreeRenderer. layoutNary does the same for the
+// recursion trees drawn by RecursionRenderer.
+// ------------------------------
+
+// → { nodes: [{ id, node, x, y }], edges: [{ from, to }], width, height }
+//   id is the root path ('' root, 'L', 'LR', …) so duplicate values stay distinct
+export function layoutTree(root, { gapX = 44, gapY = 64, pad = 24 } = {}) {
+  const nodes = [], edges = [];
+  let col = 0, depthMax = 0;
+  const pos = new Map();
+  (function walk(n, id, depth) {
+    if (!n) return;
+    walk(n.left, `${id}L`, depth + 1);
+    const p = { id, node: n, x: pad + col++ * gapX, y: pad + depth * gapY };
+    pos.set(n, p); nodes.push(p);
+    depthMax = Math.max(depthMax, depth);
+    walk(n.right, `${id}R`, depth + 1);
+  })(root, '', 0);
+  for (const p of nodes) {
+    for (const c of [p.node.left, p.node.right]) if (c) edges.push({ from: p, to: pos.get(c) });
+  }
+  return {
+    nodes,
+    edges,
+    width: Math.max(1, col - 1) * gapX + 2 * pad,
+    height: depthMax * gapY + 2 * pad
+  };
+}
+
+// N-ary tree from a flat list [{ id, parent }] (parents listed before children),
+// as grown by the recursion recorder: leaves take consecutive columns and each
+// parent sits centered over its first and last child.
+// → { nodes: [{ id, node, x, y }], edges: [{ from, to }], width, height }
+export function layoutNary(list, { gapX = 40, gapY = 56, pad = 24 } = {}) {
+  const kids = new Map(list.map((n) => [n.id, []]));
+  const roots = [];
+  for (const n of list) (n.parent == null ? roots : kids.get(n.parent)).push(n);
+  const nodes = [], edges = [];
+  let col = 0, depthMax = 0;
+  const place = (n, depth) => {
+    const cs = kids.get(n.id).map((c) => place(c, depth + 1));
+    const x = cs.length ? (cs[0].x + cs[cs.length - 1].x) / 2 : pad + col++ * gapX;
+    const p = { id: n.id, node: n, x, y: pad + depth * gapY };
+    nodes.push(p);
+    for (const c of cs) edges.push({ from: p, to: c });
+    depthMax = Math.max(depthMax, depth);
+    return p;
+  };
+  roots.forEach((r) => place(r, 0));
+  return {
+    nodes,
+    edges,
+    width: Math.max(1, col - 1) * gapX + 2 * pad,
+    height: depthMax * gapY + 2 * pad
+  };
+}
@@ -0,0 +1,68 @@
+import React from 'react';
+import { formatInputError } from './validate';
+
+// ------------------------------
+// Small UI primitives
+// ------------------------------
+export const Button = ({ className = '', children, ...props }) => (
+  <button
+    className={`inline-flex items-center gap-2 rounded-xl px-3 py-2 text-sm font-medium border border-zinc-300/60 dark:border-zinc-700/60 bg-white/70 dark:bg-zinc-900/70 hover:bg-zinc-50 dark:hover:bg-zinc-900 shadow-sm active:scale-[0.98] ${className}`}
+    {...props}
+  >
+    {children}
+  </button>
+);
+
+export const Section = ({ title, children, right }) => (
+  <div className="rounded-2xl border border-zinc-200/70 dark:border-zinc-800/70 bg-white/70 dark:bg-zinc-950/60 p-4">
+    <div className="mb-3 flex items-center justify-between">
+      <h3 className="text-sm font-semibold text-zinc-800 dark:text-zinc-100 tracking-wide">{title}</h3>
+      {right}
+    </div>
+    {children}
+  </div>
+);
+
+export const Label = ({ children }) => (
+  <label className="text-xs font-medium text-zinc-600 dark:text-zinc-300">{children}</label>
+);
+
+// errors: [{ line, col, message }] from ./validate.js, listed under the field
+const fieldBorder = (errors) => (errors?.length ? 'border-rose-500/80 dark:border-rose-500/70' : 'border-zinc-300/70 dark:border-zinc-700/70');
+
+export const FieldErrors = ({ errors }) => (errors?.length ? (
+  <ul className="mt-1 space-y-0.5 text-xs text-rose-600 dark:text-rose-400">
+    {errors.map((e, i) => <li key={i}>{formatInputError(e)}</li>)}
+  </ul>
+) : null);
+
+export const Input = ({ errors, ...props }) => (
+  <>
+    <input
+      {...props}
+      aria-invalid={errors?.length ? true : undefined}
+      className={`w-full rounded-lg border ${fieldBorder(errors)} bg-white/70 dark:bg-zinc-900/70 px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-emerald-500/40`}
+    />
+    <FieldErrors errors={errors} />
+  </>
+);
+
+export const Textarea = ({ errors, ...props }) => (
+  <>
+    <textarea
+      {...props}
+      aria-invalid={errors?.length ? true : undefined}
+      className={`w-full min-h-[90px] rounded-lg border ${fieldBorder(errors)} bg-white/70 dark:bg-zinc-900/70 px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-emerald-500/40`}
+    />
+    <FieldErrors errors={errors} />
+  </>
+);
+
+export const Select = ({ children, ...props }) => (
+  <select
+    {...props}
+    className={`w-full rounded-lg border border-zinc-300/70 dark:border-zinc-700/70 bg-white/70 dark:bg-zinc-900/70 px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-emerald-500/40`}
+  >
+    {children}
+  </select>
+);
@@ -0,0 +1,51 @@
+// ------------------------------
+// Union-find (disjoint sets) for Kruskal's MST
+// Path compression + union by rank. Like heap.js, every structural change is
+// reported to `onStep` so the forest can be drawn next to the graph.
+// ------------------------------
+
+// onStep({ kind: 'find' | 'compress' | 'union', path, root, a, b, forest })
+//   path   → nodes walked from the start of a find up to its root
+//   a, b   → roots merged by a union (b now points at a)
+//   forest → snapshot { parent, rank } after the step
+// ops (optional) → { cmp, write }: rank comparisons, parent-pointer writes
+export function createUnionFind(nodes, onStep = () => {}, ops = null) {
+  const parent = Object.fromEntries(nodes.map((n) => [n, n]));
+  const rank = Object.fromEntries(nodes.map((n) => [n, 0]));
+  const forest = () => ({ parent: { ...parent }, rank: { ...rank } });
+
+  function find(x) {
+    const path = [x];
+    while (parent[path[path.length - 1]] !== path[path.length - 1]) path.push(parent[path[path.length - 1]]);
+    const root = path[path.length - 1];
+    onStep({ kind: 'find', path, root, forest: forest() });
+    // path compression: everything on the walk now points straight at the root
+    const moved = path.slice(0, -1).filter((n) => parent[n] !== root);
+    if (moved.length) {
+      for (const n of moved) { parent[n] = root; if (ops) ops.write++; }
+      onStep({ kind: 'compress', path: moved, root, forest: forest() });
+    }
+    return root;
+  }
+
+  // → false when x and y were already in one set
+  function union(x, y) {
+    let a = find(x), b = find(y);
+    if (a === b) return false;
+    if (ops) ops.cmp++;
+    if (rank[a] < rank[b]) [a, b] = [b, a];
+    parent[b] = a;
+    if (ops) ops.write++;
+    if (rank[a] === rank[b]) rank[a]++;
+    onStep({ kind: 'union', a, b, root: a, forest: forest() });
+    return true;
+  }
+
+  return { find, union, forest };
+}
+
+export function describeUnionStep({ kind, path, root, a, b, forest }) {
+  if (kind === 'find') return path.length > 1 ? `find: ${path.join(' → ')} (root ${root})` : `find(${root}): ${root} is a root`;
+  if (kind === 'compress') return `Path compression: ${path.join(', ')} now point${path.length === 1 ? 's' : ''} at ${root}`;
+  return `Union by rank: ${b} (rank ${forest.rank[b]}) goes under ${a} (rank ${forest.rank[a]})`;
+}
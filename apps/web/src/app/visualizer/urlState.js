@@ -0,0 +1,75 @@
+// ------------------------------
+// Shareable URL state
+// Maps visualizer inputs <-> short query-string keys so a link reproduces
+// the same algorithm, inputs, frame and speed.
+// ------------------------------
+
+// state field → query key
+export const URL_KEYS = {
+  arrayText: 'arr',
+  arraySortedText: 'sorted',
+  adjText: 'adj',
+  graphFormat: 'fmt',
+  graphDir: 'dir',
+  gridText: 'grid',
+  gridHeur: 'h',
+  gridMoves: 'moves',
+  treeText: 'tree',
+  treeOpsText: 'ops',
+  llText: 'll',
+  llText2: 'll2',
+  nth: 'n',
+  dpA: 'a',
+  dpB: 'b',
+  dpItems: 'items',
+  dpCap: 'cap',
+  dpCoins: 'coins',
+  dpAmount: 'amount',
+  dpNums: 'nums',
+  dpDims: 'dims',
+  btQueens: 'queens',
+  btNums: 'set',
+  btCands: 'cands',
+  btTarget: 'sum',
+  btSudoku: 'sudoku',
+  btFib: 'fib',
+  target: 'target',
+  startNode: 'start',
+  genSeed: 'seed',
+  pqMode: 'pq',
+  raceAlgo: 'vs'
+};
+
+export const DEFAULT_ALGO = 'arr_merge';
+export const DEFAULT_SPEED = 700;
+
+// Reads inputs from URLSearchParams, falling back to `defaults` per field.
+// `step` is null when the link was shared before any run.
+export function readUrlState(params, defaults) {
+  const inputs = {};
+  for (const [field, key] of Object.entries(URL_KEYS)) {
+    const v = params?.get(key);
+    inputs[field] = v == null ? defaults[field] : v;
+  }
+  const stepRaw = params?.get('step');
+  const speedRaw = Number(params?.get('speed'));
+  const step = stepRaw == null ? null : Math.max(0, Math.floor(Number(stepRaw)) || 0);
+  const speed = Number.isFinite(speedRaw) && speedRaw > 0 ? speedRaw : DEFAULT_SPEED;
+  return { inputs, step, speed };
+}
+
+// Only fields that differ from their default are written, keeping links short.
+export function buildSearch({ inputs, step, speed }, defaults) {
+  const params = new URLSearchParams();
+  for (const [field, key] of Object.entries(URL_KEYS)) {
+    if (inputs[field] != null && inputs[field] !== defaults[field]) params.set(key, inputs[field]);
+  }
+  if (step != null) params.set('step', String(step));
+  if (speed != null && speed !== DEFAULT_SPEED) params.set('speed', String(speed));
+  const s = params.toString();
+  return s ? `?${s}` : '';
+}
+
+export function visualizerHref(algo, state, defaults) {
+  return `/visualizer/${encodeURIComponent(algo)}${buildSearch(state, defaults)}`;
+}
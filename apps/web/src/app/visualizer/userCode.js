@@ -0,0 +1,223 @@
+// ------------------------------
+// Your code
+// Runs a user's `function sort(a)` or `function search(a, target)` in a Web Worker
+// built from a Blob. The array is passed in behind a Proxy that logs every index
+// read and write. The log is sent back and replayed into the same
+// { desc, data, highlights } frames that ArrayRenderer draws.
+// JavaScript has no hook for `<`, so two reads of different cells with no write
+// between them count as one comparison. That is the shape of `if (a[j] > a[j + 1])`.
+// The worker has no DOM. Its network and messaging globals are deleted before the
+// code runs, so it cannot call the app's /api routes or anything else. The page terminates
+// it after a time limit. A cap on logged operations stops runaway loops early.
+// ------------------------------
+
+export const CODE_TEMPLATES = {
+  sort: `// Sort a in place (or return a new array).
+// Reads, writes and comparisons of a[i] are recorded.
+function sort(a) {
+  for (let i = 0; i < a.length; i++) {
+    for (let j = 0; j < a.length - 1 - i; j++) {
+      if (a[j] > a[j + 1]) {
+        const t = a[j];
+        a[j] = a[j + 1];
+        a[j + 1] = t;
+      }
+    }
+  }
+}
+`,
+  search: `// Return the index of target in the sorted array a, or -1.
+function search(a, target) {
+  let lo = 0, hi = a.length - 1;
+  while (lo <= hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (a[mid] === target) return mid;
+    if (a[mid] < target) lo = mid + 1;
+    else hi = mid - 1;
+  }
+  return -1;
+}
+`
+};
+
+// globals a sort has no business touching: removed from the worker's global scope
+const REMOVED = ['postMessage', 'importScripts', 'fetch', 'XMLHttpRequest', 'WebSocket', 'WebTransport', 'EventSource', 'BroadcastChannel', 'indexedDB', 'caches', 'close', 'Worker', 'SharedWorker'];
+// and passed as undefined parameters, along with the names of the global object itself
+const SHADOWED = ['self', 'globalThis', ...REMOVED];
+
+// runs inside the worker: keep it self-contained (no imports, no closures over this module)
+const WORKER_SOURCE = `
+const SHADOWED = ${JSON.stringify(SHADOWED)};
+const post = self.postMessage.bind(self);
+// a parameter only hides a name: Function('return fetch')() still reaches the global.
+// Delete each one along the prototype chain (WorkerGlobalScope.prototype holds fetch)
+// and pin undefined in its place.
+for (const name of ${JSON.stringify(REMOVED)}) {
+  for (let o = self; o; o = Object.getPrototypeOf(o)) {
+    try { delete o[name]; } catch {}
+  }
+  try { Object.defineProperty(self, name, { value: undefined, writable: false, configurable: false }); } catch {}
+}
+const plain = (v) => (typeof v === 'number' || typeof v === 'string' || typeof v === 'boolean' || v == null ? v : String(v));
+const isIndex = (k) => typeof k === 'string' && /^(0|[1-9]\\d*)$/.test(k);
+
+self.onmessage = (e) => {
+  const { code, mode, arr, target, maxOps } = e.data;
+  const data = arr.slice();
+  const log = [];
+  let stopped = false;
+  const STOP = new Error('operation limit');
+  const note = (op) => {
+    if (stopped || log.length >= maxOps) { stopped = true; throw STOP; }
+    log.push(op);
+  };
+  const a = new Proxy(data, {
+    get(t, k, r) {
+      if (isIndex(k) && Number(k) < t.length) note({ t: 'r', i: Number(k), v: plain(t[k]) });
+      return Reflect.get(t, k, r);
+    },
+    set(t, k, v, r) {
+      if (isIndex(k)) note({ t: 'w', i: Number(k), v: plain(v) });
+      return Reflect.set(t, k, v, r);
+    }
+  });
+  const reply = (extra) => post({ mode, log, truncated: stopped, ...extra });
+  try {
+    const api = new Function(...SHADOWED, '"use strict";' + code + '\\n;return { sort: typeof sort === "function" ? sort : null, search: typeof search === "function" ? search : null };')();
+    const fn = api[mode];
+    if (!fn) return reply({ error: mode === 'sort' ? 'Define function sort(a)' : 'Define function search(a, target)' });
+    const out = mode === 'sort' ? fn(a) : fn(a, target);
+    if (stopped) return reply({});
+    reply({ returned: Array.isArray(out) && out !== a ? out.map(plain) : plain(out === a ? undefined : out) });
+  } catch (err) {
+    if (stopped || err === STOP) return reply({});
+    // "<anonymous>:LINE:COL"; the Function wrapper adds two lines above the user's first
+    const at = /<anonymous>:(\\d+):(\\d+)/.exec(String(err && err.stack));
+    reply({ error: String((err && err.message) || err), line: at ? Number(at[1]) - 2 : null });
+  }
+};
+`;
+
+let workerUrl = null;
+
+// code, mode 'sort' | 'search', { arr, target } → Promise<{ mode, log, returned?, error?, line?, truncated, timedOut? }>
+export function runUserCode(code, mode, { arr, target }, { timeout = 2000, maxOps = 4000 } = {}) {
+  workerUrl ||= URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' }));
+  const worker = new Worker(workerUrl);
+  return new Promise((resolve) => {
+    const finish = (result) => { clearTimeout(timer); worker.terminate(); resolve(result); };
+    const timer = setTimeout(() => finish({ mode, log: [], truncated: false, timedOut: true, error: `No result after ${timeout / 1000} s: is there an infinite loop?` }), timeout);
+    worker.onmessage = (e) => finish(e.data);
+    worker.onerror = (e) => { e.preventDefault(); finish({ mode, log: [], truncated: false, error: e.message || 'The code could not run' }); };
+    worker.postMessage({ code, mode, arr, target, maxOps });
+  });
+}
+
+const show = (v) => (typeof v === 'string' ? JSON.stringify(v) : String(v));
+const failure = ({ error, line }) => (line ? `Line ${line}: ${error}` : error);
+
+// multiset equality: a sort may reorder values, never add or drop them
+function sameValues(x, y) {
+  if (x.length !== y.length) return false;
+  const count = new Map();
+  for (const v of x) count.set(v, (count.get(v) || 0) + 1);
+  for (const v of y) { if (!count.get(v)) return false; count.set(v, count.get(v) - 1); }
+  return true;
+}
+
+// the log of a sort → compare / swap / write frames, then a verdict
+function sortFrames(input, result) {
+  const a = input.slice();
+  const ops = { cmp: 0, swap: 0, write: 0 };
+  const frames = [];
+  const push = (f) => frames.push({ ...f, data: a.slice(), ops: { ...ops } });
+  const log = result.log;
+  // writes k, k+1 exchange two cells → { i, j }
+  const swapAt = (k) => {
+    const [w1, w2] = [log[k], log[k + 1]];
+    if (w1?.t !== 'w' || w2?.t !== 'w' || w1.i === w2.i) return null;
+    return w1.v === a[w2.i] && w2.v === a[w1.i] ? { i: w1.i, j: w2.i } : null;
+  };
+  push({ desc: `Start: your sort on ${a.length} values`, highlights: {}, vars: { n: a.length } });
+  let read = null;
+  for (let k = 0; k < log.length; k++) {
+    const op = log[k];
+    if (op.t === 'r') {
+      // the same cell twice is one read
+      if (!read || read.i === op.i) { read = op; continue; }
+      const swap = swapAt(k + 1);
+      // reading both cells right before exchanging them belongs to the swap
+      if (!(swap && new Set([swap.i, swap.j, read.i, op.i]).size === 2)) {
+        ops.cmp++;
+        push({ desc: `Compare a[${read.i}] = ${show(read.v)} with a[${op.i}] = ${show(op.v)}`, highlights: { compare: [read.i, op.i] }, vars: { i: read.i, j: op.i, 'a[i]': read.v, 'a[j]': op.v } });
+      }
+      read = null;
+      continue;
+    }
+    read = null;
+    const swap = swapAt(k);
+    if (swap) {
+      [a[swap.i], a[swap.j]] = [a[swap.j], a[swap.i]];
+      ops.swap++; k++;
+      push({ desc: `Swap a[${swap.i}] and a[${swap.j}]`, highlights: { swap: [swap.i, swap.j] }, vars: { i: swap.i, j: swap.j } });
+    } else {
+      a[op.i] = op.v;
+      ops.write++;
+      push({ desc: `Write a[${op.i}] = ${show(op.v)}`, highlights: { placed: op.i }, vars: { i: op.i, 'a[i]': op.v } });
+    }
+  }
+  // a returned array is the answer; otherwise the array sorted in place
+  if (Array.isArray(result.returned)) a.splice(0, a.length, ...result.returned);
+  push(sortVerdict(a, input, result, ops));
+  return frames;
+}
+
+function sortVerdict(a, input, result, ops) {
+  if (result.error) return { desc: failure(result), highlights: {} };
+  if (result.truncated) return { desc: `Stopped after ${result.log.length} array operations`, highlights: {} };
+  if (!sameValues(a, input)) return { desc: 'Not sorted: the result holds different values from the input', highlights: {} };
+  const bad = a.findIndex((v, k) => k > 0 && a[k - 1] > v);
+  if (bad > 0) return { desc: `Not sorted: a[${bad - 1}] = ${show(a[bad - 1])} comes before a[${bad}] = ${show(a[bad])}`, highlights: { compare: [bad - 1, bad] } };
+  return { desc: `Sorted: ${ops.cmp} comparisons, ${ops.swap} swaps, ${ops.write} writes`, highlights: { done: true } };
+}
+
+// the log of a search → one probe per read (each compared against the target), then a verdict
+function searchFrames(input, result, target) {
+  const a = input.slice();
+  const ops = { cmp: 0 };
+  const frames = [];
+  const push = (f) => frames.push({ ...f, data: a.slice(), ops: { ...ops } });
+  push({ desc: `Start: search for ${target} in ${a.length} values`, highlights: { target }, vars: { n: a.length, target } });
+  let last = null;
+  for (const op of result.log) {
+    // `a[mid] === target` then `a[mid] < target` is one probe
+    if (op.t === 'r' && last?.t === 'r' && last.i === op.i) continue;
+    last = op;
+    if (op.t === 'w') {
+      a[op.i] = op.v;
+      push({ desc: `Write a[${op.i}] = ${show(op.v)} (a search should not modify the array)`, highlights: { placed: op.i, target } });
+      continue;
+    }
+    ops.cmp++;
+    push({ desc: `Probe a[${op.i}] = ${show(op.v)}`, highlights: { compare: [op.i], pointers: { probe: op.i }, target }, vars: { i: op.i, 'a[i]': op.v, target } });
+  }
+  push(searchVerdict(input, result, target, ops));
+  return frames;
+}
+
+function searchVerdict(input, result, target, ops) {
+  const r = result.returned;
+  const at = input.indexOf(target);
+  if (result.error) return { desc: failure(result), highlights: { target } };
+  if (result.truncated) return { desc: `Stopped after ${result.log.length} array operations`, highlights: { target } };
+  if (r === -1 && at === -1) return { desc: `Returned -1: ${target} is not in the array`, highlights: { target } };
+  if (r === -1) return { desc: `Returned -1, but ${target} is at index ${at}`, highlights: { compare: [at], target } };
+  if (!Number.isInteger(r) || r < 0 || r >= input.length) return { desc: `Returned ${show(r)}: expected an index or -1`, highlights: { target } };
+  if (input[r] !== target) return { desc: `Returned ${r}, but a[${r}] = ${show(input[r])}, not ${target}`, highlights: { compare: [r], target } };
+  return { desc: `Found ${target} at index ${r} in ${ops.cmp} probes`, highlights: { found: r, placed: r, target } };
+}
+
+// input array, worker result (, target) → frames for ArrayRenderer
+export function userFrames(input, result, target) {
+  return result.mode === 'search' ? searchFrames(input, result, target) : sortFrames(input, result);
+}
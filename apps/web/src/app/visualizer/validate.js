@@ -0,0 +1,192 @@
+// ------------------------------
+// Input validation
+// One checker per input type, each reading the text the way its parser will and
+// returning [{ line, col, message }] (1-based; `line` only for multi-line text).
+// Parsers stay lenient; validateInputs() runs first so nothing is coerced or
+// dropped silently — the page shows the errors under the field and blocks Run.
+// DP and backtracking size limits stay with their frame generators, which explain
+// them in the canvas. Array inputs are capped here: sorts record the whole array
+// on every step, and race mode or "Your code" builds two or three runs of it.
+// ------------------------------
+
+import { nodeKey, parseGraph } from './graphInput';
+import { parseGrid } from './grid';
+import { OP_WORDS } from './searchTree';
+
+// "Line 2, col 5: …" / "Col 5: …" / "…"
+export function formatInputError({ line, col, message }) {
+  if (line) return `Line ${line}, col ${col}: ${message}`;
+  return col ? `Col ${col}: ${message}` : message;
+}
+
+// every match of `re` with its position; `line` is set only for multi-line text
+function scan(text, re = /[^\s,]+/g) {
+  const lines = String(text).split('\n');
+  return lines.flatMap((l, i) => [...l.matchAll(re)].map((m) => ({
+    text: m[0], col: m.index + 1, ...(lines.length > 1 ? { line: i + 1 } : {})
+  })));
+}
+
+const at = (t, message) => ({ line: t.line, col: t.col, message });
+
+// values an array algorithm takes; GEN_SIZES in ./generate.js stays below it
+export const ARRAY_LIMIT = 64;
+
+// number tokens of a list field; sorted → each value must be ≥ the one before
+function checkNumbers(text, { integer = false, min = -Infinity, sorted = false, max = Infinity, what = 'number' } = {}) {
+  const toks = scan(text);
+  if (!toks.length) return [{ message: `enter at least one ${what}` }];
+  if (toks.length > max) return [{ message: `${toks.length} ${what}s; keep it to ${max} or fewer` }];
+  const errors = [];
+  let prev = null;
+  for (const t of toks) {
+    const v = Number(t.text);
+    if (!Number.isFinite(v)) errors.push(at(t, `"${t.text}" is not a number`));
+    else if (integer && !Number.isInteger(v)) errors.push(at(t, `"${t.text}" is not a whole number`));
+    else if (v < min) errors.push(at(t, `${what} ${v} must be at least ${min}`));
+    else if (sorted && prev != null && v < prev) errors.push(at(t, `${v} comes after ${prev}: the input must be sorted`));
+    if (Number.isFinite(v)) prev = v;
+  }
+  return errors;
+}
+
+// counting sort allocates and draws one bucket per key in [min, max]
+export const COUNTING_RANGE = 200;
+
+function checkKeyRange(text) {
+  const keys = scan(text).map((t) => Number(t.text));
+  const min = Math.min(...keys), max = Math.max(...keys);
+  return max - min + 1 > COUNTING_RANGE ? [{ message: `keys span ${min}..${max}; counting sort keeps one bucket per key, so keep max − min below ${COUNTING_RANGE}` }] : [];
+}
+
+// a single number field
+function checkNumber(text, { integer = true, min = -Infinity } = {}) {
+  const s = String(text).trim();
+  if (!s) return [{ message: 'required' }];
+  const v = Number(s);
+  if (!Number.isFinite(v)) return [{ message: `"${s}" is not a number` }];
+  if (integer && !Number.isInteger(v)) return [{ message: `"${s}" is not a whole number` }];
+  if (v < min) return [{ message: `must be at least ${min}` }];
+  return [];
+}
+
+// level-order tree: numbers or null
+function checkTreeArray(text) {
+  const errors = scan(text).filter((t) => t.text.toLowerCase() !== 'null' && !Number.isFinite(Number(t.text)))
+    .map((t) => at(t, `"${t.text}" is not a number or null`));
+  return errors.length || scan(text).length ? errors : [{ message: 'enter at least one value' }];
+}
+
+// operation words from ./searchTree.js or numbers; ';' also separates operations
+function checkTreeOps(text) {
+  return scan(text, /[^\s,;]+/g)
+    .filter((t) => !OP_WORDS[t.text.toLowerCase()] && !Number.isFinite(Number(t.text)))
+    .map((t) => at(t, `"${t.text}" is neither an operation (insert / delete / search) nor a number`));
+}
+
+// "1 -> 2 -> 3 -> @1" or "… pos=1"; blanks out arrows and the cycle marker so columns stay put
+// merge takes two plain lists, either of them empty
+function checkLinkedList(text, { sorted = false, merge = false } = {}) {
+  let pos = null, posAt = 0;
+  const body = String(text)
+    .replace(/(?:->|→)?\s*@\s*(\d+)\s*$|\bpos\s*[=:]?\s*(-?\d+)/i, (m, a, b, offset) => { pos = Number(a ?? b); posAt = offset + m.search(/@|pos/i) + 1; return ' '.repeat(m.length); })
+    .replace(/->/g, '  ').replace(/→/g, ' ');
+  const toks = scan(body);
+  const errors = merge && !toks.length ? [] : checkNumbers(body, { sorted, what: 'value' });
+  if (merge && pos != null && pos >= 0) errors.push({ col: posAt, message: 'merge takes lists without a cycle: remove the cycle marker' });
+  else if (toks.length && pos != null && pos >= toks.length) errors.push({ col: posAt, message: `cycle target ${pos} is outside the list (0–${toks.length - 1})` });
+  return errors;
+}
+
+// "1:1, 3:4" → weight:value pairs; weight ≥ 1, value ≥ 0
+function checkItems(text) {
+  const toks = scan(text, /[^,\n]+/g).filter((t) => t.text.trim());
+  if (!toks.length) return [{ message: 'enter at least one weight:value item' }];
+  return toks.flatMap((t) => {
+    const lead = t.text.length - t.text.trimStart().length;
+    const where = { ...t, col: t.col + lead };
+    const m = /^\s*(-?\d+)\s*:\s*(-?\d+)\s*$/.exec(t.text);
+    if (!m) return [at(where, `"${t.text.trim()}" is not weight:value (e.g. 3:4)`)];
+    if (Number(m[1]) < 1) return [at(where, `weight ${m[1]} must be at least 1`)];
+    if (Number(m[2]) < 0) return [at(where, `value ${m[2]} must be at least 0`)];
+    return [];
+  });
+}
+
+// 4×4 or 9×9; digits 1–9 and . or 0 for blanks, rows by newline or "/"
+function checkSudoku(text) {
+  const cells = scan(text, /[^\s,/|]/g);
+  const errors = cells.filter((t) => !/[0-9.]/.test(t.text)).map((t) => at(t, `"${t.text}" is not a digit or "."`));
+  if (!errors.length && cells.length !== 16 && cells.length !== 81) errors.push({ message: `found ${cells.length} cells; a puzzle needs 16 (4×4) or 81 (9×9)` });
+  return errors;
+}
+
+// the board needs somewhere to put S and G
+function checkGrid(text) {
+  const grid = parseGrid(text);
+  if (!grid) return [{ message: 'paint a board or generate a maze' }];
+  return grid.error ? [{ message: grid.error }] : [];
+}
+
+// graph text + start node (only when the algorithm starts somewhere)
+function checkGraph(v, usesStart) {
+  const graph = parseGraph(v.adjText, { format: v.graphFormat, directed: v.graphDir === 'directed' });
+  if (graph.errors.length) return { adjText: graph.errors };
+  if (!usesStart) return {};
+  const start = String(v.startNode).trim();
+  if (!start) return { startNode: [{ message: 'required' }] };
+  return graph.weighted.has(nodeKey(start)) ? {} : { startNode: [{ message: `node "${start}" is not in the graph` }] };
+}
+
+// inputs (page state, field → text) → { field: errors } for the fields `algo` reads
+// usesStart → the algorithm reads the start node; searchTree → BST/AVL/RB operations
+export function validateInputs(algo, v, { usesStart = false, searchTree = false } = {}) {
+  const out = {};
+  const put = (field, errors) => { if (errors.length) out[field] = errors; };
+  if (algo === 'arr_binary') {
+    put('arraySortedText', checkNumbers(v.arraySortedText, { sorted: true, max: ARRAY_LIMIT }));
+    put('target', checkNumber(v.target, { integer: false }));
+  } else if (algo === 'arr_counting') {
+    const errors = checkNumbers(v.arrayText, { integer: true, max: ARRAY_LIMIT });
+    put('arrayText', errors.length ? errors : checkKeyRange(v.arrayText));
+  } else if (algo === 'arr_radix') {
+    put('arrayText', checkNumbers(v.arrayText, { integer: true, max: ARRAY_LIMIT }));
+  } else if (algo.startsWith('arr_')) {
+    put('arrayText', checkNumbers(v.arrayText, { max: ARRAY_LIMIT }));
+  } else if (algo.startsWith('graph_')) {
+    Object.assign(out, checkGraph(v, usesStart));
+  } else if (algo.startsWith('grid_')) {
+    put('gridText', checkGrid(v.gridText));
+  } else if (algo.startsWith('tree_')) {
+    if (searchTree) put('treeOpsText', checkTreeOps(v.treeOpsText));
+    else put('treeText', checkTreeArray(v.treeText));
+  } else if (algo === 'dp_knapsack') {
+    put('dpItems', checkItems(v.dpItems));
+    put('dpCap', checkNumber(v.dpCap, { min: 0 }));
+  } else if (algo === 'dp_coin') {
+    put('dpCoins', checkNumbers(v.dpCoins, { integer: true, min: 1, what: 'coin' }));
+    put('dpAmount', checkNumber(v.dpAmount, { min: 0 }));
+  } else if (algo === 'dp_lis') {
+    put('dpNums', checkNumbers(v.dpNums));
+  } else if (algo === 'dp_mcm') {
+    const errors = checkNumbers(v.dpDims, { integer: true, min: 1, what: 'dimension' });
+    put('dpDims', errors.length || scan(v.dpDims).length > 1 ? errors : [{ message: 'enter at least two dimensions (one matrix)' }]);
+  } else if (algo === 'bt_queens') {
+    put('btQueens', checkNumber(v.btQueens, { min: 1 }));
+  } else if (algo === 'bt_subsets' || algo === 'bt_permutations') {
+    put('btNums', checkNumbers(v.btNums));
+  } else if (algo === 'bt_combsum') {
+    put('btCands', checkNumbers(v.btCands, { integer: true, min: 1, what: 'candidate' }));
+    put('btTarget', checkNumber(v.btTarget, { min: 1 }));
+  } else if (algo === 'bt_sudoku') {
+    put('btSudoku', checkSudoku(v.btSudoku));
+  } else if (algo === 'bt_fib') {
+    put('btFib', checkNumber(v.btFib, { min: 0 }));
+  } else if (algo.startsWith('ll_')) {
+    const merge = algo === 'll_merge';
+    put('llText', checkLinkedList(v.llText, { sorted: merge, merge }));
+    if (merge) put('llText2', checkLinkedList(v.llText2, { sorted: true, merge }));
+    if (algo === 'll_remove_nth') put('nth', checkNumber(v.nth, { min: 1 }));
+  }
+  return out;
+}